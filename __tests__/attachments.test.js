@@ -0,0 +1,107 @@
+import { mkdtemp, rm, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { sniffImageType, processImage, storageKeyFor, toPublicAttachment, UploadError, MAX_IMAGE_DIMENSION } from '../server/attachments.js';
+import { createLocalStorage, createStorageFromEnv } from '../server/storage.js';
+
+const image = (format, { width = 40, height = 20, alpha = false } = {}) => sharp({
+    create: { width, height, channels: alpha ? 4 : 3, background: alpha ? { r: 0, g: 0, b: 0, alpha: 0 } : '#2980b9' },
+})[format]().toBuffer();
+
+describe('sniffImageType', () => {
+    it.each(['jpeg', 'png', 'gif', 'webp'])('recognises %s by its bytes', async (format) => {
+        expect(sniffImageType(await image(format))).toBe(`image/${format}`);
+    });
+
+    it('rejects anything else', () => {
+        expect(sniffImageType(Buffer.from('<html><script>alert(1)</script></html>'))).toBeNull();
+        expect(sniffImageType(Buffer.from('%PDF-1.7 lorem ipsum'))).toBeNull();
+        expect(sniffImageType(Buffer.alloc(4))).toBeNull();
+    });
+});
+
+describe('processImage', () => {
+    it('downscales large photos to JPEG and keeps the aspect ratio', async () => {
+        const result = await processImage(await image('webp', { width: 4000, height: 1000 }));
+        expect(result).toMatchObject({ mimeType: 'image/jpeg', width: MAX_IMAGE_DIMENSION, height: 400 });
+    });
+
+    it('never upscales small images', async () => {
+        expect(await processImage(await image('jpeg'))).toMatchObject({ width: 40, height: 20 });
+    });
+
+    it('keeps PNG for transparency', async () => {
+        const result = await processImage(await image('png', { alpha: true }));
+        expect(result.mimeType).toBe('image/png');
+        expect((await sharp(result.data).metadata()).hasAlpha).toBe(true);
+    });
+
+    it('applies the EXIF orientation and strips all metadata', async () => {
+        // 40x20 pixels stored, but "rotate 90°" in EXIF: the photo is 20x40 upright
+        const rotated = await sharp(await image('jpeg')).withMetadata({ orientation: 6 }).jpeg().toBuffer();
+        const result = await processImage(rotated);
+        expect(result).toMatchObject({ width: 20, height: 40 });
+
+        const metadata = await sharp(result.data).metadata();
+        expect(metadata.exif).toBeUndefined();
+        expect(metadata.orientation).toBeUndefined();
+    });
+
+    it('rejects unsupported and corrupt files', async () => {
+        await expect(processImage(Buffer.from('just some text, not an image'))).rejects.toMatchObject({ status: 415 });
+
+        const truncated = (await image('png')).subarray(0, 40);
+        await expect(processImage(truncated)).rejects.toBeInstanceOf(UploadError);
+    });
+});
+
+describe('attachment helpers', () => {
+    it('builds storage keys per user', () => {
+        expect(storageKeyFor('user_2abc', 'image/png')).toMatch(/^user_2abc\/[0-9a-f-]{36}\.png$/);
+        expect(storageKeyFor('weird/../id', 'image/jpeg')).toMatch(/^weird____id\/[0-9a-f-]{36}\.jpg$/);
+    });
+
+    it('does not expose the storage key', () => {
+        const publicAttachment = toPublicAttachment({ id: 'a1', storageKey: 'u/x.jpg', userId: 'u', mimeType: 'image/jpeg', size: 10, width: 1, height: 1 });
+        expect(publicAttachment).toEqual({ id: 'a1', mimeType: 'image/jpeg', size: 10, width: 1, height: 1, url: '/api/attachments/a1' });
+    });
+});
+
+describe('local storage', () => {
+    let dir;
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'storage-test-'));
+    });
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('puts, gets and deletes files', async () => {
+        const storage = createLocalStorage({ dir });
+        await storage.put('user_1/photo.jpg', Buffer.from('abc'), 'image/jpeg');
+        expect((await storage.get('user_1/photo.jpg')).toString()).toBe('abc');
+
+        await storage.delete('user_1/photo.jpg');
+        expect(await storage.get('user_1/photo.jpg')).toBeNull();
+        expect(await readdir(path.join(dir, 'user_1'))).toEqual([]);
+    });
+
+    it('refuses keys that would leave the upload directory', async () => {
+        const storage = createLocalStorage({ dir });
+        await expect(storage.put('../escape.jpg', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+        await expect(storage.get('/etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+});
+
+describe('createStorageFromEnv', () => {
+    it('defaults to local disk', () => {
+        expect(createStorageFromEnv({}).name).toBe('local');
+    });
+
+    it('reports missing S3 configuration and unknown drivers', () => {
+        expect(createStorageFromEnv({ UPLOAD_STORAGE: 's3' }).configError).toBe('Missing S3_BUCKET');
+        expect(createStorageFromEnv({ UPLOAD_STORAGE: 's3', S3_BUCKET: 'uploads', S3_REGION: 'eu-west-1' })).toMatchObject({ name: 's3', configError: null });
+        expect(createStorageFromEnv({ UPLOAD_STORAGE: 'ftp' }).configError).toBe('Unknown UPLOAD_STORAGE "ftp"');
+    });
+});
@@ -0,0 +1,65 @@
+import { pathTo, activeBranch, latestLeaf, withBranchInfo } from '../server/branches.js';
+
+// u1 ─ a1
+//    └ a2 ─ u2 ─ a3
+// u1' (edited first message) ─ a4
+const at = (minute) => new Date(Date.UTC(2026, 9, 19, 12, minute));
+const messages = [
+    { id: 'u1', parentId: null, role: 'user', createdAt: at(0) },
+    { id: 'a1', parentId: 'u1', role: 'assistant', createdAt: at(1) },
+    { id: 'a2', parentId: 'u1', role: 'assistant', createdAt: at(2) },
+    { id: 'u2', parentId: 'a2', role: 'user', createdAt: at(3) },
+    { id: 'a3', parentId: 'u2', role: 'assistant', createdAt: at(4) },
+    { id: 'u1b', parentId: null, role: 'user', createdAt: at(5) },
+    { id: 'a4', parentId: 'u1b', role: 'assistant', createdAt: at(6) },
+];
+const ids = (list) => list.map(m => m.id);
+
+describe('pathTo', () => {
+    it('walks from the first message down to the leaf', () => {
+        expect(ids(pathTo(messages, 'a3'))).toEqual(['u1', 'a2', 'u2', 'a3']);
+        expect(ids(pathTo(messages, 'a1'))).toEqual(['u1', 'a1']);
+    });
+
+    it('is empty for no or an unknown leaf', () => {
+        expect(pathTo(messages, null)).toEqual([]);
+        expect(pathTo(messages, 'nope')).toEqual([]);
+    });
+
+    it('stops at a cycle instead of looping', () => {
+        const broken = [{ id: 'x', parentId: 'y' }, { id: 'y', parentId: 'x' }];
+        expect(ids(pathTo(broken, 'x'))).toEqual(['y', 'x']);
+    });
+});
+
+describe('activeBranch', () => {
+    it('follows the active leaf', () => {
+        expect(ids(activeBranch(messages, 'a1'))).toEqual(['u1', 'a1']);
+    });
+
+    it('falls back to the newest message', () => {
+        expect(ids(activeBranch(messages, null))).toEqual(['u1b', 'a4']);
+        expect(ids(activeBranch(messages, 'deleted'))).toEqual(['u1b', 'a4']);
+        expect(activeBranch([], null)).toEqual([]);
+    });
+});
+
+describe('latestLeaf', () => {
+    it('follows the newest reply at every step', () => {
+        expect(latestLeaf(messages, 'u1').id).toBe('a3');
+        expect(latestLeaf(messages, 'a1').id).toBe('a1');
+        expect(latestLeaf(messages, 'unknown')).toBeNull();
+    });
+});
+
+describe('withBranchInfo', () => {
+    it('numbers each message among its siblings', () => {
+        const path = withBranchInfo(pathTo(messages, 'a3'), messages);
+        expect(path.map(m => m.branch)).toEqual([
+            { index: 0, count: 2, siblingIds: ['u1', 'u1b'] },
+            { index: 1, count: 2, siblingIds: ['a1', 'a2'] },
+            { index: 0, count: 1, siblingIds: ['u2'] },
+            { index: 0, count: 1, siblingIds: ['a3'] },
+        ]);
+    });
+});
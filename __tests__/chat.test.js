@@ -0,0 +1,2257 @@
+import { vi } from 'vitest';
+
+// ---------------------------------------------------------------------------
+// Environment: in-process mock LLM provider, no listening server, no Sentry
+// ---------------------------------------------------------------------------
+
+const uploadDir = await vi.hoisted(async () => {
+    const { mkdtemp } = await import('node:fs/promises');
+    const { tmpdir } = await import('node:os');
+    const { join } = await import('node:path');
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.VERCEL = '1';
+    process.env.VITE_RESEND_API_KEY = 're_test';
+    // Uploaded images go to a throwaway directory
+    process.env.UPLOAD_DIR = await mkdtemp(join(tmpdir(), 'coach-uploads-'));
+    return process.env.UPLOAD_DIR;
+});
+
+vi.mock('@sentry/node', () => ({
+    init: vi.fn(),
+    setupExpressErrorHandler: vi.fn(),
+}));
+
+// Authenticate requests through a test-only header
+vi.mock('@clerk/express', () => ({
+    clerkMiddleware: vi.fn(() => (req, res, next) => next()),
+    getAuth: vi.fn((req) => ({
+        userId: req.headers['x-test-user'] || null,
+        sessionClaims: req.headers['x-test-role'] ? { metadata: { role: req.headers['x-test-role'] } } : null,
+    })),
+}));
+
+// Emails are recorded instead of sent
+const { sentEmails } = vi.hoisted(() => ({ sentEmails: [] }));
+vi.mock('resend', () => ({
+    Resend: vi.fn(function Resend() {
+        this.emails = {
+            send: vi.fn((email) => {
+                sentEmails.push(email);
+                return Promise.resolve({ data: { id: `email_${sentEmails.length}` }, error: null });
+            }),
+        };
+    }),
+}));
+
+const { db, mockPrisma } = vi.hoisted(() => {
+    const db = { users: [], conversations: [], messages: [], profiles: [], settings: new Map(), prompts: [], usage: [], safety: [], memory: [], attachments: [], nutrition: [], media: [], mediaViews: [], feedback: [], library: [], measurements: [], workouts: [], workoutSets: [] };
+    let seq = 0;
+    const nextId = (prefix) => `${prefix}_${++seq}`;
+    const matches = (row, where = {}) => Object.entries(where).every(([k, v]) => {
+        if (v && typeof v === 'object' && Array.isArray(v.in)) return v.in.includes(row[k]);
+        // Relation filter, e.g. message.conversation.userId
+        if (k === 'conversation') return matches(db.conversations.find(c => c.id === row.conversationId) || {}, v);
+        if (k === 'message') return matches(db.messages.find(m => m.id === row.messageId) || {}, v);
+        return row[k] === v;
+    });
+
+    // Library search: tag and case-insensitive text filters
+    const libraryMatches = ({ tags, OR, ...where }) => (item) => matches(item, where)
+        && (!tags || item.tags.includes(tags.has))
+        && (!OR || OR.some(condition => Object.entries(condition).some(([field, { contains }]) =>
+            (item[field] ?? '').toLowerCase().includes(contains.toLowerCase()))));
+    const byPosition = (a, b) => a.position - b.position || b.createdAt - a.createdAt;
+
+    // Measurements: plain fields plus a measuredAt range
+    const measurementMatches = ({ measuredAt, ...where }) => (m) => matches(m, where)
+        && (!measuredAt?.gte || m.measuredAt >= measuredAt.gte)
+        && (!measuredAt?.lt || m.measuredAt < measuredAt.lt);
+    const newMeasurement = (data) => ({ id: nextId('measurement'), note: null, source: 'manual', createdAt: new Date(), updatedAt: new Date(), ...data });
+
+    // Workout sessions come back with their sets, as with `include: { sets }`
+    const withSets = (session) => session && {
+        ...session,
+        sets: db.workoutSets.filter(set => set.sessionId === session.id).sort((a, b) => a.position - b.position),
+    };
+    const newWorkoutSet = (data) => ({ id: nextId('set'), rpe: null, ...data });
+
+    const mockPrisma = {
+        // An array of queries, or a callback that gets the client (no isolation in the mock)
+        $transaction: vi.fn((operations) => (typeof operations === 'function' ? operations(mockPrisma) : Promise.all(operations))),
+        // Full-text search runs as raw SQL; tests set the rows it returns
+        $queryRaw: vi.fn(() => Promise.resolve([])),
+        user: {
+            findMany: vi.fn(() => Promise.resolve(db.users)),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.users.find(u => matches(u, where)) || null)),
+            update: vi.fn(({ where, data }) => {
+                const user = db.users.find(u => matches(u, where));
+                Object.assign(user, data);
+                return Promise.resolve(user);
+            }),
+            updateMany: vi.fn(({ where, data }) => {
+                const users = db.users.filter(u => matches(u, where));
+                for (const user of users) Object.assign(user, data);
+                return Promise.resolve({ count: users.length });
+            }),
+        },
+        setting: {
+            findUnique: vi.fn(({ where }) => Promise.resolve(
+                db.settings.has(where.key) ? { key: where.key, value: db.settings.get(where.key) } : null
+            )),
+            upsert: vi.fn(({ where, create }) => {
+                db.settings.set(where.key, create.value);
+                return Promise.resolve(create);
+            }),
+        },
+        tokenUsage: {
+            upsert: vi.fn(({ where, update, create }) => {
+                const key = where.userId_day_model;
+                const row = db.usage.find(u => u.userId === key.userId && u.model === key.model && u.day.getTime() === key.day.getTime());
+                if (!row) {
+                    db.usage.push({ ...create });
+                    return Promise.resolve(create);
+                }
+                for (const [field, change] of Object.entries(update)) row[field] += change.increment;
+                return Promise.resolve(row);
+            }),
+            findMany: vi.fn(({ where }) => Promise.resolve(db.usage.filter(u =>
+                u.day >= where.day.gte && (!where.userId || u.userId === where.userId)
+            ))),
+        },
+        safetyEvent: {
+            createMany: vi.fn(({ data }) => {
+                for (const row of data) db.safety.push({ id: nextId('safety'), createdAt: new Date(), reviewedAt: null, ...row });
+                return Promise.resolve({ count: data.length });
+            }),
+            findMany: vi.fn(({ where }) => Promise.resolve(db.safety
+                .filter(e => where.reviewedAt === undefined || (where.reviewedAt === null ? e.reviewedAt === null : e.reviewedAt !== null))
+                .filter(e => !where.category || e.category === where.category)
+                .map(e => ({ ...e, user: db.users.find(u => u.id === e.userId) || null })))),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.safety.find(e => e.id === where.id) || null)),
+            update: vi.fn(({ where, data }) => {
+                const event = db.safety.find(e => e.id === where.id);
+                Object.assign(event, data);
+                return Promise.resolve(event);
+            }),
+        },
+        messageFeedback: {
+            upsert: vi.fn(({ where, update, create }) => {
+                let feedback = db.feedback.find(f => f.messageId === where.messageId);
+                if (feedback) Object.assign(feedback, update, { updatedAt: new Date() });
+                else db.feedback.push(feedback = { id: nextId('feedback'), createdAt: new Date(), updatedAt: new Date(), ...create });
+                return Promise.resolve(feedback);
+            }),
+            deleteMany: vi.fn(({ where }) => {
+                const before = db.feedback.length;
+                db.feedback = db.feedback.filter(f => !matches(f, where));
+                return Promise.resolve({ count: before - db.feedback.length });
+            }),
+            findMany: vi.fn(({ where: { reviewedAt, createdAt, ...where }, take }) => Promise.resolve(db.feedback
+                .filter(f => matches(f, where))
+                .filter(f => reviewedAt === undefined || (reviewedAt === null ? f.reviewedAt === null : f.reviewedAt !== null))
+                .filter(f => !createdAt || ((!createdAt.gte || f.createdAt >= createdAt.gte) && (!createdAt.lt || f.createdAt < createdAt.lt)))
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .slice(0, take)
+                .map(f => ({ ...f, user: db.users.find(u => u.id === f.userId) || null })))),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.feedback.find(f => f.id === where.id) || null)),
+            update: vi.fn(({ where, data }) => {
+                const feedback = db.feedback.find(f => f.id === where.id);
+                Object.assign(feedback, data);
+                return Promise.resolve(feedback);
+            }),
+        },
+        libraryItem: {
+            findMany: vi.fn(({ where }) => Promise.resolve(db.library.filter(libraryMatches(where)).sort(byPosition))),
+            findFirst: vi.fn(({ where }) => Promise.resolve(db.library.filter(libraryMatches(where)).sort(byPosition)[0] || null)),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.library.find(i => i.id === where.id) || null)),
+            count: vi.fn(({ where }) => Promise.resolve(db.library.filter(libraryMatches(where)).length)),
+            create: vi.fn(({ data }) => {
+                const now = new Date(Date.now() + seq);
+                const item = { id: nextId('lib'), tags: [], note: null, archived: false, conversationId: null, messageId: null, createdAt: now, updatedAt: now, ...data };
+                db.library.push(item);
+                return Promise.resolve(item);
+            }),
+            createMany: vi.fn(({ data }) => {
+                for (const row of data) mockPrisma.libraryItem.create({ data: row });
+                return Promise.resolve({ count: data.length });
+            }),
+            updateMany: vi.fn(({ where, data }) => {
+                const rows = db.library.filter(i => matches(i, where));
+                for (const row of rows) Object.assign(row, data, { updatedAt: new Date() });
+                return Promise.resolve({ count: rows.length });
+            }),
+            deleteMany: vi.fn(({ where }) => {
+                const before = db.library.length;
+                db.library = db.library.filter(i => !matches(i, where));
+                return Promise.resolve({ count: before - db.library.length });
+            }),
+        },
+        measurement: {
+            findMany: vi.fn(({ where }) => Promise.resolve(db.measurements.filter(measurementMatches(where)).sort((a, b) => a.measuredAt - b.measuredAt))),
+            findFirst: vi.fn(({ where }) => Promise.resolve(db.measurements.find(measurementMatches(where)) || null)),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.measurements.find(m => m.id === where.id) || null)),
+            create: vi.fn(({ data }) => {
+                const measurement = newMeasurement(data);
+                db.measurements.push(measurement);
+                return Promise.resolve(measurement);
+            }),
+            createMany: vi.fn(({ data }) => {
+                db.measurements.push(...data.map(newMeasurement));
+                return Promise.resolve({ count: data.length });
+            }),
+            updateMany: vi.fn(({ where, data }) => {
+                const rows = db.measurements.filter(m => matches(m, where));
+                for (const row of rows) Object.assign(row, data, { updatedAt: new Date() });
+                return Promise.resolve({ count: rows.length });
+            }),
+            deleteMany: vi.fn(({ where }) => {
+                const before = db.measurements.length;
+                db.measurements = db.measurements.filter(m => !matches(m, where));
+                return Promise.resolve({ count: before - db.measurements.length });
+            }),
+        },
+        workoutSession: {
+            findMany: vi.fn(({ where }) => Promise.resolve(db.workouts.filter(w => matches(w, where))
+                .sort((a, b) => b.performedAt - a.performedAt)
+                .map(withSets))),
+            findUnique: vi.fn(({ where }) => Promise.resolve(withSets(db.workouts.find(w => w.id === where.id)) || null)),
+            create: vi.fn(({ data: { sets, ...data } }) => {
+                const now = new Date(Date.now() + seq);
+                const session = { id: nextId('workout'), title: null, note: null, source: 'manual', createdAt: now, updatedAt: now, ...data };
+                db.workouts.push(session);
+                db.workoutSets.push(...sets.create.map(set => newWorkoutSet({ sessionId: session.id, ...set })));
+                return Promise.resolve(withSets(session));
+            }),
+            updateMany: vi.fn(({ where, data }) => {
+                const rows = db.workouts.filter(w => matches(w, where));
+                for (const row of rows) Object.assign(row, data, { updatedAt: new Date() });
+                return Promise.resolve({ count: rows.length });
+            }),
+            deleteMany: vi.fn(({ where }) => {
+                const removed = db.workouts.filter(w => matches(w, where)).map(w => w.id);
+                db.workouts = db.workouts.filter(w => !removed.includes(w.id));
+                db.workoutSets = db.workoutSets.filter(set => !removed.includes(set.sessionId));
+                return Promise.resolve({ count: removed.length });
+            }),
+        },
+        workoutSet: {
+            createMany: vi.fn(({ data }) => {
+                db.workoutSets.push(...data.map(newWorkoutSet));
+                return Promise.resolve({ count: data.length });
+            }),
+            deleteMany: vi.fn(({ where }) => {
+                const before = db.workoutSets.length;
+                db.workoutSets = db.workoutSets.filter(set => !matches(set, where));
+                return Promise.resolve({ count: before - db.workoutSets.length });
+            }),
+        },
+        attachment: {
+            create: vi.fn(({ data }) => {
+                const attachment = { id: nextId('att'), messageId: null, createdAt: new Date(), ...data };
+                db.attachments.push(attachment);
+                return Promise.resolve(attachment);
+            }),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.attachments.find(a => a.id === where.id) || null)),
+            findMany: vi.fn(({ where }) => Promise.resolve(db.attachments.filter(a => matches(a, where)))),
+            updateMany: vi.fn(({ where, data }) => {
+                const rows = db.attachments.filter(a => matches(a, where));
+                for (const row of rows) Object.assign(row, data);
+                return Promise.resolve({ count: rows.length });
+            }),
+        },
+        nutritionLog: {
+            findMany: vi.fn(({ where }) => Promise.resolve(db.nutrition
+                .filter(n => n.userId === where.userId && (!where.date || (n.date >= where.date.gte && n.date <= where.date.lte)))
+                .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt - b.createdAt))),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.nutrition.find(n => n.id === where.id) || null)),
+            create: vi.fn(({ data }) => {
+                const entry = { id: nextId('meal'), createdAt: new Date(Date.now() + seq), ...data };
+                db.nutrition.push(entry);
+                return Promise.resolve(entry);
+            }),
+            updateMany: vi.fn(({ where, data }) => {
+                const rows = db.nutrition.filter(n => matches(n, where));
+                for (const row of rows) Object.assign(row, data);
+                return Promise.resolve({ count: rows.length });
+            }),
+            deleteMany: vi.fn(({ where }) => {
+                const before = db.nutrition.length;
+                db.nutrition = db.nutrition.filter(n => !matches(n, where));
+                return Promise.resolve({ count: before - db.nutrition.length });
+            }),
+        },
+        mediaClip: {
+            findMany: vi.fn(({ where }) => Promise.resolve(db.media
+                .filter(c => matches(c, where))
+                .map(c => ({ ...c, _count: { views: db.mediaViews.filter(v => v.clipId === c.id).length } })))),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.media.find(c => matches(c, where)) || null)),
+            create: vi.fn(({ data }) => {
+                const now = new Date();
+                const clip = { id: nextId('clip'), active: true, createdAt: now, updatedAt: now, ...data };
+                db.media.push(clip);
+                return Promise.resolve(clip);
+            }),
+            update: vi.fn(({ where, data }) => {
+                const clip = db.media.find(c => c.id === where.id);
+                if (!clip) return Promise.reject(Object.assign(new Error('Record not found'), { code: 'P2025' }));
+                Object.assign(clip, data, { updatedAt: new Date() });
+                return Promise.resolve(clip);
+            }),
+            delete: vi.fn(({ where }) => {
+                if (!db.media.some(c => c.id === where.id)) return Promise.reject(Object.assign(new Error('Record not found'), { code: 'P2025' }));
+                db.media = db.media.filter(c => c.id !== where.id);
+                db.mediaViews = db.mediaViews.filter(v => v.clipId !== where.id);
+                return Promise.resolve({});
+            }),
+        },
+        mediaView: {
+            create: vi.fn(({ data }) => {
+                const view = { id: nextId('view'), createdAt: new Date(), ...data };
+                db.mediaViews.push(view);
+                return Promise.resolve(view);
+            }),
+        },
+        memoryFact: {
+            findMany: vi.fn(({ where }) => Promise.resolve(
+                db.memory.filter(f => matches(f, where)).sort((a, b) => b.updatedAt - a.updatedAt)
+            )),
+            createMany: vi.fn(({ data }) => {
+                const now = new Date();
+                for (const row of data) db.memory.push({ id: nextId('fact'), createdAt: now, updatedAt: now, ...row });
+                return Promise.resolve({ count: data.length });
+            }),
+            updateMany: vi.fn(({ where, data }) => {
+                const rows = db.memory.filter(f => matches(f, where));
+                for (const row of rows) Object.assign(row, data, { updatedAt: new Date() });
+                return Promise.resolve({ count: rows.length });
+            }),
+            deleteMany: vi.fn(({ where }) => {
+                const before = db.memory.length;
+                db.memory = db.memory.filter(f => !matches(f, where));
+                return Promise.resolve({ count: before - db.memory.length });
+            }),
+        },
+        promptVersion: {
+            findMany: vi.fn(() => Promise.resolve([...db.prompts].sort((a, b) => b.version - a.version))),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.prompts.find(p => p.version === where.version) || null)),
+            findFirst: vi.fn(() => Promise.resolve([...db.prompts].sort((a, b) => b.version - a.version)[0] || null)),
+            create: vi.fn(({ data }) => {
+                const prompt = { createdAt: new Date(), ...data };
+                db.prompts.push(prompt);
+                return Promise.resolve(prompt);
+            }),
+        },
+        conversation: {
+            findMany: vi.fn(({ where }) => Promise.resolve(
+                db.conversations.filter(c => matches(c, where)).sort((a, b) => b.updatedAt - a.updatedAt)
+            )),
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.conversations.find(c => c.id === where.id) || null)),
+            create: vi.fn(({ data }) => {
+                const now = new Date();
+                const conversation = { id: nextId('conv'), archived: false, createdAt: now, updatedAt: now, ...data };
+                db.conversations.push(conversation);
+                return Promise.resolve(conversation);
+            }),
+            update: vi.fn(({ where, data }) => {
+                const conversation = db.conversations.find(c => c.id === where.id);
+                Object.assign(conversation, data);
+                return Promise.resolve(conversation);
+            }),
+            delete: vi.fn(({ where }) => {
+                db.conversations = db.conversations.filter(c => c.id !== where.id);
+                const removed = new Set(db.messages.filter(m => m.conversationId === where.id).map(m => m.id));
+                db.attachments = db.attachments.filter(a => !removed.has(a.messageId));
+                db.messages = db.messages.filter(m => m.conversationId !== where.id);
+                return Promise.resolve({});
+            }),
+        },
+        message: {
+            findMany: vi.fn(({ where, include }) => Promise.resolve(
+                db.messages
+                    .filter(m => matches(m, where))
+                    .sort((a, b) => a.createdAt - b.createdAt)
+                    .map(m => (include?.attachments ? { ...m, attachments: db.attachments.filter(a => a.messageId === m.id) } : m))
+                    .map(m => {
+                        if (!include?.feedback) return m;
+                        const feedback = db.feedback.find(f => f.messageId === m.id);
+                        const fields = Object.keys(include.feedback.select);
+                        return { ...m, feedback: feedback ? Object.fromEntries(fields.map(k => [k, feedback[k]])) : null };
+                    })
+            )),
+            create: vi.fn(({ data }) => {
+                const message = { id: nextId('msg'), createdAt: new Date(Date.now() + seq), ...data };
+                db.messages.push(message);
+                return Promise.resolve(message);
+            }),
+            createMany: vi.fn(({ data }) => {
+                for (const row of data) db.messages.push({ id: nextId('msg'), ...row });
+                return Promise.resolve({ count: data.length });
+            }),
+        },
+        coachingProfile: {
+            findUnique: vi.fn(({ where }) => Promise.resolve(db.profiles.find(p => p.userId === where.userId) || null)),
+            upsert: vi.fn(({ where, update, create }) => {
+                let profile = db.profiles.find(p => p.userId === where.userId);
+                if (profile) Object.assign(profile, update, { updatedAt: new Date() });
+                else db.profiles.push(profile = { ...create, updatedAt: new Date() });
+                return Promise.resolve(profile);
+            }),
+        },
+    };
+
+    return { db, mockPrisma };
+});
+
+vi.mock('@prisma/client', () => {
+    function PrismaClient() {
+        return mockPrisma;
+    }
+    return { PrismaClient };
+});
+
+import { rm, readdir } from 'node:fs/promises';
+import sharp from 'sharp';
+import app from '../server/index.js';
+import { isoDate } from '../server/progress.js';
+import { createMockProvider, createOpenAiCompatibleProvider, createProviderFromEnv, toProviderMessages } from '../server/llm.js';
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    server.close();
+    await rm(uploadDir, { recursive: true, force: true });
+});
+
+let userCounter = 0;
+
+// Every test gets a fresh user so rate limits and threads don't leak between tests
+function seedUser(extra = {}) {
+    const clerkId = `user_chat_${++userCounter}`;
+    db.users.push({ id: `db_${clerkId}`, clerkId, name: 'Chat User', role: 'user', data: '{}', ...extra });
+    return clerkId;
+}
+
+function api(method, url, body, user) {
+    return fetch(`${baseUrl}${url}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(user ? { 'x-test-user': user } : {}),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+}
+
+function adminApi(method, url, body, role = 'admin') {
+    return fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'x-test-user': 'user_admin', 'x-test-role': role },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+}
+
+function postChat(body, user = seedUser()) {
+    return api('POST', '/api/chat', body, user);
+}
+
+function parseEvents(body) {
+    return body.trim().split('\n\n').map((raw) => {
+        const [eventLine, dataLine] = raw.split('\n');
+        return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Provider selection
+// ---------------------------------------------------------------------------
+describe('createProviderFromEnv', () => {
+    it('defaults to OpenAI and reports a missing API key', () => {
+        const provider = createProviderFromEnv({});
+        expect(provider.name).toBe('openai');
+        expect(provider.model).toBe('gpt-4o-mini');
+        expect(provider.configError).toBe('Missing OPENAI_API_KEY');
+    });
+
+    it('honours OPENAI_MODEL and LLM_MODEL overrides', () => {
+        expect(createProviderFromEnv({ OPENAI_API_KEY: 'k', OPENAI_MODEL: 'gpt-4o' }).model).toBe('gpt-4o');
+        expect(createProviderFromEnv({ OPENAI_API_KEY: 'k', LLM_MODEL: 'gpt-4.1' }).model).toBe('gpt-4.1');
+    });
+
+    it('builds an OpenAI-compatible provider from LLM_BASE_URL', () => {
+        const provider = createProviderFromEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://llm.internal/v1', LLM_MODEL: 'llama3' });
+        expect(provider.name).toBe('openai-compatible');
+        expect(provider.model).toBe('llama3');
+        expect(provider.configError).toBeNull();
+    });
+
+    it('reports a missing base URL for openai-compatible', () => {
+        const provider = createProviderFromEnv({ LLM_PROVIDER: 'openai-compatible' });
+        expect(provider.configError).toBe('Missing LLM_BASE_URL');
+    });
+
+    it('selects the mock provider', () => {
+        const provider = createProviderFromEnv({ LLM_PROVIDER: 'mock' });
+        expect(provider.name).toBe('mock');
+        expect(provider.configError).toBeNull();
+    });
+
+    it('throws on an unknown provider', () => {
+        expect(() => createProviderFromEnv({ LLM_PROVIDER: 'carrier-pigeon' })).toThrow('Unknown LLM_PROVIDER');
+    });
+});
+
+describe('toProviderMessages', () => {
+    const messages = [{
+        role: 'user',
+        content: [
+            { type: 'text', text: 'Check my form' },
+            { type: 'image_url', image_url: { url: 'https://example.com/squat.jpg' } },
+        ],
+    }];
+
+    it('keeps image parts for vision providers', () => {
+        expect(toProviderMessages(messages, true)).toBe(messages);
+    });
+
+    it('flattens image parts to text for text-only providers', () => {
+        expect(toProviderMessages(messages, false)).toEqual([
+            { role: 'user', content: 'Check my form [image omitted]' },
+        ]);
+    });
+});
+
+describe('createMockProvider', () => {
+    it('streams the same reply it returns from chat()', async () => {
+        const provider = createMockProvider();
+        const messages = [{ role: 'user', content: 'Hoi coach' }];
+        const { content } = await provider.chat({ messages });
+
+        let streamed = '';
+        for await (const delta of provider.stream({ messages })) streamed += delta;
+
+        expect(content).toBe('Mock coach reply to: Hoi coach');
+        expect(streamed).toBe(content);
+    });
+});
+
+describe('tool calls from an OpenAI-compatible stream', () => {
+    it('reassembles fragmented tool calls into one final item', async () => {
+        const chunks = [
+            { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'log_weight', arguments: '{"weight' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'Kg":82.4}' } }] } }] },
+        ];
+        const body = chunks.map(c => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n';
+        const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce(new Response(body, { status: 200 }));
+
+        const provider = createOpenAiCompatibleProvider({ baseUrl: 'http://llm.test/v1', model: 'm' });
+        const items = [];
+        for await (const item of provider.stream({ messages: [], tools: [{ type: 'function', function: { name: 'log_weight' } }] })) {
+            items.push(item);
+        }
+
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body).tools).toHaveLength(1);
+        expect(items).toEqual([{ toolCalls: [{ id: 'call_1', name: 'log_weight', arguments: '{"weightKg":82.4}' }] }]);
+        fetchSpy.mockRestore();
+    });
+
+    it('requests and reports token usage from the final chunk', async () => {
+        const chunks = [
+            { choices: [{ delta: { content: 'Hoi' } }] },
+            { choices: [], usage: { prompt_tokens: 120, completion_tokens: 3 } },
+        ];
+        const body = chunks.map(c => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n';
+        const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce(new Response(body, { status: 200 }));
+
+        const provider = createOpenAiCompatibleProvider({ baseUrl: 'http://llm.test/v1', model: 'm' });
+        const items = [];
+        for await (const item of provider.stream({ messages: [] })) items.push(item);
+
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+        expect(items).toEqual(['Hoi', { usage: { promptTokens: 120, completionTokens: 3 } }]);
+        fetchSpy.mockRestore();
+    });
+});
+
+// ---------------------------------------------------------------------------
+// POST /api/chat end-to-end through the mock provider
+// ---------------------------------------------------------------------------
+describe('POST /api/chat', () => {
+    it('returns 401 without a Clerk session', async () => {
+        const res = await postChat({ message: 'Hi' }, null);
+        expect(res.status).toBe(401);
+    });
+
+    it('starts a new conversation and returns the full reply as JSON by default', async () => {
+        const res = await postChat({ message: 'Maak een schema' });
+        expect(res.status).toBe(200);
+
+        const body = await res.json();
+        expect(body.message).toBe('Mock coach reply to: Maak een schema');
+        expect(body.conversationId).toBeDefined();
+
+        const stored = db.messages.filter(m => m.conversationId === body.conversationId);
+        expect(stored.map(m => [m.role, m.content])).toEqual([
+            ['user', 'Maak een schema'],
+            ['assistant', 'Mock coach reply to: Maak een schema'],
+        ]);
+        expect(db.conversations.find(c => c.id === body.conversationId).title).toBe('Maak een schema');
+    });
+
+    it('streams meta, deltas and a final done event when stream is true', async () => {
+        const res = await postChat({ message: 'Stream please', stream: true });
+        expect(res.status).toBe(200);
+        expect(res.headers.get('content-type')).toContain('text/event-stream');
+
+        const events = parseEvents(await res.text());
+        expect(events[0].event).toBe('meta');
+        expect(events[0].data.conversationId).toBeDefined();
+
+        const deltas = events.filter(e => e.event === 'delta').map(e => e.data.content).join('');
+        expect(deltas).toBe('Mock coach reply to: Stream please');
+
+        const done = events[events.length - 1];
+        expect(done.event).toBe('done');
+        expect(done.data.message).toBe(deltas);
+        expect(db.messages.find(m => m.id === done.data.messageId).content).toBe(deltas);
+    });
+
+    it('loads earlier turns from the database instead of the request', async () => {
+        const user = seedUser();
+        const first = await (await postChat({ message: 'Eerste vraag' }, user)).json();
+        await postChat({ message: 'Tweede vraag', conversationId: first.conversationId }, user);
+
+        const stored = db.messages.filter(m => m.conversationId === first.conversationId);
+        expect(stored).toHaveLength(4);
+        expect(stored[2].content).toBe('Tweede vraag');
+    });
+
+    it('summarizes turns that no longer fit instead of rejecting long chats', async () => {
+        const user = seedUser();
+        const { conversationId, messageId } = await (await postChat({ message: 'Start' }, user)).json();
+        for (let i = 0; i < 60; i++) {
+            db.messages.push({
+                id: `long_${i}`,
+                conversationId,
+                parentId: i === 0 ? messageId : `long_${i - 1}`,
+                role: i % 2 === 0 ? 'user' : 'assistant',
+                content: `Check-in ${i} `.padEnd(600, '.'),
+                createdAt: new Date(Date.now() + 1000 + i),
+            });
+        }
+        db.conversations.find(c => c.id === conversationId).activeLeafId = 'long_59';
+
+        const res = await postChat({ message: 'Hoe sta ik ervoor?', conversationId }, user);
+        expect(res.status).toBe(200);
+
+        const conversation = db.conversations.find(c => c.id === conversationId);
+        expect(conversation.summary).toContain('Existing summary:\n(none)');
+        expect(conversation.summary).toContain('User: Start');
+        expect(conversation.summarizedThroughId).toMatch(/^long_/);
+
+        // The next turn reuses the stored summary
+        const storedSummary = conversation.summary;
+        await postChat({ message: 'En nu?', conversationId }, user);
+        expect(conversation.summary).toBe(storedSummary);
+    });
+
+    it('answers failures with a stable code instead of the underlying message', async () => {
+        mockPrisma.conversation.create.mockRejectedValueOnce(new Error('connection to 10.0.0.5 refused'));
+        const res = await postChat({ message: 'Hoi' });
+        expect(res.status).toBe(500);
+        expect(await res.json()).toEqual({ error: 'Something went wrong', code: 'internal_error' });
+    });
+
+    it('returns 404 for a conversation owned by someone else', async () => {
+        const owner = seedUser();
+        const { conversationId } = await (await postChat({ message: 'Privé' }, owner)).json();
+
+        const res = await postChat({ message: 'Let me in', conversationId });
+        expect(res.status).toBe(404);
+    });
+
+    it('passes images to the provider as vision input', async () => {
+        const res = await postChat({
+            message: 'Wat vind je van mijn lunch?',
+            image: 'https://example.com/lunch.jpg',
+        });
+        const body = await res.json();
+        expect(body.message).toBe('Mock coach reply to: Wat vind je van mijn lunch? (1 image)');
+        expect(db.messages.find(m => m.id === body.userMessageId).content).toBe('Wat vind je van mijn lunch? [Image Uploaded]');
+    });
+
+    it('rejects non-string messages', async () => {
+        const res = await postChat({ message: 42 });
+        expect(res.status).toBe(400);
+    });
+
+    it('rejects an empty message without an image', async () => {
+        const res = await postChat({ message: '   ' });
+        expect(res.status).toBe(400);
+    });
+
+    it('rejects messages over 4000 characters', async () => {
+        const res = await postChat({ message: 'a'.repeat(4001) });
+        expect(res.status).toBe(400);
+    });
+
+    it('rejects private image URLs', async () => {
+        const res = await postChat({
+            message: 'Hi',
+            image: 'https://169.254.169.254/latest/meta-data/',
+        });
+        expect(res.status).toBe(400);
+    });
+
+    it('rejects inline data: images', async () => {
+        const res = await postChat({ message: 'Hi', image: 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUg==' });
+        expect(res.status).toBe(400);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Conversation management
+// ---------------------------------------------------------------------------
+describe('Conversation endpoints', () => {
+    it('creates, renames, archives and deletes a thread', async () => {
+        const user = seedUser();
+
+        const created = await api('POST', '/api/conversations', { title: 'Cut plan' }, user);
+        expect(created.status).toBe(201);
+        const { conversation } = await created.json();
+        expect(conversation.title).toBe('Cut plan');
+
+        const renamed = await (await api('PATCH', `/api/conversations/${conversation.id}`, { title: 'Cut plan v2' }, user)).json();
+        expect(renamed.conversation.title).toBe('Cut plan v2');
+
+        await api('PATCH', `/api/conversations/${conversation.id}`, { archived: true }, user);
+        const active = await (await api('GET', '/api/conversations', undefined, user)).json();
+        expect(active.conversations).toHaveLength(0);
+        const archived = await (await api('GET', '/api/conversations?archived=true', undefined, user)).json();
+        expect(archived.conversations.map(c => c.id)).toEqual([conversation.id]);
+
+        const deleted = await api('DELETE', `/api/conversations/${conversation.id}`, undefined, user);
+        expect(deleted.status).toBe(200);
+        const missing = await api('GET', `/api/conversations/${conversation.id}`, undefined, user);
+        expect(missing.status).toBe(404);
+    });
+
+    it('rejects a non-boolean archived flag', async () => {
+        const user = seedUser();
+        const { conversation } = await (await api('POST', '/api/conversations', {}, user)).json();
+        const res = await api('PATCH', `/api/conversations/${conversation.id}`, { archived: 'yes' }, user);
+        expect(res.status).toBe(400);
+    });
+
+    it('does not expose another user\'s thread', async () => {
+        const owner = seedUser();
+        const { conversation } = await (await api('POST', '/api/conversations', {}, owner)).json();
+
+        const res = await api('GET', `/api/conversations/${conversation.id}`, undefined, seedUser());
+        expect(res.status).toBe(404);
+    });
+
+    it('migrates a legacy chatHistory blob into a first thread', async () => {
+        const user = seedUser({
+            data: JSON.stringify({
+                gamification: { streak: 3 },
+                chatHistory: [
+                    { role: 'user', content: 'Oude vraag', id: '1', blocks: [] },
+                    { role: 'assistant', content: 'Oud antwoord', id: '2', blocks: [] },
+                ],
+            }),
+        });
+
+        const { conversations } = await (await api('GET', '/api/conversations', undefined, user)).json();
+        expect(conversations).toHaveLength(1);
+        expect(conversations[0].title).toBe('Oude vraag');
+
+        const { messages } = await (await api('GET', `/api/conversations/${conversations[0].id}`, undefined, user)).json();
+        expect(messages.map(m => m.content)).toEqual(['Oude vraag', 'Oud antwoord']);
+
+        // The blob key is gone, other synced data is untouched; the old ids map to the new ones
+        const stored = JSON.parse(db.users.find(u => u.clerkId === user).data);
+        expect(stored).toEqual({ gamification: { streak: 3 }, legacyMessageIds: { 1: messages[0].id, 2: messages[1].id } });
+
+        const again = await (await api('GET', '/api/conversations', undefined, user)).json();
+        expect(again.conversations).toHaveLength(1);
+    });
+
+    it('imports the legacy history once when the lists load at the same time', async () => {
+        const chatHistory = [{ role: 'user', content: 'Oude vraag', id: '1' }, { role: 'assistant', content: 'Oud antwoord', id: '2' }];
+        const user = seedUser({ data: JSON.stringify({ chatHistory }) });
+
+        await Promise.all([
+            api('GET', '/api/conversations', undefined, user),
+            api('GET', '/api/conversations', undefined, user),
+            api('GET', '/api/conversations?archived=true', undefined, user),
+        ]);
+        const owned = db.conversations.filter(c => c.userId === `db_${user}`);
+        expect(owned).toHaveLength(1);
+        expect(db.messages.filter(m => m.conversationId === owned[0].id)).toHaveLength(2);
+
+        // A client still holding the old blob cannot sync the history back in
+        await api('POST', '/api/sync', { data: { chatHistory, gamification: { streak: 1 } } }, user);
+        expect(JSON.parse(db.users.find(u => u.clerkId === user).data)).toEqual({ gamification: { streak: 1 }, legacyMessageIds: expect.any(Object) });
+        await api('GET', '/api/conversations', undefined, user);
+        expect(db.conversations.filter(c => c.userId === `db_${user}`)).toHaveLength(1);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Coaching profile
+// ---------------------------------------------------------------------------
+describe('Profile endpoints', () => {
+    it('returns an empty profile before anything is filled in', async () => {
+        const res = await api('GET', '/api/profile', undefined, seedUser());
+        expect(res.status).toBe(200);
+        const { profile } = await res.json();
+        expect(profile.goal).toBeNull();
+        expect(profile.trainingDays).toBeNull();
+    });
+
+    it('saves, normalizes and clears fields', async () => {
+        const user = seedUser();
+        const saved = await (await api('PUT', '/api/profile', {
+            profile: { goal: 'cut', trainingDays: '4', weightKg: '82,5', injuries: ' linkerknie ' },
+        }, user)).json();
+        expect(saved.profile).toMatchObject({ goal: 'cut', trainingDays: 4, weightKg: 82.5, injuries: 'linkerknie' });
+
+        const cleared = await (await api('PUT', '/api/profile', { profile: { injuries: null } }, user)).json();
+        expect(cleared.profile.injuries).toBeNull();
+        expect(cleared.profile.goal).toBe('cut');
+    });
+
+    it('rejects invalid values and unknown fields', async () => {
+        const res = await api('PUT', '/api/profile', { profile: { goal: 'shred', favouriteColour: 'blue' } }, seedUser());
+        expect(res.status).toBe(400);
+        const { message } = await res.json();
+        expect(message).toContain('goal must be one of');
+        expect(message).toContain('Unknown profile field "favouriteColour"');
+    });
+
+    it('requires authentication', async () => {
+        const res = await api('GET', '/api/profile');
+        expect(res.status).toBe(401);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Coach tools and the data they touch
+// ---------------------------------------------------------------------------
+describe('Chat tools', () => {
+    const userData = (user) => JSON.parse(db.users.find(u => u.clerkId === user).data);
+
+    it('logs a weigh-in from chat and streams a confirmation card', async () => {
+        const user = seedUser();
+        const res = await postChat({ message: 'Ik woog vandaag 82.4 [[tool:log_weight {"weight":82.4}]]', stream: true }, user);
+        const events = parseEvents(await res.text());
+
+        const tool = events.find(e => e.event === 'tool');
+        expect(tool.data).toMatchObject({ name: 'log_weight', ok: true, result: { logged: { weight: 82.4 }, entries: 1 } });
+
+        // The model gets the tool result and answers after it
+        const done = events.find(e => e.event === 'done');
+        expect(done.data.message).toContain('Mock coach reply to tool results: {"logged":{"date"');
+        expect(db.measurements.filter(m => m.userId === `db_${user}`)).toEqual([
+            expect.objectContaining({ type: 'weight', value: 82.4, source: 'chat' }),
+        ]);
+
+        // The card survives a reload
+        const stored = db.messages.find(m => m.id === done.data.messageId);
+        expect(stored.toolResults).toHaveLength(1);
+    });
+
+    it('returns tool results in the JSON response', async () => {
+        const user = seedUser();
+        const res = await postChat({ message: 'Bewaar dit [[tool:save_plan {"title":"PPL","content":"Push / Pull / Legs","type":"training"}]]' }, user);
+        const body = await res.json();
+
+        expect(body.tools).toEqual([
+            expect.objectContaining({ name: 'save_plan', ok: true, result: expect.objectContaining({ title: 'PPL' }) }),
+        ]);
+        expect(db.library.find(i => i.userId === `db_${user}`)).toMatchObject({ title: 'PPL', content: 'Push / Pull / Legs', tags: ['training'] });
+    });
+
+    it('reports invalid tool input back to the model instead of failing the chat', async () => {
+        const res = await postChat({ message: '[[tool:log_weight {"weight":8}]] [[tool:launch_rocket]]' });
+        const body = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(body.tools.map(t => [t.name, t.ok])).toEqual([['log_weight', false], ['launch_rocket', false]]);
+        expect(body.tools[1].result.error).toBe('Unknown tool "launch_rocket"');
+    });
+
+    it('reads progress and profile for the signed-in user only', async () => {
+        const user = seedUser({ data: JSON.stringify({ weightLog: [{ date: '2026-01-01', weight: 90 }, { date: '2026-02-01', weight: 86.5 }] }) });
+        seedUser({ data: JSON.stringify({ weightLog: [{ date: '2026-01-01', weight: 60 }] }) });
+
+        const body = await (await postChat({ message: '[[tool:get_progress_summary]] [[tool:get_profile]]' }, user)).json();
+        expect(body.tools[0].result).toMatchObject({ entries: 2, unit: 'kg', change: -3.5, latest: { weight: 86.5 } });
+        expect(body.tools[1].result.goal).toBeNull();
+    });
+
+    it('replaces an earlier weigh-in from chat on the same day', async () => {
+        const user = seedUser();
+        await postChat({ message: '[[tool:log_weight {"weight":82.4,"date":"2026-03-01"}]]' }, user);
+        const body = await (await postChat({ message: '[[tool:log_weight {"weight":82.1,"date":"2026-03-01"}]]' }, user)).json();
+
+        expect(body.tools[0].result).toEqual({ logged: { date: '2026-03-01', weight: 82.1, unit: 'kg' }, entries: 1 });
+        expect(db.measurements.filter(m => m.userId === `db_${user}`).map(m => m.value)).toEqual([82.1]);
+    });
+
+    it('logs workouts from chat and reports new PRs', async () => {
+        const user = seedUser();
+        const squat = (weight, reps) => ({ exercise: 'Squat', weight, reps });
+        await postChat({ message: `[[tool:log_workout ${JSON.stringify({ date: '2026-03-02', sets: [squat(100, 5), squat(100, 5)] })}]]` }, user);
+        const body = await (await postChat({ message: `[[tool:log_workout ${JSON.stringify({ date: '2026-03-05', title: 'Benen', sets: [squat(105, 5)] })}]]` }, user)).json();
+
+        expect(body.tools[0]).toMatchObject({
+            name: 'log_workout',
+            ok: true,
+            result: { logged: { date: '2026-03-05', title: 'Benen', sets: 1 }, unit: 'kg', prs: [{ exercise: 'Squat', weight: 105, reps: 5, e1rm: 122.5 }] },
+        });
+        expect(db.workouts.filter(w => w.userId === `db_${user}`).map(w => w.source)).toEqual(['chat', 'chat']);
+
+        const summary = await (await postChat({ message: '[[tool:get_workout_summary {"exercise":"squat"}]]' }, user)).json();
+        expect(summary.tools[0].result).toMatchObject({ exercise: 'Squat', unit: 'kg', best: { e1rm: 122.5, weight: 105 }, history: [{ sets: 2, pr: false }, { sets: 1, pr: true }] });
+    });
+});
+
+describe('Body measurements', () => {
+    it('creates, lists, updates and deletes measurements', async () => {
+        const user = seedUser();
+        const created = await api('POST', '/api/measurements', { type: 'weight', value: '81,6', measuredAt: '2026-03-01' }, user);
+        expect(created.status).toBe(201);
+        const { measurement } = await created.json();
+        expect(measurement).toMatchObject({ type: 'weight', value: 81.6, unit: 'kg', measuredAt: '2026-03-01T12:00:00.000Z', source: 'manual' });
+
+        await api('POST', '/api/measurements', { type: 'waist', value: 84, measuredAt: '2026-03-02T07:30:00Z' }, user);
+        const { measurements } = await (await api('GET', '/api/measurements', undefined, user)).json();
+        expect(measurements.map(m => m.type)).toEqual(['weight', 'waist']);
+
+        const updated = await api('PATCH', `/api/measurements/${measurement.id}`, { value: 81.2, note: 'Na het ontbijt' }, user);
+        expect((await updated.json()).measurement).toMatchObject({ value: 81.2, note: 'Na het ontbijt', measuredAt: '2026-03-01T12:00:00.000Z' });
+
+        expect((await api('DELETE', `/api/measurements/${measurement.id}`, undefined, user)).status).toBe(200);
+        expect((await api('DELETE', `/api/measurements/${measurement.id}`, undefined, user)).status).toBe(404);
+    });
+
+    it('filters by type and date range', async () => {
+        const user = seedUser();
+        for (const [type, value, measuredAt] of [['weight', 82, '2025-12-31'], ['weight', 81, '2026-01-01'], ['weight', 80, '2026-01-02'], ['waist', 84, '2026-01-01']]) {
+            await api('POST', '/api/measurements', { type, value, measuredAt }, user);
+        }
+
+        const res = await api('GET', '/api/measurements?type=weight&from=2026-01-01&to=2026-01-01', undefined, user);
+        expect((await res.json()).measurements.map(m => m.value)).toEqual([81]);
+    });
+
+    it('validates input and keeps other users\' measurements private', async () => {
+        const owner = seedUser();
+        const { measurement } = await (await api('POST', '/api/measurements', { type: 'weight', value: 80 }, owner)).json();
+
+        const invalid = await api('POST', '/api/measurements', { type: 'weight', value: 'heavy' }, owner);
+        expect(invalid.status).toBe(400);
+        expect((await invalid.json()).message).toBe('value must be a number');
+        const tooLow = await api('PATCH', `/api/measurements/${measurement.id}`, { value: 12 }, owner);
+        expect((await tooLow.json()).message).toBe('value must be between 30 and 300 kg');
+
+        const other = seedUser();
+        expect((await api('PATCH', `/api/measurements/${measurement.id}`, { value: 81 }, other)).status).toBe(404);
+        expect((await api('DELETE', `/api/measurements/${measurement.id}`, undefined, other)).status).toBe(404);
+    });
+
+    it('moves the old weight log into measurements once', async () => {
+        const user = seedUser({ data: JSON.stringify({ gamification: { streak: 3 }, weightLog: [{ date: '2026-01-01', weight: 90 }, { date: '01-02', weight: 88 }] }) });
+
+        await api('POST', '/api/measurements/legacy', { entries: [] }, user);
+        const first = await (await api('GET', '/api/measurements', undefined, user)).json();
+        expect(first.measurements).toEqual([expect.objectContaining({ type: 'weight', value: 90, measuredAt: '2026-01-01T12:00:00.000Z', source: 'legacy' })]);
+        expect(JSON.parse(db.users.find(u => u.clerkId === user).data)).toEqual({ gamification: { streak: 3 } });
+
+        await api('POST', '/api/measurements/legacy', { entries: [] }, user);
+        const second = await (await api('GET', '/api/measurements', undefined, user)).json();
+        expect(second.measurements).toHaveLength(1);
+    });
+
+    it('imports the weigh-ins a browser kept in one request, skipping invalid and known ones', async () => {
+        const user = seedUser({ data: JSON.stringify({ weightLog: [{ date: '2026-01-01', weight: 90 }] }) });
+        const entries = [
+            { date: '2026-01-01', weight: 90 },
+            { date: '2026-01-08', weight: 89 },
+            { date: '2026-01-15', weight: 9 },
+            { date: 'gisteren', weight: 88 },
+        ];
+
+        const first = await api('POST', '/api/measurements/legacy', { entries }, user);
+        expect(await first.json()).toEqual({ imported: 1, skipped: 3 });
+        // Sending the list again imports nothing
+        expect(await (await api('POST', '/api/measurements/legacy', { entries }, user)).json()).toEqual({ imported: 0, skipped: 4 });
+        expect(db.measurements.filter(m => m.userId === `db_${user}`).map(m => m.value).sort()).toEqual([89, 90]);
+
+        expect((await api('POST', '/api/measurements/legacy', { entries: 'x' }, user)).status).toBe(400);
+    });
+
+    it('moves the old weight log once when requests overlap', async () => {
+        const user = seedUser({ data: JSON.stringify({ weightLog: [{ date: '2026-01-01', weight: 90 }, { date: '2026-01-08', weight: 89 }] }) });
+
+        await Promise.all([
+            api('POST', '/api/measurements/legacy', { entries: [] }, user),
+            api('POST', '/api/measurements/legacy', { entries: [] }, user),
+            postChat({ message: 'Hoe gaat het met mijn gewicht?' }, user),
+        ]);
+        expect(db.measurements.filter(m => m.userId === `db_${user}`)).toHaveLength(2);
+    });
+
+    it('reports smoothed trends and flags a plateau', async () => {
+        const user = seedUser();
+        for (let i = 0; i < 22; i++) {
+            const measuredAt = new Date(Date.UTC(2026, 0, 5 + i, 7)).toISOString();
+            await api('POST', '/api/measurements', { type: 'weight', value: i % 3 === 0 ? 80.4 : 79.8, measuredAt }, user);
+        }
+        await api('POST', '/api/measurements', { type: 'waist', value: 84, measuredAt: '2026-01-20' }, user);
+
+        const { trends } = await (await api('GET', '/api/measurements/trends', undefined, user)).json();
+        expect(trends.map(t => t.type)).toEqual(['weight', 'waist']);
+        expect(trends[0]).toMatchObject({ unit: 'kg', count: 22, plateau: { weeks: 3, since: '2026-01-05' } });
+        expect(trends[0].series).toHaveLength(22);
+        expect(trends[1]).toMatchObject({ unit: 'cm', count: 1, ratePerWeek: null, plateau: null });
+
+        const ranged = await (await api('GET', '/api/measurements/trends?from=2026-01-19', undefined, user)).json();
+        expect(ranged.trends[0]).toMatchObject({ count: 8, plateau: null });
+    });
+});
+
+describe('Workout log', () => {
+    const workout = (performedAt, sets) => ({ performedAt, sets: sets.map(([exercise, weightKg, reps, rpe]) => ({ exercise, weightKg, reps, rpe })) });
+
+    it('creates, lists, updates and deletes workouts with PR flags', async () => {
+        const user = seedUser();
+        const first = await api('POST', '/api/workouts', workout('2026-03-02', [['Bench press', 80, 5], ['Row', 70, 8]]), user);
+        expect(first.status).toBe(201);
+        const { session } = await first.json();
+        expect(session).toMatchObject({ performedAt: '2026-03-02T12:00:00.000Z', source: 'manual' });
+        expect(session.sets.map(s => [s.exercise, s.e1rm, s.pr])).toEqual([['Bench press', 93.3, false], ['Row', 88.7, false]]);
+
+        const second = await (await api('POST', '/api/workouts', workout('2026-03-05', [['bench press', 82.5, 5, 8]]), user)).json();
+        expect(second.session.sets[0]).toMatchObject({ rpe: 8, pr: true });
+
+        const { sessions } = await (await api('GET', '/api/workouts?from=2026-03-03', undefined, user)).json();
+        expect(sessions.map(s => s.id)).toEqual([second.session.id]);
+
+        // Raising the first session above the second moves the PR
+        const updated = await api('PATCH', `/api/workouts/${session.id}`, { title: 'Push', sets: [{ exercise: 'Bench press', weightKg: 90, reps: 5 }] }, user);
+        expect((await updated.json()).session).toMatchObject({ title: 'Push', sets: [{ weightKg: 90, pr: false }] });
+        const after = await (await api('GET', '/api/workouts', undefined, user)).json();
+        expect(after.sessions.flatMap(s => s.sets.map(set => set.pr))).toEqual([false, false]);
+
+        expect((await api('DELETE', `/api/workouts/${session.id}`, undefined, user)).status).toBe(200);
+        expect((await api('DELETE', `/api/workouts/${session.id}`, undefined, user)).status).toBe(404);
+    });
+
+    it('summarises exercises and their history', async () => {
+        const user = seedUser();
+        await api('POST', '/api/workouts', workout('2026-03-02', [['Deadlift', 140, 3], ['Deadlift', 140, 3]]), user);
+        await api('POST', '/api/workouts', workout('2026-03-09', [['Deadlift', 150, 2]]), user);
+
+        const { exercises } = await (await api('GET', '/api/workouts/exercises', undefined, user)).json();
+        expect(exercises).toEqual([expect.objectContaining({ key: 'deadlift', sessions: 2, sets: 3, best: expect.objectContaining({ e1rm: 160, weightKg: 150 }) })]);
+
+        const { history } = await (await api('GET', `/api/workouts/exercises/${encodeURIComponent('DEADLIFT')}`, undefined, user)).json();
+        expect(history.map(h => [h.e1rm, h.volume, h.pr])).toEqual([[154, 840, false], [160, 300, true]]);
+        expect((await api('GET', '/api/workouts/exercises/curl', undefined, user)).status).toBe(404);
+    });
+
+    it('validates input and keeps other users\' workouts private', async () => {
+        const owner = seedUser();
+        const invalid = await api('POST', '/api/workouts', { sets: [{ exercise: 'Squat', weightKg: 100 }] }, owner);
+        expect(invalid.status).toBe(400);
+        expect((await invalid.json()).message).toBe('sets[0].reps must be a whole number between 1 and 100');
+
+        const { session } = await (await api('POST', '/api/workouts', workout('2026-03-02', [['Squat', 100, 5]]), owner)).json();
+        const other = seedUser();
+        expect((await api('PATCH', `/api/workouts/${session.id}`, { title: 'Mine' }, other)).status).toBe(404);
+        expect((await api('DELETE', `/api/workouts/${session.id}`, undefined, other)).status).toBe(404);
+        expect((await (await api('GET', '/api/workouts', undefined, other)).json()).sessions).toEqual([]);
+    });
+});
+
+describe('Progress endpoints', () => {
+
+    it('keeps server-written keys when the client syncs a stale blob', async () => {
+        const user = seedUser({ data: JSON.stringify({ weightLog: [{ date: '2026-03-01', weight: 80 }] }) });
+        await api('POST', '/api/sync', { data: { gamification: { streak: 2 }, weightLog: [], savedPlans: [{ id: 'x' }] } }, user);
+
+        const stored = JSON.parse(db.users.find(u => u.clerkId === user).data);
+        expect(stored).toEqual({ gamification: { streak: 2 }, weightLog: [{ date: '2026-03-01', weight: 80 }] });
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Versioned prompts (admin)
+// ---------------------------------------------------------------------------
+describe('Prompt versions', () => {
+    const edit = (systemPrompt, note) => adminApi('POST', '/api/admin/prompts', {
+        systemPrompt,
+        languageInstructions: { nl: 'Praat Nederlands.', en: 'Speak English.' },
+        note,
+    });
+
+    it('requires the admin role', async () => {
+        expect((await adminApi('GET', '/api/admin/prompts', undefined, 'user')).status).toBe(403);
+    });
+
+    it('seeds the built-in prompt as version 1 and stamps replies with the active version', async () => {
+        const body = await (await postChat({ message: 'Hoi' })).json();
+        expect(db.messages.find(m => m.id === body.messageId).promptVersion).toBe(1);
+
+        const { activeVersion, versions } = await (await adminApi('GET', '/api/admin/prompts')).json();
+        expect(activeVersion).toBe(1);
+        expect(versions[versions.length - 1].note).toBe('Initial prompt from config/constants.js');
+    });
+
+    it('saves edits as new active versions, diffs them and rolls back', async () => {
+        const saved = await edit('Line A\nLine B', 'First edit');
+        expect(saved.status).toBe(201);
+        const { activeVersion: first } = await saved.json();
+
+        const { activeVersion: second } = await (await edit('Line A\nLine C', 'Second edit')).json();
+        expect(second).toBe(first + 1);
+
+        const body = await (await postChat({ message: 'Hoi' })).json();
+        expect(db.messages.find(m => m.id === body.messageId).promptVersion).toBe(second);
+
+        const { diff } = await (await adminApi('GET', `/api/admin/prompts/${first}/diff`)).json();
+        expect(diff.systemPrompt).toEqual([
+            { type: 'equal', text: 'Line A' },
+            { type: 'delete', text: 'Line C' },
+            { type: 'insert', text: 'Line B' },
+        ]);
+
+        expect((await adminApi('POST', `/api/admin/prompts/${first}/activate`)).status).toBe(200);
+        const { prompt } = await (await adminApi('GET', `/api/admin/prompts/${first}`)).json();
+        expect(prompt.systemPrompt).toBe('Line A\nLine B');
+        expect((await (await adminApi('GET', '/api/admin/prompts')).json()).activeVersion).toBe(first);
+    });
+
+    it('rejects incomplete prompts and unknown versions', async () => {
+        const res = await adminApi('POST', '/api/admin/prompts', { systemPrompt: '', languageInstructions: { nl: 'x' } });
+        expect(res.status).toBe(400);
+        expect((await res.json()).message).toBe('systemPrompt is required; languageInstructions.en is required');
+
+        expect((await adminApi('GET', '/api/admin/prompts/999')).status).toBe(404);
+        expect((await adminApi('POST', '/api/admin/prompts/abc/activate')).status).toBe(404);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Token usage and quotas
+// ---------------------------------------------------------------------------
+describe('Token usage', () => {
+    it('records every upstream call for the user, per model', async () => {
+        const user = seedUser();
+        await postChat({ message: 'Hoi [[tool:get_profile]]', stream: true }, user).then(r => r.text());
+
+        const rows = db.usage.filter(u => u.userId === `db_${user}`);
+        expect(rows).toHaveLength(1);
+        expect(rows[0].model).toBe('mock-coach');
+        // One call that asked for the tool, one that answered after it
+        expect(rows[0].requests).toBe(2);
+        expect(rows[0].promptTokens).toBeGreaterThan(0);
+    });
+
+    it('rejects chats once the daily budget for the role is used up', async () => {
+        await adminApi('PUT', '/api/admin/quotas', { quotas: { trial: { daily: 1, monthly: null } } });
+        const user = seedUser({ role: 'trial' });
+
+        expect((await postChat({ message: 'Eerste vraag' }, user)).status).toBe(200);
+
+        const res = await postChat({ message: 'Tweede vraag' }, user);
+        expect(res.status).toBe(429);
+        const body = await res.json();
+        expect(body).toMatchObject({ code: 'quota_exceeded', period: 'daily', limit: 1 });
+        expect(new Date(body.resetsAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('shows spend per user to admins', async () => {
+        const user = seedUser({ name: 'Spender' });
+        await postChat({ message: 'Hoi' }, user);
+
+        const { users } = await (await adminApi('GET', '/api/admin/usage')).json();
+        const row = users.find(u => u.userId === `db_${user}`);
+        expect(row).toMatchObject({ name: 'Spender', requests: 1 });
+        expect(row.today).toBe(row.total);
+    });
+
+    it('validates quota updates', async () => {
+        const res = await adminApi('PUT', '/api/admin/quotas', { quotas: { user: { daily: -5 } } });
+        expect(res.status).toBe(400);
+        expect((await res.json()).message).toBe('user.daily must be a whole number of tokens or empty');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Safety screening
+// ---------------------------------------------------------------------------
+describe('Chat safety', () => {
+    it('refers instead of calling the model when a user message raises a red flag', async () => {
+        const user = seedUser();
+        const res = await postChat({ message: 'Ik had net pijn op de borst bij het squatten', stream: true }, user);
+        const events = parseEvents(await res.text());
+
+        const done = events[events.length - 1];
+        expect(done.data.message).toContain('112');
+        expect(done.data.safety).toEqual({ action: 'refer', categories: ['medical_emergency'] });
+        expect(events.filter(e => e.event === 'delta').map(e => e.data.content).join('')).toBe(done.data.message);
+        // No upstream call was made or billed
+        expect(db.usage.filter(u => u.userId === `db_${user}`)).toEqual([]);
+
+        const event = db.safety.find(e => e.userId === `db_${user}`);
+        expect(event).toMatchObject({
+            direction: 'input', category: 'medical_emergency', action: 'refer', source: 'rules',
+            messageId: events[0].data.userMessageId, excerpt: 'Ik had net pijn op de borst bij het squatten',
+        });
+    });
+
+    it('answers in English when the user chats in English', async () => {
+        const body = await (await postChat({ message: 'I fainted after my workout', lang: 'en' })).json();
+        expect(body.message).toMatch(/^What you describe could be a medical emergency/);
+        expect(body.safety.action).toBe('refer');
+    });
+
+    it('lets the coach answer flagged messages with the caution action and logs them', async () => {
+        const user = seedUser();
+        const body = await (await postChat({ message: 'Ik heb een knak gehoord in mijn knie, welke oefeningen kan ik doen?' }, user)).json();
+        expect(body.message).toMatch(/^Mock coach reply to:/);
+        expect(body.safety).toEqual({ action: 'caution', categories: ['injury'] });
+        expect(db.safety.find(e => e.userId === `db_${user}`).action).toBe('caution');
+    });
+
+    it('replaces an unsafe reply before it is stored', async () => {
+        const user = seedUser();
+        // The mock coach echoes the message, so the reply contains the unsafe advice
+        const res = await postChat({ message: 'Eet vanaf morgen 800 kcal per dag', stream: true }, user);
+        const done = parseEvents(await res.text()).pop();
+
+        expect(done.data.message).toContain('Hier kan ik je geen verantwoord advies over geven');
+        expect(done.data.safety).toEqual({ action: 'refer', categories: ['unsafe_advice'] });
+        expect(db.messages.find(m => m.id === done.data.messageId).content).toBe(done.data.message);
+        expect(db.safety.find(e => e.userId === `db_${user}`)).toMatchObject({
+            direction: 'output', messageId: done.data.messageId, excerpt: 'Mock coach reply to: Eet vanaf morgen 800 kcal per dag',
+        });
+    });
+
+    it('stops streaming a reply once it turns unsafe', async () => {
+        const user = seedUser();
+        const res = await postChat({ message: 'Goed bezig. Eet vanaf morgen 800 kcal per dag. Succes!', stream: true }, user);
+        const events = parseEvents(await res.text());
+
+        // The sentence before the advice was screened and sent; nothing after it was
+        expect(events.filter(e => e.event === 'delta').map(e => e.data.content).join('')).toBe('Mock coach reply to: Goed bezig.');
+        const done = events.pop();
+        expect(done.data.safety).toEqual({ action: 'refer', categories: ['unsafe_advice'] });
+        expect(db.messages.find(m => m.id === done.data.messageId).content).toBe(done.data.message);
+    });
+
+    it('holds back the streamed reply to a flagged message until it has been screened', async () => {
+        const res = await postChat({ message: 'Ik heb een knak gehoord in mijn knie. Wat nu?', stream: true });
+        const events = parseEvents(await res.text());
+
+        const deltas = events.filter(e => e.event === 'delta');
+        expect(deltas).toHaveLength(1);
+        expect(deltas[0].data.content).toBe(events.pop().data.message);
+    });
+
+    it('lets admins review flagged messages', async () => {
+        const user = seedUser({ name: 'Flagged' });
+        await postChat({ message: 'Ik gebruik laxeermiddelen na een vreetbui' }, user);
+
+        const { events } = await (await adminApi('GET', '/api/admin/safety/events?category=eating_disorder')).json();
+        const event = events.find(e => e.userId === `db_${user}`);
+        expect(event.user.name).toBe('Flagged');
+
+        const reviewed = await adminApi('POST', `/api/admin/safety/events/${event.id}/review`, { note: 'Contacted by coach' });
+        expect((await reviewed.json()).event).toMatchObject({ reviewNote: 'Contacted by coach', reviewedBy: 'user_admin' });
+
+        const open = await (await adminApi('GET', '/api/admin/safety/events')).json();
+        expect(open.events.some(e => e.id === event.id)).toBe(false);
+        expect((await adminApi('POST', '/api/admin/safety/events/nope/review', {})).status).toBe(404);
+        expect((await adminApi('GET', '/api/admin/safety/events', undefined, 'user')).status).toBe(403);
+    });
+
+    it('applies the admin policy to chat', async () => {
+        const { policy } = await (await adminApi('GET', '/api/admin/safety/policy')).json();
+        const saved = await adminApi('PUT', '/api/admin/safety/policy', { policy: { ...policy, actions: { ...policy.actions, medical_emergency: 'log' } } });
+        expect(saved.status).toBe(200);
+        try {
+            const body = await (await postChat({ message: 'Ik ben flauwgevallen' })).json();
+            expect(body.message).toBe('Mock coach reply to: Ik ben flauwgevallen');
+            expect(body.safety).toEqual({ action: 'log', categories: ['medical_emergency'] });
+        } finally {
+            await adminApi('PUT', '/api/admin/safety/policy', { policy });
+        }
+        expect((await adminApi('PUT', '/api/admin/safety/policy', { policy: { actions: { injury: 'block' } } })).status).toBe(400);
+    });
+});
+
+describe('Coaching memory', () => {
+    // The mock coach echoes its input, so the extraction "reply" is the JSON in the user message
+    const remember = (content, category = 'preference') => `Onthoud dit (1): {"add":[{"category":"${category}","content":"${content}"}]}`;
+
+    it('remembers facts from a chat and reports them', async () => {
+        const user = seedUser();
+        const res = await postChat({ message: remember('Lust geen broccoli'), stream: true }, user);
+        const events = parseEvents(await res.text());
+
+        expect(events.find(e => e.event === 'memory').data).toEqual({ remembered: ['Lust geen broccoli'] });
+        expect(db.memory.find(f => f.userId === `db_${user}`)).toMatchObject({
+            category: 'preference',
+            content: 'Lust geen broccoli',
+            conversationId: events[0].data.conversationId,
+            messageId: events[0].data.userMessageId,
+        });
+    });
+
+    it('skips extraction for short messages without anything to remember', async () => {
+        const user = seedUser();
+        await postChat({ message: 'Top, dank je' }, user);
+        expect(db.memory.filter(f => f.userId === `db_${user}`)).toEqual([]);
+    });
+
+    it('updates facts the user corrects later', async () => {
+        const user = seedUser();
+        await postChat({ message: remember('Squat PR is 140 kg', 'pr') }, user);
+        const fact = db.memory.find(f => f.userId === `db_${user}`);
+
+        const body = await (await postChat({
+            message: `Nieuw record: {"update":[{"id":"${fact.id}","content":"Squat PR is 150 kg"}]}`,
+        }, user)).json();
+        expect(body.message).toMatch(/^Mock coach reply to:/);
+        expect(db.memory.filter(f => f.userId === `db_${user}`).map(f => f.content)).toEqual(['Squat PR is 150 kg']);
+    });
+
+    it('lists and deletes facts per user', async () => {
+        const user = seedUser();
+        const other = seedUser();
+        await postChat({ message: remember('Traint op dinsdag en donderdag', 'schedule') }, user);
+        await postChat({ message: remember('Houdt van hardlopen') }, user);
+        await postChat({ message: remember('Werkt in nachtdiensten', 'schedule') }, other);
+
+        const { facts } = await (await api('GET', '/api/memory', undefined, user)).json();
+        expect(facts.map(f => f.content).sort()).toEqual(['Houdt van hardlopen', 'Traint op dinsdag en donderdag']);
+
+        const [fact] = facts;
+        expect((await api('DELETE', `/api/memory/${fact.id}`, undefined, other)).status).toBe(404);
+        expect((await api('DELETE', `/api/memory/${fact.id}`, undefined, user)).status).toBe(200);
+
+        expect(await (await api('DELETE', '/api/memory', undefined, user)).json()).toEqual({ deleted: 1 });
+        expect((await (await api('GET', '/api/memory', undefined, user)).json()).facts).toEqual([]);
+        expect(db.memory.filter(f => f.userId === `db_${other}`)).toHaveLength(1);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Image uploads
+// ---------------------------------------------------------------------------
+describe('Image uploads', () => {
+    function uploadImage(data, user, type = 'image/jpeg') {
+        const form = new FormData();
+        form.append('file', new Blob([data], { type }), 'photo');
+        return fetch(`${baseUrl}/api/attachments`, { method: 'POST', headers: { 'x-test-user': user }, body: form });
+    }
+
+    const photo = (width = 3000, height = 2000) => sharp({ create: { width, height, channels: 3, background: '#c0392b' } })
+        .jpeg()
+        .withExif({ IFD0: { Make: 'TestCam', Model: 'Leaky GPS' } })
+        .toBuffer();
+
+    it('stores a downscaled copy without metadata', async () => {
+        const user = seedUser();
+        const res = await uploadImage(await photo(), user);
+        expect(res.status).toBe(201);
+        const { attachment } = await res.json();
+        expect(attachment).toMatchObject({ mimeType: 'image/jpeg', width: 1600, height: 1067, url: `/api/attachments/${attachment.id}` });
+
+        const served = await api('GET', attachment.url, undefined, user);
+        expect(served.headers.get('content-type')).toBe('image/jpeg');
+        const metadata = await sharp(Buffer.from(await served.arrayBuffer())).metadata();
+        expect(metadata).toMatchObject({ width: 1600, height: 1067 });
+        expect(metadata.exif).toBeUndefined();
+
+        expect((await api('GET', attachment.url, undefined, seedUser())).status).toBe(404);
+    });
+
+    it('rejects files that are not images, whatever their content type says', async () => {
+        const res = await uploadImage(Buffer.from('<svg onload="alert(1)"></svg>'.padEnd(64)), seedUser(), 'image/png');
+        expect(res.status).toBe(415);
+    });
+
+    it('rejects files over the size limit', async () => {
+        const res = await uploadImage(Buffer.alloc(10 * 1024 * 1024 + 1), seedUser());
+        expect(res.status).toBe(413);
+    });
+
+    it('sends attachments to the coach and keeps them in the history', async () => {
+        const user = seedUser();
+        const { attachment } = await (await uploadImage(await photo(800, 600), user)).json();
+
+        const body = await (await postChat({ message: 'Hoe is mijn houding?', attachmentIds: [attachment.id] }, user)).json();
+        expect(body.message).toBe('Mock coach reply to: Hoe is mijn houding? (1 image)');
+
+        const { messages } = await (await api('GET', `/api/conversations/${body.conversationId}`, undefined, user)).json();
+        const sent = messages.find(m => m.id === body.userMessageId);
+        expect(sent.content).toBe('Hoe is mijn houding?');
+        expect(sent.attachments).toEqual([expect.objectContaining({ id: attachment.id, width: 800, height: 600 })]);
+
+        // An attachment goes with one message only
+        const again = await postChat({ message: 'Nog een keer', attachmentIds: [attachment.id], conversationId: body.conversationId }, user);
+        expect(again.status).toBe(400);
+    });
+
+    it('only accepts the uploader\'s own attachments', async () => {
+        const { attachment } = await (await uploadImage(await photo(100, 100), seedUser())).json();
+        expect((await postChat({ attachmentIds: [attachment.id] })).status).toBe(400);
+        expect((await postChat({ attachmentIds: 'nope' })).status).toBe(400);
+    });
+
+    it('deletes the files with their conversation', async () => {
+        const user = seedUser();
+        const { attachment } = await (await uploadImage(await photo(100, 100), user)).json();
+        const { conversationId } = await (await postChat({ attachmentIds: [attachment.id] }, user)).json();
+        const userDir = `${uploadDir}/db_${user}`;
+        expect(await readdir(userDir)).toHaveLength(1);
+
+        await api('DELETE', `/api/conversations/${conversationId}`, undefined, user);
+        expect(await readdir(userDir)).toEqual([]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Meal analysis and nutrition log
+// ---------------------------------------------------------------------------
+describe('Nutrition log', () => {
+    const today = isoDate();
+    const rice = { name: 'Rijst', grams: 150, kcal: 195, proteinG: 4, carbsG: 42, fatG: 0.5 };
+    const chicken = { name: 'Kipfilet', grams: 120, kcal: 198, proteinG: 37, carbsG: 0, fatG: 4.3 };
+
+    async function uploadPhoto(user) {
+        const form = new FormData();
+        const data = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#f1c40f' } }).jpeg().toBuffer();
+        form.append('file', new Blob([data], { type: 'image/jpeg' }), 'meal.jpg');
+        const res = await fetch(`${baseUrl}/api/attachments`, { method: 'POST', headers: { 'x-test-user': user }, body: form });
+        return (await res.json()).attachment;
+    }
+
+    it('estimates a meal from a photo without logging it', async () => {
+        const user = seedUser();
+        const photo = await uploadPhoto(user);
+        // The mock model echoes the note, so the note carries the "estimate"
+        const note = JSON.stringify({ description: 'Rijst met kip', mealType: 'dinner', items: [rice, chicken, { name: 'Saus', kcal: -5 }] });
+
+        const res = await api('POST', '/api/nutrition/analyze', { attachmentId: photo.id, note }, user);
+        expect(res.status).toBe(200);
+        const { analysis } = await res.json();
+        expect(analysis).toEqual({
+            description: 'Rijst met kip',
+            mealType: 'dinner',
+            items: [rice, chicken],
+            kcal: 393, proteinG: 41, carbsG: 42, fatG: 4.8,
+            attachmentId: photo.id,
+        });
+        expect(db.nutrition.filter(n => n.userId === `db_${user}`)).toEqual([]);
+        // Billed like any other model call
+        expect(db.usage.some(u => u.userId === `db_${user}`)).toBe(true);
+    });
+
+    it('reports photos the model could not estimate and foreign attachments', async () => {
+        const user = seedUser();
+        const photo = await uploadPhoto(user);
+
+        const failed = await api('POST', '/api/nutrition/analyze', { attachmentId: photo.id }, user);
+        expect(failed.status).toBe(502);
+        expect((await failed.json()).code).toBe('analysis_failed');
+
+        expect((await api('POST', '/api/nutrition/analyze', { attachmentId: photo.id }, seedUser())).status).toBe(404);
+    });
+
+    it('logs, edits and deletes meals and compares the day with the targets', async () => {
+        const user = seedUser();
+        await api('PUT', '/api/profile', { profile: { kcalTarget: 2000, proteinTargetG: 150 } }, user);
+
+        const created = await api('POST', '/api/nutrition', { mealType: 'lunch', items: [rice, chicken] }, user);
+        expect(created.status).toBe(201);
+        const { entry, summary } = await created.json();
+        expect(entry).toMatchObject({ date: today, description: 'Rijst, Kipfilet', kcal: 393, proteinG: 41 });
+        expect(summary).toEqual({
+            date: today,
+            meals: 1,
+            totals: { kcal: 393, proteinG: 41, carbsG: 42, fatG: 4.8 },
+            targets: { kcal: 2000, proteinG: 150, carbsG: null, fatG: null },
+            remaining: { kcal: 1607, proteinG: 109, carbsG: null, fatG: null },
+        });
+
+        const edited = await (await api('PUT', `/api/nutrition/${entry.id}`, { mealType: 'lunch', items: [{ ...chicken, grams: 240, kcal: 396, proteinG: 74 }] }, user)).json();
+        expect(edited.summary.totals.proteinG).toBe(74);
+        expect((await api('PUT', `/api/nutrition/${entry.id}`, { items: [chicken] }, seedUser())).status).toBe(404);
+
+        const day = await (await api('GET', `/api/nutrition?date=${today}`, undefined, user)).json();
+        expect(day.entries.map(e => e.id)).toEqual([entry.id]);
+
+        expect((await api('DELETE', `/api/nutrition/${entry.id}`, undefined, seedUser())).status).toBe(404);
+        expect((await api('DELETE', `/api/nutrition/${entry.id}`, undefined, user)).status).toBe(200);
+        expect((await (await api('GET', '/api/nutrition', undefined, user)).json()).summary.meals).toBe(0);
+    });
+
+    it('validates meals', async () => {
+        const user = seedUser();
+        const post = (body) => api('POST', '/api/nutrition', body, user);
+        expect((await post({ items: [] })).status).toBe(400);
+        expect((await post({ items: [{ ...rice, kcal: 'veel' }] })).status).toBe(400);
+        expect((await post({ items: [rice], mealType: 'brunch' })).status).toBe(400);
+        expect((await post({ items: [rice], date: '2999-01-01' })).status).toBe(400);
+        expect((await post({ items: [rice], attachmentId: 'someone-elses' })).status).toBe(400);
+        expect((await api('GET', '/api/nutrition?date=gisteren', undefined, user)).status).toBe(400);
+    });
+});
+
+describe('Nutrition targets', () => {
+    const stats = { goal: 'cut', trainingDays: 4, heightCm: 180, weightKg: 85, age: 30, sex: 'male' };
+
+    it('calculates targets from the profile and latest weigh-in and saves them', async () => {
+        const user = seedUser();
+        await api('PUT', '/api/profile', { profile: stats }, user);
+        await api('POST', '/api/measurements', { type: 'weight', value: 80, measuredAt: '2026-03-01' }, user);
+
+        const res = await api('POST', '/api/nutrition/targets', {}, user);
+        expect(res.status).toBe(200);
+        const { calculation, profile } = await res.json();
+        expect(calculation).toMatchObject({ formula: 'mifflin', bmr: 1780, activityLevel: 'moderate', tdee: 2759, kcal: 2360, inputs: { weightKg: 80 } });
+        expect(profile).toMatchObject({ kcalTarget: 2360, proteinTargetG: 176, carbsTargetG: 252, fatTargetG: 72, activityLevel: null });
+
+        const stored = await (await api('GET', '/api/nutrition/targets', undefined, user)).json();
+        expect(stored).toMatchObject({ calculation: { kcal: 2360 }, applied: true });
+
+        // Editing a target by hand leaves the calculation as history only
+        await api('PUT', '/api/profile', { profile: { kcalTarget: 2200 } }, user);
+        expect((await (await api('GET', '/api/nutrition/targets', undefined, user)).json()).applied).toBe(false);
+    });
+
+    it('previews with overrides without saving', async () => {
+        const user = seedUser();
+        await api('PUT', '/api/profile', { profile: stats }, user);
+
+        const { calculation, profile } = await (await api('POST', '/api/nutrition/targets', { goal: 'bulk', activityLevel: 'active', save: false }, user)).json();
+        expect(calculation).toMatchObject({ goal: 'bulk', activityLevel: 'active', adjustmentKcal: 300 });
+        expect(profile).toMatchObject({ goal: 'cut', kcalTarget: null });
+    });
+
+    it('names the stats it is missing', async () => {
+        const user = seedUser();
+        await api('PUT', '/api/profile', { profile: { weightKg: 80, sex: 'male' } }, user);
+
+        const res = await api('POST', '/api/nutrition/targets', { formula: 'mifflin' }, user);
+        expect(res.status).toBe(400);
+        expect((await res.json()).message).toBe('Mifflin-St Jeor needs heightCm, age; goal is needed (cut, bulk or recomp); activityLevel or trainingDays is needed');
+        expect((await api('POST', '/api/nutrition/targets', { proteinPerKg: 4 }, user)).status).toBe(400);
+    });
+});
+
+describe('Unit preferences', () => {
+    const imperial = { weightUnit: 'lb', lengthUnit: 'in', energyUnit: 'kJ' };
+
+    it('reads and writes measurements in the user\'s units and stores them metric', async () => {
+        const user = seedUser();
+        const saved = await (await api('PUT', '/api/profile', { profile: imperial }, user)).json();
+        expect(saved.profile).toMatchObject(imperial);
+        expect((await api('PUT', '/api/profile', { profile: { weightUnit: 'stone' } }, user)).status).toBe(400);
+
+        const created = await (await api('POST', '/api/measurements', { type: 'weight', value: 180, measuredAt: '2026-03-01' }, user)).json();
+        expect(created.measurement).toMatchObject({ value: 180, unit: 'lb' });
+        await api('POST', '/api/measurements', { type: 'weight', value: 81, unit: 'kg', measuredAt: '2026-03-02' }, user);
+        await api('POST', '/api/measurements', { type: 'waist', value: 34, measuredAt: '2026-03-02' }, user);
+        expect(db.measurements.filter(m => m.userId === `db_${user}`).map(m => m.value)).toEqual([81.65, 81, 86.36]);
+
+        const { measurements } = await (await api('GET', '/api/measurements', undefined, user)).json();
+        expect(measurements.map(m => [m.value, m.unit])).toEqual([[180, 'lb'], [178.6, 'lb'], [34, 'in']]);
+        const updated = await api('PATCH', `/api/measurements/${created.measurement.id}`, { value: 50 }, user);
+        expect((await updated.json()).message).toBe('value must be between 66.2 and 661.3 lb');
+
+        const { trends } = await (await api('GET', '/api/measurements/trends', undefined, user)).json();
+        expect(trends.map(t => [t.type, t.unit, t.first.value])).toEqual([['weight', 'lb', 180], ['waist', 'in', 34]]);
+    });
+
+    it('logs weigh-ins and workouts from chat in the unit the user gave', async () => {
+        const user = seedUser();
+        await api('PUT', '/api/profile', { profile: { weightUnit: 'lb' } }, user);
+
+        const weighIn = await (await postChat({ message: '[[tool:log_weight {"weight":180,"date":"2026-03-01"}]]' }, user)).json();
+        expect(weighIn.tools[0].result).toEqual({ logged: { date: '2026-03-01', weight: 180, unit: 'lb' }, entries: 1 });
+        const metric = await (await postChat({ message: '[[tool:log_weight {"weight":81.2,"unit":"kg","date":"2026-03-01"}]]' }, user)).json();
+        expect(metric.tools[0].result.logged).toEqual({ date: '2026-03-01', weight: 81.2, unit: 'kg' });
+        expect(db.measurements.filter(m => m.userId === `db_${user}`).map(m => m.value)).toEqual([81.2]);
+        const summary = await (await postChat({ message: '[[tool:get_progress_summary]]' }, user)).json();
+        expect(summary.tools[0].result).toMatchObject({ unit: 'lb', latest: { date: '2026-03-01', weight: 179 }, change: 0 });
+
+        const sets = [{ exercise: 'Bench press', weight: 225, reps: 5 }];
+        await postChat({ message: `[[tool:log_workout ${JSON.stringify({ date: '2026-03-02', sets })}]]` }, user);
+        const invalid = await (await postChat({ message: `[[tool:log_workout ${JSON.stringify({ unit: 'stone', sets })}]]` }, user)).json();
+        expect(invalid.tools[0]).toMatchObject({ ok: false, result: { error: 'unit must be one of: kg, lb' } });
+        const sessionIds = db.workouts.filter(w => w.userId === `db_${user}`).map(w => w.id);
+        expect(db.workoutSets.filter(s => sessionIds.includes(s.sessionId)).map(s => s.weightKg)).toEqual([102.06]);
+
+        const pr = await (await postChat({ message: `[[tool:log_workout ${JSON.stringify({ date: '2026-03-05', sets: [{ exercise: 'Bench press', weight: 235, reps: 5 }] })}]]` }, user)).json();
+        expect(pr.tools[0].result).toMatchObject({ unit: 'lb', prs: [{ exercise: 'Bench press', weight: 235, reps: 5, e1rm: 274.3 }] });
+        const workouts = await (await postChat({ message: '[[tool:get_workout_summary]]' }, user)).json();
+        expect(workouts.tools[0].result).toMatchObject({ unit: 'lb', bestLifts: [{ exercise: 'Bench press', set: '235 lb x 5' }] });
+        const bench = await (await postChat({ message: '[[tool:get_workout_summary {"exercise":"bench press"}]]' }, user)).json();
+        expect(bench.tools[0].result).toMatchObject({ unit: 'lb', best: { weight: 235, reps: 5 }, history: [{ topSet: { weight: 225 } }, { topSet: { weight: 235 }, pr: true }] });
+    });
+});
+
+describe('Progress import and export', () => {
+    function upload(url, text, user, mapping) {
+        const form = new FormData();
+        form.append('file', new Blob([text], { type: 'text/csv' }), 'weight.csv');
+        if (mapping !== undefined) form.append('mapping', JSON.stringify(mapping));
+        return fetch(`${baseUrl}${url}`, { method: 'POST', headers: { 'x-test-user': user }, body: form });
+    }
+
+    const csv = ['Date,Weight (kg),Fat mass (kg),Comments', '2026-03-01 07:30:00,82.4,15.2,nuchter', '2026-03-02 07:35:00,82.1,15.1,', '2026-03-03,abc,,'].join('\n');
+
+    it('previews an import with the suggested mapping without writing anything', async () => {
+        const user = seedUser();
+        await api('POST', '/api/measurements', { type: 'weight', value: 82.1, measuredAt: '2026-03-02' }, user);
+
+        const res = await upload('/api/measurements/import/preview', csv, user);
+        expect(res.status).toBe(200);
+        const { preview } = await res.json();
+        expect(preview).toMatchObject({
+            format: 'csv',
+            source: 'withings',
+            mapping: { date: 'Date', columns: { weight: 'Weight (kg)' }, units: { weight: 'kg' }, note: 'Comments' },
+            counts: { rows: 3, new: 1, duplicates: 1, invalid: 1 },
+            errors: [{ row: 3, type: 'weight', message: '"abc" is not a number' }],
+        });
+        expect(preview.measurements.map(m => [m.value, m.unit, m.duplicate])).toEqual([[82.4, 'kg', false], [82.1, 'kg', true]]);
+        expect(db.measurements.filter(m => m.userId === `db_${user}`)).toHaveLength(1);
+    });
+
+    it('imports with the mapping the user confirmed, skipping duplicates', async () => {
+        const user = seedUser();
+        await api('PUT', '/api/profile', { profile: { weightUnit: 'lb' } }, user);
+        const mapping = { date: 'Date', columns: { weight: 'Weight (kg)' }, units: { weight: 'lb' } };
+
+        const res = await upload('/api/measurements/import', csv, user, mapping);
+        expect(res.status).toBe(201);
+        expect(await res.json()).toEqual({ imported: 2, duplicates: 0, invalid: 1 });
+        const stored = db.measurements.filter(m => m.userId === `db_${user}`);
+        expect(stored.map(m => [m.value, m.source, m.note])).toEqual([[37.38, 'import', null], [37.24, 'import', null]]);
+
+        expect(await (await upload('/api/measurements/import', csv, user, mapping)).json()).toEqual({ imported: 0, duplicates: 2, invalid: 1 });
+    });
+
+    it('imports the body records of an Apple Health export', async () => {
+        const user = seedUser();
+        const xml = ['<?xml version="1.0" encoding="UTF-8"?>', '<HealthData locale="nl_NL">',
+            ' <Record type="HKQuantityTypeIdentifierStepCount" unit="count" startDate="2026-03-01 08:00:00 +0100" value="812"/>',
+            ' <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Withings" unit="kg" startDate="2026-03-01 07:32:11 +0100" value="82.3"/>',
+            '</HealthData>'].join('\n');
+
+        const { preview } = await (await upload('/api/measurements/import/preview', xml, user)).json();
+        expect(preview).toMatchObject({ format: 'apple_health', counts: { rows: 1, new: 1 } });
+        expect(await (await upload('/api/measurements/import', xml, user)).json()).toEqual({ imported: 1, duplicates: 0, invalid: 0 });
+        expect(db.measurements.filter(m => m.userId === `db_${user}`).map(m => [m.type, m.value])).toEqual([['weight', 82.3]]);
+    });
+
+    it('rejects uploads it cannot read', async () => {
+        const user = seedUser();
+        expect((await upload('/api/measurements/import', 'Date,Weight\n', user)).status).toBe(400);
+        expect((await upload('/api/measurements/import', csv, user, { date: 'When', columns: { weight: 'Weight (kg)' } })).status).toBe(400);
+        // Nothing recognized, and no mapping sent
+        expect((await upload('/api/measurements/import', 'Wanneer,Stappen\n2026-03-01,8000', user)).status).toBe(400);
+        const form = new FormData();
+        expect((await fetch(`${baseUrl}/api/measurements/import/preview`, { method: 'POST', headers: { 'x-test-user': user }, body: form })).status).toBe(400);
+    });
+
+    it('exports measurements, workouts and meals as CSV and everything as JSON', async () => {
+        const user = seedUser();
+        await api('PUT', '/api/profile', { profile: { weightUnit: 'lb' } }, user);
+        await api('POST', '/api/measurements', { type: 'weight', value: 180, measuredAt: '2026-03-01' }, user);
+        await api('POST', '/api/workouts', { performedAt: '2026-03-02', sets: [{ exercise: 'Squat', weightKg: 100, reps: 5 }] }, user);
+        db.nutrition.push({ id: 'meal_export', userId: `db_${user}`, date: '2026-03-01', mealType: 'lunch', description: 'Kip, rijst', items: [], kcal: 650, proteinG: 45, carbsG: 70, fatG: 15, createdAt: new Date() });
+
+        const measurements = await api('GET', '/api/progress/export?format=csv&dataset=measurements', undefined, user);
+        expect(measurements.headers.get('content-type')).toContain('text/csv');
+        expect(measurements.headers.get('content-disposition')).toMatch(/^attachment; filename="dnb-coach-measurements-\d{4}-\d{2}-\d{2}\.csv"$/);
+        expect((await measurements.text()).split('\r\n')[1]).toBe('2026-03-01T12:00:00.000Z,180,,,,,,,,manual');
+
+        const workouts = await (await api('GET', '/api/progress/export?dataset=workouts', undefined, user)).text();
+        expect(workouts.split('\r\n')[1]).toBe('2026-03-02T12:00:00.000Z,,Squat,1,220.5,5,,');
+        const meals = await (await api('GET', '/api/progress/export?dataset=meals', undefined, user)).text();
+        expect(meals.split('\r\n')[1]).toBe('2026-03-01,lunch,"Kip, rijst",650,45,70,15');
+
+        const json = await api('GET', '/api/progress/export?format=json', undefined, user);
+        expect(json.headers.get('content-disposition')).toMatch(/filename="dnb-coach-progressie-.+\.json"/);
+        const body = await json.json();
+        expect(body.units).toEqual({ weightUnit: 'lb', lengthUnit: 'cm', energyUnit: 'kcal' });
+        expect(body.measurements.map(m => [m.value, m.unit])).toEqual([[180, 'lb']]);
+        expect(body.workouts[0].sets[0]).toMatchObject({ exercise: 'Squat', weightKg: 100 });
+        expect(body.meals.map(m => m.id)).toEqual(['meal_export']);
+
+        expect((await api('GET', '/api/progress/export?format=csv', undefined, user)).status).toBe(400);
+        // Only the user's own data
+        const other = await (await api('GET', '/api/progress/export?format=json', undefined, seedUser())).json();
+        expect([other.measurements, other.workouts, other.meals]).toEqual([[], [], []]);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Coach media library
+// ---------------------------------------------------------------------------
+describe('Coach media', () => {
+    const motivation = {
+        key: 'motivation',
+        title: '30 sec motivatie boost',
+        tags: ['Mindset', 'motivatie'],
+        variants: [
+            { language: 'nl', provider: 'youtube', source: 'https://youtu.be/dQw4w9WgXcQ' },
+            { language: 'en', provider: 'vimeo', source: 'https://vimeo.com/76979871', title: '30 sec motivation boost' },
+        ],
+    };
+
+    it('requires the admin role to manage clips', async () => {
+        expect((await adminApi('GET', '/api/admin/media', undefined, 'user')).status).toBe(403);
+        expect((await adminApi('POST', '/api/admin/media', { clip: motivation }, 'user')).status).toBe(403);
+    });
+
+    it('manages clips and serves them per language', async () => {
+        const created = await adminApi('POST', '/api/admin/media', { clip: motivation });
+        expect(created.status).toBe(201);
+        const { clip } = await created.json();
+        expect(clip).toMatchObject({ key: 'motivation', tags: ['mindset', 'motivatie'], active: true, views: 0 });
+        expect(clip.variants[0]).toEqual({ language: 'nl', provider: 'youtube', source: 'dQw4w9WgXcQ' });
+
+        expect((await adminApi('POST', '/api/admin/media', { clip: motivation })).status).toBe(409);
+
+        const user = seedUser();
+        const nl = await (await api('GET', '/api/media?lang=nl', undefined, user)).json();
+        expect(nl.clips.motivation).toEqual({
+            key: 'motivation', title: '30 sec motivatie boost', language: 'nl', provider: 'youtube',
+            url: 'https://www.youtube.com/embed/dQw4w9WgXcQ', tags: ['mindset', 'motivatie'],
+        });
+        const en = await (await api('GET', '/api/media?lang=en', undefined, user)).json();
+        expect(en.clips.motivation).toMatchObject({ title: '30 sec motivation boost', url: 'https://player.vimeo.com/video/76979871' });
+
+        const updated = await adminApi('PUT', `/api/admin/media/${clip.id}`, { clip: { ...motivation, active: false } });
+        expect((await updated.json()).clip.active).toBe(false);
+        expect((await (await api('GET', '/api/media', undefined, user)).json()).clips).toEqual({});
+
+        expect((await adminApi('DELETE', `/api/admin/media/${clip.id}`)).status).toBe(200);
+        expect((await adminApi('DELETE', `/api/admin/media/${clip.id}`)).status).toBe(404);
+        expect((await adminApi('PUT', `/api/admin/media/${clip.id}`, { clip: motivation })).status).toBe(404);
+    });
+
+    it('counts views per clip', async () => {
+        const { clip } = await (await adminApi('POST', '/api/admin/media', { clip: { ...motivation, key: 'plateau' } })).json();
+        const user = seedUser();
+
+        expect((await api('POST', '/api/media/plateau/views', { lang: 'en' }, user)).status).toBe(201);
+        expect((await api('POST', '/api/media/plateau/views', {}, seedUser())).status).toBe(201);
+        expect((await api('POST', '/api/media/unknown/views', {}, user)).status).toBe(404);
+
+        const { clips } = await (await adminApi('GET', '/api/admin/media')).json();
+        expect(clips.find(c => c.id === clip.id).views).toBe(2);
+        expect(db.mediaViews.filter(v => v.clipId === clip.id).map(v => v.language)).toEqual(['en', 'nl']);
+    });
+
+    it('rejects invalid clips', async () => {
+        const res = await adminApi('POST', '/api/admin/media', {
+            clip: { key: 'bad key', title: '', variants: [{ language: 'nl', provider: 'youtube', source: 'https://example.com/video' }] },
+        });
+        expect(res.status).toBe(400);
+        expect((await res.json()).message).toBe(
+            'key must be 1-40 letters, digits, "-" or "_"; title is required; Variant 1: not a valid youtube source'
+        );
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Regenerate, edit and branches
+// ---------------------------------------------------------------------------
+describe('Conversation branches', () => {
+    const getThread = async (id, user) => (await api('GET', `/api/conversations/${id}`, undefined, user)).json();
+
+    it('regenerates an answer as an alternative reply', async () => {
+        const user = seedUser();
+        const first = await (await postChat({ message: 'Schema voor vandaag?' }, user)).json();
+
+        const res = await postChat({ conversationId: first.conversationId, regenerate: first.messageId }, user);
+        expect(res.status).toBe(200);
+        const second = await res.json();
+        expect(second.message).toBe('Mock coach reply to: Schema voor vandaag?');
+        expect(second.userMessageId).toBe(first.userMessageId);
+
+        const { messages } = await getThread(first.conversationId, user);
+        expect(messages.map(m => m.id)).toEqual([first.userMessageId, second.messageId]);
+        expect(messages[1].branch).toEqual({ index: 1, count: 2, siblingIds: [first.messageId, second.messageId] });
+        // No second copy of the question
+        expect(db.messages.filter(m => m.conversationId === first.conversationId && m.role === 'user')).toHaveLength(1);
+    });
+
+    it('edits a message and resends from there, keeping the original branch', async () => {
+        const user = seedUser();
+        const one = await (await postChat({ message: 'Ik wil 5 kg afvallen' }, user)).json();
+        const conversationId = one.conversationId;
+        const two = await (await postChat({ message: 'Hoeveel kcal?', conversationId }, user)).json();
+
+        const edited = await (await postChat({ message: 'Ik wil 5 kg aankomen', conversationId, editOf: one.userMessageId }, user)).json();
+        let thread = await getThread(conversationId, user);
+        expect(thread.messages.map(m => m.content)).toEqual(['Ik wil 5 kg aankomen', 'Mock coach reply to: Ik wil 5 kg aankomen']);
+        expect(thread.messages[0].branch).toMatchObject({ index: 1, count: 2 });
+        expect(thread.conversation.activeLeafId).toBe(edited.messageId);
+
+        // Back to the original question: it continues at its newest reply
+        const switched = await api('PUT', `/api/conversations/${conversationId}/branch`, { messageId: one.userMessageId }, user);
+        expect(switched.status).toBe(200);
+        thread = await switched.json();
+        expect(thread.messages.map(m => m.id)).toEqual([one.userMessageId, one.messageId, two.userMessageId, two.messageId]);
+        expect(thread.conversation.activeLeafId).toBe(two.messageId);
+
+        // Appending continues the branch that is active now
+        const three = await (await postChat({ message: 'En eiwit?', conversationId }, user)).json();
+        expect(db.messages.find(m => m.id === three.userMessageId).parentId).toBe(two.messageId);
+    });
+
+    it('does not reuse a summary written on another branch', async () => {
+        const user = seedUser();
+        const start = await (await postChat({ message: 'Start' }, user)).json();
+        const { conversationId } = start;
+        const addTurns = (prefix, parentId) => {
+            for (let i = 0; i < 60; i++) {
+                db.messages.push({
+                    id: `${prefix}_${i}`,
+                    conversationId,
+                    parentId: i === 0 ? parentId : `${prefix}_${i - 1}`,
+                    role: i % 2 === 0 ? 'user' : 'assistant',
+                    content: `${prefix} ${i} `.padEnd(600, '.'),
+                    createdAt: new Date(Date.now() + 1000 + i),
+                });
+            }
+            db.conversations.find(c => c.id === conversationId).activeLeafId = `${prefix}_59`;
+        };
+
+        addTurns('old', start.messageId);
+        await postChat({ message: 'Hoe sta ik ervoor?', conversationId }, user);
+        const conversation = db.conversations.find(c => c.id === conversationId);
+        expect(conversation.summary).toContain('User: Start');
+
+        // A new first message, then a long thread on that branch
+        const edited = await (await postChat({ message: 'Opnieuw beginnen', conversationId, editOf: start.userMessageId }, user)).json();
+        addTurns('new', edited.messageId);
+        await postChat({ message: 'Hoe sta ik er nu voor?', conversationId }, user);
+
+        expect(conversation.summary).toContain('Existing summary:\n(none)');
+        expect(conversation.summary).toContain('User: Opnieuw beginnen');
+        expect(conversation.summary).not.toContain('old 0');
+        expect(conversation.summarizedThroughId).toMatch(/^new_/);
+    });
+
+    it('validates edit and regenerate requests', async () => {
+        const user = seedUser();
+        const first = await (await postChat({ message: 'Hoi' }, user)).json();
+        const { conversationId } = first;
+
+        expect((await postChat({ regenerate: first.messageId }, user)).status).toBe(400);
+        expect((await postChat({ conversationId, regenerate: first.messageId, message: 'Nieuw' }, user)).status).toBe(400);
+        expect((await postChat({ conversationId, regenerate: first.messageId, editOf: first.userMessageId }, user)).status).toBe(400);
+        expect((await postChat({ conversationId, editOf: 42, message: 'x' }, user)).status).toBe(400);
+        expect((await postChat({ conversationId, regenerate: 'unknown' }, user)).status).toBe(404);
+        // Only the user's own words can be edited
+        expect((await postChat({ conversationId, editOf: first.messageId, message: 'x' }, user)).status).toBe(404);
+
+        const switched = await api('PUT', `/api/conversations/${conversationId}/branch`, { messageId: 'unknown' }, user);
+        expect(switched.status).toBe(404);
+        expect((await api('PUT', `/api/conversations/${conversationId}/branch`, { messageId: first.messageId }, seedUser())).status).toBe(404);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Answer feedback
+// ---------------------------------------------------------------------------
+describe('Answer feedback', () => {
+    const rate = (conversationId, messageId, body, user) =>
+        api('PUT', `/api/conversations/${conversationId}/messages/${messageId}/feedback`, body, user);
+
+    it('stores a rating with the model, prompt version and the rated exchange', async () => {
+        const user = seedUser();
+        const reply = await (await postChat({ message: 'Hoeveel eiwit per dag?' }, user)).json();
+
+        const res = await rate(reply.conversationId, reply.messageId, { rating: 'down', reason: 'wrong_macros', comment: ' Te weinig eiwit ' }, user);
+        expect(res.status).toBe(200);
+        expect((await res.json()).feedback).toEqual({ rating: 'down', reason: 'wrong_macros', comment: 'Te weinig eiwit' });
+
+        const stored = db.feedback.find(f => f.messageId === reply.messageId);
+        const { promptVersion } = db.messages.find(m => m.id === reply.messageId);
+        expect(promptVersion).toEqual(expect.any(Number));
+        expect(stored).toMatchObject({ userId: `db_${user}`, conversationId: reply.conversationId, model: 'mock-coach', promptVersion });
+        expect(stored.context.map(m => m.role)).toEqual(['user', 'assistant']);
+        expect(stored.context[1].content).toBe('Mock coach reply to: Hoeveel eiwit per dag?');
+
+        // The thread shows the user's own rating
+        const { messages } = await (await api('GET', `/api/conversations/${reply.conversationId}`, undefined, user)).json();
+        expect(messages[1].feedback).toEqual({ rating: 'down', reason: 'wrong_macros' });
+    });
+
+    it('replaces an earlier rating and reopens it for review, or removes it', async () => {
+        const user = seedUser();
+        const reply = await (await postChat({ message: 'Schema?' }, user)).json();
+        await rate(reply.conversationId, reply.messageId, { rating: 'down', reason: 'off_topic' }, user);
+        const [first] = db.feedback.filter(f => f.messageId === reply.messageId);
+        await adminApi('POST', `/api/admin/feedback/${first.id}/review`, { note: 'ok' });
+
+        await rate(reply.conversationId, reply.messageId, { rating: 'up' }, user);
+        const rows = db.feedback.filter(f => f.messageId === reply.messageId);
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({ rating: 'up', reason: null, reviewedAt: null });
+
+        const url = `/api/conversations/${reply.conversationId}/messages/${reply.messageId}/feedback`;
+        expect((await api('DELETE', url, undefined, user)).status).toBe(200);
+        expect((await api('DELETE', url, undefined, user)).status).toBe(404);
+    });
+
+    it('rejects invalid ratings and messages that are not rateable', async () => {
+        const user = seedUser();
+        const reply = await (await postChat({ message: 'Hoi' }, user)).json();
+        const { conversationId } = reply;
+
+        expect((await rate(conversationId, reply.messageId, { rating: 'meh' }, user)).status).toBe(400);
+        expect((await rate(conversationId, reply.messageId, { rating: 'down', reason: 'boring' }, user)).status).toBe(400);
+        expect((await rate(conversationId, reply.messageId, { rating: 'up', reason: 'unsafe' }, user)).status).toBe(400);
+        // Only coach replies, only in the user's own threads
+        expect((await rate(conversationId, reply.userMessageId, { rating: 'up' }, user)).status).toBe(404);
+        expect((await rate(conversationId, reply.messageId, { rating: 'up' }, seedUser())).status).toBe(404);
+    });
+
+    it('lists feedback for admins with filters, a summary, review and CSV export', async () => {
+        const user = seedUser({ email: 'feedback@example.com' });
+        const one = await (await postChat({ message: 'Macro\'s voor een cut?' }, user)).json();
+        const two = await (await postChat({ message: '=HYPERLINK("x")', conversationId: one.conversationId }, user)).json();
+        await rate(one.conversationId, one.messageId, { rating: 'down', reason: 'wrong_macros', comment: 'Klopt niet, "te" laag' }, user);
+        await rate(two.conversationId, two.messageId, { rating: 'up' }, user);
+
+        expect((await adminApi('GET', '/api/admin/feedback', undefined, 'user')).status).toBe(403);
+
+        const res = await adminApi('GET', '/api/admin/feedback?status=all&rating=down&reason=wrong_macros');
+        expect(res.status).toBe(200);
+        const { feedback, summary } = await res.json();
+        const mine = feedback.filter(f => f.userId === `db_${user}`);
+        expect(mine).toHaveLength(1);
+        const { promptVersion } = db.messages.find(m => m.id === one.messageId);
+        expect(mine[0]).toMatchObject({ rating: 'down', reason: 'wrong_macros', model: 'mock-coach', promptVersion });
+        expect(mine[0].user.email).toBe('feedback@example.com');
+        expect(summary.down).toBeGreaterThanOrEqual(1);
+        expect(summary.up).toBe(0);
+
+        const review = await adminApi('POST', `/api/admin/feedback/${mine[0].id}/review`, { note: 'Prompt aangepast' });
+        expect((await review.json()).feedback).toMatchObject({ reviewNote: 'Prompt aangepast' });
+        const open = await (await adminApi('GET', '/api/admin/feedback?rating=down')).json();
+        expect(open.feedback.some(f => f.id === mine[0].id)).toBe(false);
+        expect((await adminApi('POST', '/api/admin/feedback/nope/review', {})).status).toBe(404);
+
+        const exported = await adminApi('GET', '/api/admin/feedback/export?status=all');
+        expect(exported.headers.get('content-type')).toContain('text/csv');
+        expect(exported.headers.get('content-disposition')).toMatch(/attachment; filename="feedback-\d{4}-\d{2}-\d{2}\.csv"/);
+        const csv = await exported.text();
+        expect(csv.split('\r\n')[0]).toBe('createdAt,rating,reason,comment,model,promptVersion,user,conversationId,messageId,question,answer,reviewedAt,reviewNote');
+        expect(csv).toContain(`down,wrong_macros,"Klopt niet, ""te"" laag",mock-coach,${promptVersion},feedback@example.com`);
+        // Formulas are neutralised
+        expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+    });
+});
+
+describe('Exports', () => {
+    const exportChat = (body, user) => api('POST', '/api/exports', body, user);
+
+    it('exports one reply as Markdown and PDF, and as a document for the print page', async () => {
+        const user = seedUser();
+        const reply = await (await postChat({ message: 'Maak een schema' }, user)).json();
+        const body = { scope: 'message', conversationId: reply.conversationId, messageId: reply.messageId };
+
+        const markdown = await exportChat({ ...body, format: 'markdown' }, user);
+        expect(markdown.status).toBe(200);
+        expect(markdown.headers.get('content-type')).toContain('text/markdown');
+        expect(markdown.headers.get('content-disposition')).toBe('attachment; filename="dnb-coach-bericht-van-je-coach.md"');
+        expect(await markdown.text()).toContain('Mock coach reply to: Maak een schema');
+
+        const pdf = await exportChat({ ...body, format: 'pdf' }, user);
+        expect(pdf.headers.get('content-type')).toBe('application/pdf');
+        expect(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString()).toBe('%PDF-');
+
+        const { document } = await (await exportChat({ ...body, format: 'json', lang: 'en' }, user)).json();
+        expect(document).toMatchObject({ scope: 'message', lang: 'en', title: 'Message from your coach' });
+        expect(document.sections).toHaveLength(1);
+        expect(document.sections[0]).toMatchObject({ id: reply.messageId, role: 'assistant', label: 'DNB Coach' });
+    });
+
+    it('exports the active branch of a conversation and the library in order', async () => {
+        const user = seedUser();
+        const one = await (await postChat({ message: 'Eerste vraag' }, user)).json();
+        const two = await (await postChat({ message: 'Tweede vraag', conversationId: one.conversationId }, user)).json();
+
+        const { document } = await (await exportChat({ scope: 'conversation', conversationId: one.conversationId, format: 'json' }, user)).json();
+        const { title } = db.conversations.find(c => c.id === one.conversationId);
+        expect(document.title).toBe(title);
+        expect(document.sections.map(s => s.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+
+        const first = await (await api('POST', '/api/library', { messageId: one.messageId, title: 'Eerste plan' }, user)).json();
+        await api('POST', '/api/library', { messageId: two.messageId, title: 'Tweede plan' }, user);
+        const library = await (await exportChat({ scope: 'library', format: 'json' }, user)).json();
+        expect(library.document.title).toBe('Mijn bibliotheek');
+        // Newest item on top, each under its own title
+        expect(library.document.sections.map(s => s.title)).toEqual(['Tweede plan', 'Eerste plan']);
+
+        const markdown = await (await exportChat({ scope: 'library', itemIds: [first.item.id], format: 'markdown' }, user)).text();
+        expect(markdown).toContain('## Eerste plan');
+        expect(markdown).not.toContain('Tweede plan');
+    });
+
+    it('only exports the user\'s own messages', async () => {
+        const user = seedUser();
+        const reply = await (await postChat({ message: 'Privé' }, user)).json();
+        const other = seedUser();
+
+        expect((await exportChat({ scope: 'message', conversationId: reply.conversationId, messageId: reply.messageId, format: 'pdf' }, other)).status).toBe(404);
+        expect((await exportChat({ scope: 'conversation', conversationId: reply.conversationId, format: 'markdown' }, other)).status).toBe(404);
+        const { item } = await (await api('POST', '/api/library', { messageId: reply.messageId }, user)).json();
+        expect((await exportChat({ scope: 'library', itemIds: [item.id], format: 'json' }, other)).status).toBe(404);
+        expect((await exportChat({ scope: 'message', conversationId: reply.conversationId, messageId: 'nope', format: 'json' }, user)).status).toBe(404);
+        expect((await exportChat({ scope: 'chat', format: 'docx' }, user)).status).toBe(400);
+    });
+
+    it('emails the export to the user\'s own address', async () => {
+        const user = seedUser({ email: 'export@example.com' });
+        const reply = await (await postChat({ message: 'Voedingsschema' }, user)).json();
+        const body = { scope: 'conversation', conversationId: reply.conversationId, format: 'pdf' };
+
+        const res = await api('POST', '/api/exports/email', body, user);
+        expect(res.status).toBe(200);
+        expect(await res.json()).toEqual({ success: true, to: 'export@example.com' });
+        const email = sentEmails.at(-1);
+        expect(email).toMatchObject({ from: 'site@dnbcoaching.com', to: ['export@example.com'] });
+        expect(email.subject).toMatch(/^Je DNB Coach export: /);
+        expect(email.attachments[0].filename).toMatch(/^dnb-coach-.+\.pdf$/);
+        expect(email.attachments[0].content.subarray(0, 5).toString()).toBe('%PDF-');
+
+        // The print page format is not something to attach
+        expect((await api('POST', '/api/exports/email', { ...body, format: 'json' }, user)).status).toBe(400);
+        expect((await api('POST', '/api/exports/email', body, seedUser())).status).toBe(400);
+    });
+});
+
+describe('Plan library', () => {
+    const pin = (body, user) => api('POST', '/api/library', body, user);
+    const list = async (query, user) => (await (await api('GET', `/api/library${query}`, undefined, user)).json()).items;
+
+    it('pins a coach reply once, titled and tagged from its content', async () => {
+        const user = seedUser();
+        const reply = await (await postChat({ message: 'Maak een schema met squat en 2000 kcal' }, user)).json();
+
+        const res = await pin({ messageId: reply.messageId }, user);
+        expect(res.status).toBe(201);
+        const { item } = await res.json();
+        expect(item).toMatchObject({
+            title: 'Mock coach reply to: Maak een schema met squat en 2000 kcal',
+            content: 'Mock coach reply to: Maak een schema met squat en 2000 kcal',
+            tags: ['training', 'nutrition'],
+            note: null,
+            archived: false,
+            conversationId: reply.conversationId,
+            messageId: reply.messageId,
+        });
+
+        const again = await pin({ messageId: reply.messageId }, user);
+        expect(again.status).toBe(200);
+        expect((await again.json()).item.id).toBe(item.id);
+
+        // Only the user's own coach replies
+        expect((await pin({ messageId: reply.userMessageId }, user)).status).toBe(404);
+        expect((await pin({ messageId: reply.messageId }, seedUser())).status).toBe(404);
+    });
+
+    it('keeps the copy when the conversation is deleted', async () => {
+        const user = seedUser();
+        const reply = await (await postChat({ message: 'Cut plan' }, user)).json();
+        await pin({ messageId: reply.messageId }, user);
+        await api('DELETE', `/api/conversations/${reply.conversationId}`, undefined, user);
+
+        expect((await list('', user)).map(i => i.content)).toEqual(['Mock coach reply to: Cut plan']);
+    });
+
+    it('edits, archives, searches, orders and deletes items', async () => {
+        const user = seedUser();
+        const a = (await (await pin({ title: 'Push pull legs', content: 'Dag 1: push', tags: ['training'] }, user)).json()).item;
+        const b = (await (await pin({ title: 'Ochtendroutine', content: 'Wandelen en journalen', tags: ['mindset'] }, user)).json()).item;
+        const c = (await (await pin({ title: 'Cut', content: '1800 kcal', tags: ['nutrition'], note: 'Tot de zomer' }, user)).json()).item;
+
+        expect((await list('', user)).map(i => i.id)).toEqual([c.id, b.id, a.id]);
+        expect((await list('?tag=training', user)).map(i => i.id)).toEqual([a.id]);
+        expect((await list('?q=ZOMER', user)).map(i => i.id)).toEqual([c.id]);
+        expect((await list('?q=journalen', user)).map(i => i.id)).toEqual([b.id]);
+
+        const patched = await api('PATCH', `/api/library/${b.id}`, { title: 'Avondroutine', tags: ['mindset', 'training'], note: '  ' }, user);
+        expect((await patched.json()).item).toMatchObject({ title: 'Avondroutine', tags: ['training', 'mindset'], note: null });
+
+        const ordered = await api('PUT', '/api/library/order', { ids: [a.id, c.id, b.id] }, user);
+        expect((await ordered.json()).items.map(i => i.id)).toEqual([a.id, c.id, b.id]);
+
+        await api('PATCH', `/api/library/${a.id}`, { archived: true }, user);
+        expect((await list('', user)).map(i => i.id)).toEqual([c.id, b.id]);
+        expect((await list('?archived=true', user)).map(i => i.id)).toEqual([a.id]);
+
+        expect((await api('DELETE', `/api/library/${a.id}`, undefined, user)).status).toBe(200);
+        expect((await api('DELETE', `/api/library/${a.id}`, undefined, user)).status).toBe(404);
+
+        // Other users cannot touch the items
+        const other = seedUser();
+        expect((await api('PATCH', `/api/library/${b.id}`, { title: 'x' }, other)).status).toBe(404);
+        expect((await api('PUT', '/api/library/order', { ids: [b.id] }, other)).status).toBe(400);
+    });
+
+    it('reorders a filtered list without moving the items it hides', async () => {
+        const user = seedUser();
+        const a = (await (await pin({ title: 'Schema A', content: 'Dag 1', tags: ['training'] }, user)).json()).item;
+        const b = (await (await pin({ title: 'Ontbijt', content: 'Havermout', tags: ['nutrition'] }, user)).json()).item;
+        const c = (await (await pin({ title: 'Schema C', content: 'Dag 2', tags: ['training'] }, user)).json()).item;
+        const d = (await (await pin({ title: 'Slaap', content: '8 uur', tags: ['mindset'] }, user)).json()).item;
+        await api('PATCH', `/api/library/${b.id}`, { archived: true }, user);
+        expect((await list('', user)).map(i => i.id)).toEqual([d.id, c.id, a.id]);
+
+        // The training filter shows [c, a]; move a up
+        expect((await list('?tag=training', user)).map(i => i.id)).toEqual([c.id, a.id]);
+        const ordered = await api('PUT', '/api/library/order', { ids: [a.id, c.id] }, user);
+        expect(ordered.status).toBe(200);
+
+        expect((await list('', user)).map(i => i.id)).toEqual([d.id, a.id, c.id]);
+        await api('PATCH', `/api/library/${b.id}`, { archived: false }, user);
+        expect((await list('', user)).map(i => i.id)).toEqual([d.id, a.id, b.id, c.id]);
+        expect(db.library.filter(i => i.userId === `db_${user}`).map(i => i.position).sort()).toEqual([0, 1, 2, 3]);
+    });
+
+    it('rejects invalid items and orders', async () => {
+        const user = seedUser();
+        expect((await pin({ title: 'Zonder inhoud' }, user)).status).toBe(400);
+        expect((await pin({ title: 'x', content: 'y', tags: ['cardio'] }, user)).status).toBe(400);
+        const { item } = await (await pin({ title: 'Plan', content: 'Inhoud' }, user)).json();
+        expect((await api('PATCH', `/api/library/${item.id}`, { archived: 'ja' }, user)).status).toBe(400);
+        expect((await api('PUT', '/api/library/order', { ids: [item.id, item.id] }, user)).status).toBe(400);
+    });
+
+    it('imports the pins the browser kept, skipping what is not a coach reply', async () => {
+        const user = seedUser();
+        const one = await (await postChat({ message: 'Eerste' }, user)).json();
+        const two = await (await postChat({ message: 'Tweede', conversationId: one.conversationId }, user)).json();
+        await pin({ messageId: one.messageId }, user);
+
+        const res = await api('POST', '/api/library/import', { messageIds: [one.messageId, two.messageId, two.userMessageId, 'gone'] }, user);
+        expect(res.status).toBe(200);
+        const body = await res.json();
+        expect(body.imported).toBe(1);
+        expect(body.items.map(i => i.messageId)).toEqual([two.messageId, one.messageId]);
+
+        expect((await api('POST', '/api/library/import', { messageIds: 'abc' }, user)).status).toBe(400);
+    });
+
+    it('moves plans saved before the library into it once', async () => {
+        const savedPlans = [
+            { id: 'plan_2', title: 'Cut', content: 'Eet 2200 kcal per dag', type: 'nutrition', createdAt: '2026-03-02T10:00:00.000Z' },
+            { id: 'plan_1', title: 'PPL', content: 'Push / Pull / Legs', type: 'training', createdAt: '2026-03-01T10:00:00.000Z' },
+        ];
+        const user = seedUser({ data: JSON.stringify({ savedPlans, gamification: { streak: 1 } }) });
+        await pin({ title: 'Eigen plan', content: 'Wandelen' }, user);
+
+        const [first, second] = await Promise.all([
+            api('GET', '/api/library', undefined, user),
+            api('GET', '/api/library', undefined, user),
+        ]);
+        expect(first.status).toBe(200);
+        expect(second.status).toBe(200);
+        const { items } = await (await api('GET', '/api/library', undefined, user)).json();
+        expect(items.map(i => [i.title, i.tags])).toEqual([['Cut', ['nutrition']], ['PPL', ['training']], ['Eigen plan', []]]);
+        expect(JSON.parse(db.users.find(u => u.clerkId === user).data)).toEqual({ gamification: { streak: 1 } });
+        expect((await api('GET', '/api/plans', undefined, user)).status).toBe(404);
+    });
+
+    it('imports pins that refer to messages from the legacy chat history', async () => {
+        const chatHistory = [
+            { role: 'user', content: 'Maak een schema', id: '1700000000000' },
+            { role: 'assistant', content: 'Ma: squat, di: rust', id: '1700000000001' },
+        ];
+        const user = seedUser({ data: JSON.stringify({ chatHistory }) });
+
+        // The pins can arrive before the conversation list has migrated the history
+        const body = await (await api('POST', '/api/library/import', { messageIds: ['1700000000001'] }, user)).json();
+        expect(body.imported).toBe(1);
+        expect(body.items[0]).toMatchObject({ content: 'Ma: squat, di: rust' });
+        expect(db.messages.find(m => m.id === body.items[0].messageId).content).toBe('Ma: squat, di: rust');
+
+        const { conversations } = await (await api('GET', '/api/conversations', undefined, user)).json();
+        expect(conversations).toHaveLength(1);
+    });
+
+    it('gives the active library to the coach', async () => {
+        const user = seedUser();
+        await pin({ title: 'Schema', content: 'Ma: squat' }, user);
+        mockPrisma.libraryItem.findMany.mockClear();
+
+        await postChat({ message: 'Wat doe ik maandag?' }, user);
+        expect(mockPrisma.libraryItem.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { userId: `db_${user}`, archived: false },
+        }));
+    });
+});
+
+describe('Chat search', () => {
+    it('requires a query', async () => {
+        const res = await api('GET', '/api/search?q=a', undefined, seedUser());
+        expect(res.status).toBe(400);
+        expect((await res.json()).message).toBe('q must be at least 2 characters');
+    });
+
+    it('searches only the user\'s messages and returns highlighted snippets', async () => {
+        const user = seedUser();
+        const createdAt = new Date('2026-03-12T18:00:00Z');
+        mockPrisma.$queryRaw.mockResolvedValueOnce([
+            { id: 'm1', conversationId: 'c1', role: 'assistant', createdAt, conversationTitle: 'Recepten', headline: 'Probeer deze \u0002kip\u0003 met **rijst**' },
+            { id: 'm2', conversationId: 'c1', role: 'user', createdAt, conversationTitle: 'Recepten', headline: '\u0002kip\u0003' },
+        ]);
+
+        const res = await api('GET', '/api/search?q=kip&from=2026-03-01&to=2026-03-31&lang=en&limit=1', undefined, user);
+        expect(res.status).toBe(200);
+        const body = await res.json();
+        expect(body).toEqual({
+            results: [{
+                messageId: 'm1',
+                conversationId: 'c1',
+                conversationTitle: 'Recepten',
+                role: 'assistant',
+                createdAt: createdAt.toISOString(),
+                snippet: [{ text: 'Probeer deze ', match: false }, { text: 'kip', match: true }, { text: ' met rijst', match: false }],
+            }],
+            hasMore: true,
+        });
+
+        const values = mockPrisma.$queryRaw.mock.lastCall.slice(1);
+        expect(values).toContain(`db_${user}`);
+        expect(values).toContain('english');
+        expect(values).toContain('2026-03-01T00:00:00.000Z');
+        expect(values).toContain('2026-04-01T00:00:00.000Z');
+    });
+});
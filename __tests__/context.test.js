@@ -0,0 +1,121 @@
+import { estimateTokens, planContext, fitPinned, summarize, buildContext } from '../server/context.js';
+import { createMockProvider } from '../server/llm.js';
+
+function makeHistory(count, length = 400) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `m${i}`,
+        role: i % 2 === 0 ? 'user' : 'assistant',
+        content: `${i}:`.padEnd(length, 'x'),
+    }));
+}
+
+describe('estimateTokens', () => {
+    it('estimates about four characters per token', () => {
+        expect(estimateTokens('a'.repeat(400))).toBe(104);
+    });
+
+    it('counts image parts at a flat rate', () => {
+        const tokens = estimateTokens([
+            { type: 'text', text: 'abcd' },
+            { type: 'image_url', image_url: { url: 'https://example.com/a.jpg' } },
+        ]);
+        expect(tokens).toBe(5 + 85);
+    });
+
+    it('treats empty content as the per-message overhead', () => {
+        expect(estimateTokens('')).toBe(4);
+        expect(estimateTokens(undefined)).toBe(4);
+    });
+});
+
+describe('planContext', () => {
+    it('sends everything verbatim while the history fits the budget', () => {
+        const history = makeHistory(10);
+        const { toSummarize, recent } = planContext(history, null, 6000);
+        expect(toSummarize).toHaveLength(0);
+        expect(recent).toEqual(history);
+    });
+
+    it('summarizes the oldest turns once the budget is exceeded', () => {
+        const history = makeHistory(100); // ~104 tokens each
+        const { toSummarize, recent } = planContext(history, null, 2000);
+
+        expect(toSummarize.length + recent.length).toBe(100);
+        expect(toSummarize[0].id).toBe('m0');
+        expect(recent[recent.length - 1].id).toBe('m99');
+        // Only half the budget is kept so the next turns don't trigger another summary right away
+        expect(recent.length).toBe(9);
+    });
+
+    it('skips turns the stored summary already covers', () => {
+        const history = makeHistory(60);
+        const { toSummarize, recent } = planContext(history, 'm49', 2000);
+        expect(toSummarize).toHaveLength(0);
+        expect(recent.map(m => m.id)).toEqual(history.slice(50).map(m => m.id));
+    });
+
+    it('falls back to the full history when the summarized message is gone', () => {
+        const history = makeHistory(4);
+        const { recent } = planContext(history, 'deleted-id', 2000);
+        expect(recent).toEqual(history);
+    });
+
+    it('does not resummarize on every turn after a summary update', () => {
+        const history = makeHistory(100);
+        const first = planContext(history, null, 2000);
+        const lastSummarized = first.toSummarize[first.toSummarize.length - 1].id;
+
+        const next = planContext([...history, ...makeHistory(2).map((m, i) => ({ ...m, id: `n${i}` }))], lastSummarized, 2000);
+        expect(next.toSummarize).toHaveLength(0);
+    });
+});
+
+describe('fitPinned', () => {
+    it('keeps pins that fit and skips ones that would overflow', () => {
+        const pins = [
+            { id: 'a', content: 'x'.repeat(400) },
+            { id: 'b', content: 'x'.repeat(8000) },
+            { id: 'c', content: 'x'.repeat(400) },
+        ];
+        expect(fitPinned(pins, 500).map(p => p.id)).toEqual(['a', 'c']);
+    });
+});
+
+describe('summarize', () => {
+    it('sends the previous summary and the new turns to the provider', async () => {
+        const summary = await summarize(createMockProvider(), 'Doel: cut', [
+            { role: 'user', content: 'Ik weeg 82 kg' },
+            { role: 'assistant', content: 'Top!' },
+        ]);
+        expect(summary).toContain('Existing summary:\nDoel: cut');
+        expect(summary).toContain('User: Ik weeg 82 kg');
+        expect(summary).toContain('Coach: Top!');
+    });
+});
+
+describe('buildContext', () => {
+    it('orders system prompts, pins, summary, intro, recent turns and the new turn', () => {
+        const messages = buildContext({
+            system: [{ role: 'system', content: 'SYSTEM' }],
+            intro: { role: 'user', content: 'Mijn naam is Sam.' },
+            pinned: [{ content: 'PLAN A' }],
+            summary: 'SUMMARY',
+            recent: [{ id: 'm1', role: 'assistant', content: 'Hoi', createdAt: new Date() }],
+            current: { role: 'user', content: 'Nieuwe vraag' },
+        });
+
+        expect(messages.map(m => m.role)).toEqual(['system', 'system', 'system', 'user', 'assistant', 'user']);
+        expect(messages[1].content).toContain('PLAN A');
+        expect(messages[2].content).toContain('SUMMARY');
+        expect(messages[4]).toEqual({ role: 'assistant', content: 'Hoi' });
+    });
+
+    it('leaves out empty pins and summary', () => {
+        const messages = buildContext({
+            system: [{ role: 'system', content: 'SYSTEM' }],
+            recent: [],
+            current: { role: 'user', content: 'Hi' },
+        });
+        expect(messages).toHaveLength(2);
+    });
+});
@@ -0,0 +1,25 @@
+import { diffLines } from '../server/diff.js';
+
+describe('diffLines', () => {
+    it('marks identical text as equal', () => {
+        expect(diffLines('a\nb', 'a\nb')).toEqual([
+            { type: 'equal', text: 'a' },
+            { type: 'equal', text: 'b' },
+        ]);
+    });
+
+    it('finds inserted and deleted lines around common ones', () => {
+        expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual([
+            { type: 'equal', text: 'a' },
+            { type: 'delete', text: 'b' },
+            { type: 'equal', text: 'c' },
+            { type: 'insert', text: 'd' },
+        ]);
+    });
+
+    it('handles empty inputs', () => {
+        expect(diffLines('', 'x')).toEqual([{ type: 'insert', text: 'x' }]);
+        expect(diffLines('x', '')).toEqual([{ type: 'delete', text: 'x' }]);
+        expect(diffLines('', '')).toEqual([]);
+    });
+});
@@ -0,0 +1,156 @@
+import {
+    validateExportRequest, parseInline, parseMarkdown, buildExportDocument, exportFileName, toMarkdown, renderExport, exportEmail,
+} from '../server/export.js';
+
+const plan = [
+    '## Schema week 1',
+    'Hier is je **plan** voor *deze* week:',
+    '',
+    '| Dag | Oefening | Sets x reps |',
+    '|-----|----------|:-----------:|',
+    '| Ma | Squat | 4 x 8 |',
+    '| Wo | Bench → press |',
+    '',
+    '- Eet 2000 kcal',
+    '- Slaap ≥ 8 uur',
+    '  en drink water',
+    '1. Eerst',
+    '2. Dan',
+    '[video:squat-form]',
+    '[video:unknown]',
+    'Klaar?',
+].join('\n');
+
+const clips = { 'squat-form': { title: 'Squat techniek', url: 'https://www.youtube.com/embed/abc' } };
+
+describe('validateExportRequest', () => {
+    it('accepts each scope', () => {
+        expect(validateExportRequest({ scope: 'message', format: 'pdf', conversationId: 'c1', messageId: 'm1' }))
+            .toEqual({ data: { scope: 'message', format: 'pdf', lang: 'nl', conversationId: 'c1', messageId: 'm1', itemIds: null }, errors: [] });
+        expect(validateExportRequest({ scope: 'conversation', format: 'markdown', conversationId: 'c1', messageId: 'm1', lang: 'en' }).data)
+            .toEqual({ scope: 'conversation', format: 'markdown', lang: 'en', conversationId: 'c1', messageId: null, itemIds: null });
+        expect(validateExportRequest({ scope: 'library', format: 'json', itemIds: ['i1', 'i2', 'i1'] }).data.itemIds).toEqual(['i1', 'i2']);
+        expect(validateExportRequest({ scope: 'library', format: 'pdf' }).data.itemIds).toBeNull();
+    });
+
+    it.each([
+        [null, 'Export request must be an object'],
+        [{ scope: 'all', format: 'pdf' }, 'scope must be one of message, library, conversation'],
+        [{ scope: 'conversation', format: 'docx', conversationId: 'c1' }, 'format must be one of markdown, pdf, json'],
+        [{ scope: 'conversation', format: 'pdf', conversationId: 'c1', lang: 'de' }, 'lang must be one of nl, en'],
+        [{ scope: 'message', format: 'pdf', conversationId: 'c1' }, 'messageId is required'],
+        [{ scope: 'conversation', format: 'pdf' }, 'conversationId is required'],
+        [{ scope: 'library', format: 'pdf', itemIds: [] }, 'itemIds must be a non-empty list'],
+        [{ scope: 'library', format: 'pdf', itemIds: Array.from({ length: 201 }, (_, i) => `i${i}`) }, 'At most 200 items'],
+    ])('rejects %j', (input, error) => {
+        const { data, errors } = validateExportRequest(input);
+        expect(data).toBeUndefined();
+        expect(errors.join('; ')).toContain(error);
+    });
+
+    it('limits the formats a route allows', () => {
+        expect(validateExportRequest({ scope: 'conversation', format: 'json', conversationId: 'c1' }, { formats: ['markdown', 'pdf'] }).errors)
+            .toEqual(['format must be one of markdown, pdf']);
+    });
+});
+
+describe('parseInline', () => {
+    it('splits bold, italic, code and links into runs', () => {
+        expect(parseInline('Eet **meer** eiwit, *echt*: `2 g/kg` ([bron](https://dnbcoaching.com))')).toEqual([
+            { text: 'Eet ' },
+            { text: 'meer', bold: true },
+            { text: ' eiwit, ' },
+            { text: 'echt', italic: true },
+            { text: ': ' },
+            { text: '2 g/kg' },
+            { text: ' (' },
+            { text: 'bron', link: 'https://dnbcoaching.com' },
+            { text: ')' },
+        ]);
+    });
+
+    it('leaves a lone asterisk alone', () => {
+        expect(parseInline('3 * 8 reps')).toEqual([{ text: '3 * 8 reps' }]);
+    });
+});
+
+describe('parseMarkdown', () => {
+    it('turns a plan into headings, tables, lists and videos', () => {
+        const blocks = parseMarkdown(plan, clips);
+        expect(blocks.map(b => b.type)).toEqual(['heading', 'paragraph', 'table', 'list', 'list', 'video', 'paragraph']);
+        expect(blocks[0]).toEqual({ type: 'heading', level: 2, runs: [{ text: 'Schema week 1' }] });
+
+        const table = blocks[2];
+        expect(table.header.map(cell => cell[0].text)).toEqual(['Dag', 'Oefening', 'Sets x reps']);
+        // The short row is padded to the header's width
+        expect(table.rows[1]).toEqual([[{ text: 'Wo' }], [{ text: 'Bench → press' }], []]);
+
+        expect(blocks[3]).toMatchObject({ ordered: false });
+        expect(blocks[3].items[1]).toEqual([{ text: 'Slaap ≥ 8 uur' }, { text: ' en drink water' }]);
+        expect(blocks[4]).toMatchObject({ ordered: true, items: [[{ text: 'Eerst' }], [{ text: 'Dan' }]] });
+        expect(blocks[5]).toEqual({ type: 'video', key: 'squat-form', title: 'Squat techniek', url: 'https://www.youtube.com/embed/abc' });
+    });
+
+    it('splits video tags out of a sentence', () => {
+        expect(parseMarkdown('Kijk dit [video:squat-form] en oefen.', clips).map(b => b.type)).toEqual(['paragraph', 'video', 'paragraph']);
+    });
+});
+
+describe('export documents', () => {
+    const messages = [
+        { id: 'm1', role: 'user', content: 'Maak een schema', createdAt: new Date('2026-10-19T08:00:00Z') },
+        { id: 'm2', role: 'assistant', content: plan, createdAt: new Date('2026-10-19T08:00:05Z') },
+        { id: 's1', role: 'system', content: 'verborgen', createdAt: new Date('2026-10-19T08:00:06Z') },
+    ];
+    const exportedAt = new Date('2026-10-19T12:00:00Z');
+    const document = buildExportDocument({ scope: 'conversation', title: 'Schema week 1', messages, clips, exportedAt });
+
+    it('labels each message and leaves out system messages', () => {
+        expect(document).toMatchObject({ scope: 'conversation', lang: 'nl', title: 'Schema week 1', subtitle: '2 berichten · Geëxporteerd op 19 oktober 2026' });
+        expect(document.sections.map(s => [s.label, s.date])).toEqual([
+            ['Jij', '19 oktober 2026 om 10:00'],
+            ['DNB Coach', '19 oktober 2026 om 10:00'],
+        ]);
+        expect(buildExportDocument({ scope: 'library', messages, lang: 'en', exportedAt }).title).toBe('My library');
+    });
+
+    it('names files after the title', () => {
+        expect(exportFileName(document)).toBe('dnb-coach-schema-week-1');
+        expect(exportFileName({ title: 'Café & crème!' })).toBe('dnb-coach-cafe-creme');
+        expect(exportFileName({ title: '🔥' })).toBe('dnb-coach-export');
+    });
+
+    it('puts library items under their own title', () => {
+        const library = buildExportDocument({
+            scope: 'library',
+            messages: [{ id: 'i1', role: 'assistant', title: 'Cut', content: '1800 kcal', createdAt: messages[1].createdAt }],
+            exportedAt,
+        });
+        expect(library.sections[0].title).toBe('Cut');
+        expect(toMarkdown(library)).toContain('## Cut\n\n_19 oktober 2026 om 10:00_\n\n1800 kcal');
+    });
+
+    it('writes Markdown with video links', () => {
+        const markdown = toMarkdown(document);
+        expect(markdown.startsWith('# Schema week 1\n\n_2 berichten · Geëxporteerd op 19 oktober 2026_\n')).toBe(true);
+        expect(markdown).toContain('## DNB Coach · 19 oktober 2026 om 10:00');
+        expect(markdown).toContain('[▶ Video: Squat techniek](https://www.youtube.com/embed/abc)');
+        expect(markdown).not.toContain('[video:');
+    });
+
+    it('renders a PDF and a Markdown file', async () => {
+        const pdf = await renderExport(document, 'pdf');
+        expect(pdf).toMatchObject({ filename: 'dnb-coach-schema-week-1.pdf', contentType: 'application/pdf' });
+        expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+        const markdown = await renderExport(document, 'markdown');
+        expect(markdown).toMatchObject({ filename: 'dnb-coach-schema-week-1.md', contentType: 'text/markdown; charset=utf-8' });
+    });
+
+    it('writes the email in the export language with the title escaped', () => {
+        const email = exportEmail({ ...document, title: '<Schema>' });
+        expect(email.subject).toBe('Je DNB Coach export: <Schema>');
+        expect(email.html).toContain('<strong>&lt;Schema&gt;</strong>');
+        expect(exportEmail({ ...document, lang: 'en' }).subject).toBe('Your DNB Coach export: Schema week 1');
+    });
+});
@@ -0,0 +1,98 @@
+import { validateFeedback, feedbackContext, feedbackFilters, summarizeFeedback, toFeedbackCsv } from '../server/feedback.js';
+
+describe('validateFeedback', () => {
+    it('accepts a rating with an optional reason and comment', () => {
+        expect(validateFeedback({ rating: 'up' })).toEqual({ data: { rating: 'up', reason: null, comment: null }, errors: [] });
+        expect(validateFeedback({ rating: 'down', reason: 'unsafe', comment: '  Te extreem  ' }).data)
+            .toEqual({ rating: 'down', reason: 'unsafe', comment: 'Te extreem' });
+    });
+
+    it.each([
+        [null, 'Feedback must be an object'],
+        [{ rating: 'meh' }, 'rating must be one of up, down'],
+        [{ rating: 'down', reason: 'boring' }, 'reason must be one of'],
+        [{ rating: 'up', reason: 'too_long' }, 'reason is only for a thumbs down'],
+        [{ rating: 'down', comment: 42 }, 'comment must be a string'],
+        [{ rating: 'down', comment: 'x'.repeat(1001) }, 'comment must be at most 1000 characters'],
+    ])('rejects %j', (input, error) => {
+        const { data, errors } = validateFeedback(input);
+        expect(data).toBeUndefined();
+        expect(errors.join('; ')).toContain(error);
+    });
+});
+
+describe('feedbackContext', () => {
+    const messages = Array.from({ length: 8 }, (_, i) => ({
+        id: `m${i}`,
+        parentId: i === 0 ? null : `m${i - 1}`,
+        role: i % 2 === 0 ? 'user' : 'assistant',
+        content: `bericht ${i}`.padEnd(i === 7 ? 3000 : 0, '.'),
+        createdAt: new Date(i),
+    }));
+
+    it('copies the last messages of the branch up to the rated reply', () => {
+        const context = feedbackContext(messages, 'm7');
+        expect(context.map(m => m.id)).toEqual(['m2', 'm3', 'm4', 'm5', 'm6', 'm7']);
+        expect(context[5].content).toHaveLength(2000);
+        expect(context[0]).toEqual({ id: 'm2', role: 'user', content: 'bericht 2' });
+    });
+
+    it('stops at the rated reply', () => {
+        expect(feedbackContext(messages, 'm3').map(m => m.id)).toEqual(['m0', 'm1', 'm2', 'm3']);
+    });
+});
+
+describe('feedbackFilters', () => {
+    it('keeps the filters that apply and ignores the rest', () => {
+        expect(feedbackFilters({ status: 'all', rating: 'down', reason: 'unsafe', model: 'gpt-4o', promptVersion: '3', from: '2026-10-01', to: '2026-10-19' }))
+            .toEqual({ status: 'all', rating: 'down', reason: 'unsafe', model: 'gpt-4o', promptVersion: 3, from: '2026-10-01', to: '2026-10-19' });
+        expect(feedbackFilters({ status: 'x', rating: 'x', reason: 'x', model: '', promptVersion: '-1', from: '1 oktober', to: 5 }))
+            .toEqual({ status: 'open', rating: undefined, reason: undefined, model: undefined, promptVersion: undefined, from: undefined, to: undefined });
+    });
+});
+
+describe('summarizeFeedback', () => {
+    it('counts ratings, reasons and ratings per prompt version', () => {
+        expect(summarizeFeedback([
+            { rating: 'down', reason: 'wrong_macros', promptVersion: 2 },
+            { rating: 'down', reason: 'wrong_macros', promptVersion: 3 },
+            { rating: 'up', reason: null, promptVersion: 3 },
+            { rating: 'down', reason: null, promptVersion: null },
+        ])).toEqual({
+            total: 4,
+            up: 1,
+            down: 3,
+            reasons: { wrong_macros: 2 },
+            promptVersions: { 2: { up: 0, down: 1 }, 3: { up: 1, down: 1 } },
+        });
+    });
+});
+
+describe('toFeedbackCsv', () => {
+    const row = {
+        createdAt: new Date('2026-10-19T10:00:00Z'),
+        rating: 'down',
+        reason: 'incorrect',
+        comment: 'Zeg "nee",\nniet ja',
+        model: 'gpt-4o-mini',
+        promptVersion: 4,
+        user: { name: 'Sanne', email: null },
+        userId: 'u1',
+        conversationId: 'c1',
+        messageId: 'a1',
+        context: [{ role: 'user', content: '@coach hoeveel?' }, { role: 'assistant', content: '-500 kcal' }],
+        reviewedAt: null,
+        reviewNote: null,
+    };
+
+    it('writes a header and one escaped line per rating', () => {
+        const [header, line, end] = toFeedbackCsv([row]).split('\r\n');
+        expect(header).toBe('createdAt,rating,reason,comment,model,promptVersion,user,conversationId,messageId,question,answer,reviewedAt,reviewNote');
+        expect(line).toBe(`2026-10-19T10:00:00.000Z,down,incorrect,"Zeg ""nee"",\nniet ja",gpt-4o-mini,4,Sanne,c1,a1,'@coach hoeveel?,'-500 kcal,,`);
+        expect(end).toBe('');
+    });
+
+    it('writes only the header when there is no feedback', () => {
+        expect(toFeedbackCsv([])).toBe('createdAt,rating,reason,comment,model,promptVersion,user,conversationId,messageId,question,answer,reviewedAt,reviewNote\r\n');
+    });
+});
@@ -0,0 +1,87 @@
+import {
+    suggestTags, titleFromContent, validateLibraryItem, libraryFilters, validateOrder, formatLibraryItemForPrompt, libraryItemFromPlan,
+} from '../server/library.js';
+
+describe('titleFromContent', () => {
+    it('uses the first heading, otherwise the first line, without formatting', () => {
+        expect(titleFromContent('Top!\n\n## **Schema** week 1\n| Dag | Oefening |')).toBe('Schema week 1');
+        expect(titleFromContent('\n  Je *macro\'s* voor een cut:\n- 180 g eiwit')).toBe('Je macro\'s voor een cut');
+        expect(titleFromContent('[video:squat-form]')).toBe('Plan');
+        expect(titleFromContent('x'.repeat(200))).toHaveLength(120);
+    });
+});
+
+describe('suggestTags', () => {
+    it('tags training, nutrition and mindset content', () => {
+        expect(suggestTags('3 sets squat, daarna 2000 kcal')).toEqual(['training', 'nutrition']);
+        expect(suggestTags('Werk aan je mindset en slaap')).toEqual(['mindset']);
+        expect(suggestTags('Hoi!')).toEqual([]);
+    });
+});
+
+describe('libraryItemFromPlan', () => {
+    it('tags a saved plan with its type and the tags its content suggests', () => {
+        expect(libraryItemFromPlan({ title: 'Cut', content: 'Slaap 8 uur, eet 1800 kcal', type: 'nutrition', createdAt: '2026-03-01T10:00:00.000Z' }))
+            .toEqual({ title: 'Cut', content: 'Slaap 8 uur, eet 1800 kcal', tags: ['nutrition', 'mindset'], createdAt: new Date('2026-03-01T10:00:00.000Z') });
+        expect(libraryItemFromPlan({ title: 'Notitie', content: 'Hoi', type: 'other' })).toEqual({ title: 'Notitie', content: 'Hoi', tags: [] });
+    });
+
+    it('skips plans that are not usable', () => {
+        expect(libraryItemFromPlan({ title: 'Leeg', content: ' ' })).toBeNull();
+        expect(libraryItemFromPlan(null)).toBeNull();
+    });
+});
+
+describe('validateLibraryItem', () => {
+    it('accepts a pinned message or a written plan', () => {
+        expect(validateLibraryItem({ messageId: 'm1' })).toEqual({ data: { messageId: 'm1' }, errors: [] });
+        expect(validateLibraryItem({ title: ' Cut ', content: ' 1800 kcal ', tags: ['nutrition', 'training'], note: ' Tot juni ' }).data)
+            .toEqual({ title: 'Cut', content: '1800 kcal', tags: ['training', 'nutrition'], note: 'Tot juni' });
+    });
+
+    it('accepts partial updates, including archiving and clearing the note', () => {
+        expect(validateLibraryItem({ archived: true, note: null }, { partial: true }).data).toEqual({ archived: true, note: null });
+        // Updates cannot move an item to another message or replace its text
+        expect(validateLibraryItem({ messageId: 'm2', content: 'x' }, { partial: true }).data).toEqual({});
+    });
+
+    it.each([
+        [null, {}, 'Library item must be an object'],
+        [{}, {}, 'Either messageId or title and content are required'],
+        [{ title: 'Cut' }, {}, 'Either messageId or title and content are required'],
+        [{ messageId: '' }, {}, 'messageId must be a message id'],
+        [{ title: ' ', content: 'x' }, {}, 'title must be a non-empty string'],
+        [{ title: 'x', content: 'y'.repeat(20001) }, {}, 'content must be at most 20000 characters'],
+        [{ tags: ['cardio'] }, { partial: true }, 'tags must be a list of training, nutrition, mindset'],
+        [{ note: 'x'.repeat(1001) }, { partial: true }, 'note must be at most 1000 characters'],
+        [{ archived: 'yes' }, { partial: true }, 'archived must be a boolean'],
+    ])('rejects %j', (input, options, error) => {
+        const { data, errors } = validateLibraryItem(input, options);
+        expect(data).toBeUndefined();
+        expect(errors.join('; ')).toContain(error);
+    });
+});
+
+describe('libraryFilters', () => {
+    it('keeps the filters that apply and ignores the rest', () => {
+        expect(libraryFilters({ archived: 'true', tag: 'mindset', q: ' slaap ' })).toEqual({ archived: true, tag: 'mindset', q: 'slaap' });
+        expect(libraryFilters({ archived: 'yes', tag: 'cardio', q: '  ' })).toEqual({ archived: false, tag: undefined, q: undefined });
+    });
+});
+
+describe('validateOrder', () => {
+    it('needs known ids, each once', () => {
+        expect(validateOrder(['b', 'a'], ['a', 'b', 'c'])).toBeNull();
+        expect(validateOrder('a,b', ['a', 'b'])).toBe('ids must be a list of item ids');
+        expect(validateOrder(['a', 'a'], ['a'])).toBe('ids must not repeat');
+        expect(validateOrder(['x'], ['a'])).toBe('Unknown library item');
+    });
+});
+
+describe('formatLibraryItemForPrompt', () => {
+    it('puts the title, tags and note above the plan', () => {
+        expect(formatLibraryItemForPrompt({ title: 'Cut', tags: ['nutrition'], note: 'Tot juni', content: '1800 kcal' }))
+            .toEqual({ content: "### Cut [nutrition]\nUser's note: Tot juni\n\n1800 kcal" });
+        expect(formatLibraryItemForPrompt({ title: 'Cut', tags: [], note: null, content: '1800 kcal' }).content).toBe('### Cut\n\n1800 kcal');
+    });
+});
@@ -0,0 +1,113 @@
+import { vi } from 'vitest';
+
+vi.mock('../server/db.js', () => ({}));
+
+import {
+    validateMealItems, validateMealEntry, sumMacros, analyzeMealPhoto, summarizeDay, formatNutritionForPrompt,
+    MealAnalysisError,
+} from '../server/meals.js';
+import { isoDate } from '../server/progress.js';
+
+const oats = { name: 'Havermout', grams: 60, kcal: 225, proteinG: 8, carbsG: 36, fatG: 4 };
+const skyr = { name: 'Skyr', grams: 250, kcal: 158, proteinG: 27.5, carbsG: 10, fatG: 0.5 };
+
+describe('validateMealItems', () => {
+    it('rounds values and accepts decimal commas', () => {
+        expect(validateMealItems([{ name: ' Banaan ', grams: '118,4', kcal: 105.4, proteinG: '1,29', carbsG: 27, fatG: 0.39 }])).toEqual({
+            items: [{ name: 'Banaan', grams: 118, kcal: 105, proteinG: 1.3, carbsG: 27, fatG: 0.4 }],
+        });
+    });
+
+    it('leaves grams optional', () => {
+        expect(validateMealItems([{ name: 'Koffie', kcal: 2, proteinG: 0, carbsG: 0, fatG: 0 }]).items[0].grams).toBeNull();
+    });
+
+    it.each([
+        [[], 'At least one item is required'],
+        [[{ kcal: 100, proteinG: 1, carbsG: 1, fatG: 1 }], 'Item 1: name is required'],
+        [[oats, { ...skyr, proteinG: -1 }], 'Item 2: proteinG must be a number between 0 and 500'],
+        [[{ ...oats, kcal: undefined }], 'Item 1: kcal must be a number between 0 and 5000'],
+        [Array(31).fill(oats), 'A meal has at most 30 items'],
+    ])('rejects %#', (items, error) => {
+        expect(validateMealItems(items)).toEqual({ error });
+    });
+});
+
+describe('validateMealEntry', () => {
+    it('computes totals and a description from the items', () => {
+        expect(validateMealEntry({ items: [oats, skyr], mealType: 'breakfast' }).entry).toEqual({
+            date: isoDate(),
+            mealType: 'breakfast',
+            description: 'Havermout, Skyr',
+            items: [oats, skyr],
+            kcal: 383, proteinG: 35.5, carbsG: 46, fatG: 4.5,
+            attachmentId: null,
+        });
+    });
+
+    it('rejects unknown meal types and future dates', () => {
+        expect(validateMealEntry({ items: [oats], mealType: 'second breakfast' }).error).toMatch(/^mealType must be one of/);
+        expect(validateMealEntry({ items: [oats], date: '2999-12-31' }).error).toBe('Date cannot be in the future');
+    });
+});
+
+describe('sumMacros', () => {
+    it('returns zeros for an empty day', () => {
+        expect(sumMacros([])).toEqual({ kcal: 0, proteinG: 0, carbsG: 0, fatG: 0 });
+    });
+});
+
+describe('analyzeMealPhoto', () => {
+    const replying = (content) => ({ chat: vi.fn(() => Promise.resolve({ content })) });
+
+    it('sends the photo and note, and keeps only valid items', async () => {
+        const llm = replying('```json\n' + JSON.stringify({
+            description: 'Ontbijt',
+            mealType: 'brunch',
+            items: [oats, { name: 'Honing', kcal: 'some' }, skyr],
+        }) + '\n```');
+
+        const result = await analyzeMealPhoto(llm, { imageUrl: 'data:image/jpeg;base64,AAA', note: '60 g havermout' });
+        expect(result).toEqual({
+            description: 'Ontbijt', mealType: null, items: [oats, skyr], kcal: 383, proteinG: 35.5, carbsG: 46, fatG: 4.5,
+        });
+
+        const [{ messages }] = llm.chat.mock.calls[0];
+        expect(messages[1].content).toEqual([
+            { type: 'text', text: 'Note from the user: 60 g havermout' },
+            { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAA' } },
+        ]);
+    });
+
+    it('fails when the reply holds no estimate', async () => {
+        await expect(analyzeMealPhoto(replying('Sorry, I cannot see that.'), { imageUrl: 'x' })).rejects.toBeInstanceOf(MealAnalysisError);
+        await expect(analyzeMealPhoto(replying('{"items": [}'), { imageUrl: 'x' })).rejects.toBeInstanceOf(MealAnalysisError);
+    });
+});
+
+describe('daily summary', () => {
+    const entries = [{ kcal: 383, proteinG: 35.5, carbsG: 46, fatG: 4.5 }, { kcal: 700, proteinG: 50, carbsG: 80, fatG: 20 }];
+
+    it('compares totals with the profile targets', () => {
+        const day = summarizeDay('2026-10-19', entries, { kcalTarget: 1800, proteinTargetG: 160, carbsTargetG: null, fatTargetG: 60 });
+        expect(day).toEqual({
+            date: '2026-10-19',
+            meals: 2,
+            totals: { kcal: 1083, proteinG: 85.5, carbsG: 126, fatG: 24.5 },
+            targets: { kcal: 1800, proteinG: 160, carbsG: null, fatG: 60 },
+            remaining: { kcal: 717, proteinG: 74.5, carbsG: null, fatG: 35.5 },
+        });
+        expect(formatNutritionForPrompt(day)).toContain('Remaining (negative = over target): kcal 717, protein (g) 74.5, fat (g) 35.5.');
+    });
+
+    it('has no targets without a profile', () => {
+        const day = summarizeDay('2026-10-19', entries, null);
+        expect(day.targets).toBeNull();
+        expect(day.remaining).toBeNull();
+        expect(formatNutritionForPrompt(day)).toMatch(/^Food log for today \(2026-10-19\): 2 meals logged; kcal 1083/);
+    });
+
+    it('stays out of the prompt when there is nothing to say', () => {
+        expect(formatNutritionForPrompt(summarizeDay('2026-10-19', [], {}))).toBeNull();
+    });
+});
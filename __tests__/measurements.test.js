@@ -0,0 +1,139 @@
+import { vi } from 'vitest';
+
+// Only the pure helpers are tested here; the database paths run through chat.test.js
+vi.mock('@prisma/client', () => ({ PrismaClient: function PrismaClient() { return {}; } }));
+
+import {
+    parseMeasuredAt, validateMeasurement, measurementFilters, toPublicMeasurement, toWeightEntries, legacyWeightLogToMeasurements,
+    withoutLoggedWeighIns,
+} from '../server/measurements.js';
+
+const now = new Date('2026-03-10T09:00:00Z');
+
+describe('parseMeasuredAt', () => {
+    it('defaults to now and reads a bare date as midday UTC', () => {
+        expect(parseMeasuredAt(undefined, now)).toEqual({ date: now });
+        expect(parseMeasuredAt('2026-03-01', now)).toEqual({ date: new Date('2026-03-01T12:00:00Z') });
+        expect(parseMeasuredAt('2026-03-01T07:15:00+01:00', now)).toEqual({ date: new Date('2026-03-01T06:15:00Z') });
+    });
+
+    it('uses now for today before midday', () => {
+        expect(parseMeasuredAt('2026-03-10', now)).toEqual({ date: now });
+    });
+
+    it('rejects malformed and future times', () => {
+        expect(parseMeasuredAt('01-03', now).error).toBe('measuredAt must be a date (YYYY-MM-DD) or an ISO timestamp');
+        expect(parseMeasuredAt('2026-02-30T25:00', now).error).toBe('measuredAt must be a date (YYYY-MM-DD) or an ISO timestamp');
+        expect(parseMeasuredAt('2026-03-11', now).error).toBe('measuredAt cannot be in the future');
+        expect(parseMeasuredAt('2026-03-10T09:03:00Z', now).date).toEqual(new Date('2026-03-10T09:03:00Z'));
+    });
+});
+
+describe('validateMeasurement', () => {
+    it('rounds values to 0.1 and accepts a comma as decimal separator', () => {
+        expect(validateMeasurement({ type: 'weight', value: '82,44', measuredAt: '2026-03-01', note: '  ' }, { now })).toEqual({
+            data: { type: 'weight', value: 82.4, measuredAt: new Date('2026-03-01T12:00:00Z'), note: null },
+            errors: [],
+        });
+    });
+
+    it('checks the value against the bounds of its type', () => {
+        expect(validateMeasurement({ type: 'bodyFat', value: 90 }, { now }).errors).toEqual(['value must be between 2 and 70 %']);
+        expect(validateMeasurement({ type: 'waist', value: 84 }, { now }).data.value).toBe(84);
+        expect(validateMeasurement({ value: 12 }, { partial: true, type: 'weight', now }).errors).toEqual(['value must be between 30 and 300 kg']);
+    });
+
+    it('stores values given in the user\'s units in kg and cm', () => {
+        const lb = { weightUnit: 'lb', lengthUnit: 'in', energyUnit: 'kcal' };
+        expect(validateMeasurement({ type: 'weight', value: 180 }, { now, units: lb }).data.value).toBe(81.65);
+        expect(validateMeasurement({ type: 'waist', value: 34 }, { now, units: lb }).data.value).toBe(86.36);
+        expect(validateMeasurement({ type: 'bodyFat', value: 18.44 }, { now, units: lb }).data.value).toBe(18.4);
+        // A unit in the input wins over the preference
+        expect(validateMeasurement({ type: 'weight', value: 82.44, unit: 'kg' }, { now, units: lb }).data.value).toBe(82.4);
+        expect(validateMeasurement({ value: 50 }, { partial: true, type: 'weight', now, units: lb }).errors)
+            .toEqual(['value must be between 66.2 and 661.3 lb']);
+        expect(validateMeasurement({ type: 'waist', value: 34, unit: 'lb' }, { now }).errors).toEqual(['unit must be one of: cm, in']);
+    });
+
+    it('updates only the fields given and never the type', () => {
+        expect(validateMeasurement({ type: 'waist', note: 'Na het sporten' }, { partial: true, type: 'weight', now }))
+            .toEqual({ data: { note: 'Na het sporten' }, errors: [] });
+    });
+
+    it.each([
+        [null, 'Measurement must be an object'],
+        [{ type: 'height', value: 180 }, 'type must be one of weight, bodyFat, waist, hips, chest, arm, thigh'],
+        [{ type: 'weight' }, 'value must be a number'],
+        [{ type: 'weight', value: 80, note: 5 }, 'note must be a string'],
+        [{ type: 'weight', value: 80, note: 'x'.repeat(501) }, 'note must be at most 500 characters'],
+    ])('rejects %j', (input, error) => {
+        const { data, errors } = validateMeasurement(input, { now });
+        expect(data).toBeUndefined();
+        expect(errors).toContain(error);
+    });
+});
+
+describe('measurementFilters', () => {
+    it('reads whole days with both ends included', () => {
+        expect(measurementFilters({ type: 'weight', from: '2026-01-01', to: '2026-01-31' })).toEqual({
+            type: 'weight',
+            from: new Date('2026-01-01T00:00:00Z'),
+            to: new Date('2026-02-01T00:00:00Z'),
+        });
+    });
+
+    it('accepts timestamps and ignores what does not apply', () => {
+        expect(measurementFilters({ type: 'height', from: '2026-01-01T06:00:00Z', to: 'gisteren' })).toEqual({
+            type: undefined, from: new Date('2026-01-01T06:00:00Z'), to: undefined,
+        });
+    });
+});
+
+describe('toPublicMeasurement', () => {
+    const row = (type, value) => ({ id: 'm1', type, value, measuredAt: now, note: null, source: 'manual', createdAt: now, updatedAt: now });
+
+    it('returns values in the user\'s units', () => {
+        const units = { weightUnit: 'lb', lengthUnit: 'in', energyUnit: 'kcal' };
+        expect(toPublicMeasurement(row('weight', 81.65), units)).toMatchObject({ value: 180, unit: 'lb' });
+        expect(toPublicMeasurement(row('waist', 86.36), units)).toMatchObject({ value: 34, unit: 'in' });
+        expect(toPublicMeasurement(row('bodyFat', 18.4), units)).toMatchObject({ value: 18.4, unit: '%' });
+        expect(toPublicMeasurement(row('weight', 81.65))).toMatchObject({ value: 81.65, unit: 'kg' });
+    });
+});
+
+describe('weight entries', () => {
+    const rows = [
+        { id: 'm2', type: 'weight', value: 81, measuredAt: new Date('2026-01-02T07:00:00Z'), source: 'manual' },
+        { id: 'm3', type: 'waist', value: 84, measuredAt: new Date('2026-01-01T07:00:00Z'), source: 'manual' },
+        { id: 'm1', type: 'weight', value: 82, measuredAt: new Date('2026-01-01T07:00:00Z'), source: 'chat' },
+    ];
+
+    it('turns weight measurements into dated entries, oldest first', () => {
+        expect(toWeightEntries(rows)).toEqual([{ date: '2026-01-01', weight: 82 }, { date: '2026-01-02', weight: 81 }]);
+    });
+
+    it('adds the unit for the client', () => {
+        expect(toPublicMeasurement(rows[1])).toMatchObject({ id: 'm3', type: 'waist', value: 84, unit: 'cm', note: null });
+    });
+
+    it('converts the old weight log and drops entries that are not valid', () => {
+        expect(legacyWeightLogToMeasurements([
+            { date: '2026-01-01', weight: 90 },
+            { date: '2026-01-02', weight: 9 },
+            { date: '02-01', weight: 88 },
+            null,
+        ], now)).toEqual([{ type: 'weight', value: 90, measuredAt: new Date('2026-01-01T12:00:00Z'), source: 'legacy' }]);
+        expect(legacyWeightLogToMeasurements('corrupt')).toEqual([]);
+    });
+
+    it('leaves out weigh-ins already logged that day with the same value, and repeats', () => {
+        const at = (iso) => new Date(iso);
+        const rows = [
+            { type: 'weight', value: 82, measuredAt: at('2026-01-01T12:00:00Z') },
+            { type: 'weight', value: 81.5, measuredAt: at('2026-01-01T12:00:00Z') },
+            { type: 'weight', value: 81, measuredAt: at('2026-01-02T12:00:00Z') },
+            { type: 'weight', value: 81, measuredAt: at('2026-01-02T12:00:00Z') },
+        ];
+        expect(withoutLoggedWeighIns(rows, [...rows.slice(0, 1), { ...rows[1], type: 'waist' }]).map(r => r.value)).toEqual([81.5, 81]);
+    });
+});
@@ -0,0 +1,93 @@
+import { parseMediaSource, validateMediaClip, selectVariant, toPublicClip, formatMediaForPrompt } from '../server/media.js';
+
+const clip = (overrides = {}) => ({
+    key: 'plateau',
+    title: 'Plateau doorbreken in 60 sec',
+    tags: ['plateau'],
+    variants: [{ language: 'nl', provider: 'youtube', source: 'dQw4w9WgXcQ' }],
+    ...overrides,
+});
+
+describe('parseMediaSource', () => {
+    it.each([
+        ['youtube', 'dQw4w9WgXcQ', 'dQw4w9WgXcQ'],
+        ['youtube', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10s', 'dQw4w9WgXcQ'],
+        ['youtube', 'https://youtu.be/dQw4w9WgXcQ', 'dQw4w9WgXcQ'],
+        ['youtube', 'https://youtube.com/shorts/dQw4w9WgXcQ', 'dQw4w9WgXcQ'],
+        ['vimeo', '76979871', '76979871'],
+        ['vimeo', 'https://player.vimeo.com/video/76979871', '76979871'],
+        ['file', 'https://cdn.example.com/clips/plateau.mp4', 'https://cdn.example.com/clips/plateau.mp4'],
+        ['file', '/media/plateau.mp4', '/media/plateau.mp4'],
+    ])('accepts %s source %s', (provider, source, expected) => {
+        expect(parseMediaSource(provider, source)).toBe(expected);
+    });
+
+    it.each([
+        ['youtube', 'https://example.com/watch?v=dQw4w9WgXcQ'],
+        ['vimeo', 'https://vimeo.com/channels/staffpicks'],
+        ['file', 'http://cdn.example.com/plateau.mp4'],
+        ['file', '//evil.example.com/plateau.mp4'],
+        ['file', 'javascript:alert(1)'],
+        ['dailymotion', 'x7tgad0'],
+    ])('rejects %s source %s', (provider, source) => {
+        expect(parseMediaSource(provider, source)).toBeNull();
+    });
+});
+
+describe('validateMediaClip', () => {
+    it('normalises tags and defaults to active', () => {
+        const { data, errors } = validateMediaClip(clip({ tags: [' Mindset', 'mindset', 'plateau'] }));
+        expect(errors).toEqual([]);
+        expect(data).toMatchObject({ tags: ['mindset', 'plateau'], active: true });
+    });
+
+    it('allows one variant per language', () => {
+        const { errors } = validateMediaClip(clip({
+            variants: [
+                { language: 'nl', provider: 'youtube', source: 'dQw4w9WgXcQ' },
+                { language: 'nl', provider: 'vimeo', source: '1' },
+                { language: 'de', provider: 'vimeo', source: '1' },
+            ],
+        }));
+        expect(errors).toEqual([
+            'Variant 2: there is already a variant for "nl"',
+            'Variant 3: language must be one of nl, en',
+        ]);
+    });
+
+    it('needs at least one variant', () => {
+        expect(validateMediaClip(clip({ variants: [] })).errors).toEqual(['At least one variant is required']);
+        expect(validateMediaClip(null).errors).toEqual(['Clip must be an object']);
+    });
+});
+
+describe('clip per language', () => {
+    const bilingual = clip({
+        variants: [
+            { language: 'nl', provider: 'youtube', source: 'dQw4w9WgXcQ' },
+            { language: 'en', provider: 'file', source: '/media/plateau-en.mp4', title: 'Break a plateau in 60 sec' },
+        ],
+    });
+
+    it('picks the variant in the requested language', () => {
+        expect(selectVariant(bilingual, 'en').provider).toBe('file');
+        expect(toPublicClip(bilingual, 'en')).toMatchObject({ title: 'Break a plateau in 60 sec', url: '/media/plateau-en.mp4' });
+    });
+
+    it('falls back to the first variant without a translation', () => {
+        expect(toPublicClip(clip(), 'en')).toMatchObject({ language: 'nl', title: 'Plateau doorbreken in 60 sec' });
+        expect(toPublicClip(clip({ variants: [] }), 'nl')).toBeNull();
+    });
+});
+
+describe('formatMediaForPrompt', () => {
+    it('lists the keys the coach may use', () => {
+        const prompt = formatMediaForPrompt([clip(), clip({ key: 'motivation', title: 'Motivatie', tags: [] })], 'nl');
+        expect(prompt).toContain('- [video:plateau] Plateau doorbreken in 60 sec (plateau)');
+        expect(prompt).toMatch(/^- \[video:motivation\] Motivatie$/m);
+    });
+
+    it('tells the coach there are no videos', () => {
+        expect(formatMediaForPrompt([], 'nl')).toBe('There are no coach videos available right now. Do not write [video:...] tags.');
+    });
+});
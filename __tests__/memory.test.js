@@ -0,0 +1,155 @@
+import { vi } from 'vitest';
+
+const store = vi.hoisted(() => ({
+    listMemoryFacts: vi.fn(),
+    createMemoryFacts: vi.fn(() => Promise.resolve({ count: 0 })),
+    updateMemoryFact: vi.fn(() => Promise.resolve(true)),
+    deleteMemoryFacts: vi.fn(() => Promise.resolve(0)),
+}));
+
+vi.mock('../server/db.js', () => store);
+
+import {
+    selectRelevantFacts, formatMemoryForPrompt, mightContainMemory, parseJsonObject,
+    validateMemoryChanges, extractMemoryChanges, updateMemoryFromChat, MAX_FACTS_PER_USER,
+} from '../server/memory.js';
+
+const fact = (id, category, content, day = 1) => ({ id, category, content, updatedAt: new Date(Date.UTC(2026, 0, day)) });
+
+const replying = (content) => ({ chat: vi.fn(() => Promise.resolve({ content })) });
+
+beforeEach(() => {
+    vi.clearAllMocks();
+});
+
+describe('selectRelevantFacts', () => {
+    const facts = [
+        fact('a', 'preference', 'Lust geen broccoli', 5),
+        fact('b', 'pr', 'Squat PR is 140 kg', 2),
+        fact('c', 'injury', 'Linkerschouder gevoelig bij overhead press', 1),
+        fact('d', 'schedule', 'Traint op maandag en donderdag', 4),
+    ];
+
+    it('ranks facts that share words with the message first', () => {
+        const ids = selectRelevantFacts(facts, 'Hoeveel sets squats moet ik doen?').map(f => f.id);
+        expect(ids[0]).toBe('b');
+    });
+
+    it('keeps injuries ahead of unrelated facts', () => {
+        expect(selectRelevantFacts(facts, 'Wat eet ik vandaag?').map(f => f.id)).toEqual(['c', 'a', 'd', 'b']);
+    });
+
+    it('limits the number of facts', () => {
+        expect(selectRelevantFacts(facts, 'hallo', 2)).toHaveLength(2);
+    });
+});
+
+describe('formatMemoryForPrompt', () => {
+    it('returns null without facts', () => {
+        expect(formatMemoryForPrompt([])).toBeNull();
+    });
+
+    it('lists facts with the date they were learned', () => {
+        const prompt = formatMemoryForPrompt([fact('b', 'pr', 'Squat PR is 140 kg', 2)]);
+        expect(prompt).toContain('- [2026-01-02] PR: Squat PR is 140 kg');
+    });
+});
+
+describe('mightContainMemory', () => {
+    it.each([
+        ['Mijn nieuwe deadlift PR is 180', true],
+        ['Ik heb een hekel aan spruitjes', true],
+        ['I work night shifts now', true],
+        ['Top, dank je', false],
+        ['Wat vind je daarvan eigenlijk?', false],
+    ])('%s → %s', (text, expected) => {
+        expect(mightContainMemory(text)).toBe(expected);
+    });
+});
+
+describe('parseJsonObject', () => {
+    it('finds the JSON in a fenced or chatty reply', () => {
+        expect(parseJsonObject('Sure:\n```json\n{"add":[{"content":"a } b"}]}\n```')).toEqual({ add: [{ content: 'a } b' }] });
+    });
+
+    it('returns null without an object', () => {
+        expect(parseJsonObject('nothing to remember')).toBeNull();
+    });
+});
+
+describe('validateMemoryChanges', () => {
+    const facts = [fact('a', 'pr', 'Squat PR is 140 kg')];
+
+    it('keeps well-formed changes to known facts', () => {
+        const changes = validateMemoryChanges({
+            add: [{ category: 'goal', content: ' Wil een halve marathon lopen ' }, { category: 'weird', content: 'Heeft een hond' }],
+            update: [{ id: 'a', content: 'Squat PR is 150 kg' }],
+            remove: ['a'],
+        }, facts);
+        expect(changes).toEqual({
+            add: [{ category: 'goal', content: 'Wil een halve marathon lopen' }, { category: 'other', content: 'Heeft een hond' }],
+            update: [{ id: 'a', content: 'Squat PR is 150 kg' }],
+            remove: ['a'],
+        });
+    });
+
+    it('drops duplicates, empty content and ids the user does not have', () => {
+        const changes = validateMemoryChanges({
+            add: [{ category: 'pr', content: 'squat PR is  140 kg' }, { content: '' }, null],
+            update: [{ id: 'other-user', content: 'x' }],
+            remove: ['other-user'],
+        }, facts);
+        expect(changes).toEqual({ add: [], update: [], remove: [] });
+    });
+
+    it('ignores output that is not an object', () => {
+        expect(validateMemoryChanges(null, facts)).toEqual({ add: [], update: [], remove: [] });
+    });
+});
+
+describe('extractMemoryChanges', () => {
+    it('does not call the model for messages without anything to remember', async () => {
+        const llm = replying('{}');
+        await extractMemoryChanges(llm, [], { userText: 'Oké', reply: 'Prima!' });
+        expect(llm.chat).not.toHaveBeenCalled();
+    });
+
+    it('never throws on model failures or invalid JSON', async () => {
+        const failing = { chat: vi.fn(() => Promise.reject(new Error('down'))) };
+        const none = { add: [], update: [], remove: [] };
+        expect(await extractMemoryChanges(failing, [], { userText: 'Mijn PR is 100 kg', reply: '' })).toEqual(none);
+        expect(await extractMemoryChanges(replying('{"add": ['), [], { userText: 'Mijn PR is 100 kg', reply: '' })).toEqual(none);
+    });
+});
+
+describe('updateMemoryFromChat', () => {
+    const exchange = { userText: 'Ik werk vanaf nu in nachtdiensten', reply: 'Oké!', conversationId: 'conv_1', messageId: 'msg_1' };
+
+    it('stores changes with their source and returns what was remembered', async () => {
+        store.listMemoryFacts.mockResolvedValue([fact('a', 'schedule', 'Werkt overdag')]);
+        const llm = replying('{"add":[{"category":"schedule","content":"Werkt in nachtdiensten"}],"remove":["a"]}');
+
+        expect(await updateMemoryFromChat(llm, 'user_1', exchange)).toEqual(['Werkt in nachtdiensten']);
+        expect(store.createMemoryFacts).toHaveBeenCalledWith(
+            'user_1',
+            [{ category: 'schedule', content: 'Werkt in nachtdiensten' }],
+            { conversationId: 'conv_1', messageId: 'msg_1' },
+        );
+        expect(store.deleteMemoryFacts).toHaveBeenCalledWith('user_1', ['a']);
+    });
+
+    it('forgets the oldest facts beyond the cap', async () => {
+        // Newest first, as listMemoryFacts returns them
+        const facts = Array.from({ length: MAX_FACTS_PER_USER }, (_, i) => fact(`f${i}`, 'other', `Feit ${i}`, MAX_FACTS_PER_USER - i));
+        store.listMemoryFacts.mockResolvedValue(facts);
+        const llm = replying('{"add":[{"category":"schedule","content":"Werkt in nachtdiensten"}]}');
+
+        await updateMemoryFromChat(llm, 'user_1', exchange);
+        expect(store.deleteMemoryFacts).toHaveBeenCalledWith('user_1', [`f${MAX_FACTS_PER_USER - 1}`]);
+    });
+
+    it('returns nothing when storing fails', async () => {
+        store.listMemoryFacts.mockRejectedValue(new Error('db down'));
+        expect(await updateMemoryFromChat(replying('{}'), 'user_1', exchange)).toEqual([]);
+    });
+});
@@ -0,0 +1,124 @@
+import {
+    mifflinStJeor, katchMcArdle, activityFromTrainingDays, profileStats, validateTargetsRequest, calculateTargets,
+    toProfileTargets, targetsAreCalculated, formatTargetsForPrompt,
+} from '../server/nutrition.js';
+
+const now = new Date('2026-03-10T12:00:00Z');
+const man = { weightKg: 80, heightCm: 180, age: 30, sex: 'male', bodyFatPct: null, goal: 'cut', activityLevel: 'moderate' };
+
+describe('BMR formulas', () => {
+    it('follows Mifflin-St Jeor for men and women', () => {
+        expect(mifflinStJeor(man)).toBe(1780);
+        expect(mifflinStJeor({ weightKg: 55, heightCm: 160, age: 40, sex: 'female' })).toBe(1189);
+    });
+
+    it('follows Katch-McArdle from lean mass', () => {
+        expect(katchMcArdle({ weightKg: 80, bodyFatPct: 15 })).toBeCloseTo(1838.8, 5);
+    });
+
+    it('guesses an activity level from training days', () => {
+        expect([1, 4, 6, null].map(activityFromTrainingDays)).toEqual(['light', 'moderate', 'active', null]);
+    });
+});
+
+describe('calculateTargets', () => {
+    it('turns stats into kcal and macros for a cut', () => {
+        const { calculation, errors } = calculateTargets(man, { now });
+        expect(errors).toEqual([]);
+        expect(calculation).toEqual({
+            formula: 'mifflin',
+            bmr: 1780,
+            activityLevel: 'moderate',
+            activityMultiplier: 1.55,
+            tdee: 2759,
+            goal: 'cut',
+            adjustmentKcal: -400,
+            minimumApplied: false,
+            kcal: 2360,
+            proteinG: 176,
+            fatG: 72,
+            carbsG: 252,
+            proteinPerKg: 2.2,
+            fatPerKg: 0.9,
+            inputs: { weightKg: 80, heightCm: 180, age: 30, sex: 'male', bodyFatPct: null },
+            calculatedAt: '2026-03-10T12:00:00.000Z',
+        });
+    });
+
+    it('gives the same numbers every time', () => {
+        expect(calculateTargets(man, { now })).toEqual(calculateTargets(man, { now }));
+    });
+
+    it('uses Katch-McArdle when body fat is known and applies goal options', () => {
+        const { calculation } = calculateTargets({ ...man, bodyFatPct: 15, goal: 'bulk' }, { adjustmentKcal: 600, proteinPerKg: 2 });
+        expect(calculation).toMatchObject({ formula: 'katch', bmr: 1839, tdee: 2850, adjustmentKcal: 400, kcal: 3250, proteinG: 160 });
+        expect(calculateTargets({ ...man, bodyFatPct: 15 }, { formula: 'mifflin' }).calculation.bmr).toBe(1780);
+    });
+
+    it('never cuts below BMR or the minimum intake', () => {
+        const { calculation } = calculateTargets({ weightKg: 55, heightCm: 160, age: 40, sex: 'female', goal: 'cut', activityLevel: 'sedentary' });
+        expect(calculation).toMatchObject({ tdee: 1427, kcal: 1200, minimumApplied: true });
+    });
+
+    it('falls back to training days and names what is missing', () => {
+        expect(calculateTargets({ ...man, activityLevel: null, trainingDays: 6 }).calculation.activityLevel).toBe('active');
+        expect(calculateTargets({ weightKg: 80, sex: 'male' }).errors).toEqual([
+            'Mifflin-St Jeor needs heightCm, age',
+            'goal is needed (cut, bulk or recomp)',
+            'activityLevel or trainingDays is needed',
+        ]);
+    });
+});
+
+describe('validateTargetsRequest', () => {
+    it('accepts stat overrides and options', () => {
+        expect(validateTargetsRequest({ weightKg: '82,5', goal: 'bulk', formula: 'auto', fatPerKg: 1 })).toEqual({
+            data: { stats: { weightKg: 82.5, goal: 'bulk' }, options: { fatPerKg: 1 }, save: true },
+            errors: [],
+        });
+    });
+
+    it('rejects values outside the allowed ranges', () => {
+        expect(validateTargetsRequest({ formula: 'harris', proteinPerKg: 3, activityLevel: 'couch', save: 'no' }).errors).toEqual([
+            'activityLevel must be one of: sedentary, light, moderate, active, very_active',
+            'formula must be one of: auto, mifflin, katch',
+            'proteinPerKg must be between 1.8 and 2.2',
+            'save must be true or false',
+        ]);
+    });
+});
+
+describe('profileStats', () => {
+    it('prefers the latest measurements over the profile', () => {
+        const stats = profileStats({ weightKg: 90, bodyFatPct: 25, heightCm: 180, goal: 'cut' }, [
+            { type: 'weight', value: 84, measuredAt: '2026-03-01T07:00:00Z' },
+            { type: 'weight', value: 83, measuredAt: '2026-03-08T07:00:00Z' },
+            { type: 'waist', value: 90, measuredAt: '2026-03-09T07:00:00Z' },
+        ]);
+        expect(stats).toMatchObject({ weightKg: 83, bodyFatPct: 25, heightCm: 180, goal: 'cut', activityLevel: null });
+    });
+});
+
+describe('formatTargetsForPrompt', () => {
+    const { calculation } = calculateTargets(man, { now });
+
+    it('states saved targets with how they were calculated', () => {
+        const profile = { ...toProfileTargets(calculation), targetCalculation: calculation };
+        expect(targetsAreCalculated(profile)).toBe(true);
+        const prompt = formatTargetsForPrompt(profile);
+        expect(prompt).toContain('calculated by the app on 2026-03-10 from 80 kg body weight');
+        expect(prompt).toContain('BMR 1780 kcal (Mifflin-St Jeor) × 1.55 (moderate activity) = TDEE 2759 kcal; cut -400 kcal → 2360 kcal/day');
+        expect(prompt).toContain('protein 176 g (2.2 g/kg), fat 72 g (0.9 g/kg), carbs 252 g');
+    });
+
+    it('keeps to targets the user set by hand', () => {
+        const profile = { ...toProfileTargets(calculation), kcalTarget: 2000, targetCalculation: calculation };
+        expect(targetsAreCalculated(profile)).toBe(false);
+        expect(formatTargetsForPrompt(profile, calculation)).toContain('set their nutrition targets by hand');
+    });
+
+    it('offers a calculation when no targets are saved', () => {
+        expect(formatTargetsForPrompt(null, calculation)).toContain('not yet saved as the user\'s targets');
+        expect(formatTargetsForPrompt(null, null)).toBeNull();
+    });
+});
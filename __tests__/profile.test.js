@@ -0,0 +1,78 @@
+import { sanitizeProfile, formatProfileForPrompt, mightContainProfileInfo, extractProfileUpdates, toPublicProfile } from '../server/profile.js';
+
+// Provider stub that answers every chat() call with a fixed reply
+function replyWith(content) {
+    return { chat: vi.fn(() => Promise.resolve({ content })) };
+}
+
+describe('sanitizeProfile', () => {
+    it('accepts valid values and normalizes numbers', () => {
+        const { data, errors } = sanitizeProfile({ goal: 'bulk', sessionMinutes: 62.4, heightCm: '180,25', language: 'en' });
+        expect(errors).toEqual([]);
+        expect(data).toEqual({ goal: 'bulk', sessionMinutes: 62, heightCm: 180.3, language: 'en' });
+    });
+
+    it('treats null and empty strings as clearing a field', () => {
+        expect(sanitizeProfile({ injuries: '', age: null }).data).toEqual({ injuries: null, age: null });
+    });
+
+    it('reports out-of-range numbers and unknown enum values', () => {
+        const { data, errors } = sanitizeProfile({ trainingDays: 9, equipment: 'spaceship' });
+        expect(data).toEqual({});
+        expect(errors).toEqual([
+            'trainingDays must be a number between 1 and 7',
+            'equipment must be one of: gym, home, minimal',
+        ]);
+    });
+
+    it('rejects non-object input', () => {
+        expect(sanitizeProfile(undefined).errors).toEqual(['Profile must be an object']);
+        expect(sanitizeProfile([]).errors).toEqual(['Profile must be an object']);
+    });
+});
+
+describe('formatProfileForPrompt', () => {
+    it('returns null for an empty profile', () => {
+        expect(formatProfileForPrompt(null)).toBeNull();
+        expect(formatProfileForPrompt(toPublicProfile(null))).toBeNull();
+    });
+
+    it('lists only the filled-in fields', () => {
+        const prompt = formatProfileForPrompt({ ...toPublicProfile(null), goal: 'cut', injuries: 'schouder' });
+        expect(prompt).toContain('- Goal: cut');
+        expect(prompt).toContain('- Injuries/limitations: schouder');
+        expect(prompt).not.toContain('Age');
+    });
+
+    it('leaves the unit preferences to their own message', () => {
+        const prompt = formatProfileForPrompt({ ...toPublicProfile(null), goal: 'cut', weightUnit: 'lb' });
+        expect(prompt).not.toContain('unit');
+        expect(formatProfileForPrompt({ ...toPublicProfile(null), energyUnit: 'kJ' })).toBeNull();
+    });
+});
+
+describe('extractProfileUpdates', () => {
+    it('skips the model call for messages without profile hints', async () => {
+        const llm = replyWith('{"goal":"cut"}');
+        expect(mightContainProfileInfo('Hoe gaat het?')).toBe(false);
+        expect(await extractProfileUpdates(llm, null, 'Hoe gaat het?')).toEqual({});
+        expect(llm.chat).not.toHaveBeenCalled();
+    });
+
+    it('returns validated fields that differ from the current profile', async () => {
+        const llm = replyWith('Sure: {"goal":"cut","trainingDays":4,"age":250,"mood":"great"}');
+        const updates = await extractProfileUpdates(llm, { goal: 'bulk', trainingDays: 4 }, 'Ik wil nu cutten, 4 dagen per week');
+        expect(updates).toEqual({ goal: 'cut' });
+    });
+
+    it('never clears fields', async () => {
+        const llm = replyWith('{"injuries":null}');
+        expect(await extractProfileUpdates(llm, { injuries: 'knie' }, 'Mijn knie is weer beter')).toEqual({});
+    });
+
+    it('swallows provider errors and unparseable replies', async () => {
+        const failing = { chat: vi.fn(() => Promise.reject(new Error('upstream down'))) };
+        expect(await extractProfileUpdates(failing, null, 'Ik train 3 dagen')).toEqual({});
+        expect(await extractProfileUpdates(replyWith('no json here'), null, 'Ik train 3 dagen')).toEqual({});
+    });
+});
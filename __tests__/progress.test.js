@@ -0,0 +1,42 @@
+import { vi } from 'vitest';
+
+// Only the pure helpers are tested here; the database paths run through chat.test.js
+vi.mock('@prisma/client', () => ({ PrismaClient: function PrismaClient() { return {}; } }));
+
+import { summarizeProgress, validatePlan } from '../server/progress.js';
+
+describe('summarizeProgress', () => {
+    it('reports an empty log', () => {
+        expect(summarizeProgress([])).toEqual({ entries: 0, unit: 'kg' });
+    });
+
+    it('reports first, latest, change and the last seven entries', () => {
+        const entries = Array.from({ length: 10 }, (_, i) => ({ date: `2026-01-${String(i + 1).padStart(2, '0')}`, weight: 90 - i * 0.3 }));
+        const summary = summarizeProgress(entries);
+        expect(summary.entries).toBe(10);
+        expect(summary.change).toBe(-2.7);
+        expect(summary.unit).toBe('kg');
+        expect(summary.recent).toHaveLength(7);
+        expect(summary.recent[0].date).toBe('2026-01-04');
+    });
+
+    it('reports weights in the user\'s unit', () => {
+        const summary = summarizeProgress([{ date: '2026-01-01', weight: 90 }, { date: '2026-02-01', weight: 86.5 }], 'lb');
+        expect(summary).toMatchObject({ unit: 'lb', first: { weight: 198.4 }, latest: { weight: 190.7 }, change: -7.7 });
+        expect(summary.recent.map(e => e.weight)).toEqual([198.4, 190.7]);
+    });
+});
+
+describe('validatePlan', () => {
+    it('trims input and defaults the type', () => {
+        expect(validatePlan({ title: ' Week 1 ', content: ' Dag 1: push ' })).toEqual({
+            plan: { title: 'Week 1', content: 'Dag 1: push', type: 'other' },
+        });
+    });
+
+    it('requires a title and content and a known type', () => {
+        expect(validatePlan({ content: 'x' }).error).toBe('Title is required');
+        expect(validatePlan({ title: 'x' }).error).toBe('Content is required');
+        expect(validatePlan({ title: 'x', content: 'y', type: 'poem' }).error).toContain('Type must be one of');
+    });
+});
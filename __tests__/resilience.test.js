@@ -0,0 +1,270 @@
+import { vi } from 'vitest';
+import { UpstreamError, createOpenAiCompatibleProvider } from '../server/llm.js';
+import {
+    withResilience, createCircuitBreaker, toUpstreamError, toClientError, resilienceOptionsFromEnv, ERROR_CODES,
+} from '../server/resilience.js';
+
+const httpError = (status, retryAfterMs = null) => new UpstreamError(`openai error: ${status} secret upstream detail`, { status, retryAfterMs });
+
+// Provider whose calls follow a script: an Error is thrown, anything else is the reply
+function scriptedProvider(script) {
+    const calls = [];
+    const next = (req) => {
+        calls.push(req.model);
+        const step = script.length > 1 ? script.shift() : script[0];
+        if (step instanceof Error) throw step;
+        return step;
+    };
+    return {
+        name: 'scripted',
+        model: 'primary',
+        configError: null,
+        calls,
+        async chat(req) {
+            return { content: next(req), toolCalls: [] };
+        },
+        async *stream(req) {
+            const reply = next(req);
+            for (const word of reply.split(' ')) yield word;
+        },
+    };
+}
+
+const fastOptions = (extra = {}) => ({ sleep: vi.fn(async () => {}), ...extra });
+
+async function collect(stream) {
+    const items = [];
+    for await (const item of stream) items.push(item);
+    return items;
+}
+
+describe('withResilience: retries', () => {
+    it('retries retryable failures with exponential backoff', async () => {
+        const provider = scriptedProvider([httpError(503), httpError(502), 'Hoi']);
+        const options = fastOptions({ baseDelayMs: 100 });
+        const result = await withResilience(provider, options).chat({ messages: [] });
+
+        expect(result).toMatchObject({ content: 'Hoi', model: 'primary' });
+        expect(provider.calls).toEqual(['primary', 'primary', 'primary']);
+        const [first, second] = options.sleep.mock.calls.map(([ms]) => ms);
+        expect(first).toBeGreaterThanOrEqual(50);
+        expect(first).toBeLessThanOrEqual(100);
+        expect(second).toBeGreaterThanOrEqual(100);
+        expect(second).toBeLessThanOrEqual(200);
+    });
+
+    it('waits at least as long as Retry-After asks, up to the cap', async () => {
+        const options = fastOptions({ maxDelayMs: 5000 });
+        await withResilience(scriptedProvider([httpError(429, 3000), httpError(429, 60000), 'ok']), options).chat({ messages: [] });
+        expect(options.sleep.mock.calls.map(([ms]) => ms)).toEqual([3000, 5000]);
+    });
+
+    it('does not retry client errors and reports them with a stable code', async () => {
+        const provider = scriptedProvider([httpError(400)]);
+        await expect(withResilience(provider, fastOptions()).chat({ messages: [] }))
+            .rejects.toMatchObject({ code: ERROR_CODES.failed, status: 400 });
+        expect(provider.calls).toHaveLength(1);
+    });
+
+    it('gives up after maxRetries', async () => {
+        const provider = scriptedProvider([httpError(500)]);
+        await expect(withResilience(provider, fastOptions({ maxRetries: 1 })).chat({ messages: [] }))
+            .rejects.toMatchObject({ code: ERROR_CODES.unavailable });
+        expect(provider.calls).toHaveLength(2);
+    });
+
+    it('retries a stream that fails before its first item', async () => {
+        const provider = scriptedProvider([httpError(503), 'Gaat goed']);
+        expect(await collect(withResilience(provider, fastOptions()).stream({ messages: [] }))).toEqual(['Gaat', 'goed']);
+        expect(provider.calls).toHaveLength(2);
+    });
+
+    it('does not retry a stream that fails after output was sent', async () => {
+        let calls = 0;
+        const provider = {
+            model: 'primary',
+            async *stream() {
+                calls++;
+                yield 'Half';
+                throw httpError(502);
+            },
+        };
+        const items = [];
+        await expect(async () => {
+            for await (const item of withResilience(provider, fastOptions()).stream({ messages: [] })) items.push(item);
+        }).rejects.toMatchObject({ code: ERROR_CODES.unavailable });
+        expect(items).toEqual(['Half']);
+        expect(calls).toBe(1);
+    });
+
+    it('stops immediately when the caller aborts', async () => {
+        const controller = new AbortController();
+        const provider = {
+            model: 'primary',
+            chat: vi.fn(async () => {
+                controller.abort();
+                throw new DOMException('aborted', 'AbortError');
+            }),
+        };
+        await expect(withResilience(provider, fastOptions()).chat({ messages: [], signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(provider.chat).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('withResilience: timeouts', () => {
+    const never = () => new Promise(() => {});
+
+    it('bounds a chat call, even when the provider ignores the abort signal', async () => {
+        const provider = { model: 'primary', chat: vi.fn(never) };
+        await expect(withResilience(provider, fastOptions({ timeoutMs: 20, maxRetries: 1 })).chat({ messages: [] }))
+            .rejects.toMatchObject({ code: ERROR_CODES.timeout });
+        expect(provider.chat).toHaveBeenCalledTimes(2);
+    });
+
+    it('times out a stream that goes silent between items', async () => {
+        const provider = {
+            model: 'primary',
+            async *stream() {
+                yield 'Eerste';
+                await never();
+            },
+        };
+        const items = [];
+        await expect(async () => {
+            for await (const item of withResilience(provider, fastOptions({ idleTimeoutMs: 20 })).stream({ messages: [] })) items.push(item);
+        }).rejects.toMatchObject({ code: ERROR_CODES.timeout });
+        expect(items).toEqual(['Eerste']);
+    });
+});
+
+describe('withResilience: fallback model', () => {
+    it('switches to the fallback model when the primary keeps failing', async () => {
+        const provider = scriptedProvider([httpError(503), httpError(503), 'Van de fallback']);
+        const result = await withResilience(provider, fastOptions({ maxRetries: 1, fallbackModel: 'backup' })).chat({ messages: [] });
+
+        expect(provider.calls).toEqual(['primary', 'primary', 'backup']);
+        expect(result).toMatchObject({ content: 'Van de fallback', model: 'backup' });
+    });
+
+    it('announces the fallback model at the start of a stream', async () => {
+        const provider = scriptedProvider([httpError(500), 'Hallo daar']);
+        const items = await collect(withResilience(provider, fastOptions({ maxRetries: 0, fallbackModel: 'backup' })).stream({ messages: [] }));
+        expect(items).toEqual([{ model: 'backup' }, 'Hallo', 'daar']);
+    });
+});
+
+describe('createCircuitBreaker', () => {
+    it('opens after consecutive failures and lets one trial through after the cooldown', () => {
+        let time = 0;
+        const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => time });
+
+        breaker.recordFailure('m');
+        expect(breaker.canRequest('m')).toBe(true);
+        breaker.recordFailure('m');
+        expect(breaker.state('m')).toBe('open');
+        expect(breaker.canRequest('m')).toBe(false);
+
+        time = 1000;
+        expect(breaker.canRequest('m')).toBe(true);
+        expect(breaker.canRequest('m')).toBe(false);
+        breaker.recordFailure('m');
+        expect(breaker.state('m')).toBe('open');
+
+        time = 2000;
+        expect(breaker.canRequest('m')).toBe(true);
+        breaker.recordSuccess('m');
+        expect(breaker.state('m')).toBe('closed');
+    });
+
+    it('lets the next call through when the half-open trial is aborted', async () => {
+        let time = 0;
+        const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => time });
+        breaker.recordFailure('primary');
+        time = 1000;
+
+        const controller = new AbortController();
+        const provider = {
+            model: 'primary',
+            chat: vi.fn(async () => {
+                controller.abort();
+                throw new DOMException('aborted', 'AbortError');
+            }),
+        };
+        const resilient = withResilience(provider, fastOptions({ breaker }));
+        await expect(resilient.chat({ messages: [], signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+        expect(breaker.canRequest('primary')).toBe(true);
+    });
+
+    it('lets the next call through when the half-open trial hits a client error', async () => {
+        let time = 0;
+        const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => time });
+        breaker.recordFailure('primary');
+        time = 1000;
+
+        const provider = scriptedProvider([httpError(400), 'Weer bereikbaar']);
+        const resilient = withResilience(provider, fastOptions({ breaker }));
+        await expect(resilient.chat({ messages: [] })).rejects.toMatchObject({ code: ERROR_CODES.failed, status: 400 });
+        expect((await resilient.chat({ messages: [] })).content).toBe('Weer bereikbaar');
+        expect(breaker.state('primary')).toBe('closed');
+    });
+
+    it('fails fast without calling an upstream whose circuit is open', async () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 2 });
+        const provider = scriptedProvider([httpError(503)]);
+        const resilient = withResilience(provider, fastOptions({ breaker, maxRetries: 1 }));
+
+        await expect(resilient.chat({ messages: [] })).rejects.toMatchObject({ code: ERROR_CODES.unavailable });
+        expect(provider.calls).toHaveLength(2);
+
+        await expect(resilient.chat({ messages: [] })).rejects.toMatchObject({ code: ERROR_CODES.unavailable });
+        expect(provider.calls).toHaveLength(2);
+    });
+
+    it('still serves the fallback model while the primary circuit is open', async () => {
+        const breaker = createCircuitBreaker({ failureThreshold: 1 });
+        breaker.recordFailure('primary');
+        const provider = scriptedProvider(['ok']);
+        const result = await withResilience(provider, fastOptions({ breaker, fallbackModel: 'backup' })).chat({ messages: [] });
+        expect(provider.calls).toEqual(['backup']);
+        expect(result.model).toBe('backup');
+    });
+});
+
+describe('error codes', () => {
+    it.each([
+        [httpError(429), ERROR_CODES.rateLimited],
+        [httpError(500), ERROR_CODES.unavailable],
+        [httpError(408), ERROR_CODES.unavailable],
+        [httpError(401), ERROR_CODES.failed],
+        [new TypeError('fetch failed'), ERROR_CODES.unavailable],
+    ])('classifies %s', (error, code) => {
+        expect(toUpstreamError(error).code).toBe(code);
+    });
+
+    it('never passes provider text to clients', () => {
+        const { status, body } = toClientError(toUpstreamError(httpError(503)));
+        expect(status).toBe(503);
+        expect(body).toEqual({ error: 'The coach is temporarily unavailable', code: 'upstream_unavailable' });
+        expect(toClientError(new Error('relation "users" does not exist'))).toEqual({
+            status: 500,
+            body: { error: 'Something went wrong', code: 'internal_error' },
+        });
+    });
+
+    it('reads status and Retry-After from OpenAI-compatible responses', async () => {
+        const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce(
+            new Response('slow down', { status: 429, headers: { 'Retry-After': '7' } })
+        );
+        const provider = createOpenAiCompatibleProvider({ baseUrl: 'http://llm.test/v1', model: 'm' });
+        await expect(provider.chat({ messages: [] })).rejects.toMatchObject({ name: 'UpstreamError', status: 429, retryAfterMs: 7000 });
+        fetchSpy.mockRestore();
+    });
+});
+
+describe('resilienceOptionsFromEnv', () => {
+    it('reads limits and the fallback model from the environment', () => {
+        const options = resilienceOptionsFromEnv({ LLM_TIMEOUT_MS: '15000', LLM_MAX_RETRIES: '0', LLM_FALLBACK_MODEL: 'gpt-4o-mini' });
+        expect(options).toMatchObject({ timeoutMs: 15000, idleTimeoutMs: 30000, maxRetries: 0, fallbackModel: 'gpt-4o-mini' });
+    });
+});
@@ -0,0 +1,172 @@
+import { vi } from 'vitest';
+
+const { addSafetyEvents } = vi.hoisted(() => ({ addSafetyEvents: vi.fn(() => Promise.resolve()) }));
+
+vi.mock('../server/db.js', () => ({
+    addSafetyEvents,
+    getSetting: vi.fn(),
+    updateSetting: vi.fn(),
+}));
+
+import {
+    matchRules, INPUT_RULES, OUTPUT_RULES, screenMessage, safetyPolicyPrompt, referralMessage,
+    validateSafetyPolicy, logSafetyEvents, createOpenAiModeration, DEFAULT_SAFETY_POLICY,
+} from '../server/safety.js';
+
+const categoriesOf = (text, rules = INPUT_RULES) => [...new Set(matchRules(text, rules).map(f => f.category))];
+
+describe('input rules', () => {
+    it.each([
+        ['Ik had pijn op de borst tijdens het hardlopen', 'medical_emergency'],
+        ['I fainted halfway through my deadlifts', 'medical_emergency'],
+        ['Na de sprint was ik echt kortademig en duizelig', 'medical_emergency'],
+        ['Soms denk ik aan zelfmoord', 'self_harm'],
+        ['I just want to hurt myself when I overeat', 'self_harm'],
+        ['Na het eten laat ik mezelf overgeven', 'eating_disorder'],
+        ['I use laxatives after a cheat day', 'eating_disorder'],
+        ['Ik eet maar 600 kcal per dag', 'eating_disorder'],
+        ['Ik heb weer een eetbui gehad', 'eating_disorder'],
+        ['I heard a pop in my knee on the squat', 'injury'],
+        ['Mijn enkel is gebroken denk ik', 'injury'],
+        ['Ik heb tintelingen in mijn hand na bankdrukken', 'injury'],
+    ])('flags "%s" as %s', (text, category) => {
+        expect(categoriesOf(text)).toContain(category);
+    });
+
+    it.each([
+        'Ik heb spierpijn van de squats van gisteren',
+        'How many calories should I eat to lose fat?',
+        'Mijn borst training was zwaar vandaag, wat is een goede oefening voor de borst?',
+        'Ik wil 500 kcal per dag minder eten',
+        'I broke my bench PR today!',
+        'Is een eiwitshake na de training nodig?',
+    ])('leaves normal coaching questions alone: "%s"', (text) => {
+        expect(matchRules(text, INPUT_RULES)).toEqual([]);
+    });
+
+    it('reports which rule matched and the matched text', () => {
+        expect(matchRules('Ik had PIJN OP DE BORST', INPUT_RULES)).toEqual([
+            { category: 'medical_emergency', source: 'rules', rule: 'chest_pain', match: 'PIJN OP DE BORST' },
+        ]);
+    });
+});
+
+describe('output rules', () => {
+    it.each([
+        'Eet vanaf morgen 800 kcal per dag en je bent er zo.',
+        'Try a water fast for 5 days to kickstart it.',
+        'Neem wat laxeermiddelen voor de weging.',
+        'Just push through the pain, it will loosen up.',
+    ])('flags unsafe advice: "%s"', (text) => {
+        expect(categoriesOf(text, OUTPUT_RULES)).toEqual(['unsafe_advice']);
+    });
+
+    it.each([
+        'Eet 500 kcal per dag minder dan je onderhoud, dus rond 2200 kcal per dag.',
+        'Aim for a deficit of 400 kcal per day.',
+        'Eet 300 kcal extra per dag om te bulken.',
+        'Intermittent fasting for 16 hours is fine if it suits you.',
+    ])('allows normal advice: "%s"', (text) => {
+        expect(matchRules(text, OUTPUT_RULES)).toEqual([]);
+    });
+});
+
+describe('screenMessage', () => {
+    const policy = DEFAULT_SAFETY_POLICY;
+
+    it('allows messages without flags', async () => {
+        expect(await screenMessage('Wat is een goed push schema?', { direction: 'input', policy }))
+            .toEqual({ action: 'allow', flags: [], categories: [] });
+    });
+
+    it('takes the most severe action over all flagged categories', async () => {
+        const result = await screenMessage('Ik heb een knak gevoeld in mijn enkel en had pijn op de borst', { direction: 'input', policy });
+        expect(result.action).toBe('refer');
+        expect(result.categories).toEqual(['medical_emergency', 'injury']);
+    });
+
+    it('follows the admin policy per category', async () => {
+        const relaxed = { ...policy, actions: { ...policy.actions, medical_emergency: 'caution' } };
+        expect((await screenMessage('I fainted', { direction: 'input', policy: relaxed })).action).toBe('caution');
+
+        const off = { ...policy, actions: { ...policy.actions, medical_emergency: 'off' } };
+        expect((await screenMessage('I fainted', { direction: 'input', policy: off })).action).toBe('allow');
+    });
+
+    it('does nothing when screening is disabled', async () => {
+        expect((await screenMessage('I fainted', { direction: 'input', policy: { ...policy, enabled: false } })).action).toBe('allow');
+        expect((await screenMessage('Try a water fast for 5 days', { direction: 'output', policy: { ...policy, screenReplies: false } })).action).toBe('allow');
+    });
+
+    it('downgrades caution to log for replies, which are already written', async () => {
+        const cautious = { ...policy, actions: { ...policy.actions, unsafe_advice: 'caution' } };
+        expect((await screenMessage('Try a water fast for 5 days', { direction: 'output', policy: cautious })).action).toBe('log');
+    });
+
+    it('adds moderation flags and survives a failing moderation provider', async () => {
+        const moderation = { moderate: vi.fn(async () => [{ category: 'self_harm', source: 'moderation', rule: 'self-harm/intent', match: '' }]) };
+        const flagged = await screenMessage('Alles voelt zinloos', { direction: 'input', policy, moderation });
+        expect(flagged).toMatchObject({ action: 'refer', categories: ['self_harm'] });
+
+        const broken = { moderate: vi.fn(async () => { throw new Error('timeout'); }) };
+        expect((await screenMessage('I fainted', { direction: 'input', policy, moderation: broken })).action).toBe('refer');
+    });
+});
+
+describe('responses', () => {
+    it('builds the safety prompt from the flagged categories', () => {
+        const prompt = safetyPolicyPrompt({ categories: ['eating_disorder', 'injury'] });
+        expect(prompt).toContain('disordered eating');
+        expect(prompt).toContain('physiotherapist');
+    });
+
+    it('refers in the user\'s language for the most severe category', () => {
+        expect(referralMessage({ categories: ['self_harm', 'injury'] }, 'nl')).toContain('0800-0113');
+        expect(referralMessage({ categories: ['medical_emergency'] }, 'en')).toMatch(/^What you describe could be a medical emergency/);
+        expect(referralMessage({ categories: ['flagged_content'] }, 'en')).toContain('cannot safely help');
+    });
+});
+
+describe('createOpenAiModeration', () => {
+    it('maps flagged moderation categories onto safety categories', async () => {
+        const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValueOnce(new Response(JSON.stringify({
+            results: [{ flagged: true, categories: { 'self-harm/intent': true, violence: true, sexual: false } }],
+        })));
+
+        const flags = await createOpenAiModeration({ apiKey: 'k' }).moderate('tekst');
+
+        expect(fetchSpy.mock.calls[0][0]).toBe('https://api.openai.com/v1/moderations');
+        expect(flags.map(f => f.category)).toEqual(['self_harm', 'flagged_content']);
+        fetchSpy.mockRestore();
+    });
+});
+
+describe('validateSafetyPolicy', () => {
+    it('fills in defaults for missing categories', () => {
+        const { data, errors } = validateSafetyPolicy({ actions: { injury: 'log' } });
+        expect(errors).toEqual([]);
+        expect(data.actions).toEqual({ ...DEFAULT_SAFETY_POLICY.actions, injury: 'log' });
+        expect(data.enabled).toBe(true);
+    });
+
+    it('rejects unknown categories and actions', () => {
+        expect(validateSafetyPolicy({ actions: { gossip: 'log', injury: 'block' }, enabled: 'yes' }).errors).toEqual([
+            'enabled must be a boolean',
+            'Unknown category "gossip"',
+            'injury must be one of off, log, caution, refer',
+        ]);
+    });
+});
+
+describe('logSafetyEvents', () => {
+    it('stores one event per category with the matches and an excerpt', async () => {
+        addSafetyEvents.mockClear();
+        const screening = await screenMessage('I fainted and heard a pop in my ankle', { direction: 'input', policy: DEFAULT_SAFETY_POLICY });
+        await logSafetyEvents({ userId: 'u1', conversationId: 'c1', messageId: 'm1', direction: 'input', text: 'I fainted and heard a pop in my ankle' }, screening, DEFAULT_SAFETY_POLICY);
+
+        expect(addSafetyEvents).toHaveBeenCalledWith([
+            expect.objectContaining({ category: 'medical_emergency', action: 'refer', source: 'rules', messageId: 'm1', matches: [{ source: 'rules', rule: 'fainting', match: 'fainted' }] }),
+            expect.objectContaining({ category: 'injury', action: 'caution', excerpt: 'I fainted and heard a pop in my ankle' }),
+        ]);
+    });
+});
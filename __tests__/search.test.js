@@ -0,0 +1,67 @@
+import { validateSearchQuery, parseHeadline, toSearchResult, HEADLINE_OPTIONS } from '../server/search.js';
+
+describe('validateSearchQuery', () => {
+    it('trims the query and applies defaults', () => {
+        expect(validateSearchQuery({ q: '  kip rijst ' })).toEqual({
+            data: { q: 'kip rijst', from: undefined, to: undefined, lang: 'nl', limit: 20, offset: 0 },
+            errors: [],
+        });
+    });
+
+    it('caps the page size and ignores malformed filters', () => {
+        expect(validateSearchQuery({ q: 'kip', from: '2026-03-01', to: 'maart', lang: 'de', limit: '500', offset: '-3' }).data)
+            .toEqual({ q: 'kip', from: '2026-03-01', to: undefined, lang: 'nl', limit: 50, offset: 0 });
+        expect(validateSearchQuery({ q: 'kip', lang: 'en', limit: '5', offset: '10' }).data)
+            .toMatchObject({ lang: 'en', limit: 5, offset: 10 });
+    });
+
+    it.each([
+        [{}, 'q must be at least 2 characters'],
+        [{ q: ' a ' }, 'q must be at least 2 characters'],
+        [{ q: ['kip', 'rijst'] }, 'q must be at least 2 characters'],
+        [{ q: 'x'.repeat(201) }, 'q must be at most 200 characters'],
+    ])('rejects %j', (query, error) => {
+        expect(validateSearchQuery(query)).toEqual({ errors: [error] });
+    });
+});
+
+describe('parseHeadline', () => {
+    it('splits a snippet into plain and matched segments', () => {
+        expect(parseHeadline('Een recept met \u0002kip\u0003 en \u0002rijst\u0003.')).toEqual([
+            { text: 'Een recept met ', match: false },
+            { text: 'kip', match: true },
+            { text: ' en ', match: false },
+            { text: 'rijst', match: true },
+            { text: '.', match: false },
+        ]);
+    });
+
+    it('keeps the space between adjacent matches', () => {
+        expect(parseHeadline('\u0002chicken\u0003 \u0002rice\u0003')).toEqual([
+            { text: 'chicken', match: true },
+            { text: ' ', match: false },
+            { text: 'rice', match: true },
+        ]);
+    });
+
+    it('drops Markdown and video tags', () => {
+        expect(parseHeadline('## Dag 1\n| **\u0002Squat\u0003** | 4 x 8 |\n[video:squat-form]')).toEqual([
+            { text: 'Dag 1 ', match: false },
+            { text: 'Squat', match: true },
+            { text: ' 4 x 8', match: false },
+        ]);
+        expect(parseHeadline(null)).toEqual([]);
+    });
+});
+
+describe('toSearchResult', () => {
+    it('maps a search row for the client', () => {
+        const createdAt = new Date('2026-03-12T18:00:00Z');
+        expect(toSearchResult({ id: 'm1', conversationId: 'c1', conversationTitle: 'Recepten', role: 'user', createdAt, headline: '\u0002kip\u0003', rank: 0.4 }))
+            .toEqual({ messageId: 'm1', conversationId: 'c1', conversationTitle: 'Recepten', role: 'user', createdAt, snippet: [{ text: 'kip', match: true }] });
+    });
+
+    it('asks Postgres for the highlight markers', () => {
+        expect(HEADLINE_OPTIONS).toContain('StartSel=\u0002, StopSel=\u0003');
+    });
+});
@@ -0,0 +1,307 @@
+import { vi } from 'vitest';
+
+// Only the pure helpers are tested here; the upload and download routes run through chat.test.js
+vi.mock('@prisma/client', () => ({ PrismaClient: function PrismaClient() { return {}; } }));
+
+import {
+    ImportError, MAX_IMPORT_ROWS, parseCsv, parseAppleHealth, readAppleHealth, readImportFile, suggestMapping, validateMapping, parseNumber, parseDate,
+    importMeasurements, toImportRows, toImportPreview, validateProgressExport, measurementsToCsv, workoutsToCsv, mealsToCsv,
+} from '../server/transfer.js';
+
+const now = new Date('2026-03-10T09:00:00Z');
+const imperial = { weightUnit: 'lb', lengthUnit: 'in', energyUnit: 'kJ' };
+const file = (text) => Buffer.from(text);
+
+const APPLE_EXPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE HealthData [<!ELEMENT HealthData (ExportDate,Me,(Record)*)>]>
+<HealthData locale="nl_NL">
+ <ExportDate value="2026-03-09 20:00:00 +0100"/>
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Withings" unit="kg" creationDate="2026-03-01 07:33:00 +0100" startDate="2026-03-01 07:32:11 +0100" endDate="2026-03-01 07:32:11 +0100" value="82.3"/>
+ <Record type="HKQuantityTypeIdentifierBodyMassIndex" sourceName="Withings" unit="count" startDate="2026-03-01 07:32:11 +0100" endDate="2026-03-01 07:32:11 +0100" value="24.1"/>
+ <Record type="HKQuantityTypeIdentifierBodyFatPercentage" sourceName="Withings" unit="%" startDate="2026-03-01 07:32:11 +0100" endDate="2026-03-01 07:32:11 +0100" value="0.185"/>
+ <Record type="HKQuantityTypeIdentifierStepCount" sourceName="iPhone" unit="count" startDate="2026-03-01 08:00:00 +0100" endDate="2026-03-01 08:10:00 +0100" value="812"/>
+ <Record type="HKQuantityTypeIdentifierBodyMass" sourceName="Gezondheid" unit="lb" startDate="2026-03-02 07:40:00 +0100" endDate="2026-03-02 07:40:00 +0100" value="181"/>
+</HealthData>
+`;
+
+describe('parseCsv', () => {
+    it('reads quoted fields with delimiters, quotes and line breaks', () => {
+        expect(parseCsv('date,note\r\n2026-03-01,"na ""cheat day"", 1,2 kg"\r\n2026-03-02,"twee\nregels"\r\n')).toEqual([
+            ['date', 'note'],
+            ['2026-03-01', 'na "cheat day", 1,2 kg'],
+            ['2026-03-02', 'twee\nregels'],
+        ]);
+    });
+
+    it('takes semicolons or tabs as the delimiter when the header uses them, and drops a BOM and blank lines', () => {
+        expect(parseCsv('\uFEFFDatum;Gewicht\n01-03-2026;82,4\n\n')).toEqual([['Datum', 'Gewicht'], ['01-03-2026', '82,4']]);
+        expect(parseCsv('Date\tWeight\n2026-03-01\t82.4')).toEqual([['Date', 'Weight'], ['2026-03-01', '82.4']]);
+    });
+});
+
+describe('readImportFile', () => {
+    it('recognizes exports of common apps by their headers', () => {
+        expect(readImportFile(file('Date,Move Minutes count,Average weight (kg),Max weight (kg),Min weight (kg)\n2026-03-01,30,82.4,82.4,82.4')))
+            .toMatchObject({ format: 'csv', source: 'google_fit' });
+        expect(readImportFile(file('Date,Weight (kg),Fat mass (kg),Bone mass (kg),Comments\n2026-03-01 07:30:00,82.4,15.2,3.1,')).source).toBe('withings');
+        expect(readImportFile(file('Time of Measurement,Weight(kg),BMI,Body Fat(%)\n2026/03/01 07:30:00,82.4,24.1,18.5')).source).toBe('renpho');
+        expect(readImportFile(file('datum,gewicht\n01-03-2026,82.4'))).toMatchObject({ source: 'csv', columns: ['datum', 'gewicht'] });
+    });
+
+    it('reads body weight, body fat and waist records from an Apple Health export', () => {
+        const table = readImportFile(file(APPLE_EXPORT));
+        expect(table).toMatchObject({ format: 'apple_health', source: 'apple_health', columns: ['Date', 'Weight', 'Body fat', 'Waist', 'Source'] });
+        expect(table.rows).toEqual([
+            ['2026-03-01T07:32:11+01:00', '82.3 kg', '', '', 'Withings'],
+            ['2026-03-01T07:32:11+01:00', '', '18.5 %', '', 'Withings'],
+            ['2026-03-02T07:40:00+01:00', '181 lb', '', '', 'Gezondheid'],
+        ]);
+        expect(parseAppleHealth('<HealthData></HealthData>').rows).toEqual([]);
+    });
+
+    it('reads an Apple Health export in chunks that cut through its records', async () => {
+        const chunks = APPLE_EXPORT.match(/[\s\S]{1,37}/g);
+        expect(await readAppleHealth(chunks)).toEqual(parseAppleHealth(APPLE_EXPORT));
+        expect((await readAppleHealth([APPLE_EXPORT])).rows).toHaveLength(3);
+    });
+
+    it('stops reading an Apple Health export past the row limit', async () => {
+        const record = '<Record type="HKQuantityTypeIdentifierBodyMass" unit="kg" startDate="2026-03-01 07:32:11 +0100" value="82.3"/>\n';
+        let read = 0;
+        async function* chunks() {
+            for (; read < MAX_IMPORT_ROWS + 100; read++) yield record;
+        }
+        expect((await readAppleHealth(chunks())).rows.length).toBeGreaterThan(MAX_IMPORT_ROWS);
+        expect(read).toBeLessThan(MAX_IMPORT_ROWS + 100);
+    });
+
+    it('rejects files without data rows', () => {
+        expect(() => readImportFile(file('date,weight\n'))).toThrow(ImportError);
+        expect(() => readImportFile(file('<?xml version="1.0"?><HealthData></HealthData>'))).toThrow('No weight, body fat or waist records');
+    });
+});
+
+describe('suggestMapping', () => {
+    it('maps recognized columns with the unit in their header, and the user\'s unit otherwise', () => {
+        const table = readImportFile(file('Time of Measurement,Weight(kg),BMI,Body Fat(%),Fat-free Body Weight(kg),Subcutaneous Fat(%),Taille,Opmerking\n13/03/2026 07:30,82.4,24.1,18.5,67.2,15.1,88,'));
+        expect(suggestMapping(table, imperial)).toEqual({
+            date: 'Time of Measurement',
+            dateOrder: 'dmy',
+            columns: { weight: 'Weight(kg)', bodyFat: 'Body Fat(%)', waist: 'Taille' },
+            units: { weight: 'kg', bodyFat: '%', waist: 'in' },
+            note: 'Opmerking',
+        });
+    });
+
+    it('leaves out fat mass and the minimum and maximum of a day', () => {
+        const withings = readImportFile(file('Date,Weight (kg),Fat mass (kg),Comments\n2026-03-01 07:30:00,82.4,15.2,'));
+        expect(suggestMapping(withings).columns).toEqual({ weight: 'Weight (kg)' });
+        const fit = readImportFile(file('Date,Max weight (kg),Min weight (kg),Average weight (kg)\n2026-03-01,83,82,82.5'));
+        expect(suggestMapping(fit).columns).toEqual({ weight: 'Average weight (kg)' });
+    });
+
+    it('tells day-first from month-first dates by a part over 12', () => {
+        const table = (dates) => readImportFile(file(`date,weight\n${dates.map(d => `${d},82`).join('\n')}`));
+        expect(suggestMapping(table(['03/01/2026', '03/13/2026'])).dateOrder).toBe('mdy');
+        expect(suggestMapping(table(['03/01/2026', '13/03/2026'])).dateOrder).toBe('dmy');
+        expect(suggestMapping(table(['03/01/2026'])).dateOrder).toBe('dmy');
+    });
+
+    it('reads the measurements CSV back in', () => {
+        const csv = measurementsToCsv([{ type: 'weight', value: 81.65, measuredAt: new Date('2026-03-01T07:30:00Z'), note: null, source: 'manual' }], imperial);
+        expect(suggestMapping(readImportFile(file(csv)), imperial)).toEqual({
+            date: 'date',
+            dateOrder: 'dmy',
+            columns: { weight: 'weight (lb)', bodyFat: 'body fat (%)', waist: 'waist (in)', hips: 'hips (in)', chest: 'chest (in)', arm: 'arm (in)', thigh: 'thigh (in)' },
+            units: { weight: 'lb', bodyFat: '%', waist: 'in', hips: 'in', chest: 'in', arm: 'in', thigh: 'in' },
+            note: 'note',
+        });
+    });
+});
+
+describe('validateMapping', () => {
+    const columns = ['Datum', 'Gewicht', 'Notitie'];
+
+    it('accepts a mapping as JSON and fills in the defaults', () => {
+        expect(validateMapping(JSON.stringify({ date: 'Datum', columns: { weight: 'Gewicht', waist: null } }), columns)).toEqual({
+            data: { date: 'Datum', dateOrder: 'dmy', columns: { weight: 'Gewicht' }, units: {}, note: null },
+            errors: [],
+        });
+    });
+
+    it.each([
+        ['{', 'mapping must be JSON'],
+        [[], 'mapping must be an object'],
+        [{ date: 'Tijd', columns: { weight: 'Gewicht' } }, 'mapping.date must be one of the file\'s columns'],
+        [{ date: 'Datum', dateOrder: 'ymd', columns: { weight: 'Gewicht' } }, 'mapping.dateOrder must be one of: dmy, mdy'],
+        [{ date: 'Datum', columns: { steps: 'Gewicht' } }, 'steps is not a measurement type'],
+        [{ date: 'Datum', columns: { weight: 'Stappen' } }, 'mapping.columns.weight must be one of the file\'s columns'],
+        [{ date: 'Datum', columns: {} }, 'Map at least one column to a measurement'],
+        [{ date: 'Datum', columns: { weight: 'Gewicht' }, units: { weight: 'cm' } }, 'mapping.units.weight must be one of: kg, lb'],
+        [{ date: 'Datum', columns: { weight: 'Gewicht' }, note: 'Opmerking' }, 'mapping.note must be one of the file\'s columns'],
+    ])('rejects %j', (input, error) => {
+        const { data, errors } = validateMapping(input, columns);
+        expect(data).toBeUndefined();
+        expect(errors.join('; ')).toContain(error);
+    });
+});
+
+describe('parseNumber', () => {
+    it('reads decimal commas and a unit after the number', () => {
+        expect(parseNumber('82,4')).toEqual({ value: 82.4 });
+        expect(parseNumber(' 181.4 lbs')).toEqual({ value: 181.4, unit: 'lb' });
+        expect(parseNumber('18.5%')).toEqual({ value: 18.5, unit: '%' });
+        expect(parseNumber('34 inch')).toEqual({ value: 34, unit: 'in' });
+    });
+
+    it('returns null for anything else', () => {
+        for (const text of ['', 'n/a', '82 stone', '1.234,5', '-3']) expect(parseNumber(text)).toBeNull();
+    });
+});
+
+describe('parseDate', () => {
+    it('keeps a bare date as a date and times without an offset in UTC', () => {
+        expect(parseDate('2026-03-01')).toBe('2026-03-01');
+        expect(parseDate('2026/3/1 7:05')).toBe('2026-03-01T07:05:00Z');
+        expect(parseDate('2026-03-01T07:32:11.250Z')).toBe('2026-03-01T07:32:11Z');
+        expect(parseDate('2026-03-01 07:32:11 +0100')).toBe('2026-03-01T07:32:11+01:00');
+    });
+
+    it('reads day-first and month-first dates, with a part over 12 deciding', () => {
+        expect(parseDate('03-01-2026', 'dmy')).toBe('2026-01-03');
+        expect(parseDate('03/01/2026', 'mdy')).toBe('2026-03-01');
+        expect(parseDate('13.03.2026', 'mdy')).toBe('2026-03-13');
+        expect(parseDate('3/13/2026, 7:05 PM', 'dmy')).toBe('2026-03-13T19:05:00Z');
+        expect(parseDate('3/13/2026 12:15 am', 'mdy')).toBe('2026-03-13T00:15:00Z');
+    });
+
+    it('reads Unix timestamps in seconds and milliseconds', () => {
+        expect(parseDate('1772352000')).toBe('2026-03-01T08:00:00.000Z');
+        expect(parseDate('1772352000000')).toBe('2026-03-01T08:00:00.000Z');
+    });
+
+    it('returns null for dates that do not exist or do not parse', () => {
+        for (const text of ['2026-02-30', '31/04/2026', '2026-03-01 25:00', 'gisteren', '1-3']) expect(parseDate(text)).toBeNull();
+    });
+});
+
+describe('importMeasurements', () => {
+    const mapping = { date: 'Datum', dateOrder: 'dmy', columns: { weight: 'Gewicht', waist: 'Taille' }, units: { weight: 'kg', waist: 'cm' }, note: 'Notitie' };
+    const table = readImportFile(file([
+        'Datum;Gewicht;Taille;Notitie',
+        '01-03-2026 07:30;82,4;88;nuchter',
+        '02-03-2026;181 lb;;',
+        '02-03-2026;82.12;;dubbel',
+        '03-03-2026;;;',
+        'gisteren;82;;',
+        '04-03-2026;820;90;',
+        '20-03-2026;82;;',
+    ].join('\n')));
+
+    it('turns rows into measurements in the stored units, one per mapped cell', () => {
+        const { measurements } = importMeasurements(table, mapping, { now });
+        expect(measurements.slice(0, 3)).toEqual([
+            { row: 1, type: 'weight', value: 82.4, measuredAt: new Date('2026-03-01T07:30:00Z'), note: 'nuchter', duplicate: false },
+            { row: 1, type: 'waist', value: 88, measuredAt: new Date('2026-03-01T07:30:00Z'), note: 'nuchter', duplicate: false },
+            { row: 2, type: 'weight', value: 82.1, measuredAt: new Date('2026-03-02T12:00:00Z'), duplicate: false },
+        ]);
+    });
+
+    it('flags readings already logged or earlier in the file as duplicates', () => {
+        const existing = [{ type: 'waist', value: 88.05, measuredAt: new Date('2026-03-01T18:00:00Z') }];
+        const { measurements } = importMeasurements(table, mapping, { now, existing });
+        expect(measurements.filter(m => m.duplicate).map(m => [m.row, m.type])).toEqual([[1, 'waist'], [3, 'weight']]);
+        expect(toImportRows(measurements)).toEqual([
+            { type: 'weight', value: 82.4, measuredAt: new Date('2026-03-01T07:30:00Z'), note: 'nuchter', source: 'import' },
+            { type: 'weight', value: 82.1, measuredAt: new Date('2026-03-02T12:00:00Z'), note: null, source: 'import' },
+            { type: 'waist', value: 90, measuredAt: new Date('2026-03-04T12:00:00Z'), note: null, source: 'import' },
+        ]);
+    });
+
+    it('lists rows that do not read as a date or a valid value, and skips empty rows', () => {
+        const { errors } = importMeasurements(table, mapping, { now });
+        expect(errors).toEqual([
+            { row: 5, message: '"gisteren" is not a date' },
+            { row: 6, type: 'weight', message: 'value must be between 30 and 300 kg' },
+            { row: 7, type: 'weight', message: 'measuredAt cannot be in the future' },
+        ]);
+    });
+
+    it('takes values without a unit in the user\'s units unless the mapping says otherwise', () => {
+        const { measurements } = importMeasurements(table, { ...mapping, units: {} }, { now, units: imperial });
+        expect(measurements.slice(0, 2).map(m => [m.type, m.value])).toEqual([['weight', 37.38], ['waist', 223.52]]);
+    });
+
+    it('shows the preview in the user\'s units with counts and errors', () => {
+        const result = importMeasurements(table, mapping, { now });
+        const preview = toImportPreview(table, mapping, result, imperial);
+        expect(preview).toMatchObject({ format: 'csv', source: 'csv', columns: ['Datum', 'Gewicht', 'Taille', 'Notitie'], mapping });
+        expect(preview.sample).toHaveLength(7);
+        expect(preview.measurements[0]).toEqual({ row: 1, type: 'weight', value: 181.7, unit: 'lb', measuredAt: new Date('2026-03-01T07:30:00Z'), note: 'nuchter', duplicate: false });
+        expect(preview.counts).toEqual({ rows: 7, new: 4, duplicates: 1, invalid: 3 });
+        expect(preview.errors).toHaveLength(3);
+    });
+});
+
+describe('progress exports', () => {
+    it('needs a dataset for CSV only', () => {
+        expect(validateProgressExport({ format: 'json', dataset: 'meals' })).toEqual({ data: { format: 'json', dataset: null }, errors: [] });
+        expect(validateProgressExport({ dataset: 'workouts' }).data).toEqual({ format: 'csv', dataset: 'workouts' });
+        expect(validateProgressExport({}).errors).toEqual(['dataset must be one of: measurements, workouts, meals']);
+        expect(validateProgressExport({ format: 'xlsx' }).errors[0]).toBe('format must be one of: csv, json');
+    });
+
+    it('writes measurements one per row in the user\'s units', () => {
+        const csv = measurementsToCsv([
+            { type: 'weight', value: 81.65, measuredAt: new Date('2026-03-01T07:30:00Z'), note: '-1 kg na de vakantie', source: 'manual' },
+            { type: 'waist', value: 86.36, measuredAt: new Date('2026-03-02T12:00:00Z'), note: null, source: 'import' },
+        ], imperial);
+        expect(csv.split('\r\n')).toEqual([
+            'date,weight (lb),body fat (%),waist (in),hips (in),chest (in),arm (in),thigh (in),note,source',
+            '2026-03-01T07:30:00.000Z,180,,,,,,,\'-1 kg na de vakantie,manual',
+            '2026-03-02T12:00:00.000Z,,,34,,,,,,import',
+            '',
+        ]);
+    });
+
+    it('imports its own measurements export as duplicates of what is logged', () => {
+        const logged = [
+            { type: 'weight', value: 81.65, measuredAt: new Date('2026-03-01T07:30:00Z'), note: '-1 kg na de vakantie', source: 'manual' },
+            { type: 'bodyFat', value: 18.5, measuredAt: new Date('2026-03-01T07:30:00Z'), note: null, source: 'chat' },
+        ];
+        const table = readImportFile(file(measurementsToCsv(logged, imperial)));
+        const { measurements, errors } = importMeasurements(table, suggestMapping(table, imperial), { now, units: imperial });
+        expect(errors).toEqual([]);
+        expect(measurements.map(({ type, value, note }) => ({ type, value, note }))).toEqual([
+            { type: 'weight', value: 81.65, note: '-1 kg na de vakantie' },
+            { type: 'bodyFat', value: 18.5, note: undefined },
+        ]);
+        expect(importMeasurements(table, suggestMapping(table, imperial), { now, units: imperial, existing: logged }).measurements.every(m => m.duplicate)).toBe(true);
+    });
+
+    it('writes workouts one set per row, oldest first, and meals one per row', () => {
+        const sessions = [
+            { performedAt: new Date('2026-03-03T18:00:00Z'), title: null, note: null, sets: [{ position: 0, exercise: 'Deadlift', weightKg: 140, reps: 5, rpe: null }] },
+            {
+                performedAt: new Date('2026-03-01T18:00:00Z'), title: 'Push', note: 'Zwaar, maar goed', sets: [
+                    { position: 1, exercise: 'Bench press', weightKg: 82.5, reps: 6, rpe: 9 },
+                    { position: 0, exercise: 'Bench press', weightKg: 80, reps: 8, rpe: 8 },
+                ],
+            },
+        ];
+        expect(workoutsToCsv(sessions, imperial).split('\r\n')).toEqual([
+            'date,workout,exercise,set,weight (lb),reps,rpe,note',
+            '2026-03-01T18:00:00.000Z,Push,Bench press,1,176.4,8,8,"Zwaar, maar goed"',
+            '2026-03-01T18:00:00.000Z,Push,Bench press,2,181.9,6,9,"Zwaar, maar goed"',
+            '2026-03-03T18:00:00.000Z,,Deadlift,1,308.6,5,,',
+            '',
+        ]);
+
+        const meals = [{ date: '2026-03-01', mealType: 'lunch', description: 'Kip, rijst', kcal: 650, proteinG: 45, carbsG: 70, fatG: 15 }];
+        expect(mealsToCsv(meals, imperial).split('\r\n')).toEqual([
+            'date,meal,description,energy (kJ),protein (g),carbs (g),fat (g)',
+            '2026-03-01,lunch,"Kip, rijst",2720,45,70,15',
+            '',
+        ]);
+    });
+});
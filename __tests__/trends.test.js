@@ -0,0 +1,129 @@
+import { vi } from 'vitest';
+
+// trends.js only reads the type table from measurements.js, which imports the database layer
+vi.mock('@prisma/client', () => ({ PrismaClient: function PrismaClient() { return {}; } }));
+
+import {
+    smoothSeries, weeklyAverages, ratePerWeek, detectPlateau, analyzeMetric, analyzeTrends, trendInUnits, formatTrendsForPrompt,
+} from '../server/trends.js';
+
+// One reading per day from 2026-01-05 (a Monday), 07:00 UTC
+const daily = (values, type = 'weight') => values.map((value, i) => ({
+    type,
+    value,
+    measuredAt: new Date(Date.UTC(2026, 0, 5 + i, 7)),
+}));
+
+describe('smoothSeries', () => {
+    it('moves 10% of the way to each daily reading', () => {
+        expect(smoothSeries(daily([80, 81, 81])).map(p => p.trend)).toEqual([80, 80.1, 80.19]);
+    });
+
+    it('catches up faster after a gap', () => {
+        const [, after] = smoothSeries([
+            { measuredAt: '2026-01-01T07:00:00Z', value: 80 },
+            { measuredAt: '2026-01-31T07:00:00Z', value: 78 },
+        ]);
+        expect(after.trend).toBeCloseTo(78.08, 2);
+    });
+});
+
+describe('weeklyAverages', () => {
+    it('groups readings by Monday-to-Sunday week', () => {
+        expect(weeklyAverages(daily([80, 80.4, 80.2, 80, 79.8, 79.6, 79.4, 79]))).toEqual([
+            { weekStart: '2026-01-05', average: 79.9, min: 79.4, max: 80.4, count: 7 },
+            { weekStart: '2026-01-12', average: 79, min: 79, max: 79, count: 1 },
+        ]);
+    });
+
+    it('keeps weeks apart across New Year', () => {
+        const weeks = weeklyAverages([
+            { measuredAt: '2025-12-28T10:00:00Z', value: 81 },
+            { measuredAt: '2025-12-29T10:00:00Z', value: 80 },
+            { measuredAt: '2026-01-04T10:00:00Z', value: 79 },
+        ]);
+        expect(weeks.map(w => [w.weekStart, w.average])).toEqual([['2025-12-22', 81], ['2025-12-29', 79.5]]);
+    });
+});
+
+describe('ratePerWeek', () => {
+    it('fits the change per week over the last four weeks', () => {
+        // Half a kilo a week down, through noise
+        const values = Array.from({ length: 29 }, (_, i) => 85 - (i / 7) * 0.5 + (i % 2 ? 0.3 : -0.3));
+        expect(ratePerWeek(daily(values))).toBeCloseTo(-0.5, 1);
+    });
+
+    it('needs readings that cover the period', () => {
+        expect(ratePerWeek(daily([80, 79.5, 79]))).toBeNull();
+        expect(ratePerWeek([])).toBeNull();
+    });
+});
+
+describe('detectPlateau', () => {
+    const flat = Array.from({ length: 22 }, (_, i) => 80 + (i % 3 === 0 ? 0.4 : -0.2));
+
+    it('flags a trend that has been flat for two weeks or more', () => {
+        expect(detectPlateau(daily(flat), 'kg')).toEqual({ weeks: 3, since: '2026-01-05', ratePerWeek: expect.any(Number) });
+    });
+
+    it('does not flag steady progress or too little data', () => {
+        const losing = Array.from({ length: 22 }, (_, i) => 85 - i * 0.07);
+        expect(detectPlateau(daily(losing), 'kg')).toBeNull();
+        expect(detectPlateau(daily(flat.slice(0, 10)), 'kg')).toBeNull();
+    });
+
+    it('counts only the flat weeks after a drop', () => {
+        const values = [...Array.from({ length: 14 }, (_, i) => 85 - i * 0.2), ...Array.from({ length: 15 }, () => 82.4)];
+        expect(detectPlateau(daily(values), 'kg')).toMatchObject({ weeks: 2 });
+    });
+});
+
+describe('analyzeMetric', () => {
+    it('summarises a metric for the Progress page', () => {
+        const analysis = analyzeMetric('waist', daily([90, 89.5, 89], 'waist'));
+        expect(analysis).toMatchObject({
+            type: 'waist',
+            unit: 'cm',
+            count: 3,
+            first: { value: 90 },
+            latest: { value: 89, trend: 89.86 },
+            change: -0.1,
+            ratePerWeek: null,
+            plateau: null,
+        });
+        expect(analysis.series).toHaveLength(3);
+        expect(analysis.weekly).toHaveLength(1);
+        expect(analyzeMetric('weight', [])).toEqual({ type: 'weight', unit: 'kg', count: 0 });
+    });
+
+    it('converts an analysis to the user\'s units', () => {
+        const units = { weightUnit: 'lb', lengthUnit: 'in', energyUnit: 'kcal' };
+        const analysis = trendInUnits(analyzeMetric('waist', daily([90, 89.5, 89], 'waist')), units);
+        expect(analysis).toMatchObject({ unit: 'in', first: { value: 35.4 }, latest: { value: 35, trend: 35.38 }, change: 0, ratePerWeek: null });
+        expect(analysis.series.map(p => p.value)).toEqual([35.4, 35.2, 35]);
+        expect(analysis.weekly[0]).toMatchObject({ average: 35.2, min: 35, max: 35.4 });
+        expect(trendInUnits(analyzeMetric('bodyFat', daily([20], 'bodyFat')), units).unit).toBe('%');
+        expect(trendInUnits(analyzeMetric('weight', []), units)).toEqual({ type: 'weight', unit: 'lb', count: 0 });
+    });
+
+    it('analyses each tracked metric in a fixed order', () => {
+        const trends = analyzeTrends([...daily([84], 'waist'), ...daily([80, 79.8])]);
+        expect(trends.map(t => t.type)).toEqual(['weight', 'waist']);
+    });
+});
+
+describe('formatTrendsForPrompt', () => {
+    it('lists each metric with its rate and plateau flag', () => {
+        const flat = Array.from({ length: 22 }, (_, i) => 80 + (i % 3 === 0 ? 0.4 : -0.2));
+        const prompt = formatTrendsForPrompt(analyzeTrends([...daily(flat), ...daily([90, 89.5], 'waist')]));
+        expect(prompt).toContain('- weight: trend 80');
+        expect(prompt).toContain('PLATEAU: flat for 3 weeks since 2026-01-05');
+        expect(prompt).toContain('- waist: trend 90 cm (latest reading 89.5 on 2026-01-06), not enough recent readings for a weekly rate');
+        expect(prompt).toContain('apply the Plateau Protocol');
+    });
+
+    it('is left out when nothing is tracked', () => {
+        expect(formatTrendsForPrompt([])).toBeNull();
+        expect(formatTrendsForPrompt(analyzeTrends(daily([80])))).not.toContain('PLATEAU');
+    });
+});
@@ -0,0 +1,64 @@
+import {
+    DEFAULT_UNITS, unitPreferences, unitsFor, fromCanonical, toCanonical, displayUnit, formatUnitsForPrompt,
+} from '../server/units.js';
+
+const imperial = { weightUnit: 'lb', lengthUnit: 'in', energyUnit: 'kJ' };
+
+describe('unitPreferences', () => {
+    it('falls back to metric for every unit not chosen', () => {
+        expect(unitPreferences(null)).toEqual(DEFAULT_UNITS);
+        expect(unitPreferences({ weightUnit: 'lb', lengthUnit: null })).toEqual({ weightUnit: 'lb', lengthUnit: 'cm', energyUnit: 'kcal' });
+    });
+
+    it('lists the units a stored unit may be given in', () => {
+        expect(unitsFor('kg')).toEqual(['kg', 'lb']);
+        expect(unitsFor('cm')).toEqual(['cm', 'in']);
+        expect(unitsFor('%')).toEqual(['%']);
+    });
+});
+
+describe('conversion', () => {
+    it('converts stored values to the user\'s units', () => {
+        expect(fromCanonical(100, 'lb')).toBe(220.5);
+        expect(fromCanonical(100, 'lb', 2)).toBe(220.46);
+        expect(fromCanonical(90, 'in')).toBe(35.4);
+        expect(fromCanonical(2000, 'kJ')).toBe(8368);
+        expect(fromCanonical(82.4, 'kg')).toBe(82.4);
+        expect(fromCanonical(18.5, '%')).toBe(18.5);
+        expect(fromCanonical(null, 'lb')).toBeNull();
+    });
+
+    it('stores values in kg, cm and kcal', () => {
+        expect(toCanonical(180, 'lb')).toBe(81.65);
+        expect(toCanonical(34, 'in')).toBe(86.36);
+        expect(toCanonical(8368, 'kJ')).toBe(2000);
+        expect(toCanonical(82.4, 'kg')).toBe(82.4);
+    });
+
+    it('reads a value typed in lb or inches back unchanged', () => {
+        for (const value of [100.2, 145.6, 180, 222.2, 310.8]) expect(fromCanonical(toCanonical(value, 'lb'), 'lb')).toBe(value);
+        for (const value of [12.5, 31.1, 40.3]) expect(fromCanonical(toCanonical(value, 'in'), 'in')).toBe(value);
+    });
+
+    it('names the unit a stored unit is shown in', () => {
+        expect(displayUnit('kg', imperial)).toBe('lb');
+        expect(displayUnit('cm', imperial)).toBe('in');
+        expect(displayUnit('kcal', imperial)).toBe('kJ');
+        expect(displayUnit('%', imperial)).toBe('%');
+        expect(displayUnit('kg')).toBe('kg');
+    });
+});
+
+describe('formatUnitsForPrompt', () => {
+    it('stays out of the prompt until the user picks units', () => {
+        expect(formatUnitsForPrompt(null)).toBeNull();
+        expect(formatUnitsForPrompt({ weightUnit: null, lengthUnit: null, energyUnit: null })).toBeNull();
+    });
+
+    it('tells the coach which units to write in and not to convert logged values', () => {
+        const prompt = formatUnitsForPrompt({ weightUnit: 'lb' });
+        expect(prompt).toContain('body weight and loads in lb, lengths and circumferences in cm, food energy in kcal');
+        expect(prompt).toContain('1 kg = 2.20462 lb');
+        expect(prompt).toContain('do not convert them yourself');
+    });
+});
@@ -0,0 +1,111 @@
+import { vi } from 'vitest';
+
+const { addTokenUsage } = vi.hoisted(() => ({ addTokenUsage: vi.fn(() => Promise.resolve()) }));
+
+vi.mock('../server/db.js', () => ({
+    addTokenUsage,
+    getTokenUsageSince: vi.fn(),
+    getSetting: vi.fn(),
+    updateSetting: vi.fn(),
+}));
+
+import { meterUsage, summarizeUsage, validateQuotas, utcDay } from '../server/usage.js';
+import { createMockProvider } from '../server/llm.js';
+
+beforeEach(() => addTokenUsage.mockClear());
+
+describe('meterUsage', () => {
+    it('records the usage the provider reports and hides it from callers', async () => {
+        const provider = {
+            model: 'gpt-4o-mini',
+            async *stream() {
+                yield 'Hoi';
+                yield { usage: { promptTokens: 50, completionTokens: 2 } };
+            },
+        };
+
+        const items = [];
+        for await (const item of meterUsage(provider, 'u1').stream({ messages: [] })) items.push(item);
+
+        expect(items).toEqual(['Hoi']);
+        expect(addTokenUsage).toHaveBeenCalledWith('u1', expect.objectContaining({
+            model: 'gpt-4o-mini', promptTokens: 50, completionTokens: 2, day: utcDay(),
+        }));
+    });
+
+    it('bills the model that actually answered after a fallback', async () => {
+        const provider = {
+            model: 'gpt-4o',
+            async *stream() {
+                yield { model: 'gpt-4o-mini' };
+                yield 'Hoi';
+            },
+        };
+        const items = [];
+        const onModel = vi.fn();
+        for await (const item of meterUsage(provider, 'u4', { onModel }).stream({ messages: [] })) items.push(item);
+
+        expect(items).toEqual(['Hoi']);
+        expect(addTokenUsage.mock.calls[0][1].model).toBe('gpt-4o-mini');
+        expect(onModel).toHaveBeenCalledWith('gpt-4o-mini');
+    });
+
+    it('estimates usage when the provider reports none', async () => {
+        const { content } = await meterUsage(createMockProvider(), 'u2').chat({ messages: [{ role: 'user', content: 'a'.repeat(40) }] });
+        expect(content).toContain('Mock coach reply');
+        expect(addTokenUsage.mock.calls[0][1]).toMatchObject({ model: 'mock-coach', promptTokens: 14 });
+    });
+
+    it('still records a stream the consumer stops early', async () => {
+        const metered = meterUsage(createMockProvider(), 'u3');
+        for await (const item of metered.stream({ messages: [{ role: 'user', content: 'een twee drie vier' }] })) {
+            if (item) break;
+        }
+        expect(addTokenUsage).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('summarizeUsage', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const rows = [
+        { userId: 'a', day: utcDay(now), model: 'gpt-4o-mini', promptTokens: 1000000, completionTokens: 0, requests: 3 },
+        { userId: 'a', day: new Date('2026-09-30T00:00:00Z'), model: 'llama3', promptTokens: 10, completionTokens: 10, requests: 1 },
+        { userId: 'b', day: utcDay(now), model: 'gpt-4o-mini', promptTokens: 5, completionTokens: 5, requests: 1 },
+    ];
+    const users = [
+        { id: 'a', name: 'Anna', role: 'user' },
+        { id: 'b', name: 'Bram', role: 'user' },
+        { id: 'c', name: 'Idle', role: 'user' },
+    ];
+
+    it('totals tokens per user for today, this month and the window', () => {
+        const [anna, bram] = summarizeUsage(rows, users, now);
+        expect(anna).toMatchObject({ userId: 'a', today: 1000000, month: 1000000, total: 1000020, requests: 4 });
+        expect(anna.models).toEqual({ 'gpt-4o-mini': 1000000, llama3: 20 });
+        expect(bram.userId).toBe('b');
+    });
+
+    it('estimates cost for known models and flags unknown ones', () => {
+        const [anna] = summarizeUsage(rows, users, now);
+        expect(anna.estimatedCostUsd).toBeCloseTo(0.15);
+        expect(anna.unpriced).toBe(true);
+    });
+
+    it('leaves out users without usage', () => {
+        expect(summarizeUsage(rows, users, now).map(u => u.userId)).toEqual(['a', 'b']);
+    });
+});
+
+describe('validateQuotas', () => {
+    it('normalizes empty limits to unlimited', () => {
+        expect(validateQuotas({ user: { daily: '5000', monthly: '' } })).toEqual({
+            data: { user: { daily: 5000, monthly: null } },
+            errors: [],
+        });
+    });
+
+    it('rejects negative or fractional limits', () => {
+        expect(validateQuotas({ user: { daily: 1.5 } }).errors).toEqual(['user.daily must be a whole number of tokens or empty']);
+        expect(validateQuotas(null).errors).toEqual(['Quotas must be an object keyed by role']);
+    });
+});
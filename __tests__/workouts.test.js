@@ -0,0 +1,141 @@
+import { vi } from 'vitest';
+
+// workouts.js reads dates through measurements.js, which imports the database layer
+vi.mock('@prisma/client', () => ({ PrismaClient: function PrismaClient() { return {}; } }));
+
+import {
+    estimateOneRepMax, exerciseKey, validateWorkout, findPrs, toPublicSession, exerciseSummaries, exerciseHistory, summarizeWorkouts,
+} from '../server/workouts.js';
+
+let seq = 0;
+const session = (performedAt, sets, extra = {}) => ({
+    id: `session_${++seq}`,
+    performedAt: new Date(performedAt),
+    createdAt: new Date(performedAt),
+    updatedAt: new Date(performedAt),
+    title: null,
+    note: null,
+    source: 'manual',
+    sets: sets.map(([exercise, weightKg, reps, rpe = null], position) => ({ id: `set_${++seq}`, position, exercise, weightKg, reps, rpe })),
+    ...extra,
+});
+
+describe('estimateOneRepMax', () => {
+    it('uses Epley and takes a single as it is', () => {
+        expect(estimateOneRepMax(100, 5)).toBe(116.7);
+        expect(estimateOneRepMax(140, 1)).toBe(140);
+    });
+
+    it('has no estimate for bodyweight or high-rep sets', () => {
+        expect(estimateOneRepMax(0, 10)).toBeNull();
+        expect(estimateOneRepMax(60, 15)).toBeNull();
+    });
+});
+
+describe('exerciseKey', () => {
+    it('ignores case and extra spaces', () => {
+        expect(exerciseKey('  Bench   Press ')).toBe('bench press');
+    });
+});
+
+describe('validateWorkout', () => {
+    const now = new Date('2026-03-10T18:00:00Z');
+
+    it('cleans up a workout', () => {
+        const { data, errors } = validateWorkout({
+            performedAt: '2026-03-09',
+            title: ' Push ',
+            sets: [{ exercise: ' Bench  press', weightKg: '82,5', reps: 5, rpe: 8.3 }, { exercise: 'Dips', reps: 12 }],
+        }, { now });
+        expect(errors).toEqual([]);
+        expect(data).toEqual({
+            performedAt: new Date('2026-03-09T12:00:00Z'),
+            title: 'Push',
+            sets: [
+                { exercise: 'Bench press', weightKg: 82.5, reps: 5, rpe: 8.5 },
+                { exercise: 'Dips', weightKg: 0, reps: 12, rpe: null },
+            ],
+        });
+    });
+
+    it('reports every invalid set', () => {
+        const { errors } = validateWorkout({ sets: [{ exercise: '', reps: 5 }, { exercise: 'Squat', weightKg: 100, reps: 2.5, rpe: 11 }] }, { now });
+        expect(errors).toEqual([
+            'sets[0].exercise is required',
+            'sets[1].reps must be a whole number between 1 and 100',
+            'sets[1].rpe must be between 1 and 10',
+        ]);
+        expect(validateWorkout({ sets: [] }, { now }).errors).toEqual(['sets must be a non-empty array']);
+        expect(validateWorkout({ performedAt: '2026-04-01', sets: [{ exercise: 'Squat', reps: 5 }] }, { now }).errors)
+            .toEqual(['performedAt cannot be in the future']);
+    });
+
+    it('lets updates change only some fields', () => {
+        expect(validateWorkout({ note: 'Zwaar' }, { partial: true, now })).toEqual({ data: { note: 'Zwaar' }, errors: [] });
+    });
+});
+
+describe('findPrs', () => {
+    it('flags the best set of a session that beats every earlier session', () => {
+        const first = session('2026-03-01', [['Squat', 100, 5], ['Squat', 105, 3]]);
+        const second = session('2026-03-04', [['squat', 100, 5], ['Squat', 110, 3]]);
+        const third = session('2026-03-08', [['Squat', 110, 3]]);
+        const prs = findPrs([third, first, second]);
+
+        expect([...prs]).toEqual([second.sets[1].id]);
+    });
+
+    it('does not count sets without an estimate', () => {
+        const prs = findPrs([session('2026-03-01', [['Pull-up', 0, 8]]), session('2026-03-04', [['Pull-up', 0, 10]])]);
+        expect(prs.size).toBe(0);
+    });
+});
+
+describe('toPublicSession', () => {
+    it('adds the estimate and PR flag per set, in order', () => {
+        const row = session('2026-03-01', [['Deadlift', 140, 3], ['Deadlift', 150, 1]]);
+        row.sets.reverse();
+        const { sets } = toPublicSession(row, new Set([row.sets[0].id]));
+        expect(sets.map(s => [s.weightKg, s.e1rm, s.pr])).toEqual([[140, 154, false], [150, 150, true]]);
+    });
+});
+
+describe('exercise summaries and history', () => {
+    const sessions = [
+        session('2026-03-01', [['Bench press', 80, 5], ['Bench press', 80, 5], ['Row', 70, 8]]),
+        session('2026-03-04', [['bench press', 82.5, 5, 9]]),
+        session('2026-03-06', [['Row', 72.5, 8]]),
+    ];
+
+    it('lists each exercise with its best set, most recent first', () => {
+        expect(exerciseSummaries(sessions)).toEqual([
+            { key: 'row', exercise: 'Row', sessions: 2, sets: 2, lastPerformedAt: sessions[2].performedAt, best: { e1rm: 91.8, weightKg: 72.5, reps: 8, performedAt: sessions[2].performedAt } },
+            { key: 'bench press', exercise: 'bench press', sessions: 2, sets: 3, lastPerformedAt: sessions[1].performedAt, best: { e1rm: 96.3, weightKg: 82.5, reps: 5, performedAt: sessions[1].performedAt } },
+        ]);
+    });
+
+    it('gives the top set and volume per session', () => {
+        expect(exerciseHistory(sessions, 'Bench Press')).toEqual([
+            { sessionId: sessions[0].id, performedAt: sessions[0].performedAt, e1rm: 93.3, topSet: { weightKg: 80, reps: 5, rpe: null }, sets: 2, volume: 800, pr: false },
+            { sessionId: sessions[1].id, performedAt: sessions[1].performedAt, e1rm: 96.3, topSet: { weightKg: 82.5, reps: 5, rpe: 9 }, sets: 1, volume: 412.5, pr: true },
+        ]);
+    });
+
+    it('summarises recent training for the coach', () => {
+        const summary = summarizeWorkouts(sessions, 'kg', new Date('2026-03-31T12:00:00Z'));
+        expect(summary).toMatchObject({ totalSessions: 3, sessionsLast4Weeks: 2 });
+        expect(summary.recentSessions[0]).toEqual({ date: '2026-03-06', title: null, exercises: [{ exercise: 'Row', sets: 1, topSet: '72.5 kg x 8' }] });
+        expect(summary.recentPrs).toEqual([
+            { date: '2026-03-06', exercise: 'Row', set: '72.5 kg x 8', e1rm: 91.8 },
+            { date: '2026-03-04', exercise: 'bench press', set: '82.5 kg x 5 @ RPE 9', e1rm: 96.3 },
+        ]);
+        expect(summary.bestLifts.map(l => l.exercise)).toEqual(['Row', 'bench press']);
+    });
+
+    it('gives the summary weights in the user\'s unit', () => {
+        const summary = summarizeWorkouts(sessions, 'lb', new Date('2026-03-31T12:00:00Z'));
+        expect(summary.unit).toBe('lb');
+        expect(summary.recentPrs[0]).toEqual({ date: '2026-03-06', exercise: 'Row', set: '159.8 lb x 8', e1rm: 202.4 });
+        expect(summary.bestLifts[0]).toMatchObject({ exercise: 'Row', e1rm: 202.4, set: '159.8 lb x 8' });
+    });
+});
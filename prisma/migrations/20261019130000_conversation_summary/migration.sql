@@ -0,0 +1,4 @@
+-- Migration: Rolling context summary per conversation
+ALTER TABLE "conversations" ADD COLUMN "summary" TEXT;
+ALTER TABLE "conversations" ADD COLUMN "summarizedThroughId" TEXT;
+ALTER TABLE "conversations" ADD COLUMN "summaryUpdatedAt" TIMESTAMP(3);
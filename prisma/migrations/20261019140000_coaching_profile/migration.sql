@@ -0,0 +1,24 @@
+-- Migration: Structured coaching profile per user
+
+-- CreateTable
+CREATE TABLE "coaching_profiles" (
+    "userId" TEXT NOT NULL,
+    "goal" TEXT,
+    "experience" TEXT,
+    "injuries" TEXT,
+    "trainingDays" INTEGER,
+    "sessionMinutes" INTEGER,
+    "equipment" TEXT,
+    "heightCm" DOUBLE PRECISION,
+    "weightKg" DOUBLE PRECISION,
+    "bodyFatPct" DOUBLE PRECISION,
+    "age" INTEGER,
+    "sex" TEXT,
+    "language" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "coaching_profiles_pkey" PRIMARY KEY ("userId")
+);
+
+-- AddForeignKey
+ALTER TABLE "coaching_profiles" ADD CONSTRAINT "coaching_profiles_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
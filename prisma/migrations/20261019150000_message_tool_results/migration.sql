@@ -0,0 +1,2 @@
+-- Migration: Tool results shown as confirmation cards on assistant messages
+ALTER TABLE "messages" ADD COLUMN "toolResults" JSONB;
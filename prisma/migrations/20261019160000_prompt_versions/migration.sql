@@ -0,0 +1,16 @@
+-- Migration: Versioned system prompt and persona settings
+
+-- CreateTable
+CREATE TABLE "prompt_versions" (
+    "version" INTEGER NOT NULL,
+    "systemPrompt" TEXT NOT NULL,
+    "languageInstructions" JSONB NOT NULL,
+    "note" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "prompt_versions_pkey" PRIMARY KEY ("version")
+);
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "promptVersion" INTEGER;
@@ -0,0 +1,20 @@
+-- Migration: Per-user token usage per day and model
+
+-- CreateTable
+CREATE TABLE "token_usage" (
+    "userId" TEXT NOT NULL,
+    "day" DATE NOT NULL,
+    "model" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL DEFAULT 0,
+    "completionTokens" INTEGER NOT NULL DEFAULT 0,
+    "requests" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "token_usage_pkey" PRIMARY KEY ("userId","day","model")
+);
+
+-- CreateIndex
+CREATE INDEX "token_usage_day_idx" ON "token_usage"("day");
+
+-- AddForeignKey
+ALTER TABLE "token_usage" ADD CONSTRAINT "token_usage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
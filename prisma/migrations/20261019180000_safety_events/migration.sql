@@ -0,0 +1,30 @@
+-- Migration: Safety events flagged in chat, for admin review
+
+-- CreateTable
+CREATE TABLE "safety_events" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "conversationId" TEXT,
+    "messageId" TEXT,
+    "direction" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "excerpt" TEXT NOT NULL,
+    "matches" JSONB NOT NULL,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewedBy" TEXT,
+    "reviewNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "safety_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "safety_events_reviewedAt_createdAt_idx" ON "safety_events"("reviewedAt", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "safety_events_userId_createdAt_idx" ON "safety_events"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "safety_events" ADD CONSTRAINT "safety_events_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- Migration: Long-term coaching memory extracted from chats
+
+-- CreateTable
+CREATE TABLE "memory_facts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "conversationId" TEXT,
+    "messageId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "memory_facts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "memory_facts_userId_updatedAt_idx" ON "memory_facts"("userId", "updatedAt");
+
+-- AddForeignKey
+ALTER TABLE "memory_facts" ADD CONSTRAINT "memory_facts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
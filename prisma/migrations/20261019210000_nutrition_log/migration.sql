@@ -0,0 +1,32 @@
+-- Migration: Meal photo analysis into a nutrition log, daily macro targets
+
+-- AlterTable
+ALTER TABLE "coaching_profiles" ADD COLUMN "kcalTarget" INTEGER,
+ADD COLUMN "proteinTargetG" INTEGER,
+ADD COLUMN "carbsTargetG" INTEGER,
+ADD COLUMN "fatTargetG" INTEGER;
+
+-- CreateTable
+CREATE TABLE "nutrition_logs" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "mealType" TEXT,
+    "description" TEXT NOT NULL,
+    "items" JSONB NOT NULL,
+    "kcal" INTEGER NOT NULL,
+    "proteinG" DOUBLE PRECISION NOT NULL,
+    "carbsG" DOUBLE PRECISION NOT NULL,
+    "fatG" DOUBLE PRECISION NOT NULL,
+    "attachmentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "nutrition_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "nutrition_logs_userId_date_idx" ON "nutrition_logs"("userId", "date");
+
+-- AddForeignKey
+ALTER TABLE "nutrition_logs" ADD CONSTRAINT "nutrition_logs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- Migration: Server-managed coach media library with view tracking
+
+-- CreateTable
+CREATE TABLE "media_clips" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "variants" JSONB NOT NULL,
+    "tags" TEXT[],
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "media_clips_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "media_views" (
+    "id" TEXT NOT NULL,
+    "clipId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "language" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "media_views_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "media_clips_key_key" ON "media_clips"("key");
+
+-- CreateIndex
+CREATE INDEX "media_views_clipId_createdAt_idx" ON "media_views"("clipId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "media_views" ADD CONSTRAINT "media_views_clipId_fkey" FOREIGN KEY ("clipId") REFERENCES "media_clips"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "media_views" ADD CONSTRAINT "media_views_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
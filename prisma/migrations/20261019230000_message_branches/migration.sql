@@ -0,0 +1,30 @@
+-- Migration: Conversation branching (regenerate, edit and resend)
+
+-- AlterTable
+ALTER TABLE "conversations" ADD COLUMN "activeLeafId" TEXT;
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "parentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "messages_parentId_idx" ON "messages"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing threads are linear: every message follows the previous one
+UPDATE "messages" AS m
+SET "parentId" = previous."previousId"
+FROM (
+    SELECT "id", LAG("id") OVER (PARTITION BY "conversationId" ORDER BY "createdAt", "id") AS "previousId"
+    FROM "messages"
+) AS previous
+WHERE m."id" = previous."id" AND previous."previousId" IS NOT NULL;
+
+UPDATE "conversations" AS c
+SET "activeLeafId" = (
+    SELECT m."id" FROM "messages" m
+    WHERE m."conversationId" = c."id"
+    ORDER BY m."createdAt" DESC, m."id" DESC
+    LIMIT 1
+);
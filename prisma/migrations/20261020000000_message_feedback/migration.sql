@@ -0,0 +1,40 @@
+-- Migration: Thumbs up/down feedback on coach replies, for admin review
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "model" TEXT;
+
+-- CreateTable
+CREATE TABLE "message_feedback" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "rating" TEXT NOT NULL,
+    "reason" TEXT,
+    "comment" TEXT,
+    "model" TEXT,
+    "promptVersion" INTEGER,
+    "context" JSONB NOT NULL,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewedBy" TEXT,
+    "reviewNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "message_feedback_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "message_feedback_messageId_key" ON "message_feedback"("messageId");
+
+-- CreateIndex
+CREATE INDEX "message_feedback_reviewedAt_createdAt_idx" ON "message_feedback"("reviewedAt", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "message_feedback_rating_createdAt_idx" ON "message_feedback"("rating", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "message_feedback" ADD CONSTRAINT "message_feedback_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_feedback" ADD CONSTRAINT "message_feedback_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- Migration: Plan library replacing the pins kept in localStorage
+
+-- CreateTable
+CREATE TABLE "library_items" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "tags" TEXT[],
+    "note" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "archived" BOOLEAN NOT NULL DEFAULT false,
+    "conversationId" TEXT,
+    "messageId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "library_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "library_items_userId_messageId_key" ON "library_items"("userId", "messageId");
+
+-- CreateIndex
+CREATE INDEX "library_items_userId_archived_position_idx" ON "library_items"("userId", "archived", "position");
+
+-- AddForeignKey
+ALTER TABLE "library_items" ADD CONSTRAINT "library_items_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- Migration: Full-text search over chat history
+-- Both Dutch and English stems are indexed, since users switch languages
+-- between (and within) chats. The column is generated, so existing messages
+-- are indexed by this migration and new ones on insert.
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "searchVector" tsvector
+    GENERATED ALWAYS AS (to_tsvector('dutch'::regconfig, "content") || to_tsvector('english'::regconfig, "content")) STORED;
+
+-- CreateIndex
+CREATE INDEX "messages_searchVector_idx" ON "messages" USING GIN ("searchVector");
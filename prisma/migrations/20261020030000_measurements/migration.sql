@@ -0,0 +1,24 @@
+-- Migration: Body measurements with real timestamps
+-- The weightLog key of User.data is moved into this table lazily by the app
+-- the first time a user's measurements are read.
+
+-- CreateTable
+CREATE TABLE "measurements" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "measuredAt" TIMESTAMP(3) NOT NULL,
+    "note" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "measurements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "measurements_userId_type_measuredAt_idx" ON "measurements"("userId", "type", "measuredAt");
+
+-- AddForeignKey
+ALTER TABLE "measurements" ADD CONSTRAINT "measurements_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- Migration: Workout log with sessions and sets
+
+-- CreateTable
+CREATE TABLE "workout_sessions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "performedAt" TIMESTAMP(3) NOT NULL,
+    "title" TEXT,
+    "note" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workout_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "workout_sets" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "exercise" TEXT NOT NULL,
+    "weightKg" DOUBLE PRECISION NOT NULL,
+    "reps" INTEGER NOT NULL,
+    "rpe" DOUBLE PRECISION,
+
+    CONSTRAINT "workout_sets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workout_sessions_userId_performedAt_idx" ON "workout_sessions"("userId", "performedAt");
+
+-- CreateIndex
+CREATE INDEX "workout_sets_sessionId_position_idx" ON "workout_sets"("sessionId", "position");
+
+-- AddForeignKey
+ALTER TABLE "workout_sessions" ADD CONSTRAINT "workout_sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workout_sets" ADD CONSTRAINT "workout_sets_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "workout_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- Migration: Activity level and calculated nutrition targets on the coaching profile
+
+-- AlterTable
+ALTER TABLE "coaching_profiles" ADD COLUMN "activityLevel" TEXT,
+ADD COLUMN "targetCalculation" JSONB;
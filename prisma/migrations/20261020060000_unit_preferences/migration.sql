@@ -0,0 +1,6 @@
+-- Migration: Unit preferences (kg/lb, cm/in, kcal/kJ) on the coaching profile
+
+-- AlterTable
+ALTER TABLE "coaching_profiles" ADD COLUMN "weightUnit" TEXT,
+ADD COLUMN "lengthUnit" TEXT,
+ADD COLUMN "energyUnit" TEXT;
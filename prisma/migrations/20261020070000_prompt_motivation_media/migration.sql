@@ -0,0 +1,24 @@
+-- Migration: "Motivation Drops" suggests a video from the media library instead of [video:motivation]
+
+-- A fresh database seeds version 1 from config/constants.js, which already has the new line.
+-- Otherwise the active version gets the change as a new version on top of it, unless an
+-- admin has already rewritten that line.
+WITH "active" AS (
+    SELECT p.* FROM "prompt_versions" p
+    JOIN "settings" s ON s."key" = 'active_prompt_version' AND p."version" = s."value"::INTEGER
+    WHERE position($old$respond with practical reframes + [video:motivation].$old$ IN p."systemPrompt") > 0
+), "created" AS (
+    INSERT INTO "prompt_versions" ("version", "systemPrompt", "languageInstructions", "note")
+    SELECT
+        (SELECT max("version") FROM "prompt_versions") + 1,
+        replace(a."systemPrompt",
+            $old$respond with practical reframes + [video:motivation].$old$,
+            $new$respond with practical reframes + a matching coach video from the media list, if there is one.$new$),
+        a."languageInstructions",
+        'Motivation drops: suggest a coach video from the media library'
+    FROM "active" a
+    RETURNING "version"
+)
+UPDATE "settings" SET "value" = c."version"::TEXT
+FROM "created" c
+WHERE "settings"."key" = 'active_prompt_version';
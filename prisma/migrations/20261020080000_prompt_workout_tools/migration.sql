@@ -0,0 +1,27 @@
+-- Migration: TOOLS section of the system prompt covers log_workout and get_workout_summary
+
+-- As in 20261020070000_prompt_motivation_media: a fresh database is seeded from
+-- config/constants.js; otherwise the lines go in as a new version on top of the active one,
+-- unless its TOOLS section was rewritten or already mentions the workout tools.
+WITH "active" AS (
+    SELECT p.* FROM "prompt_versions" p
+    JOIN "settings" s ON s."key" = 'active_prompt_version' AND p."version" = s."value"::INTEGER
+    WHERE position($old$- Never claim something was logged or saved unless the tool reported success.$old$ IN p."systemPrompt") > 0
+      AND position('log_workout' IN p."systemPrompt") = 0
+), "created" AS (
+    INSERT INTO "prompt_versions" ("version", "systemPrompt", "languageInstructions", "note")
+    SELECT
+        (SELECT max("version") FROM "prompt_versions") + 1,
+        replace(a."systemPrompt",
+            $old$- Never claim something was logged or saved unless the tool reported success.$old$,
+            $new$- When the user reports a workout they did ("vandaag 3x5 squat op 100 kg"), call log_workout with every set and congratulate them on any PR it reports.
+- Before commenting on strength progress, PRs or what to lift next, call get_workout_summary (with exercise for one lift) instead of guessing.
+- Never claim something was logged or saved unless the tool reported success.$new$),
+        a."languageInstructions",
+        'Tools: log_workout and get_workout_summary'
+    FROM "active" a
+    RETURNING "version"
+)
+UPDATE "settings" SET "value" = c."version"::TEXT
+FROM "created" c
+WHERE "settings"."key" = 'active_prompt_version';
@@ -0,0 +1,94 @@
+/**
+ * Chat image uploads.
+ *
+ * Uploads are sniffed by their bytes (the client's Content-Type is not
+ * trusted), re-encoded with sharp — which applies the EXIF orientation and
+ * drops all metadata, GPS included — and downscaled to what vision models
+ * actually use. The chat route later turns an attachment into a data URL for
+ * the provider, so storage never has to be publicly reachable.
+ */
+
+import { randomUUID } from 'node:crypto';
+import sharp from 'sharp';
+
+export const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+// Vision models downscale anything larger themselves; sending more only costs bandwidth
+export const MAX_IMAGE_DIMENSION = 1600;
+const MAX_INPUT_PIXELS = 50_000_000;
+
+export class UploadError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+const SIGNATURES = [
+    { mimeType: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mimeType: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mimeType: 'image/gif', test: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+    { mimeType: 'image/webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+];
+
+/**
+ * Image type from the file's magic bytes, or null for anything else.
+ *
+ * @param {Buffer} buffer
+ * @returns {string | null}
+ */
+export function sniffImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    return SIGNATURES.find(s => s.test(buffer))?.mimeType ?? null;
+}
+
+/**
+ * Validate, clean and downscale an uploaded image.
+ *
+ * PNG and GIF (first frame) become PNG to keep sharp edges and transparency;
+ * photos become JPEG.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<{ data: Buffer, mimeType: string, width: number, height: number }>}
+ */
+export async function processImage(buffer) {
+    const detected = sniffImageType(buffer);
+    if (!detected) throw new UploadError('Unsupported file type; upload a JPEG, PNG, WebP or GIF image', 415);
+
+    const lossless = detected === 'image/png' || detected === 'image/gif';
+    try {
+        const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+            .rotate()
+            .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true });
+        const { data, info } = await (lossless ? pipeline.png() : pipeline.jpeg({ quality: 85, mozjpeg: true }))
+            .toBuffer({ resolveWithObject: true });
+        return { data, mimeType: lossless ? 'image/png' : 'image/jpeg', width: info.width, height: info.height };
+    } catch (e) {
+        throw new UploadError(`Could not read image: ${e.message}`);
+    }
+}
+
+/**
+ * Object key for a new upload of `userId`.
+ */
+export function storageKeyFor(userId, mimeType) {
+    const extension = mimeType === 'image/png' ? 'png' : 'jpg';
+    return `${userId.replace(/[^\w-]/g, '_')}/${randomUUID()}.${extension}`;
+}
+
+export function toPublicAttachment(attachment) {
+    return {
+        id: attachment.id,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        width: attachment.width,
+        height: attachment.height,
+        url: `/api/attachments/${attachment.id}`,
+    };
+}
+
+// Vision input for the provider; the stored file never needs a public URL
+export function toDataUrl(mimeType, data) {
+    return `data:${mimeType};base64,${data.toString('base64')}`;
+}
@@ -0,0 +1,71 @@
+/**
+ * Conversation branches.
+ *
+ * Messages form a tree: every message points at the message it follows
+ * (`parentId`, null for the first one) and the conversation remembers the last
+ * message of the branch the user is looking at (`activeLeafId`). Regenerating a
+ * reply or editing a message adds a sibling instead of overwriting, so the
+ * earlier versions stay available to switch back to.
+ */
+
+const byCreation = (a, b) => a.createdAt - b.createdAt;
+
+/**
+ * Messages from the first one down to `leafId`, oldest first. Empty for a null
+ * or unknown id.
+ *
+ * @template {{ id: string, parentId?: string | null }} T
+ * @param {T[]} messages  All messages of the conversation
+ * @param {string | null} leafId
+ * @returns {T[]}
+ */
+export function pathTo(messages, leafId) {
+    const byId = new Map(messages.map(m => [m.id, m]));
+    const path = [];
+    const seen = new Set();
+    for (let message = byId.get(leafId); message && !seen.has(message.id); message = byId.get(message.parentId)) {
+        seen.add(message.id);
+        path.unshift(message);
+    }
+    return path;
+}
+
+/**
+ * The branch the user is looking at. Falls back to the newest message when
+ * the conversation has no (valid) active leaf.
+ */
+export function activeBranch(messages, activeLeafId) {
+    if (messages.some(m => m.id === activeLeafId)) return pathTo(messages, activeLeafId);
+    const newest = [...messages].sort(byCreation).at(-1);
+    return newest ? pathTo(messages, newest.id) : [];
+}
+
+/**
+ * Where a branch starting at `messageId` currently ends: follow the newest
+ * reply down to a message without replies.
+ */
+export function latestLeaf(messages, messageId) {
+    let leaf = messages.find(m => m.id === messageId);
+    const seen = new Set();
+    while (leaf && !seen.has(leaf.id)) {
+        seen.add(leaf.id);
+        const newestChild = messages.filter(m => m.parentId === leaf.id).sort(byCreation).at(-1);
+        if (!newestChild) break;
+        leaf = newestChild;
+    }
+    return leaf ?? null;
+}
+
+/**
+ * Adds `branch: { index, count, siblingIds }` to every message on the path so
+ * the chat can offer "< 2/3 >" between alternative versions of a message.
+ */
+export function withBranchInfo(path, messages) {
+    return path.map(message => {
+        const siblingIds = messages
+            .filter(m => (m.parentId ?? null) === (message.parentId ?? null))
+            .sort(byCreation)
+            .map(m => m.id);
+        return { ...message, branch: { index: siblingIds.indexOf(message.id), count: siblingIds.length, siblingIds } };
+    });
+}
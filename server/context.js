@@ -0,0 +1,133 @@
+/**
+ * Context manager for /api/chat.
+ *
+ * Instead of rejecting long conversations, the model gets:
+ *   system prompts + library plans + a rolling summary of older turns + the most
+ *   recent turns that fit in the token budget.
+ *
+ * The summary is stored on the conversation together with the id of the last
+ * message it covers, so it is only extended when new turns fall out of the window.
+ */
+
+import { SUMMARY_PROMPT } from '../config/constants.js';
+
+// Rough heuristic (≈4 characters per token) — good enough for budgeting, no tokenizer needed
+const CHARS_PER_TOKEN = 4;
+// What OpenAI charges for a low-detail image; used as a flat estimate
+const IMAGE_TOKENS = 85;
+
+export const HISTORY_TOKEN_BUDGET = Number(process.env.CHAT_HISTORY_TOKENS) || 6000;
+export const PINNED_TOKEN_BUDGET = Number(process.env.CHAT_PINNED_TOKENS) || 2000;
+
+// After a summary update only this share of the budget is kept verbatim,
+// so the next few turns fit without summarizing again
+const RECENT_SHARE_AFTER_SUMMARY = 0.5;
+
+export function estimateTokens(content) {
+    if (Array.isArray(content)) {
+        return content.reduce((sum, part) => sum + (part.type === 'text' ? estimateTokens(part.text) : IMAGE_TOKENS), 0);
+    }
+    return Math.ceil(String(content || '').length / CHARS_PER_TOKEN) + 4;
+}
+
+function totalTokens(messages) {
+    return messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+}
+
+// Longest suffix of `messages` that fits in `budget` tokens
+function recentSuffix(messages, budget) {
+    let used = 0;
+    let start = messages.length;
+    while (start > 0) {
+        const cost = estimateTokens(messages[start - 1].content);
+        if (used + cost > budget) break;
+        used += cost;
+        start--;
+    }
+    return start;
+}
+
+/**
+ * Split stored history into turns the summary must absorb and turns sent verbatim.
+ *
+ * @param {Array<{ id: string, role: string, content: string }>} history  Oldest first
+ * @param {string | null} summarizedThroughId  Last message already covered by the summary
+ * @param {number} [budget]
+ * @returns {{ toSummarize: typeof history, recent: typeof history }}
+ */
+export function planContext(history, summarizedThroughId, budget = HISTORY_TOKEN_BUDGET) {
+    let unsummarized = history;
+    if (summarizedThroughId) {
+        const index = history.findIndex(m => m.id === summarizedThroughId);
+        if (index !== -1) unsummarized = history.slice(index + 1);
+    }
+
+    if (totalTokens(unsummarized) <= budget) {
+        return { toSummarize: [], recent: unsummarized };
+    }
+
+    const start = recentSuffix(unsummarized, budget * RECENT_SHARE_AFTER_SUMMARY);
+    return { toSummarize: unsummarized.slice(0, start), recent: unsummarized.slice(start) };
+}
+
+// Keep library plans within their own budget, in the order the user gave them
+export function fitPinned(pinned, budget = PINNED_TOKEN_BUDGET) {
+    const kept = [];
+    let used = 0;
+    for (const message of pinned) {
+        const cost = estimateTokens(message.content);
+        if (used + cost > budget) continue;
+        kept.push(message);
+        used += cost;
+    }
+    return kept;
+}
+
+/**
+ * Fold `messages` into the running summary with one model call.
+ *
+ * @param {import('./llm.js').LlmProvider} llm
+ * @param {string | null} summary
+ * @param {Array<{ role: string, content: string }>} messages
+ * @returns {Promise<string>}
+ */
+export async function summarize(llm, summary, messages) {
+    const transcript = messages
+        .map(m => `${m.role === 'user' ? 'User' : 'Coach'}: ${m.content}`)
+        .join('\n\n');
+
+    const { content } = await llm.chat({
+        messages: [
+            { role: 'system', content: SUMMARY_PROMPT },
+            {
+                role: 'user',
+                content: `Existing summary:\n${summary || '(none)'}\n\nNew messages:\n${transcript}`,
+            },
+        ],
+    });
+    return content.trim();
+}
+
+/**
+ * Assemble the messages sent upstream.
+ *
+ * @param {{ system: object[], intro?: object | null, pinned?: object[], summary?: string | null, recent: object[], current: object }} parts
+ */
+export function buildContext({ system, intro = null, pinned = [], summary = null, recent, current }) {
+    const messages = [...system];
+
+    if (pinned.length > 0) {
+        messages.push({
+            role: 'system',
+            content: `Plans from the user's library, for reference:\n\n${pinned.map(m => m.content).join('\n\n---\n\n')}`,
+        });
+    }
+
+    if (summary) {
+        messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${summary}` });
+    }
+
+    if (intro) messages.push(intro);
+
+    return [...messages, ...recent.map(m => ({ role: m.role, content: m.content })), current];
+}
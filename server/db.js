@@ -1,3 +1,4 @@
+import { randomUUID } from 'node:crypto';
 import { PrismaClient } from '@prisma/client';
 import { logger } from './logger.js';
 
@@ -133,6 +134,49 @@ export async function updateUserDataByClerkId(clerkId, data) {
     }
 }
 
+function parseUserData(user) {
+    try {
+        return user?.data ? JSON.parse(user.data) : {};
+    } catch {
+        return {};
+    }
+}
+
+// Remove a legacy key from the data blob inside transaction `tx` and return its
+// value. The key is only removed if the stored blob is still the one read here,
+// so of overlapping calls exactly one gets the value; the others get undefined.
+async function takeUserDataKey(tx, userId, key) {
+    const current = await tx.user.findUnique({ where: { id: userId } });
+    const data = parseUserData(current);
+    if (!Object.hasOwn(data, key)) return undefined;
+
+    const value = data[key];
+    delete data[key];
+    const { count } = await tx.user.updateMany({
+        where: { id: userId, data: current.data },
+        data: { data: JSON.stringify(data) },
+    });
+    return count > 0 ? value : undefined;
+}
+
+export async function getUserDataKey(userId, key) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    return parseUserData(user)[key];
+}
+
+// Read-modify-write a single key of the data blob; other keys are left untouched
+export async function updateUserDataKey(userId, key, update) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) return undefined;
+    const data = parseUserData(user);
+    const value = update(data[key]);
+    await prisma.user.update({
+        where: { id: userId },
+        data: { data: JSON.stringify({ ...data, [key]: value }) },
+    });
+    return value;
+}
+
 // --- Settings for System-wide controls ---
 
 export async function getSetting(key, defaultValue = null) {
@@ -149,3 +193,676 @@ export async function updateSetting(key, value) {
     });
     return true;
 }
+
+// --- Conversations (threads) and messages ---
+
+const DEFAULT_CONVERSATION_TITLE = 'Nieuw gesprek';
+const MAX_TITLE_LENGTH = 80;
+
+export function titleFromMessage(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return DEFAULT_CONVERSATION_TITLE;
+    return clean.length > MAX_TITLE_LENGTH ? `${clean.slice(0, MAX_TITLE_LENGTH - 1)}…` : clean;
+}
+
+export async function listConversations(userId, { archived = false } = {}) {
+    return prisma.conversation.findMany({
+        where: { userId, archived },
+        orderBy: { updatedAt: 'desc' },
+    });
+}
+
+export async function createConversation(userId, { title } = {}) {
+    return prisma.conversation.create({
+        data: { userId, title: title?.trim().slice(0, MAX_TITLE_LENGTH) || DEFAULT_CONVERSATION_TITLE },
+    });
+}
+
+// Returns the conversation only if it belongs to userId
+export async function getConversation(userId, id) {
+    if (!id || typeof id !== 'string') return null;
+    const conversation = await prisma.conversation.findUnique({ where: { id } });
+    if (!conversation || conversation.userId !== userId) return null;
+    return conversation;
+}
+
+export async function updateConversation(userId, id, updates) {
+    const conversation = await getConversation(userId, id);
+    if (!conversation) return null;
+
+    const data = {};
+
+    if (updates.title !== undefined) {
+        data.title = String(updates.title).trim().slice(0, MAX_TITLE_LENGTH) || DEFAULT_CONVERSATION_TITLE;
+    }
+
+    if (updates.archived !== undefined) {
+        data.archived = Boolean(updates.archived);
+    }
+
+    if (Object.keys(data).length === 0) return conversation;
+
+    return prisma.conversation.update({ where: { id }, data });
+}
+
+export async function deleteConversation(userId, id) {
+    const conversation = await getConversation(userId, id);
+    if (!conversation) return false;
+    try {
+        await prisma.conversation.delete({ where: { id } });
+        return true;
+    } catch (e) {
+        if (e.code === 'P2025') return false;
+        throw e;
+    }
+}
+
+export async function getConversationMessages(conversationId) {
+    return prisma.message.findMany({
+        where: { conversationId },
+        orderBy: { createdAt: 'asc' },
+        include: {
+            attachments: { orderBy: { createdAt: 'asc' } },
+            feedback: { select: { rating: true, reason: true } },
+        },
+    });
+}
+
+// The new message follows `parentId` and becomes the end of the active branch
+export async function addMessage(conversationId, { role, content, toolResults, promptVersion, model, parentId = null }) {
+    const message = await prisma.message.create({
+        data: {
+            conversationId,
+            parentId,
+            role,
+            content,
+            ...(toolResults?.length ? { toolResults } : {}),
+            ...(promptVersion != null ? { promptVersion } : {}),
+            ...(model ? { model } : {}),
+        },
+    });
+    // Bump updatedAt so the thread moves to the top of the list
+    await prisma.conversation.update({
+        where: { id: conversationId },
+        data: { updatedAt: new Date(), activeLeafId: message.id },
+    });
+    return message;
+}
+
+export async function setActiveLeaf(conversationId, activeLeafId) {
+    return prisma.conversation.update({ where: { id: conversationId }, data: { activeLeafId } });
+}
+
+// Move a legacy User.data.chatHistory blob into a first conversation.
+// Runs once per user. The transaction re-reads the blob and removes the key
+// only if the stored blob is still the one it read; a request that loses that
+// race imports nothing, so overlapping requests cannot import the history twice.
+// The ids the browser gave the messages are kept as `legacyMessageIds`
+// (old id -> new id), since old pins refer to them.
+export async function migrateChatHistory(user) {
+    if (!Array.isArray(parseUserData(user).chatHistory)) return null;
+
+    return prisma.$transaction(async (tx) => {
+        const current = await tx.user.findUnique({ where: { id: user.id } });
+        const data = parseUserData(current);
+        const history = Array.isArray(data.chatHistory) ? data.chatHistory : null;
+        if (!history) return null;
+
+        const messages = history.filter(m =>
+            m && (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string' && m.content.trim()
+        );
+        const ids = messages.map(() => randomUUID());
+        const legacyIds = Object.fromEntries(messages.flatMap((m, i) => (m.id != null ? [[String(m.id), ids[i]]] : [])));
+
+        delete data.chatHistory;
+        if (Object.keys(legacyIds).length > 0) data.legacyMessageIds = { ...data.legacyMessageIds, ...legacyIds };
+        const { count } = await tx.user.updateMany({
+            where: { id: user.id, data: current.data },
+            data: { data: JSON.stringify(data) },
+        });
+        if (count === 0 || messages.length === 0) return null;
+
+        const firstUser = messages.find(m => m.role === 'user');
+        const conversation = await tx.conversation.create({ data: { userId: user.id, title: titleFromMessage(firstUser?.content) } });
+        // One linear branch, in the original order
+        const start = Date.now() - messages.length;
+        await tx.message.createMany({
+            data: messages.map((m, i) => ({
+                id: ids[i],
+                conversationId: conversation.id,
+                parentId: i > 0 ? ids[i - 1] : null,
+                role: m.role,
+                content: m.content,
+                createdAt: new Date(start + i),
+            })),
+        });
+        return tx.conversation.update({ where: { id: conversation.id }, data: { activeLeafId: ids[ids.length - 1] } });
+    });
+}
+
+export async function updateConversationSummary(id, { summary, summarizedThroughId }) {
+    return prisma.conversation.update({
+        where: { id },
+        data: { summary, summarizedThroughId, summaryUpdatedAt: new Date() },
+    });
+}
+
+// Messages by id, limited to conversations owned by userId
+export async function getUserMessagesByIds(userId, ids) {
+    if (!Array.isArray(ids) || ids.length === 0) return [];
+    return prisma.message.findMany({
+        where: { id: { in: ids }, conversation: { userId } },
+        orderBy: { createdAt: 'desc' },
+    });
+}
+
+// Admin view: every thread of a user with its stored summary
+export async function getConversationSummaries(userId) {
+    return prisma.conversation.findMany({
+        where: { userId },
+        orderBy: { updatedAt: 'desc' },
+        select: { id: true, title: true, archived: true, updatedAt: true, summary: true, summaryUpdatedAt: true },
+    });
+}
+
+// --- Coaching profile ---
+
+export async function getCoachingProfile(userId) {
+    return prisma.coachingProfile.findUnique({ where: { userId } });
+}
+
+export async function upsertCoachingProfile(userId, data) {
+    return prisma.coachingProfile.upsert({
+        where: { userId },
+        update: data,
+        create: { userId, ...data },
+    });
+}
+
+// --- Prompt versions ---
+
+export async function listPromptVersions() {
+    return prisma.promptVersion.findMany({
+        orderBy: { version: 'desc' },
+        select: { version: true, note: true, createdBy: true, createdAt: true },
+    });
+}
+
+export async function getPromptVersion(version) {
+    if (!Number.isInteger(version)) return null;
+    return prisma.promptVersion.findUnique({ where: { version } });
+}
+
+// Versions are numbered 1, 2, 3, ...; a concurrent insert of the same number fails on the primary key
+export async function createPromptVersion({ systemPrompt, languageInstructions, note, createdBy }) {
+    const latest = await prisma.promptVersion.findFirst({ orderBy: { version: 'desc' }, select: { version: true } });
+    return prisma.promptVersion.create({
+        data: {
+            version: (latest?.version ?? 0) + 1,
+            systemPrompt,
+            languageInstructions,
+            note: note || null,
+            createdBy: createdBy || null,
+        },
+    });
+}
+
+// --- Token usage ---
+
+export async function addTokenUsage(userId, { day, model, promptTokens, completionTokens }) {
+    return prisma.tokenUsage.upsert({
+        where: { userId_day_model: { userId, day, model } },
+        update: {
+            promptTokens: { increment: promptTokens },
+            completionTokens: { increment: completionTokens },
+            requests: { increment: 1 },
+        },
+        create: { userId, day, model, promptTokens, completionTokens, requests: 1 },
+    });
+}
+
+// Usage rows from `since` (a UTC day) onwards, for one user or everyone
+export async function getTokenUsageSince(since, userId = null) {
+    return prisma.tokenUsage.findMany({
+        where: { day: { gte: since }, ...(userId ? { userId } : {}) },
+    });
+}
+
+// --- Safety events ---
+
+export async function addSafetyEvents(events) {
+    return prisma.safetyEvent.createMany({ data: events });
+}
+
+// Newest first; status is 'open' (not yet reviewed), 'reviewed' or 'all'
+export async function listSafetyEvents({ status = 'open', category, limit = 100 } = {}) {
+    return prisma.safetyEvent.findMany({
+        where: {
+            ...(status === 'open' ? { reviewedAt: null } : {}),
+            ...(status === 'reviewed' ? { reviewedAt: { not: null } } : {}),
+            ...(category ? { category } : {}),
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        include: { user: { select: { name: true, email: true } } },
+    });
+}
+
+export async function reviewSafetyEvent(id, { reviewedBy, note }) {
+    const event = await prisma.safetyEvent.findUnique({ where: { id } });
+    if (!event) return null;
+    return prisma.safetyEvent.update({
+        where: { id },
+        data: { reviewedAt: new Date(), reviewedBy: reviewedBy || null, reviewNote: note || null },
+    });
+}
+
+// --- Answer feedback ---
+
+// One rating per reply; rating again replaces it and reopens it for review
+export async function upsertMessageFeedback(userId, message, { rating, reason, comment, context }) {
+    const data = { rating, reason, comment, context, reviewedAt: null, reviewedBy: null, reviewNote: null };
+    return prisma.messageFeedback.upsert({
+        where: { messageId: message.id },
+        update: data,
+        create: {
+            ...data,
+            userId,
+            conversationId: message.conversationId,
+            messageId: message.id,
+            model: message.model ?? null,
+            promptVersion: message.promptVersion ?? null,
+        },
+    });
+}
+
+export async function deleteMessageFeedback(userId, messageId) {
+    const { count } = await prisma.messageFeedback.deleteMany({ where: { userId, messageId } });
+    return count > 0;
+}
+
+function feedbackWhere({ status, rating, reason, model, promptVersion, from, to }) {
+    return {
+        ...(status === 'open' ? { reviewedAt: null } : {}),
+        ...(status === 'reviewed' ? { reviewedAt: { not: null } } : {}),
+        ...(rating ? { rating } : {}),
+        ...(reason ? { reason } : {}),
+        ...(model ? { model } : {}),
+        ...(promptVersion ? { promptVersion } : {}),
+        ...(from || to ? {
+            createdAt: {
+                ...(from ? { gte: new Date(`${from}T00:00:00Z`) } : {}),
+                ...(to ? { lt: new Date(new Date(`${to}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000) } : {}),
+            },
+        } : {}),
+    };
+}
+
+// Newest first; filters as returned by feedbackFilters, dates are whole UTC days
+export async function listMessageFeedback(filters = {}, { limit = 100 } = {}) {
+    return prisma.messageFeedback.findMany({
+        where: feedbackWhere(filters),
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        include: { user: { select: { name: true, email: true } } },
+    });
+}
+
+export async function reviewMessageFeedback(id, { reviewedBy, note }) {
+    const feedback = await prisma.messageFeedback.findUnique({ where: { id } });
+    if (!feedback) return null;
+    return prisma.messageFeedback.update({
+        where: { id },
+        data: { reviewedAt: new Date(), reviewedBy: reviewedBy || null, reviewNote: note || null },
+    });
+}
+
+// --- Coaching memory ---
+
+export async function listMemoryFacts(userId) {
+    return prisma.memoryFact.findMany({
+        where: { userId },
+        orderBy: { updatedAt: 'desc' },
+    });
+}
+
+export async function createMemoryFacts(userId, facts, { conversationId, messageId } = {}) {
+    if (facts.length === 0) return { count: 0 };
+    return prisma.memoryFact.createMany({
+        data: facts.map(({ category, content }) => ({
+            userId, category, content, conversationId: conversationId || null, messageId: messageId || null,
+        })),
+    });
+}
+
+// Updates and deletes are scoped to the owner; ids of other users are ignored
+export async function updateMemoryFact(userId, id, { content, conversationId, messageId }) {
+    const { count } = await prisma.memoryFact.updateMany({
+        where: { id, userId },
+        data: { content, conversationId: conversationId || null, messageId: messageId || null },
+    });
+    return count > 0;
+}
+
+export async function deleteMemoryFacts(userId, ids = null) {
+    const { count } = await prisma.memoryFact.deleteMany({
+        where: { userId, ...(ids ? { id: { in: ids } } : {}) },
+    });
+    return count;
+}
+
+// --- Attachments ---
+
+export async function createAttachment(userId, { storageKey, mimeType, size, width, height }) {
+    return prisma.attachment.create({
+        data: { userId, storageKey, mimeType, size, width, height },
+    });
+}
+
+export async function getAttachment(userId, id) {
+    if (!id || typeof id !== 'string') return null;
+    const attachment = await prisma.attachment.findUnique({ where: { id } });
+    if (!attachment || attachment.userId !== userId) return null;
+    return attachment;
+}
+
+// Uploads of this user that have not been sent with a message yet
+export async function getPendingAttachments(userId, ids) {
+    return prisma.attachment.findMany({
+        where: { id: { in: ids }, userId, messageId: null },
+        orderBy: { createdAt: 'asc' },
+    });
+}
+
+export async function attachToMessage(userId, ids, messageId) {
+    const { count } = await prisma.attachment.updateMany({
+        where: { id: { in: ids }, userId, messageId: null },
+        data: { messageId },
+    });
+    return count;
+}
+
+// Storage keys of the images in a conversation, so the files can go with it
+export async function getConversationAttachmentKeys(conversationId) {
+    const attachments = await prisma.attachment.findMany({
+        where: { message: { conversationId } },
+        select: { storageKey: true },
+    });
+    return attachments.map(a => a.storageKey);
+}
+
+// --- Nutrition log ---
+
+// Both bounds are YYYY-MM-DD and included; without them, every entry
+export async function listNutritionLogs(userId, { from, to } = {}) {
+    return prisma.nutritionLog.findMany({
+        where: { userId, ...(from || to ? { date: { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) } } : {}) },
+        orderBy: [{ date: 'asc' }, { createdAt: 'asc' }],
+    });
+}
+
+export async function createNutritionLog(userId, entry) {
+    return prisma.nutritionLog.create({ data: { userId, ...entry } });
+}
+
+export async function updateNutritionLog(userId, id, entry) {
+    const { count } = await prisma.nutritionLog.updateMany({ where: { id, userId }, data: entry });
+    if (count === 0) return null;
+    return prisma.nutritionLog.findUnique({ where: { id } });
+}
+
+export async function deleteNutritionLog(userId, id) {
+    const { count } = await prisma.nutritionLog.deleteMany({ where: { id, userId } });
+    return count > 0;
+}
+
+// --- Coach media library ---
+
+// With the number of recorded views per clip, for the admin list
+export async function listMediaClips({ activeOnly = false } = {}) {
+    return prisma.mediaClip.findMany({
+        where: activeOnly ? { active: true } : {},
+        orderBy: { key: 'asc' },
+        include: { _count: { select: { views: true } } },
+    });
+}
+
+export async function getMediaClipByKey(key) {
+    return prisma.mediaClip.findUnique({ where: { key } });
+}
+
+export async function createMediaClip(data) {
+    return prisma.mediaClip.create({ data });
+}
+
+export async function updateMediaClip(id, data) {
+    try {
+        return await prisma.mediaClip.update({ where: { id }, data });
+    } catch (e) {
+        if (e.code === 'P2025') return null;
+        throw e;
+    }
+}
+
+export async function deleteMediaClip(id) {
+    try {
+        await prisma.mediaClip.delete({ where: { id } });
+        return true;
+    } catch (e) {
+        if (e.code === 'P2025') return false;
+        throw e;
+    }
+}
+
+export async function addMediaView(clipId, userId, language) {
+    return prisma.mediaView.create({ data: { clipId, userId, language } });
+}
+
+// --- Plan library ---
+
+// `archived: null` lists archived and active items together
+function libraryWhere(userId, { archived = false, tag, q } = {}) {
+    const where = { userId };
+    if (archived !== null) where.archived = archived;
+    if (tag) where.tags = { has: tag };
+    if (q) {
+        where.OR = ['title', 'content', 'note'].map(field => ({ [field]: { contains: q, mode: 'insensitive' } }));
+    }
+    return where;
+}
+
+export async function listLibraryItems(userId, filters = {}) {
+    return prisma.libraryItem.findMany({
+        where: libraryWhere(userId, filters),
+        orderBy: [{ position: 'asc' }, { createdAt: 'desc' }],
+    });
+}
+
+export async function countLibraryItems(userId) {
+    return prisma.libraryItem.count({ where: { userId } });
+}
+
+export async function getLibraryItemByMessage(userId, messageId) {
+    return prisma.libraryItem.findFirst({ where: { userId, messageId } });
+}
+
+// New items go to the top of the library
+export async function createLibraryItem(userId, item) {
+    const first = await prisma.libraryItem.findFirst({
+        where: { userId },
+        orderBy: { position: 'asc' },
+        select: { position: true },
+    });
+    return prisma.libraryItem.create({
+        data: { userId, ...item, position: first ? first.position - 1 : 0 },
+    });
+}
+
+export async function updateLibraryItem(userId, id, data) {
+    const { count } = await prisma.libraryItem.updateMany({ where: { id, userId }, data });
+    if (count === 0) return null;
+    return prisma.libraryItem.findUnique({ where: { id } });
+}
+
+export async function deleteLibraryItem(userId, id) {
+    const { count } = await prisma.libraryItem.deleteMany({ where: { id, userId } });
+    return count > 0;
+}
+
+// Move the plans the coach used to save in User.data.savedPlans into the library,
+// once. `toItem` maps a stored plan to item fields, or null to skip it.
+export async function migrateSavedPlans(user, toItem) {
+    if (!Object.hasOwn(parseUserData(user), 'savedPlans')) return 0;
+
+    return prisma.$transaction(async (tx) => {
+        const plans = await takeUserDataKey(tx, user.id, 'savedPlans');
+        const items = Array.isArray(plans) ? plans.map(toItem).filter(Boolean) : [];
+        if (items.length === 0) return 0;
+
+        // Stored newest first; they go above the existing items in that order
+        const first = await tx.libraryItem.findFirst({
+            where: { userId: user.id },
+            orderBy: { position: 'asc' },
+            select: { position: true },
+        });
+        const top = (first ? first.position : 0) - items.length;
+        await tx.libraryItem.createMany({ data: items.map((item, i) => ({ userId: user.id, ...item, position: top + i })) });
+        return items.length;
+    });
+}
+
+// `ids` is the new order of a subset of the user's items, e.g. the filtered
+// list on screen. They take the places they held among all items, so hidden
+// and archived items keep theirs, and every item is renumbered from 0.
+export async function reorderLibraryItems(userId, ids) {
+    await prisma.$transaction(async (tx) => {
+        const all = await tx.libraryItem.findMany({
+            where: { userId },
+            orderBy: [{ position: 'asc' }, { createdAt: 'desc' }],
+            select: { id: true, position: true },
+        });
+        const moved = new Set(ids);
+        const next = ids[Symbol.iterator]();
+        const order = all.map(item => (moved.has(item.id) ? next.next().value : item.id));
+        const positions = new Map(all.map(item => [item.id, item.position]));
+        for (const [position, id] of order.entries()) {
+            if (positions.get(id) === position) continue;
+            await tx.libraryItem.updateMany({ where: { id, userId }, data: { position } });
+        }
+    });
+}
+
+// --- Chat search ---
+
+/**
+ * A page of the user's messages matching `q`, best match first. The query is
+ * read both as Dutch and as English, against the searchVector column; dates
+ * are whole UTC days. Fetches one row more than `limit` so the caller can tell
+ * whether there is another page.
+ */
+export async function searchMessages(userId, { q, from, to, config, headlineOptions, limit, offset = 0 }) {
+    const day = 24 * 60 * 60 * 1000;
+    const after = from ? new Date(`${from}T00:00:00Z`).toISOString() : null;
+    const before = to ? new Date(new Date(`${to}T00:00:00Z`).getTime() + day).toISOString() : null;
+    return prisma.$queryRaw`
+        SELECT m."id", m."conversationId", m."role", m."createdAt", c."title" AS "conversationTitle",
+               ts_headline(${config}::regconfig, m."content", query, ${headlineOptions}) AS "headline"
+        FROM "messages" m
+        JOIN "conversations" c ON c."id" = m."conversationId",
+             LATERAL (SELECT websearch_to_tsquery('dutch', ${q}) || websearch_to_tsquery('english', ${q}) AS query) search
+        WHERE c."userId" = ${userId}
+          AND m."role" IN ('user', 'assistant')
+          AND m."searchVector" @@ query
+          AND (${after}::timestamp IS NULL OR m."createdAt" >= ${after}::timestamp)
+          AND (${before}::timestamp IS NULL OR m."createdAt" < ${before}::timestamp)
+        ORDER BY ts_rank(m."searchVector", query) DESC, m."createdAt" DESC
+        LIMIT ${limit + 1} OFFSET ${offset}`;
+}
+
+// --- Body measurements ---
+
+// Oldest first; `from` is inclusive and `to` exclusive
+export async function listMeasurements(userId, { type, from, to } = {}) {
+    return prisma.measurement.findMany({
+        where: {
+            userId,
+            ...(type ? { type } : {}),
+            ...(from || to ? { measuredAt: { ...(from ? { gte: from } : {}), ...(to ? { lt: to } : {}) } } : {}),
+        },
+        orderBy: { measuredAt: 'asc' },
+    });
+}
+
+// Returns the measurement only if it belongs to userId
+export async function getMeasurement(userId, id) {
+    return prisma.measurement.findFirst({ where: { id, userId } });
+}
+
+export async function createMeasurement(userId, data) {
+    return prisma.measurement.create({ data: { userId, ...data } });
+}
+
+export async function createMeasurements(userId, rows) {
+    const { count } = await prisma.measurement.createMany({ data: rows.map(row => ({ userId, ...row })) });
+    return count;
+}
+
+// Move User.data.weightLog into measurements, once; `toRows` maps the stored log to rows.
+// Of overlapping calls only the one that removes the key creates rows.
+export async function migrateWeightLogBlob(userId, toRows) {
+    return prisma.$transaction(async (tx) => {
+        const rows = toRows(await takeUserDataKey(tx, userId, 'weightLog'));
+        if (rows.length > 0) await tx.measurement.createMany({ data: rows.map(row => ({ userId, ...row })) });
+        return rows.length;
+    });
+}
+
+export async function updateMeasurement(userId, id, data) {
+    const { count } = await prisma.measurement.updateMany({ where: { id, userId }, data });
+    if (count === 0) return null;
+    return prisma.measurement.findUnique({ where: { id } });
+}
+
+export async function deleteMeasurement(userId, id) {
+    const { count } = await prisma.measurement.deleteMany({ where: { id, userId } });
+    return count > 0;
+}
+
+// --- Workout log ---
+
+const WITH_SETS = { sets: { orderBy: { position: 'asc' } } };
+const numberSets = (sets) => sets.map((set, position) => ({ ...set, position }));
+
+// All of the user's sessions with their sets, newest first; PRs are read from the whole log
+export async function listWorkoutSessions(userId) {
+    return prisma.workoutSession.findMany({
+        where: { userId },
+        include: WITH_SETS,
+        orderBy: { performedAt: 'desc' },
+    });
+}
+
+export async function createWorkoutSession(userId, { sets, ...data }) {
+    return prisma.workoutSession.create({
+        data: { userId, ...data, sets: { create: numberSets(sets) } },
+        include: WITH_SETS,
+    });
+}
+
+// `sets`, when given, replace the session's sets
+export async function updateWorkoutSession(userId, id, { sets, ...data }) {
+    const { count } = await prisma.workoutSession.updateMany({ where: { id, userId }, data });
+    if (count === 0) return null;
+    if (sets) {
+        await prisma.$transaction([
+            prisma.workoutSet.deleteMany({ where: { sessionId: id } }),
+            prisma.workoutSet.createMany({ data: numberSets(sets).map(set => ({ sessionId: id, ...set })) }),
+        ]);
+    }
+    return prisma.workoutSession.findUnique({ where: { id }, include: WITH_SETS });
+}
+
+export async function deleteWorkoutSession(userId, id) {
+    const { count } = await prisma.workoutSession.deleteMany({ where: { id, userId } });
+    return count > 0;
+}
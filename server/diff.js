@@ -0,0 +1,41 @@
+/**
+ * Line diff based on the longest common subsequence.
+ * Used by the admin prompt editor; prompts are a few hundred lines at most,
+ * so the O(n·m) table is fine.
+ */
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'equal' | 'insert' | 'delete', text: string }>}
+ */
+export function diffLines(before, after) {
+    const a = before === '' ? [] : before.split('\n');
+    const b = after === '' ? [] : after.split('\n');
+
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'delete', text: a[i++] });
+        } else {
+            result.push({ type: 'insert', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'delete', text: a[i++] });
+    while (j < b.length) result.push({ type: 'insert', text: b[j++] });
+    return result;
+}
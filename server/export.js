@@ -0,0 +1,513 @@
+/**
+ * Exports of coach messages: one reply, the plan library or a whole
+ * conversation, as Markdown, as a branded PDF or as a document the print page
+ * renders.
+ *
+ * Replies are Markdown written by the model. They are parsed into blocks
+ * (headings, lists, tables, paragraphs, videos) so meal and workout plans come
+ * out as real tables in the PDF and on the print page.
+ */
+
+import PDFDocument from 'pdfkit';
+
+export const EXPORT_SCOPES = ['message', 'library', 'conversation'];
+export const EXPORT_FORMATS = ['markdown', 'pdf', 'json'];
+// Formats that can be sent as an email attachment
+export const EMAIL_FORMATS = ['markdown', 'pdf'];
+
+const MAX_LIBRARY_EXPORT = 200;
+const LANGUAGES = ['nl', 'en'];
+
+const LABELS = {
+    nl: {
+        coach: 'DNB Coach',
+        you: 'Jij',
+        library: 'Mijn bibliotheek',
+        message: 'Bericht van je coach',
+        messages: (count) => (count === 1 ? '1 bericht' : `${count} berichten`),
+        exported: 'Geëxporteerd op',
+        video: 'Video',
+        page: (page, total) => `Pagina ${page} van ${total}`,
+        locale: 'nl-NL',
+    },
+    en: {
+        coach: 'DNB Coach',
+        you: 'You',
+        library: 'My library',
+        message: 'Message from your coach',
+        messages: (count) => (count === 1 ? '1 message' : `${count} messages`),
+        exported: 'Exported on',
+        video: 'Video',
+        page: (page, total) => `Page ${page} of ${total}`,
+        locale: 'en-GB',
+    },
+};
+
+const CONTENT_TYPES = {
+    markdown: 'text/markdown; charset=utf-8',
+    pdf: 'application/pdf',
+};
+
+const isId = (value) => typeof value === 'string' && value.length > 0 && value.length <= 100;
+
+/**
+ * @param {unknown} input  `{ scope, format, conversationId?, messageId?, itemIds?, lang? }`
+ *   The library scope exports the given items, or every item that is not archived
+ * @param {{ formats?: string[] }} [options]  Formats allowed for this route
+ */
+export function validateExportRequest(input, { formats = EXPORT_FORMATS } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Export request must be an object'] };
+
+    const errors = [];
+    const { scope, format } = input;
+    if (!EXPORT_SCOPES.includes(scope)) errors.push(`scope must be one of ${EXPORT_SCOPES.join(', ')}`);
+    if (!formats.includes(format)) errors.push(`format must be one of ${formats.join(', ')}`);
+    if (input.lang !== undefined && !LANGUAGES.includes(input.lang)) errors.push(`lang must be one of ${LANGUAGES.join(', ')}`);
+
+    if ((scope === 'message' || scope === 'conversation') && !isId(input.conversationId)) errors.push('conversationId is required');
+    if (scope === 'message' && !isId(input.messageId)) errors.push('messageId is required');
+    if (scope === 'library' && input.itemIds !== undefined) {
+        if (!Array.isArray(input.itemIds) || input.itemIds.length === 0 || !input.itemIds.every(isId)) {
+            errors.push('itemIds must be a non-empty list of library item ids');
+        } else if (input.itemIds.length > MAX_LIBRARY_EXPORT) {
+            errors.push(`At most ${MAX_LIBRARY_EXPORT} items can be exported at once`);
+        }
+    }
+    if (errors.length > 0) return { errors };
+
+    return {
+        data: {
+            scope,
+            format,
+            lang: input.lang ?? 'nl',
+            conversationId: scope === 'library' ? null : input.conversationId,
+            messageId: scope === 'message' ? input.messageId : null,
+            itemIds: scope === 'library' && input.itemIds ? [...new Set(input.itemIds)] : null,
+        },
+        errors,
+    };
+}
+
+// --- Markdown parsing ---
+
+const VIDEO_TAG = /\[video:([a-zA-Z0-9_-]+)\]/g;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const LIST_ITEM = /^(\s*)([-*+•]|\d+[.)])\s+(.*)$/;
+const INLINE = /\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)(?<!\s)\*|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+/**
+ * Bold, italic, code and links as text runs.
+ *
+ * @param {string} text
+ * @returns {{ text: string, bold?: boolean, italic?: boolean, link?: string }[]}
+ */
+export function parseInline(text) {
+    const runs = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(INLINE)) {
+        if (match.index > lastIndex) runs.push({ text: text.slice(lastIndex, match.index) });
+        const [, bold, boldUnderscore, italic, code, linkText, link] = match;
+        if (bold ?? boldUnderscore) runs.push({ text: bold ?? boldUnderscore, bold: true });
+        else if (italic) runs.push({ text: italic, italic: true });
+        else if (code) runs.push({ text: code });
+        else runs.push({ text: linkText, link });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) runs.push({ text: text.slice(lastIndex) });
+    return runs.filter(run => run.text);
+}
+
+const splitRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => parseInline(cell.trim()));
+
+/**
+ * Split a reply into blocks. Video tags become their own block; `clips` maps a
+ * tag key to `{ title, url }` and tags without a clip are left out.
+ */
+export function parseMarkdown(text, clips = {}) {
+    const lines = text.replace(/\r\n?/g, '\n').replace(VIDEO_TAG, '\n[video:$1]\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    // The list that the next item or indented line continues
+    let list = null;
+
+    const flush = () => {
+        if (paragraph.length > 0) blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join('\n')) });
+        paragraph = [];
+    };
+    const push = (block) => {
+        flush();
+        list = null;
+        blocks.push(block);
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        if (!trimmed) {
+            flush();
+            continue;
+        }
+
+        const video = trimmed.match(/^\[video:([a-zA-Z0-9_-]+)\]$/);
+        if (video) {
+            const clip = clips[video[1]];
+            if (clip) push({ type: 'video', key: video[1], title: clip.title, url: clip.url });
+            continue;
+        }
+
+        const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            push({ type: 'heading', level: heading[1].length, runs: parseInline(heading[2].replace(/\s*#+$/, '')) });
+            continue;
+        }
+
+        if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+            push({ type: 'rule' });
+            continue;
+        }
+
+        if (trimmed.includes('|') && TABLE_SEPARATOR.test(lines[i + 1] ?? '')) {
+            const header = splitRow(trimmed);
+            const rows = [];
+            for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+                const cells = splitRow(lines[i]);
+                // Ragged rows are padded or cut to the header's width
+                rows.push(header.map((_, column) => cells[column] ?? []));
+            }
+            i--;
+            push({ type: 'table', header, rows });
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const ordered = /\d/.test(item[2]);
+            if (list?.ordered === ordered && paragraph.length === 0) {
+                list.items.push(parseInline(item[3]));
+            } else {
+                push({ type: 'list', ordered, items: [parseInline(item[3])] });
+                list = blocks.at(-1);
+            }
+            continue;
+        }
+
+        // An indented line right after a list item continues that item
+        if (list && paragraph.length === 0 && /^\s{2,}/.test(line)) {
+            list.items.at(-1).push({ text: ` ${trimmed}` });
+            continue;
+        }
+
+        list = null;
+        paragraph.push(trimmed);
+    }
+    flush();
+    return blocks;
+}
+
+// --- Export document ---
+
+function formatDate(date, lang, withTime = true) {
+    return new Date(date).toLocaleString(LABELS[lang].locale, {
+        dateStyle: 'long',
+        ...(withTime ? { timeStyle: 'short' } : {}),
+        timeZone: 'Europe/Amsterdam',
+    });
+}
+
+/**
+ * The document every format is rendered from. Messages with a `title`
+ * (library items) get it as their section heading.
+ *
+ * @param {{ scope: string, title?: string, messages: object[], clips?: object, lang?: string, exportedAt?: Date }} options
+ */
+export function buildExportDocument({ scope, title, messages, clips = {}, lang = 'nl', exportedAt = new Date() }) {
+    const labels = LABELS[lang];
+    const sections = messages
+        .filter(m => m.role === 'user' || m.role === 'assistant')
+        .map(m => ({
+            id: m.id,
+            role: m.role,
+            label: m.role === 'user' ? labels.you : labels.coach,
+            title: m.title ?? null,
+            createdAt: new Date(m.createdAt).toISOString(),
+            date: formatDate(m.createdAt, lang),
+            content: m.content,
+            blocks: parseMarkdown(m.content, clips),
+        }));
+
+    return {
+        scope,
+        lang,
+        title: title || (scope === 'library' ? labels.library : labels.message),
+        subtitle: `${labels.messages(sections.length)} · ${labels.exported} ${formatDate(exportedAt, lang, false)}`,
+        exportedAt: exportedAt.toISOString(),
+        sections,
+    };
+}
+
+/**
+ * File name without extension: "dnb-coach-" plus the title in lowercase
+ * ASCII, e.g. "dnb-coach-schema-week-1".
+ */
+export function exportFileName(document) {
+    const slug = document.title
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, 60);
+    return `dnb-coach-${slug || 'export'}`;
+}
+
+export function toMarkdown(document) {
+    const labels = LABELS[document.lang];
+    const sections = document.sections.map(section => {
+        const content = section.content.replace(VIDEO_TAG, (tag, key) => {
+            const video = section.blocks.find(b => b.type === 'video' && b.key === key);
+            return video ? `[▶ ${labels.video}: ${video.title}](${video.url})` : '';
+        });
+        const heading = section.title
+            ? `## ${section.title}\n\n_${section.date}_\n\n`
+            : document.scope === 'message' ? '' : `## ${section.label} · ${section.date}\n\n`;
+        return `${heading}${content.trim()}\n`;
+    });
+    return [`# ${document.title}`, '', `_${document.subtitle}_`, '', '---', '', sections.join('\n---\n\n')].join('\n');
+}
+
+// --- PDF ---
+
+const BRAND = {
+    dark: '#0A0A0A',
+    accent: '#00FFA1',
+    text: '#1A1A1A',
+    muted: '#6B6B6B',
+    border: '#D0D0D0',
+    headerFill: '#E5FFF4',
+};
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+const MARGIN = 50;
+const HEADER_HEIGHT = 56;
+
+// Replacements for characters the built-in PDF fonts cannot show
+const PDF_REPLACEMENTS = [
+    [/[→⇒➡]/g, '->'], [/[←⇐]/g, '<-'], [/≈/g, '~'], [/≤/g, '<='], [/≥/g, '>='],
+    [/[✓✔✅]/g, '+'], [/[✗✘❌]/g, 'x'], [/[▶►]/g, '>'], [/[‐‑‒]/g, '-'], [/[\u2009\u202f]/g, ' '],
+];
+// Latin-1 plus the extra characters of Windows-1252, which the standard fonts encode
+const PDF_SAFE = /[^\n\t\x20-\x7e\xa0-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]/gu;
+
+function pdfText(text) {
+    let result = text;
+    for (const [pattern, replacement] of PDF_REPLACEMENTS) result = result.replace(pattern, replacement);
+    return result.replace(PDF_SAFE, '').replace(/[ \t]+\n/g, '\n');
+}
+
+const runFont = (run) => (run.bold ? FONTS.bold : run.italic ? FONTS.italic : FONTS.regular);
+const runsText = (runs) => pdfText(runs.map(r => r.text).join(''));
+
+function writeRuns(doc, runs, { x, width, size = 10.5, color = BRAND.text, ...options } = {}) {
+    const parts = runs.map(run => ({ ...run, text: pdfText(run.text) })).filter(run => run.text);
+    if (parts.length === 0) return;
+    doc.fontSize(size).fillColor(color);
+    parts.forEach((run, index) => {
+        doc.font(runFont(run));
+        const runOptions = { ...options, width, continued: index < parts.length - 1, link: run.link ?? null, underline: Boolean(run.link) };
+        if (index === 0 && x !== undefined) doc.text(run.text, x, doc.y, runOptions);
+        else doc.text(run.text, runOptions);
+    });
+}
+
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function drawTable(doc, block) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columns = block.header.length;
+    // Wider columns for longer content, within limits so no column collapses
+    const lengths = block.header.map((cell, column) => Math.max(
+        runsText(cell).length,
+        ...block.rows.map(row => runsText(row[column]).length),
+        4,
+    ));
+    const capped = lengths.map(length => Math.min(length, 40));
+    const total = capped.reduce((sum, length) => sum + length, 0);
+    const widths = capped.map(length => (length / total) * width);
+    const padding = 4;
+    const fontSize = columns > 5 ? 8.5 : 9.5;
+
+    const rowHeight = (cells, font) => Math.max(...cells.map((cell, column) => {
+        doc.font(font).fontSize(fontSize);
+        return doc.heightOfString(runsText(cell) || ' ', { width: widths[column] - padding * 2 });
+    })) + padding * 2;
+
+    const drawRow = (cells, { header = false } = {}) => {
+        const height = rowHeight(cells, header ? FONTS.bold : FONTS.regular);
+        ensureSpace(doc, height);
+        const top = doc.y;
+        let x = left;
+        cells.forEach((cell, column) => {
+            if (header) doc.rect(x, top, widths[column], height).fill(BRAND.headerFill);
+            doc.rect(x, top, widths[column], height).lineWidth(0.5).strokeColor(BRAND.border).stroke();
+            doc.y = top + padding;
+            writeRuns(doc, header ? cell.map(run => ({ ...run, bold: true })) : cell, {
+                x: x + padding,
+                width: widths[column] - padding * 2,
+                size: fontSize,
+            });
+            x += widths[column];
+        });
+        doc.x = left;
+        doc.y = top + height;
+        return height;
+    };
+
+    drawRow(block.header, { header: true });
+    for (const row of block.rows) {
+        // Repeat the header when a row starts a new page
+        if (doc.y + rowHeight(row, FONTS.regular) > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            drawRow(block.header, { header: true });
+        }
+        drawRow(row);
+    }
+    doc.moveDown(0.8);
+}
+
+function drawBlock(doc, block) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    if (block.type === 'heading') {
+        const size = { 1: 16, 2: 14, 3: 12.5 }[block.level] ?? 11.5;
+        ensureSpace(doc, size * 3);
+        doc.moveDown(0.3);
+        writeRuns(doc, block.runs.map(run => ({ ...run, bold: true })), { x: left, width, size });
+        doc.moveDown(0.3);
+    } else if (block.type === 'paragraph') {
+        writeRuns(doc, block.runs, { x: left, width, lineGap: 2 });
+        doc.moveDown(0.6);
+    } else if (block.type === 'list') {
+        block.items.forEach((runs, index) => {
+            ensureSpace(doc, 14);
+            const top = doc.y;
+            doc.font(FONTS.regular).fontSize(10.5).fillColor(BRAND.text)
+                .text(block.ordered ? `${index + 1}.` : '•', left + 6, top, { width: 16 });
+            doc.y = top;
+            writeRuns(doc, runs, { x: left + 22, width: width - 22, lineGap: 2 });
+            doc.moveDown(0.2);
+        });
+        doc.moveDown(0.4);
+    } else if (block.type === 'table') {
+        drawTable(doc, block);
+    } else if (block.type === 'video') {
+        writeRuns(doc, [{ text: `> Video: ${block.title}`, link: block.url }], { x: left, width, color: BRAND.muted });
+        doc.moveDown(0.6);
+    } else if (block.type === 'rule') {
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).strokeColor(BRAND.border).stroke();
+        doc.moveDown(0.6);
+    }
+    doc.x = left;
+}
+
+function drawPageChrome(doc, labels) {
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index++) {
+        doc.switchToPage(index);
+        const { width, height } = doc.page;
+        // Writing in the margins must not trigger a new page
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+
+        doc.rect(0, 0, width, HEADER_HEIGHT - 16).fill(BRAND.dark);
+        doc.rect(0, HEADER_HEIGHT - 16, width, 3).fill(BRAND.accent);
+        doc.font(FONTS.bold).fontSize(13).fillColor(BRAND.accent).text('DNB', MARGIN, 14, { continued: true, lineBreak: false });
+        doc.fillColor('#FFFFFF').text(' COACHING', { lineBreak: false });
+
+        doc.font(FONTS.regular).fontSize(8).fillColor(BRAND.muted)
+            .text(`dnbcoaching.com · ${labels.page(index - range.start + 1, range.count)}`, MARGIN, height - 34, {
+                width: width - MARGIN * 2,
+                align: 'center',
+                lineBreak: false,
+            });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+/**
+ * @returns {Promise<Buffer>}
+ */
+export function renderPdf(document) {
+    const labels = LABELS[document.lang];
+    const doc = new PDFDocument({
+        size: 'A4',
+        margins: { top: HEADER_HEIGHT + 24, bottom: 60, left: MARGIN, right: MARGIN },
+        bufferPages: true,
+        info: { Title: pdfText(document.title), Author: 'DNB Coaching' },
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    doc.font(FONTS.bold).fontSize(20).fillColor(BRAND.text).text(pdfText(document.title), left, doc.y, { width });
+    doc.font(FONTS.regular).fontSize(9.5).fillColor(BRAND.muted).text(pdfText(document.subtitle), { width });
+    doc.moveDown(1.2);
+
+    document.sections.forEach((section, index) => {
+        if (document.scope !== 'message') {
+            ensureSpace(doc, 60);
+            if (index > 0) {
+                doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).strokeColor(BRAND.border).stroke();
+                doc.moveDown(0.8);
+            }
+            if (section.title) {
+                doc.font(FONTS.bold).fontSize(14).fillColor(BRAND.text).text(pdfText(section.title), left, doc.y, { width });
+                doc.moveDown(0.2);
+            }
+            doc.font(FONTS.bold).fontSize(9).fillColor(section.role === 'assistant' ? '#00A86B' : BRAND.muted)
+                .text(pdfText(section.title ? section.date : `${section.label.toUpperCase()} · ${section.date}`), left, doc.y, { width });
+            doc.moveDown(0.4);
+        }
+        for (const block of section.blocks) drawBlock(doc, block);
+    });
+
+    drawPageChrome(doc, labels);
+    doc.end();
+    return done;
+}
+
+/**
+ * A rendered export file.
+ *
+ * @returns {Promise<{ filename: string, contentType: string, body: Buffer | string }>}
+ */
+export async function renderExport(document, format) {
+    const name = exportFileName(document);
+    if (format === 'pdf') return { filename: `${name}.pdf`, contentType: CONTENT_TYPES.pdf, body: await renderPdf(document) };
+    return { filename: `${name}.md`, contentType: CONTENT_TYPES.markdown, body: toMarkdown(document) };
+}
+
+/**
+ * Email with the export attached.
+ */
+export function exportEmail(document) {
+    const escape = (text) => text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const title = escape(document.title);
+    return document.lang === 'en'
+        ? {
+              subject: `Your DNB Coach export: ${document.title}`,
+              html: `<p>Hi,</p><p>Attached is your export <strong>${title}</strong> from DNB Coach.</p><p>Keep going!<br>DNB Coaching</p>`,
+          }
+        : {
+              subject: `Je DNB Coach export: ${document.title}`,
+              html: `<p>Hoi,</p><p>In de bijlage vind je je export <strong>${title}</strong> uit de DNB Coach.</p><p>Blijf knallen!<br>DNB Coaching</p>`,
+          };
+}
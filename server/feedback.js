@@ -0,0 +1,144 @@
+/**
+ * Answer feedback.
+ *
+ * Users rate coach replies with a thumbs up or down, optionally with a reason
+ * and a comment. Each rating keeps the model and prompt version that wrote the
+ * reply and a copy of the exchange it answered, so the admin review queue
+ * shows what the user saw without loading the whole thread.
+ */
+
+import { pathTo } from './branches.js';
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+export const FEEDBACK_REASONS = ['wrong_macros', 'incorrect', 'off_topic', 'unsafe', 'too_generic', 'too_long', 'other'];
+
+const MAX_COMMENT_LENGTH = 1000;
+// Messages up to and including the rated reply that are copied into the rating
+const CONTEXT_MESSAGES = 6;
+const MAX_CONTEXT_CHARS = 2000;
+
+/**
+ * @param {unknown} input  `{ rating, reason?, comment? }`
+ * @returns {{ data?: { rating: string, reason: string | null, comment: string | null }, errors: string[] }}
+ */
+export function validateFeedback(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Feedback must be an object'] };
+
+    const errors = [];
+    if (!FEEDBACK_RATINGS.includes(input.rating)) errors.push(`rating must be one of ${FEEDBACK_RATINGS.join(', ')}`);
+
+    const reason = input.reason ?? null;
+    if (reason !== null && !FEEDBACK_REASONS.includes(reason)) errors.push(`reason must be one of ${FEEDBACK_REASONS.join(', ')}`);
+    // Reasons name what was wrong with the answer
+    else if (reason !== null && input.rating === 'up') errors.push('reason is only for a thumbs down');
+
+    if (input.comment != null && typeof input.comment !== 'string') errors.push('comment must be a string');
+    const comment = typeof input.comment === 'string' ? input.comment.trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) errors.push(`comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+
+    if (errors.length > 0) return { errors };
+    return { data: { rating: input.rating, reason, comment: comment || null }, errors };
+}
+
+/**
+ * The last few messages of the branch that ends at the rated reply, oldest
+ * first, trimmed for storage.
+ */
+export function feedbackContext(messages, messageId) {
+    return pathTo(messages, messageId)
+        .slice(-CONTEXT_MESSAGES)
+        .map(m => ({ id: m.id, role: m.role, content: m.content.slice(0, MAX_CONTEXT_CHARS) }));
+}
+
+/**
+ * Review queue filters from a query string; values that do not apply are
+ * ignored, like the safety event filters.
+ */
+export function feedbackFilters(query = {}) {
+    const date = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : undefined);
+    const promptVersion = Number(query.promptVersion);
+    return {
+        status: ['open', 'reviewed', 'all'].includes(query.status) ? query.status : 'open',
+        rating: FEEDBACK_RATINGS.includes(query.rating) ? query.rating : undefined,
+        reason: FEEDBACK_REASONS.includes(query.reason) ? query.reason : undefined,
+        model: typeof query.model === 'string' && query.model ? query.model : undefined,
+        promptVersion: Number.isInteger(promptVersion) && promptVersion > 0 ? promptVersion : undefined,
+        from: date(query.from),
+        to: date(query.to),
+    };
+}
+
+/**
+ * Counts for the review queue header: ratings overall, thumbs down per reason
+ * and ratings per prompt version.
+ */
+export function summarizeFeedback(rows) {
+    const summary = { total: rows.length, up: 0, down: 0, reasons: {}, promptVersions: {} };
+    for (const row of rows) {
+        summary[row.rating] += 1;
+        if (row.reason) summary.reasons[row.reason] = (summary.reasons[row.reason] ?? 0) + 1;
+        if (row.promptVersion != null) {
+            const version = summary.promptVersions[row.promptVersion] ??= { up: 0, down: 0 };
+            version[row.rating] += 1;
+        }
+    }
+    return summary;
+}
+
+export function toAdminFeedback(row) {
+    return {
+        id: row.id,
+        userId: row.userId,
+        user: row.user ?? null,
+        conversationId: row.conversationId,
+        messageId: row.messageId,
+        rating: row.rating,
+        reason: row.reason,
+        comment: row.comment,
+        model: row.model,
+        promptVersion: row.promptVersion,
+        context: row.context,
+        reviewedAt: row.reviewedAt,
+        reviewedBy: row.reviewedBy,
+        reviewNote: row.reviewNote,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+    };
+}
+
+const CSV_COLUMNS = [
+    ['createdAt', row => new Date(row.createdAt).toISOString()],
+    ['rating', row => row.rating],
+    ['reason', row => row.reason],
+    ['comment', row => row.comment],
+    ['model', row => row.model],
+    ['promptVersion', row => row.promptVersion],
+    ['user', row => row.user?.email ?? row.user?.name ?? row.userId],
+    ['conversationId', row => row.conversationId],
+    ['messageId', row => row.messageId],
+    ['question', row => row.context.findLast(m => m.role === 'user')?.content],
+    ['answer', row => row.context.at(-1)?.content],
+    ['reviewedAt', row => row.reviewedAt && new Date(row.reviewedAt).toISOString()],
+    ['reviewNote', row => row.reviewNote],
+];
+
+// One CSV cell, quoted when it needs to be; the progress exports use it too
+export function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Spreadsheets run cells that start like a formula
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The review queue as CSV, one row per rating with the question and the
+ * rated answer.
+ */
+export function toFeedbackCsv(rows) {
+    const lines = [
+        CSV_COLUMNS.map(([name]) => name).join(','),
+        ...rows.map(row => CSV_COLUMNS.map(([, value]) => csvCell(value(row))).join(',')),
+    ];
+    return lines.join('\r\n') + '\r\n';
+}
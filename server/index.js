@@ -1,5 +1,6 @@
 import * as Sentry from '@sentry/node';
 import crypto from 'crypto';
+import { unlink } from 'fs/promises';
 import express from 'express';
 import cors from 'cors';
 import path from 'path';
@@ -7,6 +8,7 @@ import { fileURLToPath } from 'url';
 import 'dotenv/config';
 import { Resend } from 'resend';
 import { Webhook } from 'svix';
+import multer from 'multer';
 
 // Initialize Sentry before anything else
 Sentry.init({
@@ -20,11 +22,74 @@ import { Redis } from '@upstash/redis';
 import {
     getAllUsers, addUser, updateUser, deleteUser,
     getUserByClerkId, upsertUserByClerkId, deleteUserByClerkId,
-    getUserDataByClerkId, updateUserDataByClerkId,
+    getUserDataByClerkId, updateUserDataByClerkId, getUserDataKey,
     getSetting, updateSetting,
+    listConversations, createConversation, getConversation, updateConversation, deleteConversation,
+    getConversationMessages, addMessage, setActiveLeaf, migrateChatHistory, titleFromMessage,
+    updateConversationSummary, getUserMessagesByIds, getConversationSummaries,
+    getCoachingProfile, upsertCoachingProfile,
+    listPromptVersions, getPromptVersion, createPromptVersion,
+    getTokenUsageSince,
+    listSafetyEvents, reviewSafetyEvent,
+    upsertMessageFeedback, deleteMessageFeedback, listMessageFeedback, reviewMessageFeedback,
+    listMemoryFacts, deleteMemoryFacts,
+    createAttachment, getAttachment, getPendingAttachments, attachToMessage, getConversationAttachmentKeys,
+    listNutritionLogs, createNutritionLog, updateNutritionLog, deleteNutritionLog,
+    listMediaClips, getMediaClipByKey, createMediaClip, updateMediaClip, deleteMediaClip, addMediaView,
+    listLibraryItems, countLibraryItems, getLibraryItemByMessage, createLibraryItem, updateLibraryItem, deleteLibraryItem,
+    reorderLibraryItems, migrateSavedPlans, searchMessages,
+    listMeasurements, getMeasurement, createMeasurement, createMeasurements, updateMeasurement, deleteMeasurement,
+    listWorkoutSessions, createWorkoutSession, updateWorkoutSession, deleteWorkoutSession,
 } from './db.js';
 import { clerkAuth, checkAdminAuth, getClerkUserId } from './auth.js';
 import { logger } from './logger.js';
+import { createProviderFromEnv } from './llm.js';
+import { planContext, fitPinned, summarize, buildContext } from './context.js';
+import { sanitizeProfile, toPublicProfile, formatProfileForPrompt, extractProfileUpdates } from './profile.js';
+import {
+    SERVER_OWNED_DATA_KEYS, isoDate,
+} from './progress.js';
+import {
+    validateMeasurement, measurementFilters, toPublicMeasurement, migrateWeightLog, legacyWeightLogToMeasurements, withoutLoggedWeighIns,
+} from './measurements.js';
+import { PROMPT_LOOKBACK_DAYS, analyzeTrends, trendInUnits, formatTrendsForPrompt } from './trends.js';
+import { unitPreferences, formatUnitsForPrompt } from './units.js';
+import {
+    MAX_IMPORT_BYTES, ImportError, readImportUpload, suggestMapping, validateMapping, importMeasurements, toImportRows, toImportPreview,
+    validateProgressExport, measurementsToCsv, workoutsToCsv, mealsToCsv,
+} from './transfer.js';
+import {
+    validateTargetsRequest, profileStats, calculateTargets, toProfileTargets, targetsAreCalculated, formatTargetsForPrompt,
+} from './nutrition.js';
+import { validateWorkout, findPrs, toPublicSession, exerciseKey, exerciseSummaries, exerciseHistory } from './workouts.js';
+import {
+    MealAnalysisError, validateMealEntry, analyzeMealPhoto, summarizeDay, formatNutritionForPrompt, toPublicNutritionLog,
+} from './meals.js';
+import { streamWithTools, chatWithTools } from './tools.js';
+import { getActivePrompt, activatePromptVersion, validatePromptInput, diffPrompts } from './prompts.js';
+import { meterUsage, checkQuota, getQuotas, updateQuotas, validateQuotas, summarizeUsage, utcDay } from './usage.js';
+import {
+    createModerationFromEnv, getSafetyPolicy, updateSafetyPolicy, validateSafetyPolicy,
+    screenMessage, safetyPolicyPrompt, referralMessage, logSafetyEvents, CATEGORIES,
+} from './safety.js';
+import { withResilience, resilienceOptionsFromEnv, toClientError } from './resilience.js';
+import { selectRelevantFacts, formatMemoryForPrompt, toPublicFact, updateMemoryFromChat } from './memory.js';
+import { createStorageFromEnv } from './storage.js';
+import {
+    MAX_UPLOAD_BYTES, MAX_ATTACHMENTS_PER_MESSAGE, UploadError,
+    processImage, storageKeyFor, toPublicAttachment, toDataUrl,
+} from './attachments.js';
+import { pathTo, activeBranch, latestLeaf, withBranchInfo } from './branches.js';
+import { MEDIA_LANGUAGES, validateMediaClip, toPublicClip, toAdminClip, formatMediaForPrompt } from './media.js';
+import {
+    validateFeedback, feedbackContext, feedbackFilters, summarizeFeedback, toAdminFeedback, toFeedbackCsv,
+} from './feedback.js';
+import {
+    MAX_LIBRARY_ITEMS, MAX_PROMPT_ITEMS, validateLibraryItem, libraryFilters, validateOrder, suggestTags, titleFromContent,
+    toPublicLibraryItem, formatLibraryItemForPrompt, libraryItemFromPlan,
+} from './library.js';
+import { SEARCH_CONFIGS, HEADLINE_OPTIONS, validateSearchQuery, toSearchResult } from './search.js';
+import { EMAIL_FORMATS, validateExportRequest, buildExportDocument, renderExport, exportEmail } from './export.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -54,9 +119,9 @@ function isPrivateHostname(hostname) {
     return false;
 }
 
+// Uploads go through /api/attachments; inline data: URLs are no longer accepted
 function isValidImageUrl(url) {
     if (!url || typeof url !== 'string') return false;
-    if (url.startsWith('data:image/')) return true;
     try {
         const parsed = new URL(url);
         if (parsed.protocol !== 'https:') return false;
@@ -69,12 +134,16 @@ function isValidImageUrl(url) {
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY) {
-    logger.warn('OPENAI_API_KEY not set — AI features will be unavailable');
+const llm = withResilience(createProviderFromEnv(), resilienceOptionsFromEnv());
+const moderation = createModerationFromEnv();
+if (llm.configError) {
+    logger.warn(`${llm.configError} — AI features will be unavailable`);
+}
+const storage = createStorageFromEnv();
+if (storage.configError) {
+    logger.warn(`${storage.configError} — image uploads will be unavailable`);
 }
 
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
 const RESEND_API_KEY = process.env.VITE_RESEND_API_KEY;
 
 // Security headers
@@ -174,7 +243,8 @@ app.post('/api/webhooks/clerk', express.raw({ type: 'application/json' }), async
     return res.status(200).json({ received: true });
 });
 
-app.use(express.json({ limit: '10mb' }));
+// Images are uploaded as multipart to /api/attachments, so JSON bodies stay small
+app.use(express.json({ limit: '1mb' }));
 app.use(express.static(path.join(__dirname, '../dist')));
 
 // Attach Clerk auth to all subsequent routes
@@ -299,6 +369,234 @@ app.delete('/api/admin/users', checkAdminAuth, async (req, res) => {
     }
 });
 
+app.get('/api/admin/users/:id/summaries', checkAdminAuth, async (req, res) => {
+    try {
+        const conversations = await getConversationSummaries(req.params.id);
+        res.json({ conversations });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+// --- Prompt versions ---
+
+app.get('/api/admin/prompts', checkAdminAuth, async (req, res) => {
+    try {
+        const active = await getActivePrompt();
+        const versions = await listPromptVersions();
+        res.json({ activeVersion: active.version, versions });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.get('/api/admin/prompts/:version', checkAdminAuth, async (req, res) => {
+    try {
+        const prompt = await getPromptVersion(Number(req.params.version));
+        if (!prompt) return res.status(404).json({ message: 'Prompt version not found' });
+        res.json({ prompt });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+// Diff `:version` against `?against=` (defaults to the active version)
+app.get('/api/admin/prompts/:version/diff', checkAdminAuth, async (req, res) => {
+    try {
+        const to = await getPromptVersion(Number(req.params.version));
+        const from = req.query.against ? await getPromptVersion(Number(req.query.against)) : await getActivePrompt();
+        if (!to || !from) return res.status(404).json({ message: 'Prompt version not found' });
+        res.json({ from: from.version, to: to.version, diff: diffPrompts(from, to) });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+// Saving creates a new version and makes it active
+app.post('/api/admin/prompts', checkAdminAuth, async (req, res) => {
+    try {
+        const { data, errors } = validatePromptInput(req.body);
+        if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+        // Make sure the built-in prompt is stored as version 1 before the first edit
+        await getActivePrompt();
+        const prompt = await createPromptVersion({ ...data, createdBy: req.admin.userId });
+        await activatePromptVersion(prompt.version);
+        res.status(201).json({ prompt, activeVersion: prompt.version });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.post('/api/admin/prompts/:version/activate', checkAdminAuth, async (req, res) => {
+    try {
+        const prompt = await activatePromptVersion(Number(req.params.version));
+        if (!prompt) return res.status(404).json({ message: 'Prompt version not found' });
+        res.json({ activeVersion: prompt.version });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+// --- Token usage and quotas ---
+
+app.get('/api/admin/usage', checkAdminAuth, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 366);
+        const since = utcDay(new Date(Date.now() - (days - 1) * 86400000));
+        const [rows, users] = await Promise.all([getTokenUsageSince(since), getAllUsers()]);
+        res.json({ since: since.toISOString(), users: summarizeUsage(rows, users) });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.get('/api/admin/quotas', checkAdminAuth, async (req, res) => {
+    try {
+        res.json({ quotas: await getQuotas() });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.put('/api/admin/quotas', checkAdminAuth, async (req, res) => {
+    try {
+        const { data, errors } = validateQuotas(req.body?.quotas);
+        if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+        await updateQuotas(data);
+        res.json({ quotas: await getQuotas() });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+// --- Safety review ---
+
+app.get('/api/admin/safety/policy', checkAdminAuth, async (req, res) => {
+    try {
+        res.json({ policy: await getSafetyPolicy(), moderation: moderation?.name ?? null });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.put('/api/admin/safety/policy', checkAdminAuth, async (req, res) => {
+    try {
+        const { data, errors } = validateSafetyPolicy(req.body?.policy);
+        if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+        await updateSafetyPolicy(data);
+        res.json({ policy: await getSafetyPolicy(), moderation: moderation?.name ?? null });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.get('/api/admin/safety/events', checkAdminAuth, async (req, res) => {
+    try {
+        const status = ['open', 'reviewed', 'all'].includes(req.query.status) ? req.query.status : 'open';
+        const category = CATEGORIES.includes(req.query.category) ? req.query.category : undefined;
+        res.json({ events: await listSafetyEvents({ status, category }) });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.post('/api/admin/safety/events/:id/review', checkAdminAuth, async (req, res) => {
+    try {
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 1000) : null;
+        const event = await reviewSafetyEvent(req.params.id, { reviewedBy: req.admin?.userId, note });
+        if (!event) return res.status(404).json({ message: 'Safety event not found' });
+        res.json({ event });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+// --- Answer feedback ---
+
+// Rows in one CSV export
+const MAX_FEEDBACK_EXPORT = 5000;
+
+app.get('/api/admin/feedback', checkAdminAuth, async (req, res) => {
+    try {
+        const rows = await listMessageFeedback(feedbackFilters(req.query));
+        res.json({ feedback: rows.map(toAdminFeedback), summary: summarizeFeedback(rows) });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+// Same filters as the queue, without its page limit
+app.get('/api/admin/feedback/export', checkAdminAuth, async (req, res) => {
+    try {
+        const rows = await listMessageFeedback(feedbackFilters(req.query), { limit: MAX_FEEDBACK_EXPORT });
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="feedback-${isoDate()}.csv"`);
+        res.send(toFeedbackCsv(rows));
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.post('/api/admin/feedback/:id/review', checkAdminAuth, async (req, res) => {
+    try {
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim().slice(0, 1000) : null;
+        const feedback = await reviewMessageFeedback(req.params.id, { reviewedBy: req.admin?.userId, note });
+        if (!feedback) return res.status(404).json({ message: 'Feedback not found' });
+        res.json({ feedback: toAdminFeedback(feedback) });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+// --- Coach media library ---
+
+app.get('/api/admin/media', checkAdminAuth, async (req, res) => {
+    try {
+        res.json({ clips: (await listMediaClips()).map(toAdminClip) });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.post('/api/admin/media', checkAdminAuth, async (req, res) => {
+    try {
+        const { data, errors } = validateMediaClip(req.body?.clip);
+        if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+        if (await getMediaClipByKey(data.key)) return res.status(409).json({ message: `Key "${data.key}" is already in use` });
+
+        const clip = await createMediaClip(data);
+        res.status(201).json({ clip: toAdminClip(clip) });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.put('/api/admin/media/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { data, errors } = validateMediaClip(req.body?.clip);
+        if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+        const existing = await getMediaClipByKey(data.key);
+        if (existing && existing.id !== req.params.id) return res.status(409).json({ message: `Key "${data.key}" is already in use` });
+
+        const clip = await updateMediaClip(req.params.id, data);
+        if (!clip) return res.status(404).json({ message: 'Clip not found' });
+        res.json({ clip: toAdminClip(clip) });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
+app.delete('/api/admin/media/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const success = await deleteMediaClip(req.params.id);
+        if (!success) return res.status(404).json({ message: 'Clip not found' });
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ message: e.message });
+    }
+});
+
 // Escape HTML special characters to prevent XSS in email templates
 function escapeHtml(str) {
     return String(str)
@@ -350,7 +648,6 @@ app.post('/api/contact', async (req, res) => {
 });
 
 // --- Chat API (requires Clerk auth) ---
-import { SYSTEM_PROMPT } from '../config/constants.js';
 
 app.get('/api/sync', async (req, res) => {
     const userId = getClerkUserId(req);
@@ -367,7 +664,15 @@ app.post('/api/sync', async (req, res) => {
     const { data } = req.body;
     if (!data) return res.status(400).json({ message: 'Data required' });
 
-    const success = await updateUserDataByClerkId(userId, data);
+    // Weight log, saved plans and the migrated chat history are server-side; keep the stored copy
+    const current = (await getUserDataByClerkId(userId)) || {};
+    const merged = { ...data };
+    for (const key of SERVER_OWNED_DATA_KEYS) {
+        if (key in current) merged[key] = current[key];
+        else delete merged[key];
+    }
+
+    const success = await updateUserDataByClerkId(userId, merged);
     if (success) {
         res.json({ success: true });
     } else {
@@ -386,13 +691,795 @@ app.get('/api/me', async (req, res) => {
     res.json({ user: { id: user.id, clerkId: user.clerkId, name: user.name, email: user.email, role: user.role } });
 });
 
-const LANGUAGE_INSTRUCTIONS = {
-    nl: 'Spreek standaard Nederlands en schrijf in de toon van een coach. ECHTER: als de gebruiker in een andere taal (bijv. Engels) tegen je spreekt, antwoord dan in DIE taal.',
-    en: 'Responde by default in English in a friendly coaching tone. HOWEVER: if the user speaks to you in another language (e.g. Dutch), respond in THAT language.',
-};
+// Resolve the signed-in Clerk user to their database record (req.user)
+async function requireUser(req, res, next) {
+    const clerkId = getClerkUserId(req);
+    if (!clerkId) return res.status(401).json({ message: 'Not authenticated' });
+
+    const user = await getUserByClerkId(clerkId);
+    if (!user) return res.status(404).json({ message: 'User not found in database' });
+
+    req.user = user;
+    next();
+}
+
+// --- Conversations (threads) ---
+
+app.get('/api/conversations', requireUser, async (req, res) => {
+    const archived = req.query.archived === 'true';
+    // One-time import of the old localStorage/sync chat history into a first thread;
+    // the client loads both lists at once, and only the active one needs it
+    if (!archived) await migrateChatHistory(req.user);
+
+    const conversations = await listConversations(req.user.id, { archived });
+    res.json({ conversations });
+});
+
+app.post('/api/conversations', requireUser, async (req, res) => {
+    const { title } = req.body || {};
+    if (title !== undefined && typeof title !== 'string') {
+        return res.status(400).json({ message: 'Title must be a string' });
+    }
+
+    const conversation = await createConversation(req.user.id, { title });
+    res.status(201).json({ conversation });
+});
+
+// The active branch only, with the alternatives each message has
+function toConversationView(conversation, stored) {
+    const messages = withBranchInfo(activeBranch(stored, conversation.activeLeafId), stored)
+        .map(({ attachments, ...message }) => ({ ...message, attachments: (attachments ?? []).map(toPublicAttachment) }));
+    return { conversation, messages };
+}
+
+app.get('/api/conversations/:id', requireUser, async (req, res) => {
+    const conversation = await getConversation(req.user.id, req.params.id);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+
+    res.json(toConversationView(conversation, await getConversationMessages(conversation.id)));
+});
+
+// Switch to the branch that contains `messageId`, at its newest reply
+app.put('/api/conversations/:id/branch', requireUser, async (req, res) => {
+    const conversation = await getConversation(req.user.id, req.params.id);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+
+    const stored = await getConversationMessages(conversation.id);
+    const leaf = latestLeaf(stored, req.body?.messageId);
+    if (!leaf) return res.status(404).json({ message: 'Message not found' });
+
+    const updated = await setActiveLeaf(conversation.id, leaf.id);
+    res.json(toConversationView(updated, stored));
+});
+
+// Rate a coach reply; rating it again replaces the earlier rating
+app.put('/api/conversations/:id/messages/:messageId/feedback', requireUser, async (req, res) => {
+    const { data, errors } = validateFeedback(req.body);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
 
+    const conversation = await getConversation(req.user.id, req.params.id);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+    const stored = await getConversationMessages(conversation.id);
+    const message = stored.find(m => m.id === req.params.messageId && m.role === 'assistant');
+    if (!message) return res.status(404).json({ message: 'Message not found' });
+
+    const feedback = await upsertMessageFeedback(req.user.id, message, { ...data, context: feedbackContext(stored, message.id) });
+    res.json({ feedback: { rating: feedback.rating, reason: feedback.reason, comment: feedback.comment } });
+});
+
+app.delete('/api/conversations/:id/messages/:messageId/feedback', requireUser, async (req, res) => {
+    const conversation = await getConversation(req.user.id, req.params.id);
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+    const success = await deleteMessageFeedback(req.user.id, req.params.messageId);
+    if (!success) return res.status(404).json({ message: 'Feedback not found' });
+    res.json({ success: true });
+});
+
+app.patch('/api/conversations/:id', requireUser, async (req, res) => {
+    const { title, archived } = req.body || {};
+    if (title !== undefined && typeof title !== 'string') {
+        return res.status(400).json({ message: 'Title must be a string' });
+    }
+    if (archived !== undefined && typeof archived !== 'boolean') {
+        return res.status(400).json({ message: 'Archived must be a boolean' });
+    }
+
+    const conversation = await updateConversation(req.user.id, req.params.id, { title, archived });
+    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+    res.json({ conversation });
+});
+
+app.delete('/api/conversations/:id', requireUser, async (req, res) => {
+    const conversation = await getConversation(req.user.id, req.params.id);
+    const storageKeys = conversation ? await getConversationAttachmentKeys(conversation.id) : [];
+    const success = await deleteConversation(req.user.id, req.params.id);
+    if (!success) return res.status(404).json({ message: 'Conversation not found' });
+
+    // The rows are gone with the conversation; the files are cleaned up best effort
+    for (const result of await Promise.allSettled(storageKeys.map(key => storage.delete(key)))) {
+        if (result.status === 'rejected') logger.warn('Failed to delete attachment file', { error: result.reason?.message });
+    }
+    res.json({ success: true });
+});
+
+// --- Chat search ---
+
+// Messages across all of the user's threads, archived ones included; `lang` picks the stemming for highlights
+app.get('/api/search', requireUser, async (req, res) => {
+    const { data, errors } = validateSearchQuery(req.query);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    const rows = await searchMessages(req.user.id, {
+        ...data,
+        config: SEARCH_CONFIGS[data.lang],
+        headlineOptions: HEADLINE_OPTIONS,
+    });
+    res.json({
+        results: rows.slice(0, data.limit).map(toSearchResult),
+        hasMore: rows.length > data.limit,
+    });
+});
+
+// --- Coaching profile ---
+
+app.get('/api/profile', requireUser, async (req, res) => {
+    const profile = await getCoachingProfile(req.user.id);
+    res.json({ profile: toPublicProfile(profile) });
+});
+
+app.put('/api/profile', requireUser, async (req, res) => {
+    const { data, errors } = sanitizeProfile(req.body?.profile);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    const profile = await upsertCoachingProfile(req.user.id, data);
+    res.json({ profile: toPublicProfile(profile) });
+});
+
+// --- Attachments (chat images) ---
+
+// One file in multipart field "file", kept in memory unless `storage` says
+// otherwise; a file written to disk is removed once the response is done.
+// multer reports limits through next(err); answer those as client errors.
+function receiveFile(maxBytes, tooLarge, storage = multer.memoryStorage()) {
+    const upload = multer({ storage, limits: { fileSize: maxBytes, files: 1 } });
+    return (req, res, next) => {
+        upload.single('file')(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ message: tooLarge });
+                return res.status(400).json({ message: err.message });
+            }
+            const file = req.file?.path;
+            if (file) {
+                res.on('close', () => unlink(file).catch(e => logger.warn('Failed to remove an uploaded file', { error: e.message })));
+            }
+            next(err);
+        });
+    };
+}
+
+const receiveImage = receiveFile(MAX_UPLOAD_BYTES, `Image too large. Maximum ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`);
+
+app.post('/api/attachments', requireUser, receiveImage, async (req, res) => {
+    if (storage.configError) return res.status(500).json({ message: storage.configError });
+    if (!req.file) return res.status(400).json({ message: 'Send the image as multipart field "file"' });
+
+    let image;
+    try {
+        image = await processImage(req.file.buffer);
+    } catch (e) {
+        if (e instanceof UploadError) return res.status(e.status).json({ message: e.message });
+        throw e;
+    }
+
+    const storageKey = storageKeyFor(req.user.id, image.mimeType);
+    await storage.put(storageKey, image.data, image.mimeType);
+    const attachment = await createAttachment(req.user.id, {
+        storageKey,
+        mimeType: image.mimeType,
+        size: image.data.length,
+        width: image.width,
+        height: image.height,
+    });
+    res.status(201).json({ attachment: toPublicAttachment(attachment) });
+});
+
+app.get('/api/attachments/:id', requireUser, async (req, res) => {
+    const attachment = await getAttachment(req.user.id, req.params.id);
+    const data = attachment && await storage.get(attachment.storageKey);
+    if (!data) return res.status(404).json({ message: 'Attachment not found' });
+
+    // Content never changes for an id
+    res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+    res.type(attachment.mimeType).send(data);
+});
+
+// --- Coaching memory ---
+
+app.get('/api/memory', requireUser, async (req, res) => {
+    const facts = await listMemoryFacts(req.user.id);
+    res.json({ facts: facts.map(toPublicFact) });
+});
+
+app.delete('/api/memory/:id', requireUser, async (req, res) => {
+    const deleted = await deleteMemoryFacts(req.user.id, [req.params.id]);
+    if (!deleted) return res.status(404).json({ message: 'Fact not found' });
+    res.json({ success: true });
+});
+
+// Forget everything
+app.delete('/api/memory', requireUser, async (req, res) => {
+    res.json({ deleted: await deleteMemoryFacts(req.user.id) });
+});
+
+// --- Body measurements and saved plans ---
+
+// Years of daily weigh-ins, and still well inside the JSON body limit
+const MAX_LEGACY_ENTRIES = 5000;
+
+// Measurements are read and written in the user's units (kg or lb, cm or in)
+async function userUnits(userId) {
+    return unitPreferences(await getCoachingProfile(userId));
+}
+
+// Oldest first; filter by `type` and a `from`/`to` range
+// The old weight logs are moved in by POST /api/measurements/legacy, which the Progress
+// page calls once before it loads these two side by side
+app.get('/api/measurements', requireUser, async (req, res) => {
+    const [measurements, units] = await Promise.all([listMeasurements(req.user.id, measurementFilters(req.query)), userUnits(req.user.id)]);
+    res.json({ measurements: measurements.map(m => toPublicMeasurement(m, units)) });
+});
+
+// Smoothed trend, weekly averages, rate per week and plateau flag per metric, over the same filters
+app.get('/api/measurements/trends', requireUser, async (req, res) => {
+    const [measurements, units] = await Promise.all([listMeasurements(req.user.id, measurementFilters(req.query)), userUnits(req.user.id)]);
+    res.json({ trends: analyzeTrends(measurements).map(trend => trendInUnits(trend, units)) });
+});
+
+// The value is in `unit` when given, in the user's unit otherwise
+app.post('/api/measurements', requireUser, async (req, res) => {
+    const units = await userUnits(req.user.id);
+    const { data, errors } = validateMeasurement(req.body, { units });
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    const measurement = await createMeasurement(req.user.id, { ...data, source: 'manual' });
+    res.status(201).json({ measurement: toPublicMeasurement(measurement, units) });
+});
+
+// One-time move of the old weight logs: the one in the data blob and the weigh-ins a browser
+// kept before they were stored on the server, `entries: [{ date: 'YYYY-MM-DD', weight }]` in kg.
+// Invalid entries and weigh-ins that are already logged are skipped, so sending the same list
+// again imports nothing.
+app.post('/api/measurements/legacy', requireUser, async (req, res) => {
+    const { entries } = req.body || {};
+    if (!Array.isArray(entries)) return res.status(400).json({ message: 'entries must be a list of weigh-ins' });
+    if (entries.length > MAX_LEGACY_ENTRIES) {
+        return res.status(400).json({ message: `At most ${MAX_LEGACY_ENTRIES} weigh-ins can be imported at once` });
+    }
+
+    await migrateWeightLog(req.user);
+    const rows = withoutLoggedWeighIns(legacyWeightLogToMeasurements(entries), await listMeasurements(req.user.id, { type: 'weight' }));
+    if (rows.length > 0) await createMeasurements(req.user.id, rows);
+    res.json({ imported: rows.length, skipped: entries.length - rows.length });
+});
+
+app.patch('/api/measurements/:id', requireUser, async (req, res) => {
+    const existing = await getMeasurement(req.user.id, req.params.id);
+    if (!existing) return res.status(404).json({ message: 'Measurement not found' });
+
+    const units = await userUnits(req.user.id);
+    const { data, errors } = validateMeasurement(req.body, { partial: true, type: existing.type, units });
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    const measurement = await updateMeasurement(req.user.id, existing.id, data);
+    if (!measurement) return res.status(404).json({ message: 'Measurement not found' });
+    res.json({ measurement: toPublicMeasurement(measurement, units) });
+});
+
+app.delete('/api/measurements/:id', requireUser, async (req, res) => {
+    const success = await deleteMeasurement(req.user.id, req.params.id);
+    if (!success) return res.status(404).json({ message: 'Measurement not found' });
+    res.json({ success: true });
+});
+
+// --- Import and export of progress data ---
+
+// Apple Health exports run to several GB, so imports go to a temporary file
+const receiveImport = receiveFile(MAX_IMPORT_BYTES, `File too large. Maximum ${MAX_IMPORT_BYTES / 1024 / 1024 / 1024} GB.`, multer.diskStorage({}));
+// Rows per insert, well under Postgres' limit on query parameters
+const IMPORT_BATCH_SIZE = 1000;
+
+// The uploaded file as a table, the mapping sent with it (or the suggested one) and the measurements that gives
+async function readImport(req) {
+    if (!req.file) throw new ImportError('Send the file as multipart field "file"');
+    const table = await readImportUpload(req.file.path);
+    const units = await userUnits(req.user.id);
+    let mapping = suggestMapping(table, units);
+    if (req.body?.mapping !== undefined) {
+        const { data, errors } = validateMapping(req.body.mapping, table.columns);
+        if (errors.length > 0) throw new ImportError(errors.join('; '));
+        mapping = data;
+    }
+    const existing = await listMeasurements(req.user.id);
+    return { table, mapping, units, result: importMeasurements(table, mapping, { existing, units }) };
+}
+
+// What an import would write, without writing it. Send `mapping` (JSON) to change the suggested one.
+app.post('/api/measurements/import/preview', requireUser, receiveImport, async (req, res) => {
+    await migrateWeightLog(req.user);
+    try {
+        const { table, mapping, units, result } = await readImport(req);
+        res.json({ preview: toImportPreview(table, mapping, result, units) });
+    } catch (e) {
+        if (e instanceof ImportError) return res.status(e.status).json({ message: e.message });
+        throw e;
+    }
+});
+
+// Same file and mapping as the preview; duplicates and invalid rows are skipped
+app.post('/api/measurements/import', requireUser, receiveImport, async (req, res) => {
+    await migrateWeightLog(req.user);
+    let imported;
+    try {
+        imported = await readImport(req);
+    } catch (e) {
+        if (e instanceof ImportError) return res.status(e.status).json({ message: e.message });
+        throw e;
+    }
+
+    const { mapping, result } = imported;
+    if (Object.keys(mapping.columns).length === 0) return res.status(400).json({ message: 'No column is mapped to a measurement' });
+    const rows = toImportRows(result.measurements);
+    for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+        await createMeasurements(req.user.id, rows.slice(i, i + IMPORT_BATCH_SIZE));
+    }
+    res.status(201).json({
+        imported: rows.length,
+        duplicates: result.measurements.length - rows.length,
+        invalid: result.errors.length,
+    });
+});
+
+// Everything the user has logged as JSON, or one dataset as CSV in the user's units
+app.get('/api/progress/export', requireUser, async (req, res) => {
+    const { data, errors } = validateProgressExport(req.query);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    await migrateWeightLog(req.user);
+    const [measurements, sessions, meals, units] = await Promise.all([
+        listMeasurements(req.user.id), listWorkoutSessions(req.user.id), listNutritionLogs(req.user.id), userUnits(req.user.id),
+    ]);
+
+    const name = `dnb-coach-${data.dataset ?? 'progressie'}-${isoDate()}`;
+    res.set('Content-Disposition', `attachment; filename="${name}.${data.format}"`);
+    if (data.format === 'json') {
+        const prs = findPrs(sessions);
+        return res.json({
+            exportedAt: new Date().toISOString(),
+            units,
+            measurements: measurements.map(m => toPublicMeasurement(m, units)),
+            workouts: [...sessions].reverse().map(s => toPublicSession(s, prs)),
+            meals: meals.map(toPublicNutritionLog),
+        });
+    }
+
+    const csv = {
+        measurements: () => measurementsToCsv(measurements, units),
+        workouts: () => workoutsToCsv(sessions, units),
+        meals: () => mealsToCsv(meals, units),
+    }[data.dataset]();
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.send(csv);
+});
+
+// --- Workout log ---
+
+// A session as the client sees it, with PR flags worked out over the whole log
+async function publicSession(userId, session) {
+    return toPublicSession(session, findPrs(await listWorkoutSessions(userId)));
+}
+
+app.get('/api/workouts', requireUser, async (req, res) => {
+    const sessions = await listWorkoutSessions(req.user.id);
+    const prs = findPrs(sessions);
+    const { from, to } = measurementFilters(req.query);
+    const inRange = sessions.filter(s => (!from || s.performedAt >= from) && (!to || s.performedAt < to));
+    res.json({ sessions: inRange.map(s => toPublicSession(s, prs)) });
+});
+
+app.get('/api/workouts/exercises', requireUser, async (req, res) => {
+    res.json({ exercises: exerciseSummaries(await listWorkoutSessions(req.user.id)) });
+});
+
+// Best e1RM, top set and volume per session for one exercise, oldest first
+app.get('/api/workouts/exercises/:exercise', requireUser, async (req, res) => {
+    const sessions = await listWorkoutSessions(req.user.id);
+    const exercise = exerciseSummaries(sessions).find(e => e.key === exerciseKey(req.params.exercise));
+    if (!exercise) return res.status(404).json({ message: 'Exercise not found' });
+    res.json({ exercise, history: exerciseHistory(sessions, exercise.key) });
+});
+
+app.post('/api/workouts', requireUser, async (req, res) => {
+    const { data, errors } = validateWorkout(req.body);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    const session = await createWorkoutSession(req.user.id, { ...data, source: 'manual' });
+    res.status(201).json({ session: await publicSession(req.user.id, session) });
+});
+
+app.patch('/api/workouts/:id', requireUser, async (req, res) => {
+    const { data, errors } = validateWorkout(req.body, { partial: true });
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    const session = await updateWorkoutSession(req.user.id, req.params.id, data);
+    if (!session) return res.status(404).json({ message: 'Workout not found' });
+    res.json({ session: await publicSession(req.user.id, session) });
+});
+
+app.delete('/api/workouts/:id', requireUser, async (req, res) => {
+    const success = await deleteWorkoutSession(req.user.id, req.params.id);
+    if (!success) return res.status(404).json({ message: 'Workout not found' });
+    res.json({ success: true });
+});
+
+// --- Plan library ---
+
+const MAX_LIBRARY_IMPORT = 50;
+
+// A copy of a coach reply, titled and tagged from its content
+function libraryItemFromMessage(message) {
+    return {
+        title: titleFromContent(message.content),
+        content: message.content,
+        tags: suggestTags(message.content),
+        conversationId: message.conversationId,
+        messageId: message.id,
+    };
+}
+
+app.get('/api/library', requireUser, async (req, res) => {
+    // One-time move of the plans the coach saved before the library existed
+    await migrateSavedPlans(req.user, libraryItemFromPlan);
+
+    const items = await listLibraryItems(req.user.id, libraryFilters(req.query));
+    res.json({ items: items.map(toPublicLibraryItem) });
+});
+
+// Pin a coach reply (`messageId`) or save a plan the user wrote; pinning a reply twice returns the existing item
+app.post('/api/library', requireUser, async (req, res) => {
+    const { data, errors } = validateLibraryItem(req.body);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    let item = data;
+    if (data.messageId) {
+        // Pinning an archived reply again brings it back
+        const existing = await getLibraryItemByMessage(req.user.id, data.messageId);
+        if (existing) {
+            const item = existing.archived ? await updateLibraryItem(req.user.id, existing.id, { archived: false }) : existing;
+            return res.json({ item: toPublicLibraryItem(item) });
+        }
+
+        const [message] = await getUserMessagesByIds(req.user.id, [data.messageId]);
+        if (!message || message.role !== 'assistant') return res.status(404).json({ message: 'Message not found' });
+        item = { ...libraryItemFromMessage(message), ...data };
+    }
+
+    if (await countLibraryItems(req.user.id) >= MAX_LIBRARY_ITEMS) {
+        return res.status(400).json({ message: `The library is limited to ${MAX_LIBRARY_ITEMS} items` });
+    }
+    res.status(201).json({ item: toPublicLibraryItem(await createLibraryItem(req.user.id, item)) });
+});
+
+// One-time import of the pins the chat used to keep in localStorage
+app.post('/api/library/import', requireUser, async (req, res) => {
+    const { messageIds } = req.body || {};
+    if (!Array.isArray(messageIds) || !messageIds.every(id => typeof id === 'string')) {
+        return res.status(400).json({ message: 'messageIds must be a list of message ids' });
+    }
+
+    // Pins hold the ids the browser gave messages before the chat history moved to the
+    // server; migrate it first if that has not happened yet, then map them to the new ids
+    await migrateChatHistory(req.user);
+    const legacyIds = await getUserDataKey(req.user.id, 'legacyMessageIds') ?? {};
+    const ids = messageIds.slice(0, MAX_LIBRARY_IMPORT).map(id => legacyIds[id] ?? id);
+
+    const messages = await getUserMessagesByIds(req.user.id, ids);
+    const room = MAX_LIBRARY_ITEMS - await countLibraryItems(req.user.id);
+    let imported = 0;
+    // Oldest first, so the newest pin ends up on top
+    for (const message of [...messages].reverse()) {
+        if (imported >= room || message.role !== 'assistant') continue;
+        if (await getLibraryItemByMessage(req.user.id, message.id)) continue;
+        await createLibraryItem(req.user.id, libraryItemFromMessage(message));
+        imported++;
+    }
+
+    const items = await listLibraryItems(req.user.id);
+    res.json({ imported, items: items.map(toPublicLibraryItem) });
+});
+
+app.put('/api/library/order', requireUser, async (req, res) => {
+    const ids = req.body?.ids;
+    const all = await listLibraryItems(req.user.id, { archived: null });
+    const error = validateOrder(ids, all.map(item => item.id));
+    if (error) return res.status(400).json({ message: error });
+
+    await reorderLibraryItems(req.user.id, ids);
+    const items = await listLibraryItems(req.user.id);
+    res.json({ items: items.map(toPublicLibraryItem) });
+});
+
+app.patch('/api/library/:id', requireUser, async (req, res) => {
+    const { data, errors } = validateLibraryItem(req.body, { partial: true });
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    const item = await updateLibraryItem(req.user.id, req.params.id, data);
+    if (!item) return res.status(404).json({ message: 'Library item not found' });
+    res.json({ item: toPublicLibraryItem(item) });
+});
+
+app.delete('/api/library/:id', requireUser, async (req, res) => {
+    const success = await deleteLibraryItem(req.user.id, req.params.id);
+    if (!success) return res.status(404).json({ message: 'Library item not found' });
+    res.json({ success: true });
+});
+
+// --- Nutrition log ---
+
+const MAX_MEAL_NOTE_LENGTH = 500;
+
+async function getDaySummary(user, date) {
+    const [entries, profile] = await Promise.all([
+        listNutritionLogs(user.id, { from: date, to: date }),
+        getCoachingProfile(user.id),
+    ]);
+    return { entries, summary: summarizeDay(date, entries, profile) };
+}
+
+// Estimate only; nothing is stored until the user confirms the meal
+app.post('/api/nutrition/analyze', requireUser, async (req, res) => {
+    if (llm.configError) return res.status(500).json({ message: llm.configError });
+    if (!llm.supportsVision) return res.status(400).json({ message: 'The configured model cannot read images' });
+
+    const { attachmentId, note } = req.body || {};
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_MEAL_NOTE_LENGTH)) {
+        return res.status(400).json({ message: `Note must be a string of at most ${MAX_MEAL_NOTE_LENGTH} characters` });
+    }
+    if (await checkChatRateLimit(req.user.clerkId)) {
+        return res.status(429).json({ message: 'Too many requests. Please try again later.' });
+    }
+    const exceeded = await checkQuota(req.user);
+    if (exceeded) return res.status(429).json({ message: 'Token budget reached', code: 'quota_exceeded', ...exceeded });
+
+    const attachment = await getAttachment(req.user.id, attachmentId);
+    const data = attachment && await storage.get(attachment.storageKey);
+    if (!data) return res.status(404).json({ message: 'Attachment not found' });
+
+    try {
+        const analysis = await analyzeMealPhoto(meterUsage(llm, req.user.id), {
+            imageUrl: toDataUrl(attachment.mimeType, data),
+            note: note?.trim(),
+        });
+        res.json({ analysis: { ...analysis, attachmentId: attachment.id } });
+    } catch (e) {
+        if (e instanceof MealAnalysisError) return res.status(502).json({ message: e.message, code: 'analysis_failed' });
+        logger.error('Meal analysis failed', e);
+        const { status, body } = toClientError(e);
+        res.status(status).json({ message: body.error, code: body.code });
+    }
+});
+
+app.get('/api/nutrition', requireUser, async (req, res) => {
+    const date = req.query.date ?? isoDate();
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ message: 'Date must be formatted as YYYY-MM-DD' });
+    }
+    const { entries, summary } = await getDaySummary(req.user, date);
+    res.json({ entries: entries.map(toPublicNutritionLog), summary });
+});
+
+// Shared by create and update: the attachment, if any, must be the user's own
+async function validateMealRequest(req) {
+    const { entry, error } = validateMealEntry(req.body || {});
+    if (error) return { error };
+    if (entry.attachmentId && !await getAttachment(req.user.id, entry.attachmentId)) return { error: 'Unknown attachment' };
+    return { entry };
+}
+
+app.post('/api/nutrition', requireUser, async (req, res) => {
+    const { entry, error } = await validateMealRequest(req);
+    if (error) return res.status(400).json({ message: error });
+
+    const saved = await createNutritionLog(req.user.id, entry);
+    const { summary } = await getDaySummary(req.user, saved.date);
+    res.status(201).json({ entry: toPublicNutritionLog(saved), summary });
+});
+
+app.put('/api/nutrition/:id', requireUser, async (req, res) => {
+    const { entry, error } = await validateMealRequest(req);
+    if (error) return res.status(400).json({ message: error });
+
+    const saved = await updateNutritionLog(req.user.id, req.params.id, entry);
+    if (!saved) return res.status(404).json({ message: 'Meal not found' });
+    const { summary } = await getDaySummary(req.user, saved.date);
+    res.json({ entry: toPublicNutritionLog(saved), summary });
+});
+
+app.delete('/api/nutrition/:id', requireUser, async (req, res) => {
+    const success = await deleteNutritionLog(req.user.id, req.params.id);
+    if (!success) return res.status(404).json({ message: 'Meal not found' });
+    res.json({ success: true });
+});
+
+// --- Nutrition targets ---
+
+// The stored calculation, and whether the profile's targets are still its numbers
+app.get('/api/nutrition/targets', requireUser, async (req, res) => {
+    const profile = await getCoachingProfile(req.user.id);
+    res.json({ calculation: profile?.targetCalculation ?? null, applied: targetsAreCalculated(profile) });
+});
+
+// Targets from the profile, the latest measurements and any overrides in the body;
+// saved as the user's targets unless `save` is false
+app.post('/api/nutrition/targets', requireUser, async (req, res) => {
+    const { data, errors } = validateTargetsRequest(req.body);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    await migrateWeightLog(req.user);
+    const [profile, measurements] = await Promise.all([getCoachingProfile(req.user.id), listMeasurements(req.user.id)]);
+    const { calculation, errors: missing } = calculateTargets({ ...profileStats(profile, measurements), ...data.stats }, data.options);
+    if (missing.length > 0) return res.status(400).json({ message: missing.join('; ') });
+    if (!data.save) return res.json({ calculation, profile: toPublicProfile(profile) });
+
+    // A goal or activity level picked for the calculation becomes the profile's
+    const { goal, activityLevel } = data.stats;
+    const saved = await upsertCoachingProfile(req.user.id, {
+        ...toProfileTargets(calculation),
+        targetCalculation: calculation,
+        ...(goal ? { goal } : {}),
+        ...(activityLevel ? { activityLevel } : {}),
+    });
+    res.json({ calculation, profile: toPublicProfile(saved) });
+});
+
+// --- Coach media ---
+
+const mediaLanguage = (lang) => (MEDIA_LANGUAGES.includes(lang) ? lang : 'nl');
+
+// Active clips in the user's language, keyed by the tag the coach writes
+app.get('/api/media', requireUser, async (req, res) => {
+    const language = mediaLanguage(req.query.lang);
+    const clips = (await listMediaClips({ activeOnly: true }))
+        .map(clip => toPublicClip(clip, language))
+        .filter(Boolean);
+    res.json({ clips: Object.fromEntries(clips.map(clip => [clip.key, clip])) });
+});
+
+app.post('/api/media/:key/views', requireUser, async (req, res) => {
+    const clip = await getMediaClipByKey(req.params.key);
+    if (!clip || !clip.active) return res.status(404).json({ message: 'Clip not found' });
+    await addMediaView(clip.id, req.user.id, mediaLanguage(req.body?.lang));
+    res.status(201).json({ success: true });
+});
+
+// --- Exports ---
+
+// Messages in scope with the title of the export; null when the conversation,
+// message or library items are not the user's
+async function loadExportMessages(userId, { scope, conversationId, messageId, itemIds }) {
+    if (scope === 'library') {
+        // Library items in the user's order, each under its own title
+        const items = itemIds
+            ? (await listLibraryItems(userId, { archived: null })).filter(item => itemIds.includes(item.id))
+            : await listLibraryItems(userId);
+        if (items.length === 0) return null;
+        return { messages: items.map(item => ({ ...item, role: 'assistant' })) };
+    }
+
+    const conversation = await getConversation(userId, conversationId);
+    if (!conversation) return null;
+    const stored = await getConversationMessages(conversation.id);
+    if (scope === 'conversation') {
+        return { title: conversation.title, messages: activeBranch(stored, conversation.activeLeafId) };
+    }
+    const message = stored.find(m => m.id === messageId);
+    return message ? { messages: [message] } : null;
+}
+
+// Resolves [video:key] tags to the clip title and link in the export language
+async function buildUserExport(userId, data) {
+    const loaded = await loadExportMessages(userId, data);
+    if (!loaded) return null;
+    const clips = (await listMediaClips({ activeOnly: true }))
+        .map(clip => toPublicClip(clip, data.lang))
+        .filter(Boolean);
+    return buildExportDocument({
+        scope: data.scope,
+        title: loaded.title,
+        messages: loaded.messages,
+        clips: Object.fromEntries(clips.map(clip => [clip.key, { title: clip.title, url: clip.url }])),
+        lang: data.lang,
+    });
+}
+
+// A file download, or the document itself for the print page (`format: json`)
+app.post('/api/exports', requireUser, async (req, res) => {
+    const { data, errors } = validateExportRequest(req.body);
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+
+    try {
+        const document = await buildUserExport(req.user.id, data);
+        if (!document) return res.status(404).json({ message: 'Nothing to export' });
+        if (data.format === 'json') return res.json({ document });
+
+        const file = await renderExport(document, data.format);
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.body);
+    } catch (e) {
+        logger.error('Export error', e);
+        res.status(500).json({ message: 'Failed to create export' });
+    }
+});
+
+const exportEmailLimiter = createRateLimiter(60 * 60 * 1000, 10);
+
+// Sends the export to the user's own address only
+app.post('/api/exports/email', requireUser, async (req, res) => {
+    const { data, errors } = validateExportRequest(req.body, { formats: EMAIL_FORMATS });
+    if (errors.length > 0) return res.status(400).json({ message: errors.join('; ') });
+    if (!req.user.email) return res.status(400).json({ message: 'No email address on this account' });
+    if (exportEmailLimiter(req.user.id)) return res.status(429).json({ message: 'Too many emails, try again later' });
+
+    if (!RESEND_API_KEY) {
+        logger.error('VITE_RESEND_API_KEY is not set');
+        return res.status(500).json({ message: 'Server configuration error' });
+    }
+
+    try {
+        const document = await buildUserExport(req.user.id, data);
+        if (!document) return res.status(404).json({ message: 'Nothing to export' });
+
+        const file = await renderExport(document, data.format);
+        const { subject, html } = exportEmail(document);
+        const { error } = await new Resend(RESEND_API_KEY).emails.send({
+            from: 'site@dnbcoaching.com',
+            to: [req.user.email],
+            subject,
+            html,
+            attachments: [{ filename: file.filename, content: Buffer.from(file.body) }],
+        });
+
+        if (error) {
+            logger.error('Resend error', error);
+            return res.status(500).json({ message: 'Error sending email' });
+        }
+        res.json({ success: true, to: req.user.email });
+    } catch (e) {
+        logger.error('Export email error', e);
+        res.status(500).json({ message: 'Failed to send export' });
+    }
+});
+
+// Best effort: keep the coaching profile in sync with what the user tells the coach
+async function updateProfileFromChat(coach, userId, profile, text) {
+    try {
+        const updates = await extractProfileUpdates(coach, profile, text);
+        if (Object.keys(updates).length === 0) return [];
+        await upsertCoachingProfile(userId, updates);
+        return Object.keys(updates);
+    } catch (e) {
+        logger.error('Profile update from chat failed', e);
+        return [];
+    }
+}
+
+// --- Chat ---
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+// History is loaded from the database; the client only sends the new user turn
 app.post('/api/chat', async (req, res) => {
-    if (!OPENAI_API_KEY) return res.status(500).json({ message: 'Missing OPENAI_API_KEY' });
+    if (llm.configError) return res.status(500).json({ message: llm.configError });
 
     // Require Clerk authentication
     const userId = getClerkUserId(req);
@@ -403,106 +1490,365 @@ app.post('/api/chat', async (req, res) => {
             logger.error('[CRITICAL] req.body is undefined. Middleware failure?');
             return res.status(400).json({ message: 'Request body is missing' });
         }
-        const { messages: rawMessages, name, lang } = req.body;
+        const { conversationId, message, image, attachmentIds, name, lang, editOf, regenerate } = req.body;
 
         if (await checkChatRateLimit(userId)) {
             return res.status(429).json({ error: 'Too many requests. Please try again later.' });
         }
 
-        // Validate and format messages
-        const VALID_ROLES = new Set(['user', 'assistant', 'system']);
-        const MAX_MESSAGE_LENGTH = 4000;
-        const MAX_MESSAGES = 50;
-
-        if (rawMessages !== undefined && !Array.isArray(rawMessages)) {
-            return res.status(400).json({ error: 'messages must be an array' });
+        if (message !== undefined && typeof message !== 'string') {
+            return res.status(400).json({ error: 'Message content must be a string' });
+        }
+        const text = message ?? '';
+        if (text.length > MAX_MESSAGE_LENGTH) {
+            return res.status(400).json({ error: `Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters.` });
+        }
+        if (attachmentIds !== undefined && (
+            !Array.isArray(attachmentIds) ||
+            !attachmentIds.every(id => typeof id === 'string') ||
+            attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE
+        )) {
+            return res.status(400).json({ error: `attachmentIds must be an array of at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachment ids` });
+        }
+        const imageIds = [...new Set(attachmentIds ?? [])];
+        for (const [field, value] of Object.entries({ editOf, regenerate })) {
+            if (value !== undefined && typeof value !== 'string') return res.status(400).json({ error: `${field} must be a message id` });
+        }
+        if (editOf && regenerate) return res.status(400).json({ error: 'Use either editOf or regenerate' });
+        if ((editOf || regenerate) && !conversationId) {
+            return res.status(400).json({ error: 'conversationId is required to edit or regenerate' });
+        }
+        if (regenerate) {
+            if (text.trim() || image || imageIds.length > 0) {
+                return res.status(400).json({ error: 'regenerate answers an earlier message and takes no new one' });
+            }
+        } else if (!text.trim() && !image && imageIds.length === 0) {
+            return res.status(400).json({ error: 'Message or image is required' });
+        }
+        if (image && !isValidImageUrl(image)) {
+            return res.status(400).json({ error: 'Invalid image URL format' });
         }
 
-        const messagesArr = Array.isArray(rawMessages) ? rawMessages : [];
+        const user = await getUserByClerkId(userId);
+        if (!user) return res.status(404).json({ message: 'User not found in database' });
+        // The weight tools read measurements, so an old weight log has to be moved first
+        await migrateWeightLog(user);
 
-        for (const msg of messagesArr) {
-            if (!msg || typeof msg !== 'object') {
-                return res.status(400).json({ error: 'Each message must be an object with role and content' });
-            }
-            if (typeof msg.role !== 'string' || !VALID_ROLES.has(msg.role)) {
-                return res.status(400).json({ error: `Invalid message role: "${msg.role}". Must be one of: user, assistant, system` });
-            }
-            if (typeof msg.content !== 'string') {
-                return res.status(400).json({ error: 'Message content must be a string' });
-            }
-            if (msg.content.length > MAX_MESSAGE_LENGTH) {
-                return res.status(400).json({ error: `Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters.` });
-            }
+        const attachments = imageIds.length > 0 ? await getPendingAttachments(user.id, imageIds) : [];
+        if (attachments.length !== imageIds.length) {
+            return res.status(400).json({ error: 'Unknown or already sent attachment' });
         }
 
-        const userMessages = messagesArr
-            .filter(m => m.role === 'user' || m.role === 'assistant')
-            .map(m => ({ role: m.role, content: m.content }));
+        const exceeded = await checkQuota(user);
+        if (exceeded) {
+            return res.status(429).json({
+                error: `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} token budget reached`,
+                code: 'quota_exceeded',
+                ...exceeded,
+            });
+        }
+        // Every upstream call below is billed to this user; the reply records the model that wrote it
+        let answeredBy = llm.model;
+        const coach = meterUsage(llm, user.id, { onModel: (model) => { answeredBy = model; } });
+
+        let conversation;
+        if (conversationId !== undefined && conversationId !== null) {
+            conversation = await getConversation(user.id, conversationId);
+            if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+        } else {
+            conversation = await createConversation(user.id, { title: titleFromMessage(text) });
+        }
 
-        if (userMessages.length > MAX_MESSAGES) {
-            return res.status(400).json({ error: `Too many messages. Maximum ${MAX_MESSAGES} allowed.` });
+        // Where the new turn goes in the message tree
+        const stored = await getConversationMessages(conversation.id);
+        let regenerated = null;
+        let parentId = null;
+        if (regenerate) {
+            // A reply is regenerated from the user message it answered
+            const target = stored.find(m => m.id === regenerate);
+            regenerated = target?.role === 'assistant' ? stored.find(m => m.id === target.parentId) : target;
+            if (regenerated?.role !== 'user') return res.status(404).json({ message: 'Message not found' });
+        } else if (editOf) {
+            // The edited version becomes a sibling of the original
+            const edited = stored.find(m => m.id === editOf);
+            if (edited?.role !== 'user') return res.status(404).json({ message: 'Message not found' });
+            parentId = edited.parentId ?? null;
+        } else {
+            parentId = activeBranch(stored, conversation.activeLeafId).at(-1)?.id ?? null;
         }
+        const turnText = regenerated ? regenerated.content : text;
+        const turnAttachments = regenerated ? regenerated.attachments ?? [] : attachments;
+
+        const profile = await getCoachingProfile(user.id);
+        const language = lang === 'en' || lang === 'nl' ? lang : profile?.language || 'nl';
+
+        // Clients opt into streaming with `stream: true`; everyone else keeps the JSON response
+        const wantsStream = req.body.stream === true;
+
+        const safetyPolicy = await getSafetyPolicy();
+        const screening = await screenMessage(turnText, { direction: 'input', policy: safetyPolicy, moderation });
+        // Uploaded images stay linked to the message; only legacy image URLs leave a text marker.
+        // A regenerated reply answers the stored message, which was screened and logged already.
+        const storeUserMessage = async () => {
+            if (regenerated) return regenerated;
+            const userMessage = await addMessage(conversation.id, {
+                role: 'user',
+                content: text + (image ? ' [Image Uploaded]' : ''),
+                parentId,
+            });
+            if (attachments.length > 0) await attachToMessage(user.id, imageIds, userMessage.id);
+            return userMessage;
+        };
+        const logInputFlags = async (messageId) => {
+            if (regenerated) return;
+            await logSafetyEvents(
+                { userId: user.id, conversationId: conversation.id, messageId, direction: 'input', text },
+                screening,
+                safetyPolicy,
+            );
+        };
 
-        // Handle image if present
-        const { image } = req.body;
-        if (image && !isValidImageUrl(image)) {
-            return res.status(400).json({ error: 'Invalid image URL format' });
+        // Red flags the coach should not handle get a referral instead of a model reply
+        if (screening.action === 'refer') {
+            const userMessage = await storeUserMessage();
+            await logInputFlags(userMessage.id);
+            const content = referralMessage(screening, language);
+            const assistantMessage = await addMessage(conversation.id, { role: 'assistant', content, parentId: userMessage.id });
+            const safety = { action: screening.action, categories: screening.categories };
+            const meta = { conversationId: conversation.id, userMessageId: userMessage.id };
+
+            if (!wantsStream) return res.json({ message: content, messageId: assistantMessage.id, tools: [], safety, ...meta });
+            startEventStream(res);
+            writeEvent(res, 'meta', meta);
+            writeEvent(res, 'delta', { content });
+            writeEvent(res, 'done', { message: content, messageId: assistantMessage.id, safety });
+            return res.end();
         }
-        if (image) {
-            const lastMsg = userMessages[userMessages.length - 1];
-            if (lastMsg && lastMsg.role === 'user') {
-                const textContent = lastMsg.content.replace(' [Image Uploaded]', '');
-                lastMsg.content = [
-                    { type: "text", text: textContent },
-                    { type: "image_url", image_url: { url: image } }
-                ];
-            } else {
-                userMessages.push({
-                    role: 'user',
-                    content: [
-                        { type: "image_url", image_url: { url: image } }
-                    ]
-                });
-            }
+
+        // Only the branch leading up to this turn is history
+        const branch = pathTo(stored, regenerated ? regenerated.parentId : parentId);
+        const history = branch
+            .filter(m => m.role === 'user' || m.role === 'assistant')
+            // Earlier images are not sent again; the coach only sees that there was one
+            .map(m => (m.attachments?.length ? { ...m, content: `${m.content} [Image Uploaded]`.trim() } : m));
+
+        // Fold turns that fell out of the window into the stored summary before the new turn is added.
+        // A summary written on another branch covers messages this one does not have.
+        const summaryOnBranch = branch.some(m => m.id === conversation.summarizedThroughId);
+        let summary = summaryOnBranch ? conversation.summary : null;
+        const { toSummarize, recent } = planContext(history, summaryOnBranch ? conversation.summarizedThroughId : null);
+        if (toSummarize.length > 0) {
+            summary = await summarize(coach, summary, toSummarize);
+            await updateConversationSummary(conversation.id, {
+                summary,
+                summarizedThroughId: toSummarize[toSummarize.length - 1].id,
+            });
         }
 
-        const language = lang === 'en' ? 'en' : 'nl';
+        // The user's library in their own order, as far as it fits
+        const library = await listLibraryItems(user.id);
+        const pinned = fitPinned(library.slice(0, MAX_PROMPT_ITEMS).map(formatLibraryItemForPrompt));
+
+        const userMessage = await storeUserMessage();
+        await logInputFlags(userMessage.id);
+
+        // Only the new turn carries images
+        const imageUrls = [
+            ...(image ? [image] : []),
+            ...await Promise.all(turnAttachments.map(async (attachment) => {
+                const data = await storage.get(attachment.storageKey);
+                if (!data) throw new Error(`Attachment file missing: ${attachment.id}`);
+                return toDataUrl(attachment.mimeType, data);
+            })),
+        ];
+        const currentTurn = imageUrls.length > 0
+            ? {
+                  role: 'user',
+                  content: [
+                      ...(turnText ? [{ type: 'text', text: turnText }] : []),
+                      ...imageUrls.map(url => ({ type: 'image_url', image_url: { url } })),
+                  ],
+              }
+            : { role: 'user', content: turnText };
+
+        const profilePrompt = formatProfileForPrompt(profile);
+        const memoryPrompt = formatMemoryForPrompt(selectRelevantFacts(await listMemoryFacts(user.id), turnText));
+        const today = isoDate();
+        const nutritionPrompt = formatNutritionForPrompt(
+            summarizeDay(today, await listNutritionLogs(user.id, { from: today, to: today }), profile)
+        );
+        const recentMeasurements = await listMeasurements(user.id, { from: new Date(Date.now() - PROMPT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) });
+        const trendsPrompt = formatTrendsForPrompt(analyzeTrends(recentMeasurements));
+        // Worked out from current stats only when no saved calculation applies
+        const targetsPrompt = formatTargetsForPrompt(
+            profile,
+            targetsAreCalculated(profile) ? null : calculateTargets(profileStats(profile, recentMeasurements)).calculation
+        );
+        const unitsPrompt = formatUnitsForPrompt(profile);
+        const mediaPrompt = formatMediaForPrompt(await listMediaClips({ activeOnly: true }), language);
+        const prompt = await getActivePrompt();
+        const safetyPrompt = screening.action === 'caution' ? safetyPolicyPrompt(screening) : '';
+
         const intro = name ? { role: 'user', content: `Mijn naam is ${name}. Spreek me persoonlijk aan.` } : null;
 
-        const chatMessages = [
-            { role: 'system', content: SYSTEM_PROMPT },
-            { role: 'system', content: LANGUAGE_INSTRUCTIONS[language] },
-            ...(intro ? [intro] : []),
-            ...userMessages
-        ];
+        const chatMessages = buildContext({
+            system: [
+                { role: 'system', content: prompt.systemPrompt },
+                { role: 'system', content: prompt.languageInstructions[language] },
+                ...(profilePrompt ? [{ role: 'system', content: profilePrompt }] : []),
+                ...(unitsPrompt ? [{ role: 'system', content: unitsPrompt }] : []),
+                ...(memoryPrompt ? [{ role: 'system', content: memoryPrompt }] : []),
+                ...(nutritionPrompt ? [{ role: 'system', content: nutritionPrompt }] : []),
+                ...(targetsPrompt ? [{ role: 'system', content: targetsPrompt }] : []),
+                ...(trendsPrompt ? [{ role: 'system', content: trendsPrompt }] : []),
+                { role: 'system', content: mediaPrompt },
+                ...(safetyPrompt ? [{ role: 'system', content: safetyPrompt }] : []),
+            ],
+            intro,
+            pinned,
+            summary,
+            recent,
+            current: currentTurn,
+        });
 
-        const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`,
-            },
-            body: JSON.stringify({
-                model: OPENAI_MODEL,
-                messages: chatMessages,
-            }),
+        // Abort the upstream call when the client goes away (e.g. the user hits "stop")
+        const upstream = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) upstream.abort();
         });
 
-        if (!resp.ok) {
-            const text = await resp.text().catch(() => '');
-            throw new Error(`OpenAI error: ${resp.status} ${text}`);
+        const meta = { conversationId: conversation.id, userMessageId: userMessage.id };
+
+        // Screen the finished reply; a referral replaces it before it is stored
+        const finishReply = async (reply, toolResults, signal = upstream.signal) => {
+            const check = await screenMessage(reply, { direction: 'output', policy: safetyPolicy, moderation, signal });
+            const content = check.action === 'refer' ? referralMessage(check, language) : reply;
+            const assistantMessage = await addMessage(conversation.id, {
+                role: 'assistant', content, toolResults, promptVersion: prompt.version, model: answeredBy, parentId: userMessage.id,
+            });
+            await logSafetyEvents(
+                { userId: user.id, conversationId: conversation.id, messageId: assistantMessage.id, direction: 'output', text: reply },
+                check,
+                safetyPolicy,
+            );
+            const flagged = check.action !== 'allow' ? check : screening.action !== 'allow' ? screening : null;
+            return {
+                content, assistantMessage, replaced: check.action === 'refer',
+                safety: flagged && { action: flagged.action, categories: flagged.categories },
+            };
+        };
+
+        // After the reply: keep the profile and long-term memory in sync with what was said.
+        // A regenerated reply adds nothing the user had not already said.
+        const learnFromExchange = async (reply) => regenerated ? [[], []] : Promise.all([
+            updateProfileFromChat(coach, user.id, profile, text),
+            updateMemoryFromChat(coach, user.id, { userText: text, reply, conversationId: conversation.id, messageId: userMessage.id }),
+        ]);
+
+        if (!wantsStream) {
+            const reply = await chatWithTools(coach, { messages: chatMessages, user, signal: upstream.signal });
+            const { content, assistantMessage, safety } = await finishReply(reply.content, reply.toolResults);
+            res.json({ message: content, messageId: assistantMessage.id, tools: reply.toolResults, ...(safety ? { safety } : {}), ...meta });
+            await learnFromExchange(content);
+            return;
         }
 
-        const data = await resp.json();
-        const content = data?.choices?.[0]?.message?.content ?? '';
-        res.json({ message: content });
+        // Pull the first item before committing to a 200 so upstream errors still map to a JSON error
+        const items = streamWithTools(coach, { messages: chatMessages, user, signal: upstream.signal });
+        const first = await items.next();
+
+        startEventStream(res);
+        writeEvent(res, 'meta', meta);
+
+        // Replies are screened while they stream: text goes out a sentence at a time once
+        // the rules pass it, and after a flagged user message only when the whole reply
+        // has been screened. Text a referral is going to replace is never sent.
+        const screensReplies = safetyPolicy.enabled && safetyPolicy.screenReplies;
+        const holdReply = screensReplies && screening.action !== 'allow';
+        let content = '';
+        // What the client has been shown so far
+        let sent = '';
+        let withheld = false;
+        const toolResults = [];
+        const release = async (end) => {
+            if (withheld || end <= sent.length) return;
+            const text = content.slice(0, end);
+            const check = await screenMessage(text, { direction: 'output', policy: safetyPolicy });
+            if (check.action === 'refer') {
+                withheld = true;
+                return;
+            }
+            writeEvent(res, 'delta', { content: text.slice(sent.length) });
+            sent = text;
+        };
+        const forward = async (item) => {
+            if (item.type === 'delta') {
+                content += item.content;
+                if (!screensReplies) await release(content.length);
+                else if (!holdReply) await release(sentenceEnd(content));
+            } else {
+                toolResults.push(item.result);
+                writeEvent(res, 'tool', item.result);
+            }
+        };
+        try {
+            if (!first.done) await forward(first.value);
+            for await (const item of items) await forward(item);
+            const final = await finishReply(content, toolResults);
+            // The last sentence, or the whole held reply, passed the full screening
+            if (!final.replaced && content.length > sent.length) writeEvent(res, 'delta', { content: content.slice(sent.length) });
+            writeEvent(res, 'done', {
+                message: final.content,
+                messageId: final.assistantMessage.id,
+                ...(final.safety ? { safety: final.safety } : {}),
+            });
+
+            const [updatedFields, remembered] = await learnFromExchange(final.content);
+            if (updatedFields.length > 0) writeEvent(res, 'profile', { updated: updatedFields });
+            if (remembered.length > 0) writeEvent(res, 'memory', { remembered });
+        } catch (e) {
+            if (upstream.signal.aborted) {
+                logger.info('Chat stream aborted by client', { userId });
+                // Keep the partial answer the user already saw, screened like a finished one.
+                // The request's own signal is aborted, so moderation runs without it.
+                if (sent || toolResults.length > 0) await finishReply(sent, toolResults, null);
+                return;
+            }
+            logger.error('Chat stream error', e);
+            const { body } = toClientError(e);
+            writeEvent(res, 'error', { message: body.error, code: body.code });
+        }
+        res.end();
 
     } catch (e) {
+        if (e.name === 'AbortError') return;
         logger.error('Chat error', e);
-        res.status(500).json({ message: `Chat error: ${e.message}` });
+        if (res.headersSent) return res.end();
+        // Provider messages stay in the logs; clients get a stable code
+        const { status, body } = toClientError(e);
+        res.status(status).json(body);
     }
 });
 
+// Length of `text` up to the end of its last finished sentence (or line), 0 if none
+function sentenceEnd(text) {
+    return text.match(/^[\s\S]*[.!?\n]/)?.[0].length ?? 0;
+}
+
+function startEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Stop Nginx from buffering the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+}
+
+// Write a single Server-Sent Event to the client
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 
 // Sentry error handler — must be after all routes and before other error handlers
 Sentry.setupExpressErrorHandler(app);
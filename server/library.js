@@ -0,0 +1,173 @@
+/**
+ * Plan library.
+ *
+ * Pinning a coach reply copies it into library_items with a title, tags and
+ * an optional note, so plans survive edits, deleted threads and new devices.
+ * Users order, archive and search their library, and the active items go into
+ * every chat request for the coach to refer back to.
+ */
+
+export const LIBRARY_TAGS = ['training', 'nutrition', 'mindset'];
+export const MAX_LIBRARY_ITEMS = 200;
+// Items offered to the coach, in the user's order, before the token budget
+export const MAX_PROMPT_ITEMS = 20;
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_NOTE_LENGTH = 1000;
+const MAX_CONTENT_LENGTH = 20000;
+const MAX_QUERY_LENGTH = 100;
+
+// Words that suggest a tag when a reply is pinned; the user can change them
+const TAG_KEYWORDS = {
+    training: /\b(training|trainingsplan|schema|workout|oefening(en)?|sets?|reps?|squat|deadlift|bench|cardio|split|push|pull|legs)\b/i,
+    nutrition: /\b(voeding|kcal|calorie[eë]n?|calories|macro'?s?|eiwit(ten)?|protein|koolhydraten|carbs|vetten|fat|maaltijd(en)?|meal|menu|dieet|diet)\b/i,
+    mindset: /\b(mindset|motivatie|motivation|discipline|stress|slaap|sleep|gewoonte[ns]?|habits?|focus|doelen|goals)\b/i,
+};
+
+export function suggestTags(content) {
+    return LIBRARY_TAGS.filter(tag => TAG_KEYWORDS[tag].test(content));
+}
+
+/**
+ * Item fields for a plan the coach saved with the save_plan tool, or one saved
+ * in the user's data blob before the library existed: the plan's type becomes a
+ * tag next to the ones its content suggests. Null for a plan that is unusable.
+ *
+ * @param {{ title?: unknown, content?: unknown, type?: unknown, createdAt?: unknown }} plan
+ */
+export function libraryItemFromPlan(plan) {
+    const { data, errors } = validateLibraryItem({ title: plan?.title, content: plan?.content });
+    if (errors.length > 0) return null;
+
+    const tags = new Set([plan.type, ...suggestTags(data.content)]);
+    const createdAt = typeof plan.createdAt === 'string' && !Number.isNaN(Date.parse(plan.createdAt)) ? new Date(plan.createdAt) : null;
+    return { ...data, tags: LIBRARY_TAGS.filter(tag => tags.has(tag)), ...(createdAt ? { createdAt } : {}) };
+}
+
+/**
+ * Title for a pinned reply: its first Markdown heading, otherwise its first
+ * line, without formatting.
+ */
+export function titleFromContent(content) {
+    const lines = String(content || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const line = lines.find(l => /^#{1,6}\s/.test(l)) ?? lines[0] ?? '';
+    const clean = line
+        .replace(/^#{1,6}\s+/, '')
+        .replace(/\[video:[^\]]+\]/g, '')
+        .replace(/[*_`|]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/[:\s]+$/, '')
+        .trim();
+    if (!clean) return 'Plan';
+    return clean.length > MAX_TITLE_LENGTH ? `${clean.slice(0, MAX_TITLE_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * New items come from a message (`messageId`) or are written by the user
+ * (`title` and `content`); updates change any of title, tags, note and archived.
+ *
+ * @param {unknown} input
+ * @param {{ partial?: boolean }} [options]  Validate an update instead of a new item
+ * @returns {{ data?: object, errors: string[] }}
+ */
+export function validateLibraryItem(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Library item must be an object'] };
+
+    const errors = [];
+    const data = {};
+
+    if (!partial && input.messageId !== undefined) {
+        if (typeof input.messageId !== 'string' || !input.messageId) errors.push('messageId must be a message id');
+        else data.messageId = input.messageId;
+    }
+
+    if (input.title !== undefined) {
+        if (typeof input.title !== 'string' || !input.title.trim()) errors.push('title must be a non-empty string');
+        else if (input.title.trim().length > MAX_TITLE_LENGTH) errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+        else data.title = input.title.trim();
+    }
+
+    if (!partial && input.content !== undefined) {
+        if (typeof input.content !== 'string' || !input.content.trim()) errors.push('content must be a non-empty string');
+        else if (input.content.length > MAX_CONTENT_LENGTH) errors.push(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+        else data.content = input.content.trim();
+    }
+    if (!partial && input.messageId === undefined && (input.title === undefined || input.content === undefined)) {
+        errors.push('Either messageId or title and content are required');
+    }
+
+    if (input.tags !== undefined) {
+        if (!Array.isArray(input.tags) || !input.tags.every(tag => LIBRARY_TAGS.includes(tag))) {
+            errors.push(`tags must be a list of ${LIBRARY_TAGS.join(', ')}`);
+        } else {
+            data.tags = LIBRARY_TAGS.filter(tag => input.tags.includes(tag));
+        }
+    }
+
+    if (input.note !== undefined && input.note !== null) {
+        if (typeof input.note !== 'string') errors.push('note must be a string');
+        else if (input.note.trim().length > MAX_NOTE_LENGTH) errors.push(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+        else data.note = input.note.trim() || null;
+    } else if (input.note === null) {
+        data.note = null;
+    }
+
+    if (partial && input.archived !== undefined) {
+        if (typeof input.archived !== 'boolean') errors.push('archived must be a boolean');
+        else data.archived = input.archived;
+    }
+
+    if (errors.length > 0) return { errors };
+    return { data, errors };
+}
+
+/**
+ * List filters from a query string; values that do not apply are ignored.
+ */
+export function libraryFilters(query = {}) {
+    const q = typeof query.q === 'string' ? query.q.trim().slice(0, MAX_QUERY_LENGTH) : '';
+    return {
+        archived: query.archived === 'true',
+        tag: LIBRARY_TAGS.includes(query.tag) ? query.tag : undefined,
+        q: q || undefined,
+    };
+}
+
+/**
+ * Ids for a new order: every id must be one of the user's items, once.
+ *
+ * @returns {string | null}  Error message
+ */
+export function validateOrder(ids, itemIds) {
+    if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string')) return 'ids must be a list of item ids';
+    if (new Set(ids).size !== ids.length) return 'ids must not repeat';
+    const known = new Set(itemIds);
+    if (!ids.every(id => known.has(id))) return 'Unknown library item';
+    return null;
+}
+
+export function toPublicLibraryItem(item) {
+    return {
+        id: item.id,
+        title: item.title,
+        content: item.content,
+        tags: item.tags,
+        note: item.note,
+        position: item.position,
+        archived: item.archived,
+        messageId: item.messageId,
+        conversationId: item.conversationId,
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt,
+    };
+}
+
+/**
+ * An item as the coach sees it: title, tags and the user's note above the
+ * saved text. Used as a pinned context entry, so it has a `content` field.
+ */
+export function formatLibraryItemForPrompt(item) {
+    const tags = item.tags.length > 0 ? ` [${item.tags.join(', ')}]` : '';
+    const note = item.note ? `\nUser's note: ${item.note}` : '';
+    return { content: `### ${item.title}${tags}${note}\n\n${item.content}` };
+}
@@ -0,0 +1,306 @@
+/**
+ * LLM provider layer used by /api/chat.
+ *
+ * Every provider exposes the same interface so the chat route does not care
+ * whether it talks to OpenAI, another OpenAI-compatible endpoint (self-hosted
+ * vLLM, Ollama, OpenRouter, ...) or the in-process mock used in tests.
+ *
+ * @typedef {{ type: 'text', text: string } | { type: 'image_url', image_url: { url: string } }} ContentPart
+ *
+ * @typedef {Object} ChatMessage
+ * @property {'system' | 'user' | 'assistant' | 'tool'} role
+ * @property {string | ContentPart[] | null} content
+ * @property {object[]} [tool_calls]  Assistant turns that called tools (OpenAI wire format)
+ * @property {string} [tool_call_id]  Tool turns: the call this result answers
+ *
+ * @typedef {{ type: 'function', function: { name: string, description: string, parameters: object } }} ToolDefinition
+ *
+ * @typedef {Object} ToolCall
+ * @property {string} id
+ * @property {string} name
+ * @property {string} arguments  JSON-encoded arguments, as produced by the model
+ *
+ * @typedef {{ promptTokens: number, completionTokens: number }} Usage
+ *
+ * @typedef {Object} ChatRequest
+ * @property {ChatMessage[]} messages
+ * @property {string} [model]  Overrides the provider's default model
+ * @property {ToolDefinition[]} [tools]  Functions the model may call
+ * @property {AbortSignal} [signal]
+ *
+ * @typedef {Object} LlmProvider
+ * @property {string} name
+ * @property {string} model  Default model
+ * @property {boolean} supportsVision
+ * @property {string | null} configError  Why the provider cannot be used, or null when ready
+ * @property {(req: ChatRequest) => Promise<{ content: string, toolCalls: ToolCall[], usage?: Usage, model?: string }>} chat
+ * @property {(req: ChatRequest) => AsyncGenerator<string | { toolCalls: ToolCall[] } | { usage: Usage } | { model: string }>} stream
+ *   Yields content deltas; a turn that calls tools ends with a single `{ toolCalls }` item.
+ *   Providers that report token usage yield one `{ usage }` item before that.
+ *   A `{ model }` item (or `model` in the chat result) names the model that actually answered
+ *   when it is not the requested one, e.g. after a fallback.
+ */
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * A failed call to the model API. `status` is the HTTP status, or null when the
+ * request never got a response. `code` is one of the stable codes from
+ * resilience.js once the error has been classified.
+ */
+export class UpstreamError extends Error {
+    constructor(message, { status = null, code = null, retryAfterMs = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'UpstreamError';
+        this.status = status;
+        this.code = code;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Yield the `data:` payload of every event in an upstream SSE body
+export async function* readServerSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const data = rawEvent
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data) yield data;
+        }
+    }
+}
+
+function toUsage(usage) {
+    if (!usage) return undefined;
+    return { promptTokens: usage.prompt_tokens ?? 0, completionTokens: usage.completion_tokens ?? 0 };
+}
+
+// Flatten image parts into a text placeholder for providers without vision input
+export function toProviderMessages(messages, supportsVision) {
+    if (supportsVision) return messages;
+    return messages.map(m => {
+        if (!Array.isArray(m.content)) return m;
+        const text = m.content
+            .map(part => (part.type === 'text' ? part.text : '[image omitted]'))
+            .join(' ');
+        return { ...m, content: text };
+    });
+}
+
+/**
+ * Provider for any endpoint that speaks the OpenAI chat completions API.
+ *
+ * @param {{ name?: string, baseUrl: string, apiKey?: string, model: string, supportsVision?: boolean }} options
+ * @returns {LlmProvider}
+ */
+export function createOpenAiCompatibleProvider({ name = 'openai-compatible', baseUrl, apiKey, model, supportsVision = true }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function request({ messages, model: modelOverride, tools, signal }, stream) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+        const resp = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: modelOverride || model,
+                messages: toProviderMessages(messages, supportsVision),
+                ...(tools?.length ? { tools } : {}),
+                stream,
+                ...(stream ? { stream_options: { include_usage: true } } : {}),
+            }),
+            signal,
+        });
+
+        if (!resp.ok) {
+            const text = await resp.text().catch(() => '');
+            throw new UpstreamError(`${name} error: ${resp.status} ${text}`, {
+                status: resp.status,
+                retryAfterMs: parseRetryAfter(resp.headers.get('retry-after')),
+            });
+        }
+        return resp;
+    }
+
+    return {
+        name,
+        model,
+        supportsVision,
+        configError: null,
+
+        async chat(req) {
+            const resp = await request(req, false);
+            const data = await resp.json();
+            const message = data?.choices?.[0]?.message;
+            const toolCalls = (message?.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function?.name,
+                arguments: call.function?.arguments || '{}',
+            }));
+            return { content: message?.content ?? '', toolCalls, usage: toUsage(data?.usage) };
+        },
+
+        async *stream(req) {
+            const resp = await request(req, true);
+            // Tool calls arrive in fragments keyed by index; they are only usable once complete
+            const toolCalls = [];
+            let usage;
+            for await (const chunk of readServerSentEvents(resp.body)) {
+                if (chunk === '[DONE]') break;
+                let parsed;
+                try {
+                    parsed = JSON.parse(chunk);
+                } catch {
+                    continue;
+                }
+                // With include_usage the last chunk carries the usage and no choices
+                if (parsed?.usage) usage = toUsage(parsed.usage);
+                const delta = parsed?.choices?.[0]?.delta;
+                if (delta?.content) yield delta.content;
+                for (const fragment of delta?.tool_calls || []) {
+                    const call = toolCalls[fragment.index] ??= { id: '', name: '', arguments: '' };
+                    if (fragment.id) call.id = fragment.id;
+                    if (fragment.function?.name) call.name += fragment.function.name;
+                    if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+                }
+            }
+            if (usage) yield { usage };
+            if (toolCalls.length > 0) yield { toolCalls: toolCalls.filter(Boolean) };
+        },
+    };
+}
+
+/**
+ * OpenAI itself — an OpenAI-compatible provider pinned to api.openai.com.
+ *
+ * @param {{ apiKey?: string, model: string }} options
+ * @returns {LlmProvider}
+ */
+export function createOpenAiProvider({ apiKey, model }) {
+    const provider = createOpenAiCompatibleProvider({ name: 'openai', baseUrl: OPENAI_BASE_URL, apiKey, model });
+    return { ...provider, configError: apiKey ? null : 'Missing OPENAI_API_KEY' };
+}
+
+/**
+ * Deterministic in-process provider for tests and offline development.
+ * It answers by echoing the last user turn, so assertions can check what reached the model.
+ *
+ * Tool calls are scripted from the user text: when tools are offered, every
+ * `[[tool:name {"json":"args"}]]` directive in the last user turn becomes a call.
+ * After tool results come back it echoes those instead.
+ *
+ * @param {{ model?: string, supportsVision?: boolean }} [options]
+ * @returns {LlmProvider}
+ */
+export function createMockProvider({ model = 'mock-coach', supportsVision = true } = {}) {
+    function textOf(content) {
+        return Array.isArray(content)
+            ? content.filter(p => p.type === 'text').map(p => p.text).join(' ')
+            : content;
+    }
+
+    function respond(messages, tools) {
+        const last = messages[messages.length - 1];
+        if (last?.role === 'tool') {
+            const results = messages.filter(m => m.role === 'tool').map(m => m.content);
+            return { content: `Mock coach reply to tool results: ${results.join(' ')}`, toolCalls: [] };
+        }
+
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        if (!lastUser) return { content: 'Mock coach reply.', toolCalls: [] };
+
+        if (tools?.length) {
+            const toolCalls = [...textOf(lastUser.content).matchAll(/\[\[tool:(\w+)(?: (\{.*?\}))?\]\]/g)]
+                .map((match, i) => ({ id: `mock_call_${i + 1}`, name: match[1], arguments: match[2] || '{}' }));
+            if (toolCalls.length > 0) return { content: '', toolCalls };
+        }
+
+        if (!Array.isArray(lastUser.content)) return { content: `Mock coach reply to: ${lastUser.content}`, toolCalls: [] };
+        const images = lastUser.content.filter(p => p.type === 'image_url').length;
+        return {
+            content: `Mock coach reply to: ${textOf(lastUser.content)} (${images} image${images === 1 ? '' : 's'})`,
+            toolCalls: [],
+        };
+    }
+
+    return {
+        name: 'mock',
+        model,
+        supportsVision,
+        configError: null,
+
+        async chat({ messages, tools }) {
+            return respond(toProviderMessages(messages, supportsVision), tools);
+        },
+
+        async *stream({ messages, tools, signal }) {
+            const { content, toolCalls } = respond(toProviderMessages(messages, supportsVision), tools);
+            for (const word of content ? content.split(/(?<= )/) : []) {
+                if (signal?.aborted) return;
+                yield word;
+            }
+            if (toolCalls.length > 0) yield { toolCalls };
+        },
+    };
+}
+
+// Placeholder for a provider whose configuration is incomplete
+function createUnavailableProvider(name, model, configError) {
+    const fail = async () => { throw new Error(configError); };
+    return {
+        name,
+        model,
+        supportsVision: false,
+        configError,
+        chat: fail,
+        stream: async function* () { await fail(); },
+    };
+}
+
+/**
+ * Build the provider selected by LLM_PROVIDER (openai | openai-compatible | mock).
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {LlmProvider}
+ */
+export function createProviderFromEnv(env = process.env) {
+    const provider = env.LLM_PROVIDER || 'openai';
+    const model = env.LLM_MODEL || env.OPENAI_MODEL || 'gpt-4o-mini';
+    const supportsVision = env.LLM_VISION !== 'false';
+
+    switch (provider) {
+        case 'openai':
+            return createOpenAiProvider({ apiKey: env.OPENAI_API_KEY, model });
+        case 'openai-compatible': {
+            if (!env.LLM_BASE_URL) return createUnavailableProvider(provider, model, 'Missing LLM_BASE_URL');
+            return createOpenAiCompatibleProvider({
+                baseUrl: env.LLM_BASE_URL,
+                apiKey: env.LLM_API_KEY,
+                model,
+                supportsVision,
+            });
+        }
+        case 'mock':
+            return createMockProvider({ model: env.LLM_MODEL || 'mock-coach', supportsVision });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${provider}"`);
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Meal photo analysis and the nutrition log.
+ *
+ * The vision model estimates what is on the plate; nothing is logged until the
+ * user has checked or corrected the estimate in the chat. Daily totals are
+ * compared with the macro targets on the coaching profile, for the food log UI
+ * and for the coach's daily feedback.
+ */
+
+import { MEAL_ANALYSIS_PROMPT } from '../config/constants.js';
+import { parseJsonObject } from './memory.js';
+import { isoDate, validateLogDate } from './progress.js';
+
+export const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+const MACROS = ['kcal', 'proteinG', 'carbsG', 'fatG'];
+const MAX_ITEMS = 30;
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 120;
+
+// Per item; anything above is a typo or a bad estimate
+const ITEM_LIMITS = { grams: 5000, kcal: 5000, proteinG: 500, carbsG: 1000, fatG: 500 };
+
+// Profile field holding the daily target for each macro
+const TARGET_FIELDS = { kcal: 'kcalTarget', proteinG: 'proteinTargetG', carbsG: 'carbsTargetG', fatG: 'fatTargetG' };
+
+export class MealAnalysisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MealAnalysisError';
+    }
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * @param {unknown} items
+ * @returns {{ items?: Array<{ name: string, grams: number | null, kcal: number, proteinG: number, carbsG: number, fatG: number }>, error?: string }}
+ */
+export function validateMealItems(items) {
+    if (!Array.isArray(items) || items.length === 0) return { error: 'At least one item is required' };
+    if (items.length > MAX_ITEMS) return { error: `A meal has at most ${MAX_ITEMS} items` };
+
+    const clean = [];
+    for (const [index, item] of items.entries()) {
+        const label = `Item ${index + 1}`;
+        if (!item || typeof item !== 'object') return { error: `${label} must be an object` };
+        if (typeof item.name !== 'string' || !item.name.trim()) return { error: `${label}: name is required` };
+
+        const result = { name: item.name.trim().slice(0, MAX_NAME_LENGTH) };
+        for (const key of ['grams', ...MACROS]) {
+            const raw = item[key];
+            if (key === 'grams' && (raw === undefined || raw === null || raw === '')) {
+                result.grams = null;
+                continue;
+            }
+            const value = typeof raw === 'string' ? Number(raw.replace(',', '.')) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > ITEM_LIMITS[key]) {
+                return { error: `${label}: ${key} must be a number between 0 and ${ITEM_LIMITS[key]}` };
+            }
+            result[key] = key === 'kcal' || key === 'grams' ? Math.round(value) : round1(value);
+        }
+        clean.push(result);
+    }
+    return { items: clean };
+}
+
+/**
+ * Summed kcal and macros of meal items or log entries.
+ */
+export function sumMacros(rows) {
+    const totals = { kcal: 0, proteinG: 0, carbsG: 0, fatG: 0 };
+    for (const row of rows) {
+        for (const key of MACROS) totals[key] += row[key] || 0;
+    }
+    return { kcal: Math.round(totals.kcal), proteinG: round1(totals.proteinG), carbsG: round1(totals.carbsG), fatG: round1(totals.fatG) };
+}
+
+/**
+ * Validate a meal to log; the date defaults to today and totals are computed
+ * from the items.
+ *
+ * @param {{ date?: unknown, mealType?: unknown, description?: unknown, items?: unknown, attachmentId?: unknown }} input
+ */
+export function validateMealEntry({ date, mealType = null, description, items, attachmentId = null } = {}) {
+    const day = date ?? isoDate();
+    const dateError = validateLogDate(day);
+    if (dateError) return { error: dateError };
+
+    if (mealType !== null && !MEAL_TYPES.includes(mealType)) {
+        return { error: `mealType must be one of: ${MEAL_TYPES.join(', ')}` };
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return { error: 'Description must be a string' };
+    }
+    if (attachmentId !== null && typeof attachmentId !== 'string') return { error: 'attachmentId must be a string' };
+
+    const { items: clean, error } = validateMealItems(items);
+    if (error) return { error };
+
+    return {
+        entry: {
+            date: day,
+            mealType,
+            description: (description?.trim() || clean.map(i => i.name).join(', ')).slice(0, MAX_DESCRIPTION_LENGTH),
+            items: clean,
+            ...sumMacros(clean),
+            attachmentId,
+        },
+    };
+}
+
+/**
+ * Ask the vision model for an itemised estimate of a meal photo. Items it gets
+ * wrong are left out; the user adds or fixes them before logging.
+ *
+ * @param {import('./llm.js').LlmProvider} llm
+ * @param {{ imageUrl: string, note?: string, signal?: AbortSignal }} input
+ * @returns {Promise<{ description: string, mealType: string | null, items: object[], kcal: number, proteinG: number, carbsG: number, fatG: number }>}
+ */
+export async function analyzeMealPhoto(llm, { imageUrl, note, signal }) {
+    const { content } = await llm.chat({
+        messages: [
+            { role: 'system', content: MEAL_ANALYSIS_PROMPT },
+            {
+                role: 'user',
+                content: [
+                    ...(note ? [{ type: 'text', text: `Note from the user: ${note}` }] : []),
+                    { type: 'image_url', image_url: { url: imageUrl } },
+                ],
+            },
+        ],
+        signal,
+    });
+
+    let parsed;
+    try {
+        parsed = parseJsonObject(content);
+    } catch {
+        parsed = null;
+    }
+    if (!parsed || typeof parsed !== 'object') throw new MealAnalysisError('The model did not return a meal estimate');
+
+    const items = (Array.isArray(parsed.items) ? parsed.items : [])
+        .map(item => validateMealItems([item]).items?.[0])
+        .filter(Boolean)
+        .slice(0, MAX_ITEMS);
+
+    return {
+        description: typeof parsed.description === 'string' ? parsed.description.trim().slice(0, MAX_DESCRIPTION_LENGTH) : '',
+        mealType: MEAL_TYPES.includes(parsed.mealType) ? parsed.mealType : null,
+        items,
+        ...sumMacros(items),
+    };
+}
+
+/**
+ * Totals of one day's log against the profile's targets. `remaining` is
+ * negative once a target is exceeded; both are null without targets.
+ */
+export function summarizeDay(date, entries, profile) {
+    const totals = sumMacros(entries);
+    const hasTargets = MACROS.some(key => profile?.[TARGET_FIELDS[key]] != null);
+    const targets = hasTargets
+        ? Object.fromEntries(MACROS.map(key => [key, profile[TARGET_FIELDS[key]] ?? null]))
+        : null;
+    const remaining = targets
+        ? Object.fromEntries(MACROS.map(key => [key, targets[key] === null ? null : round1(targets[key] - totals[key])]))
+        : null;
+
+    return { date, meals: entries.length, totals, targets, remaining };
+}
+
+const MACRO_LABELS = { kcal: 'kcal', proteinG: 'protein (g)', carbsG: 'carbs (g)', fatG: 'fat (g)' };
+const describeMacros = (values) => MACROS
+    .filter(key => values[key] !== null)
+    .map(key => `${MACRO_LABELS[key]} ${values[key]}`)
+    .join(', ');
+
+/**
+ * System message with today's food log for daily feedback, or null when
+ * nothing is logged and no targets are set.
+ */
+export function formatNutritionForPrompt(day) {
+    if (day.meals === 0 && !day.targets) return null;
+
+    const lines = [`Food log for today (${day.date}): ${day.meals} meal${day.meals === 1 ? '' : 's'} logged; ${describeMacros(day.totals)}.`];
+    if (day.targets) {
+        lines.push(`Daily targets: ${describeMacros(day.targets)}.`);
+        lines.push(`Remaining (negative = over target): ${describeMacros(day.remaining)}.`);
+    }
+    return `${lines.join('\n')}\nUse this for daily feedback when the user talks about food or asks how their day is going; do not recite it unprompted.`;
+}
+
+export function toPublicNutritionLog(entry) {
+    return {
+        id: entry.id,
+        date: entry.date,
+        mealType: entry.mealType,
+        description: entry.description,
+        items: entry.items,
+        kcal: entry.kcal,
+        proteinG: entry.proteinG,
+        carbsG: entry.carbsG,
+        fatG: entry.fatG,
+        attachmentId: entry.attachmentId,
+        createdAt: entry.createdAt,
+    };
+}
@@ -0,0 +1,209 @@
+/**
+ * Body measurements: weight, body fat and circumferences.
+ *
+ * Every measurement is a row in measurements with a real timestamp, written
+ * from the Progress page, by the coach's log_weight tool, by a file import
+ * or by migration of the weight log that used to live in the user's data blob. Values are stored
+ * in the unit listed per type, and read and written in the user's units
+ * (server/units.js).
+ */
+
+import { migrateWeightLogBlob } from './db.js';
+import { DEFAULT_UNITS, displayUnit, fromCanonical, toCanonical, unitsFor } from './units.js';
+
+export const MEASUREMENT_TYPES = {
+    weight: { unit: 'kg', min: 30, max: 300 },
+    bodyFat: { unit: '%', min: 2, max: 70 },
+    waist: { unit: 'cm', min: 40, max: 250 },
+    hips: { unit: 'cm', min: 40, max: 250 },
+    chest: { unit: 'cm', min: 40, max: 250 },
+    arm: { unit: 'cm', min: 10, max: 80 },
+    thigh: { unit: 'cm', min: 20, max: 120 },
+};
+
+// Where a measurement came from; imports of the old weight log are "legacy",
+// file imports (server/transfer.js) are "import"
+export const MEASUREMENT_SOURCES = ['manual', 'chat', 'legacy', 'import'];
+
+export const MAX_NOTE_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Clocks drift; a weigh-in a few minutes "in the future" is still now
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+/**
+ * When a measurement was taken. A bare date means midday UTC of that day, so
+ * it stays on the same calendar day across European time zones; today's date
+ * before midday means now. Workouts use the same rules; `field` names the
+ * input in error messages.
+ *
+ * @returns {{ date?: Date, error?: string }}
+ */
+export function parseMeasuredAt(value, now = new Date(), field = 'measuredAt') {
+    if (value === undefined || value === null) return { date: now };
+    if (typeof value !== 'string' || !(DATE_ONLY.test(value) || TIMESTAMP.test(value)) || Number.isNaN(Date.parse(value))) {
+        return { error: `${field} must be a date (YYYY-MM-DD) or an ISO timestamp` };
+    }
+
+    let date = new Date(DATE_ONLY.test(value) ? `${value}T12:00:00Z` : value);
+    if (DATE_ONLY.test(value) && date > now && value === now.toISOString().slice(0, 10)) date = now;
+    if (date.getTime() > now.getTime() + CLOCK_SKEW_MS) return { error: `${field} cannot be in the future` };
+    return { date };
+}
+
+// Bounds of a type in the unit the user typed, rounded inwards so the message never names a rejected value
+function limitsIn(limits, unit) {
+    if (unit === limits.unit) return limits;
+    return { min: Math.ceil(fromCanonical(limits.min, unit, 2) * 10) / 10, max: Math.floor(fromCanonical(limits.max, unit, 2) * 10) / 10 };
+}
+
+/**
+ * New measurements need a type and a value; updates change any of value,
+ * measuredAt and note but never the type, which `type` passes in for the
+ * bounds check. The value is in `input.unit`, or else in the user's `units`,
+ * and comes back in the stored unit.
+ *
+ * @param {unknown} input
+ * @param {{ partial?: boolean, type?: string, now?: Date, units?: typeof DEFAULT_UNITS }} [options]
+ * @returns {{ data?: { type?: string, value?: number, measuredAt?: Date, note?: string | null }, errors: string[] }}
+ */
+export function validateMeasurement(input, { partial = false, type, now = new Date(), units = DEFAULT_UNITS } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Measurement must be an object'] };
+
+    const errors = [];
+    const data = {};
+
+    const kind = partial ? type : input.type;
+    if (!partial) {
+        if (!Object.hasOwn(MEASUREMENT_TYPES, input.type)) errors.push(`type must be one of ${Object.keys(MEASUREMENT_TYPES).join(', ')}`);
+        else data.type = input.type;
+    }
+
+    const limits = MEASUREMENT_TYPES[kind];
+    const unit = input.unit ?? (limits ? displayUnit(limits.unit, units) : undefined);
+    if (input.unit !== undefined && limits && !unitsFor(limits.unit).includes(input.unit)) {
+        errors.push(`unit must be one of: ${unitsFor(limits.unit).join(', ')}`);
+    } else if (!partial || input.value !== undefined) {
+        const raw = input.value;
+        const given = typeof raw === 'string' ? Number(raw.replace(',', '.')) : raw;
+        const value = limits && typeof given === 'number' ? toCanonical(given, unit) : given;
+        if (typeof value !== 'number' || !Number.isFinite(value)) errors.push('value must be a number');
+        else if (limits && (value < limits.min || value > limits.max)) {
+            const bounds = limitsIn(limits, unit);
+            errors.push(`value must be between ${bounds.min} and ${bounds.max} ${unit}`);
+        } else data.value = unit === limits?.unit ? Math.round(value * 10) / 10 : value;
+    }
+
+    if (!partial || input.measuredAt !== undefined) {
+        const { date, error } = parseMeasuredAt(input.measuredAt, now);
+        if (error) errors.push(error);
+        else data.measuredAt = date;
+    }
+
+    if (input.note !== undefined) {
+        if (input.note !== null && typeof input.note !== 'string') errors.push('note must be a string');
+        else if (input.note && input.note.length > MAX_NOTE_LENGTH) errors.push(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+        else data.note = input.note?.trim() || null;
+    }
+
+    if (errors.length > 0) return { errors };
+    return { data, errors };
+}
+
+/**
+ * Range filters from a query string. `from` and `to` are dates (whole UTC
+ * days, both included) or timestamps; values that do not apply are ignored.
+ */
+export function measurementFilters(query = {}) {
+    const bound = (value, endOfDay) => {
+        if (typeof value !== 'string') return undefined;
+        if (DATE_ONLY.test(value) && !Number.isNaN(Date.parse(value))) {
+            const start = new Date(`${value}T00:00:00Z`);
+            return endOfDay ? new Date(start.getTime() + DAY_MS) : start;
+        }
+        return TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value)) ? new Date(value) : undefined;
+    };
+    return {
+        type: Object.hasOwn(MEASUREMENT_TYPES, query.type) ? query.type : undefined,
+        from: bound(query.from, false),
+        to: bound(query.to, true),
+    };
+}
+
+// A measurement as the API returns it, in the user's units
+export function toPublicMeasurement(row, units = DEFAULT_UNITS) {
+    const unit = MEASUREMENT_TYPES[row.type] ? displayUnit(MEASUREMENT_TYPES[row.type].unit, units) : null;
+    return {
+        id: row.id,
+        type: row.type,
+        value: fromCanonical(row.value, unit),
+        unit,
+        measuredAt: row.measuredAt,
+        note: row.note ?? null,
+        source: row.source,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+    };
+}
+
+// UTC calendar day of a measurement, YYYY-MM-DD
+export function measurementDay(measuredAt) {
+    return new Date(measuredAt).toISOString().slice(0, 10);
+}
+
+// Weight measurements in the { date, weight } shape summarizeProgress reads, oldest first
+export function toWeightEntries(measurements) {
+    return measurements
+        .filter(m => m.type === 'weight')
+        .sort((a, b) => new Date(a.measuredAt) - new Date(b.measuredAt))
+        .map(m => ({ date: measurementDay(m.measuredAt), weight: m.value }));
+}
+
+/**
+ * Rows for the entries of the old weightLog blob ({ date, weight }); entries
+ * that would not pass validation today are dropped.
+ */
+export function legacyWeightLogToMeasurements(log, now = new Date()) {
+    if (!Array.isArray(log)) return [];
+    return log.flatMap(entry => {
+        if (!entry || typeof entry !== 'object') return [];
+        const { data } = validateMeasurement({ type: 'weight', value: entry.weight, measuredAt: entry.date }, { now });
+        return data && DATE_ONLY.test(entry.date) ? [{ ...data, source: 'legacy' }] : [];
+    });
+}
+
+/**
+ * The weigh-in rows that are not logged yet: a weigh-in counts as logged when
+ * `existing` (or an earlier row) has the same value on the same day.
+ */
+export function withoutLoggedWeighIns(rows, existing) {
+    const logged = new Set(existing.filter(m => m.type === 'weight').map(m => `${measurementDay(m.measuredAt)}|${m.value}`));
+    return rows.filter(row => {
+        const key = `${measurementDay(row.measuredAt)}|${row.value}`;
+        if (logged.has(key)) return false;
+        logged.add(key);
+        return true;
+    });
+}
+
+/**
+ * One-time move of the weight log in the user's data blob to measurements,
+ * run before the log is read. Returns the number of entries moved. Safe to run
+ * from overlapping requests: the blob is re-read and cleared in the same
+ * transaction that creates the rows.
+ *
+ * @param {{ id: string, data?: string | null }} user
+ */
+export async function migrateWeightLog(user) {
+    let data;
+    try {
+        data = user.data ? JSON.parse(user.data) : {};
+    } catch {
+        return 0;
+    }
+    if (!Object.hasOwn(data, 'weightLog')) return 0;
+
+    return migrateWeightLogBlob(user.id, (log) => legacyWeightLogToMeasurements(log));
+}
@@ -0,0 +1,164 @@
+/**
+ * Coach media library.
+ *
+ * Replies reference clips as `[video:key]`. Clips are managed on the admin
+ * Media tab: every clip has one or more language variants, each hosted on
+ * YouTube, Vimeo or as a plain video file. The chat prompt lists the keys that
+ * exist so the model does not invent new ones.
+ */
+
+export const MEDIA_PROVIDERS = ['youtube', 'vimeo', 'file'];
+export const MEDIA_LANGUAGES = ['nl', 'en'];
+
+// Same character set the client accepts inside a [video:...] tag
+const KEY_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+const MAX_TITLE_LENGTH = 120;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+// Keeps the media section of the prompt short
+const MAX_PROMPT_CLIPS = 50;
+
+const YOUTUBE_ID = /^[\w-]{11}$/;
+const YOUTUBE_URL = /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/;
+const VIMEO_URL = /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/;
+
+/**
+ * Normalised source for a provider: the video id for YouTube and Vimeo (a
+ * share URL is accepted too), an https URL or site path for files. Null when
+ * it cannot be used.
+ */
+export function parseMediaSource(provider, source) {
+    if (typeof source !== 'string') return null;
+    const value = source.trim();
+    if (provider === 'youtube') return YOUTUBE_ID.test(value) ? value : value.match(YOUTUBE_URL)?.[1] ?? null;
+    if (provider === 'vimeo') return /^\d+$/.test(value) ? value : value.match(VIMEO_URL)?.[1] ?? null;
+    if (provider === 'file') {
+        if (/^\/(?!\/)\S*$/.test(value)) return value;
+        try {
+            return new URL(value).protocol === 'https:' ? value : null;
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {unknown} input
+ * @returns {{ data?: { key: string, title: string, tags: string[], active: boolean, variants: object[] }, errors: string[] }}
+ */
+export function validateMediaClip(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Clip must be an object'] };
+
+    const errors = [];
+    const key = typeof input.key === 'string' ? input.key.trim() : '';
+    if (!KEY_PATTERN.test(key)) errors.push('key must be 1-40 letters, digits, "-" or "_"');
+
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title) errors.push('title is required');
+    else if (title.length > MAX_TITLE_LENGTH) errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+
+    if (input.active !== undefined && typeof input.active !== 'boolean') errors.push('active must be a boolean');
+
+    const rawTags = input.tags ?? [];
+    if (!Array.isArray(rawTags) || rawTags.some(t => typeof t !== 'string')) errors.push('tags must be a list of strings');
+    const tags = Array.isArray(rawTags)
+        ? [...new Set(rawTags.filter(t => typeof t === 'string').map(t => t.trim().toLowerCase()).filter(Boolean))]
+        : [];
+    if (tags.length > MAX_TAGS) errors.push(`At most ${MAX_TAGS} tags`);
+    if (tags.some(t => t.length > MAX_TAG_LENGTH)) errors.push(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+
+    const variants = [];
+    if (!Array.isArray(input.variants) || input.variants.length === 0) {
+        errors.push('At least one variant is required');
+    } else {
+        for (const [index, variant] of input.variants.entries()) {
+            const label = `Variant ${index + 1}`;
+            if (!variant || typeof variant !== 'object') {
+                errors.push(`${label} must be an object`);
+                continue;
+            }
+            if (!MEDIA_LANGUAGES.includes(variant.language)) {
+                errors.push(`${label}: language must be one of ${MEDIA_LANGUAGES.join(', ')}`);
+            } else if (variants.some(v => v.language === variant.language)) {
+                errors.push(`${label}: there is already a variant for "${variant.language}"`);
+            }
+            if (!MEDIA_PROVIDERS.includes(variant.provider)) {
+                errors.push(`${label}: provider must be one of ${MEDIA_PROVIDERS.join(', ')}`);
+                continue;
+            }
+            const source = parseMediaSource(variant.provider, variant.source);
+            if (!source) errors.push(`${label}: not a valid ${variant.provider} source`);
+
+            const variantTitle = typeof variant.title === 'string' ? variant.title.trim().slice(0, MAX_TITLE_LENGTH) : '';
+            variants.push({ language: variant.language, provider: variant.provider, source, ...(variantTitle ? { title: variantTitle } : {}) });
+        }
+    }
+    if (errors.length > 0) return { errors };
+
+    return { data: { key, title, tags, active: input.active ?? true, variants }, errors };
+}
+
+/**
+ * The variant for `language`, or the first one when the clip has no
+ * translation yet.
+ */
+export function selectVariant(clip, language) {
+    const variants = Array.isArray(clip.variants) ? clip.variants : [];
+    return variants.find(v => v.language === language) ?? variants[0] ?? null;
+}
+
+function embedUrl({ provider, source }) {
+    if (provider === 'youtube') return `https://www.youtube.com/embed/${source}`;
+    if (provider === 'vimeo') return `https://player.vimeo.com/video/${source}`;
+    return source;
+}
+
+/**
+ * What the chat needs to render a clip in one language; null for a clip
+ * without variants.
+ */
+export function toPublicClip(clip, language) {
+    const variant = selectVariant(clip, language);
+    if (!variant) return null;
+    return {
+        key: clip.key,
+        title: variant.title || clip.title,
+        language: variant.language,
+        provider: variant.provider,
+        url: embedUrl(variant),
+        tags: clip.tags,
+    };
+}
+
+/**
+ * System message listing the clips the coach may reference. Also sent when
+ * there are none, so older prompts that mention a tag do not produce one.
+ */
+export function formatMediaForPrompt(clips, language) {
+    const lines = clips
+        .slice(0, MAX_PROMPT_CLIPS)
+        .map(clip => toPublicClip(clip, language))
+        .filter(Boolean)
+        .map(clip => `- [video:${clip.key}] ${clip.title}${clip.tags.length > 0 ? ` (${clip.tags.join(', ')})` : ''}`);
+
+    if (lines.length === 0) return 'There are no coach videos available right now. Do not write [video:...] tags.';
+    return [
+        'Coach videos you can embed by writing the tag on its own line. Only use these exact tags, at most one per reply, and only when the video fits the moment:',
+        ...lines,
+    ].join('\n');
+}
+
+export function toAdminClip(clip) {
+    return {
+        id: clip.id,
+        key: clip.key,
+        title: clip.title,
+        tags: clip.tags,
+        active: clip.active,
+        variants: clip.variants,
+        views: clip._count?.views ?? 0,
+        createdAt: clip.createdAt,
+        updatedAt: clip.updatedAt,
+    };
+}
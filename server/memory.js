@@ -0,0 +1,208 @@
+/**
+ * Long-term coaching memory.
+ *
+ * After each exchange the model is asked which durable facts it taught the
+ * coach (PRs, preferences, schedule changes, injuries, goals). Facts are stored
+ * per user in memory_facts with the conversation they came from, and for every
+ * chat request the ones most relevant to the new message go into the prompt.
+ */
+
+import { MEMORY_EXTRACTION_PROMPT } from '../config/constants.js';
+import { listMemoryFacts, createMemoryFacts, updateMemoryFact, deleteMemoryFacts } from './db.js';
+import { logger } from './logger.js';
+
+export const MEMORY_CATEGORIES = ['pr', 'preference', 'schedule', 'injury', 'goal', 'other'];
+export const MAX_FACTS_PER_USER = 200;
+export const MAX_PROMPT_FACTS = 15;
+const MAX_FACT_LENGTH = 200;
+
+const CATEGORY_LABELS = {
+    pr: 'PR',
+    preference: 'Preference',
+    schedule: 'Schedule',
+    injury: 'Injury',
+    goal: 'Goal',
+    other: 'Note',
+};
+
+// The coach should keep these in mind whatever the new message is about
+const ALWAYS_RELEVANT = new Set(['injury']);
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'have', 'has', 'was', 'are', 'you', 'your', 'but', 'not', 'can', 'what', 'how', 'when',
+    'een', 'het', 'van', 'voor', 'met', 'dat', 'die', 'dit', 'ben', 'heb', 'hebt', 'was', 'zijn', 'maar', 'niet', 'wat', 'hoe', 'wanneer',
+    'ook', 'nog', 'naar', 'mijn', 'jij', 'jouw', 'wel', 'kan', 'wil', 'moet', 'als', 'dan', 'bij', 'over', 'heeft', 'meer', 'ik',
+]);
+
+/** Lower-cased content words of `text`. */
+export function tokenize(text) {
+    return new Set(
+        String(text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+    );
+}
+
+// "squat" matches "squats", "schouder" matches "schouderblessure"
+const related = (a, b) => a === b || (Math.min(a.length, b.length) >= 5 && (a.startsWith(b) || b.startsWith(a)));
+
+/**
+ * Pick the facts to put in the prompt: ones that share words with the new
+ * message first, then always-relevant categories, then the most recent.
+ *
+ * @param {Array<{ category: string, content: string, updatedAt: Date | string }>} facts
+ * @param {string} query  The new user message
+ */
+export function selectRelevantFacts(facts, query, limit = MAX_PROMPT_FACTS) {
+    const words = [...tokenize(query)];
+    return facts
+        .map(fact => {
+            const overlap = [...tokenize(fact.content)].filter(word => words.some(w => related(w, word))).length;
+            return {
+                fact,
+                score: overlap * 2 + (ALWAYS_RELEVANT.has(fact.category) ? 1 : 0),
+                recency: new Date(fact.updatedAt).getTime(),
+            };
+        })
+        .sort((a, b) => b.score - a.score || b.recency - a.recency)
+        .slice(0, limit)
+        .map(({ fact }) => fact);
+}
+
+/**
+ * System message with remembered facts, or null when there are none.
+ */
+export function formatMemoryForPrompt(facts) {
+    if (facts.length === 0) return null;
+    const lines = facts.map(f => `- [${new Date(f.updatedAt).toISOString().slice(0, 10)}] ${CATEGORY_LABELS[f.category] ?? 'Note'}: ${f.content}`);
+    return `What you remember about this user from earlier conversations (date learned in brackets). Refer to it where it helps; if the user now says something different, follow the new information.\n${lines.join('\n')}`;
+}
+
+export function toPublicFact(fact) {
+    return {
+        id: fact.id,
+        category: fact.category,
+        content: fact.content,
+        conversationId: fact.conversationId,
+        createdAt: fact.createdAt,
+        updatedAt: fact.updatedAt,
+    };
+}
+
+// Cheap pre-filter so short acknowledgements ("top, dank je") do not cost an extraction call
+const MEMORY_HINT = /\d|\b(pr|record|haat|hekel|lekker|hou(d)? van|niet van|love|hate|dislike|favou?rite|favoriet|allergi\w*|vegetar\w*|vegan\w*|rooster|dienst\w*|shift\w*|werk\w*|job|vakantie|holiday|maandag|dinsdag|woensdag|donderdag|vrijdag|zaterdag|zondag|monday|tuesday|wednesday|thursday|friday|saturday|sunday|ochtend|avond|morning|evening|blessure\w*|injur\w*|pijn|hersteld|healed|recovered|doel|goal|wedstrijd|marathon|race|competition|zwanger|pregnant|verhuisd|moved)\b/i;
+
+export function mightContainMemory(text) {
+    return typeof text === 'string' && text.trim().length >= 12 && MEMORY_HINT.test(text);
+}
+
+// The first balanced {...} in a model reply, which may wrap the JSON in prose or a code fence
+export function parseJsonObject(text) {
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') inString = true;
+        else if (char === '{') depth++;
+        else if (char === '}' && --depth === 0) return JSON.parse(text.slice(start, i + 1));
+    }
+    return null;
+}
+
+const normalize = (content) => content.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Keep only well-formed changes that refer to facts the user actually has.
+ *
+ * @param {unknown} parsed  Model output
+ * @param {Array<{ id: string, content: string }>} facts  Current facts
+ * @returns {{ add: Array<{ category: string, content: string }>, update: Array<{ id: string, content: string }>, remove: string[] }}
+ */
+export function validateMemoryChanges(parsed, facts) {
+    const changes = { add: [], update: [], remove: [] };
+    if (!parsed || typeof parsed !== 'object') return changes;
+
+    const ids = new Set(facts.map(f => f.id));
+    const known = new Set(facts.map(f => normalize(f.content)));
+    const cleanContent = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_FACT_LENGTH) : '');
+
+    for (const item of Array.isArray(parsed.add) ? parsed.add : []) {
+        const content = cleanContent(item?.content);
+        if (!content || known.has(normalize(content))) continue;
+        known.add(normalize(content));
+        changes.add.push({ category: MEMORY_CATEGORIES.includes(item.category) ? item.category : 'other', content });
+    }
+    for (const item of Array.isArray(parsed.update) ? parsed.update : []) {
+        const content = cleanContent(item?.content);
+        if (content && ids.has(item.id)) changes.update.push({ id: item.id, content });
+    }
+    changes.remove = (Array.isArray(parsed.remove) ? parsed.remove : []).filter(id => ids.has(id));
+    return changes;
+}
+
+/**
+ * Ask the model what the latest exchange changes in the user's memory.
+ * Never throws — extraction is best effort and must not break the chat.
+ *
+ * @param {import('./llm.js').LlmProvider} llm
+ * @param {Array<{ id: string, category: string, content: string }>} facts
+ * @param {{ userText: string, reply: string }} exchange
+ */
+export async function extractMemoryChanges(llm, facts, { userText, reply }) {
+    const none = { add: [], update: [], remove: [] };
+    if (!mightContainMemory(userText)) return none;
+
+    try {
+        const known = facts.length > 0
+            ? facts.map(f => `${f.id} (${f.category}): ${f.content}`).join('\n')
+            : '(nothing yet)';
+        const { content } = await llm.chat({
+            messages: [
+                { role: 'system', content: MEMORY_EXTRACTION_PROMPT },
+                { role: 'user', content: `Remembered facts:\n${known}\n\nLatest exchange:\nUser: ${userText}\nCoach: ${reply}` },
+            ],
+        });
+        return validateMemoryChanges(parseJsonObject(content), facts);
+    } catch (e) {
+        logger.warn('Memory extraction failed', { error: e.message });
+        return none;
+    }
+}
+
+/**
+ * Extract and store what the coach should remember from one exchange. Best effort.
+ *
+ * @param {import('./llm.js').LlmProvider} llm
+ * @param {string} userId
+ * @param {{ userText: string, reply: string, conversationId: string, messageId: string }} exchange
+ * @returns {Promise<string[]>} Contents of the facts that were added or changed
+ */
+export async function updateMemoryFromChat(llm, userId, { userText, reply, conversationId, messageId }) {
+    try {
+        const facts = await listMemoryFacts(userId);
+        const changes = await extractMemoryChanges(llm, facts, { userText, reply });
+        const source = { conversationId, messageId };
+
+        await createMemoryFacts(userId, changes.add, source);
+        for (const { id, content } of changes.update) await updateMemoryFact(userId, id, { content, ...source });
+        if (changes.remove.length > 0) await deleteMemoryFacts(userId, changes.remove);
+
+        // Forget the least recently confirmed facts beyond the cap
+        const total = facts.length + changes.add.length - changes.remove.length;
+        if (total > MAX_FACTS_PER_USER) {
+            const kept = facts.filter(f => !changes.remove.includes(f.id) && !changes.update.some(u => u.id === f.id));
+            await deleteMemoryFacts(userId, kept.slice(-(total - MAX_FACTS_PER_USER)).map(f => f.id));
+        }
+
+        return [...changes.add.map(f => f.content), ...changes.update.map(f => f.content)];
+    } catch (e) {
+        logger.error('Memory update from chat failed', e);
+        return [];
+    }
+}
@@ -0,0 +1,229 @@
+/**
+ * Calorie and macro target calculator.
+ *
+ * Works out daily targets the same way every time, so the coach quotes numbers
+ * instead of improvising them: BMR by Mifflin-St Jeor, or Katch-McArdle when
+ * body fat is known; times an activity multiplier for TDEE; a goal adjustment
+ * (cut -300 to -500 kcal, bulk +200 to +400, recomp at maintenance); protein
+ * 1.8-2.2 g and fat 0.8-1 g per kg body weight, with carbs filling the rest.
+ * A cut never goes below BMR or a minimum intake per sex.
+ */
+
+import { PROFILE_FIELDS, sanitizeProfile } from './profile.js';
+
+export const BMR_FORMULAS = ['mifflin', 'katch'];
+
+// TDEE = BMR × multiplier
+export const ACTIVITY_LEVELS = {
+    sedentary: 1.2,
+    light: 1.375,
+    moderate: 1.55,
+    active: 1.725,
+    very_active: 1.9,
+};
+
+// Daily kcal change per goal, with the default within that range
+export const GOAL_ADJUSTMENTS = {
+    cut: { min: -500, max: -300, default: -400 },
+    recomp: { min: 0, max: 0, default: 0 },
+    bulk: { min: 200, max: 400, default: 300 },
+};
+
+// Grams per kg body weight; a cut gets the most protein to hold on to muscle
+export const PROTEIN_PER_KG = { min: 1.8, max: 2.2, default: { cut: 2.2, recomp: 2, bulk: 1.8 } };
+export const FAT_PER_KG = { min: 0.8, max: 1, default: 0.9 };
+
+// Lowest daily target a cut is allowed to reach
+const MIN_KCAL = { male: 1500, female: 1200 };
+
+const FORMULA_NAMES = { mifflin: 'Mifflin-St Jeor', katch: 'Katch-McArdle' };
+// Body stats the request may override; the rest comes from the profile and measurements
+const STAT_FIELDS = ['weightKg', 'heightCm', 'age', 'sex', 'bodyFatPct', 'goal', 'activityLevel'];
+
+export function mifflinStJeor({ weightKg, heightCm, age, sex }) {
+    return 10 * weightKg + 6.25 * heightCm - 5 * age + (sex === 'male' ? 5 : -161);
+}
+
+export function katchMcArdle({ weightKg, bodyFatPct }) {
+    return 370 + 21.6 * weightKg * (1 - bodyFatPct / 100);
+}
+
+// Activity level for users who only told us how often they train
+export function activityFromTrainingDays(days) {
+    if (!days) return null;
+    if (days <= 2) return 'light';
+    if (days <= 5) return 'moderate';
+    return 'active';
+}
+
+/**
+ * Body stats for the calculator: the latest weight and body fat measurements
+ * win over the (possibly older) values in the profile.
+ *
+ * @param {object | null} profile
+ * @param {Array<{ type: string, value: number, measuredAt: Date | string }>} measurements
+ */
+export function profileStats(profile, measurements = []) {
+    const latest = (type) => measurements
+        .filter(m => m.type === type)
+        .reduce((last, m) => (!last || new Date(m.measuredAt) > new Date(last.measuredAt) ? m : last), null)?.value;
+    return {
+        weightKg: latest('weight') ?? profile?.weightKg ?? null,
+        bodyFatPct: latest('bodyFat') ?? profile?.bodyFatPct ?? null,
+        heightCm: profile?.heightCm ?? null,
+        age: profile?.age ?? null,
+        sex: profile?.sex ?? null,
+        goal: profile?.goal ?? null,
+        activityLevel: profile?.activityLevel ?? null,
+        trainingDays: profile?.trainingDays ?? null,
+    };
+}
+
+const inRange = (value, { min, max }) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Options and stat overrides of a calculator request. `save` defaults to true.
+ *
+ * @returns {{ data?: { stats: object, options: object, save: boolean }, errors: string[] }}
+ */
+export function validateTargetsRequest(input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Request must be an object'] };
+
+    const errors = [];
+    const stats = {};
+    const provided = Object.fromEntries(STAT_FIELDS.filter(key => input[key] !== undefined && input[key] !== null).map(key => [key, input[key]]));
+    const sanitized = sanitizeProfile(provided);
+    errors.push(...sanitized.errors);
+    Object.assign(stats, sanitized.data);
+
+    const options = {};
+    if (input.formula !== undefined && input.formula !== 'auto') {
+        if (!BMR_FORMULAS.includes(input.formula)) errors.push(`formula must be one of: auto, ${BMR_FORMULAS.join(', ')}`);
+        else options.formula = input.formula;
+    }
+    for (const [key, range] of [['proteinPerKg', PROTEIN_PER_KG], ['fatPerKg', FAT_PER_KG]]) {
+        if (input[key] === undefined) continue;
+        if (!inRange(input[key], range)) errors.push(`${key} must be between ${range.min} and ${range.max}`);
+        else options[key] = input[key];
+    }
+    if (input.adjustmentKcal !== undefined) {
+        if (typeof input.adjustmentKcal !== 'number' || !Number.isFinite(input.adjustmentKcal)) errors.push('adjustmentKcal must be a number');
+        else options.adjustmentKcal = Math.round(input.adjustmentKcal);
+    }
+    if (input.save !== undefined && typeof input.save !== 'boolean') errors.push('save must be true or false');
+
+    if (errors.length > 0) return { errors };
+    return { data: { stats, options, save: input.save ?? true }, errors };
+}
+
+const clamp = (value, { min, max }) => Math.min(max, Math.max(min, value));
+
+/**
+ * Daily targets from body stats. Errors name what is missing, e.g. when
+ * Mifflin-St Jeor is asked for without an age.
+ *
+ * @param {{ weightKg?: number | null, heightCm?: number | null, age?: number | null, sex?: string | null, bodyFatPct?: number | null, goal?: string | null, activityLevel?: string | null, trainingDays?: number | null }} stats
+ * @param {{ formula?: string, adjustmentKcal?: number, proteinPerKg?: number, fatPerKg?: number, now?: Date }} [options]
+ * @returns {{ calculation?: object, errors: string[] }}
+ */
+export function calculateTargets(stats, { formula, adjustmentKcal, proteinPerKg, fatPerKg, now = new Date() } = {}) {
+    const bmrFormula = formula ?? (stats.bodyFatPct ? 'katch' : 'mifflin');
+    const activityLevel = stats.activityLevel ?? activityFromTrainingDays(stats.trainingDays);
+    const needed = bmrFormula === 'katch' ? ['weightKg', 'bodyFatPct'] : ['weightKg', 'heightCm', 'age', 'sex'];
+
+    const errors = [];
+    const missing = needed.filter(key => stats[key] === null || stats[key] === undefined);
+    if (missing.length > 0) errors.push(`${FORMULA_NAMES[bmrFormula]} needs ${missing.join(', ')}`);
+    if (!stats.goal) errors.push('goal is needed (cut, bulk or recomp)');
+    if (!activityLevel) errors.push('activityLevel or trainingDays is needed');
+    if (errors.length > 0) return { errors };
+
+    const goal = GOAL_ADJUSTMENTS[stats.goal];
+    const adjustment = adjustmentKcal === undefined ? goal.default : clamp(adjustmentKcal, goal);
+    const bmr = Math.round(bmrFormula === 'katch' ? katchMcArdle(stats) : mifflinStJeor(stats));
+    const tdee = Math.round(bmr * ACTIVITY_LEVELS[activityLevel]);
+
+    const floor = Math.max(bmr, MIN_KCAL[stats.sex] ?? MIN_KCAL.female);
+    const planned = Math.round((tdee + adjustment) / 10) * 10;
+    const kcal = clamp(adjustment < 0 ? Math.max(planned, floor) : planned, PROFILE_FIELDS.kcalTarget);
+
+    const protein = proteinPerKg ?? PROTEIN_PER_KG.default[stats.goal];
+    const fat = fatPerKg ?? FAT_PER_KG.default;
+    const proteinG = clamp(Math.round(stats.weightKg * protein), PROFILE_FIELDS.proteinTargetG);
+    const fatG = clamp(Math.round(stats.weightKg * fat), PROFILE_FIELDS.fatTargetG);
+    const carbsG = clamp(Math.round((kcal - proteinG * 4 - fatG * 9) / 4), PROFILE_FIELDS.carbsTargetG);
+
+    return {
+        calculation: {
+            formula: bmrFormula,
+            bmr,
+            activityLevel,
+            activityMultiplier: ACTIVITY_LEVELS[activityLevel],
+            tdee,
+            goal: stats.goal,
+            adjustmentKcal: adjustment,
+            // A cut that would have gone below BMR or the minimum intake
+            minimumApplied: kcal > planned,
+            kcal,
+            proteinG,
+            fatG,
+            carbsG,
+            proteinPerKg: protein,
+            fatPerKg: fat,
+            inputs: {
+                weightKg: stats.weightKg,
+                heightCm: stats.heightCm ?? null,
+                age: stats.age ?? null,
+                sex: stats.sex ?? null,
+                bodyFatPct: stats.bodyFatPct ?? null,
+            },
+            calculatedAt: now.toISOString(),
+        },
+        errors,
+    };
+}
+
+// Profile fields a calculation sets as the user's targets
+export function toProfileTargets(calculation) {
+    return {
+        kcalTarget: calculation.kcal,
+        proteinTargetG: calculation.proteinG,
+        carbsTargetG: calculation.carbsG,
+        fatTargetG: calculation.fatG,
+    };
+}
+
+// True while the profile's targets are still the ones the stored calculation set
+export function targetsAreCalculated(profile) {
+    const calculation = profile?.targetCalculation;
+    if (!calculation) return false;
+    return Object.entries(toProfileTargets(calculation)).every(([key, value]) => profile[key] === value);
+}
+
+function describeCalculation(c) {
+    const sign = c.adjustmentKcal > 0 ? '+' : '';
+    return [
+        `BMR ${c.bmr} kcal (${FORMULA_NAMES[c.formula]}) × ${c.activityMultiplier} (${c.activityLevel.replace('_', ' ')} activity) = TDEE ${c.tdee} kcal`,
+        `${c.goal} ${sign}${c.adjustmentKcal} kcal → ${c.kcal} kcal/day${c.minimumApplied ? ' (raised to the minimum intake)' : ''}`,
+        `protein ${c.proteinG} g (${c.proteinPerKg} g/kg), fat ${c.fatG} g (${c.fatPerKg} g/kg), carbs ${c.carbsG} g`,
+    ].join('; ');
+}
+
+/**
+ * System message with the calculated targets, or null when neither stored
+ * targets nor enough stats for a calculation exist. `fresh` is a calculation
+ * from the current stats, used when the stored one no longer applies.
+ */
+export function formatTargetsForPrompt(profile, fresh = null) {
+    if (targetsAreCalculated(profile)) {
+        const c = profile.targetCalculation;
+        return `Nutrition targets, calculated by the app on ${c.calculatedAt.slice(0, 10)} from ${c.inputs.weightKg} kg body weight: ${describeCalculation(c)}.
+Quote these numbers when the user asks about calories or macros; do not work out other targets yourself. If their weight, activity or goal has changed since, tell them they can recalculate their targets in Settings.`;
+    }
+    if (!fresh) return null;
+    if (profile?.kcalTarget) {
+        return `The user set their nutrition targets by hand (see the profile); keep to those. For reference, the app's calculator gives: ${describeCalculation(fresh)}.`;
+    }
+    return `Nutrition targets calculated by the app from the current profile (not yet saved as the user's targets): ${describeCalculation(fresh)}.
+Use these exact numbers when the user asks for calories or macros instead of working them out yourself; they can save them as targets in Settings.`;
+}
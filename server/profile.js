@@ -0,0 +1,182 @@
+/**
+ * Structured coaching profile: validation, prompt formatting and extraction from chat.
+ *
+ * The profile survives history trimming and "clear chat", so the coach never
+ * has to ask for goal, level or injuries twice.
+ */
+
+import { PROFILE_EXTRACTION_PROMPT } from '../config/constants.js';
+import { logger } from './logger.js';
+import { UNIT_PREFERENCES } from './units.js';
+
+const enumField = (values) => ({ type: 'enum', values });
+const intField = (min, max) => ({ type: 'int', min, max });
+const floatField = (min, max) => ({ type: 'float', min, max });
+const textField = (maxLength) => ({ type: 'text', maxLength });
+
+export const PROFILE_FIELDS = {
+    goal: enumField(['cut', 'bulk', 'recomp']),
+    experience: enumField(['beginner', 'intermediate', 'advanced']),
+    injuries: textField(500),
+    trainingDays: intField(1, 7),
+    sessionMinutes: intField(10, 240),
+    // Day-to-day activity including training, for the calorie calculator (server/nutrition.js)
+    activityLevel: enumField(['sedentary', 'light', 'moderate', 'active', 'very_active']),
+    equipment: enumField(['gym', 'home', 'minimal']),
+    heightCm: floatField(100, 250),
+    weightKg: floatField(30, 300),
+    bodyFatPct: floatField(3, 60),
+    age: intField(13, 100),
+    sex: enumField(['male', 'female']),
+    language: enumField(['nl', 'en']),
+    // Units the user reads and types values in (server/units.js); stored values stay metric
+    weightUnit: enumField(UNIT_PREFERENCES.weightUnit),
+    lengthUnit: enumField(UNIT_PREFERENCES.lengthUnit),
+    energyUnit: enumField(UNIT_PREFERENCES.energyUnit),
+    // Daily nutrition targets the food log is compared against
+    kcalTarget: intField(800, 6000),
+    proteinTargetG: intField(20, 400),
+    carbsTargetG: intField(0, 1000),
+    fatTargetG: intField(10, 400),
+};
+
+/**
+ * Validate a (partial) profile update. `null` clears a field, unknown keys are rejected.
+ *
+ * @param {Record<string, unknown>} input
+ * @returns {{ data: Record<string, unknown>, errors: string[] }}
+ */
+export function sanitizeProfile(input) {
+    const data = {};
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { data, errors: ['Profile must be an object'] };
+    }
+
+    for (const [key, value] of Object.entries(input)) {
+        const field = PROFILE_FIELDS[key];
+        if (!field) {
+            errors.push(`Unknown profile field "${key}"`);
+            continue;
+        }
+        if (value === null || value === '') {
+            data[key] = null;
+            continue;
+        }
+
+        switch (field.type) {
+            case 'enum':
+                if (!field.values.includes(value)) errors.push(`${key} must be one of: ${field.values.join(', ')}`);
+                else data[key] = value;
+                break;
+            case 'int':
+            case 'float': {
+                const num = typeof value === 'string' ? Number(value.replace(',', '.')) : value;
+                if (typeof num !== 'number' || !Number.isFinite(num) || num < field.min || num > field.max) {
+                    errors.push(`${key} must be a number between ${field.min} and ${field.max}`);
+                } else {
+                    data[key] = field.type === 'int' ? Math.round(num) : Math.round(num * 10) / 10;
+                }
+                break;
+            }
+            case 'text':
+                if (typeof value !== 'string') errors.push(`${key} must be a string`);
+                else data[key] = value.trim().slice(0, field.maxLength);
+                break;
+        }
+    }
+
+    return { data, errors };
+}
+
+// Return only the profile fields, with every known key present
+export function toPublicProfile(profile) {
+    const result = {};
+    for (const key of Object.keys(PROFILE_FIELDS)) result[key] = profile?.[key] ?? null;
+    result.updatedAt = profile?.updatedAt ?? null;
+    return result;
+}
+
+const LABELS = {
+    goal: 'Goal',
+    experience: 'Experience',
+    injuries: 'Injuries/limitations',
+    trainingDays: 'Training days per week',
+    sessionMinutes: 'Session length (minutes)',
+    activityLevel: 'Activity level',
+    equipment: 'Equipment',
+    heightCm: 'Height (cm)',
+    weightKg: 'Body weight (kg)',
+    bodyFatPct: 'Body fat (%)',
+    age: 'Age',
+    sex: 'Sex',
+    language: 'Preferred language',
+    weightUnit: 'Weight unit',
+    lengthUnit: 'Length unit',
+    energyUnit: 'Energy unit',
+    kcalTarget: 'Daily calorie target (kcal)',
+    proteinTargetG: 'Daily protein target (g)',
+    carbsTargetG: 'Daily carbs target (g)',
+    fatTargetG: 'Daily fat target (g)',
+};
+
+/**
+ * System message with the known profile, or null when nothing is filled in yet.
+ */
+export function formatProfileForPrompt(profile) {
+    if (!profile) return null;
+    // Units get their own message (formatUnitsForPrompt)
+    const lines = Object.keys(PROFILE_FIELDS)
+        .filter(key => !Object.hasOwn(UNIT_PREFERENCES, key) && profile[key] !== null && profile[key] !== undefined)
+        .map(key => `- ${LABELS[key]}: ${profile[key]}`);
+    if (lines.length === 0) return null;
+
+    return `Coaching profile of this user (from intake and settings). Base plans on it and do not ask for these details again; if the user gives newer information, follow that instead.\n${lines.join('\n')}`;
+}
+
+// Cheap pre-filter so we only pay for an extraction call when a message can plausibly contain profile facts
+const PROFILE_HINT = /\d|\b(cut|bulk|recomp|afvallen|aankomen|blessure|injur|pijn|knie|rug|schouder|gym|thuis|home|dumbbell|beginner|gevorderd|advanced|dagen|days|minuten|minutes|man|vrouw|male|female|nederlands|english|engels)\b/i;
+
+export function mightContainProfileInfo(text) {
+    return typeof text === 'string' && PROFILE_HINT.test(text);
+}
+
+/**
+ * Ask the model which profile fields the latest user message states.
+ * Never throws — extraction is best effort and must not break the chat.
+ *
+ * @param {import('./llm.js').LlmProvider} llm
+ * @param {object | null} profile  Current profile
+ * @param {string} userText
+ * @returns {Promise<Record<string, unknown>>} Validated changes (possibly empty)
+ */
+export async function extractProfileUpdates(llm, profile, userText) {
+    if (!mightContainProfileInfo(userText)) return {};
+
+    try {
+        const { content } = await llm.chat({
+            messages: [
+                { role: 'system', content: PROFILE_EXTRACTION_PROMPT },
+                {
+                    role: 'user',
+                    content: `Current profile:\n${JSON.stringify(toPublicProfile(profile))}\n\nUser message:\n${userText}`,
+                },
+            ],
+        });
+
+        const json = content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+        if (!json) return {};
+        const parsed = JSON.parse(json);
+
+        // Extraction may fill or correct fields, never clear them
+        const candidates = Object.fromEntries(
+            Object.entries(parsed).filter(([key, value]) => key in PROFILE_FIELDS && value !== null && value !== '')
+        );
+        const { data } = sanitizeProfile(candidates);
+        return Object.fromEntries(Object.entries(data).filter(([key, value]) => profile?.[key] !== value));
+    } catch (e) {
+        logger.warn('Profile extraction failed', { error: e.message });
+        return {};
+    }
+}
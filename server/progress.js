@@ -0,0 +1,68 @@
+/**
+ * Plan validation for the coach's save_plan tool and the progress summary the
+ * coach reads.
+ *
+ * Saved plans go into the plan library (see library.js). Weigh-ins are
+ * measurements (see measurements.js); a "82.4 kg" mentioned in chat is logged
+ * by the log_weight tool and shows up in the Progress chart.
+ */
+
+import { fromCanonical } from './units.js';
+
+// Keys /api/sync must not overwrite with a client's (possibly stale) copy. The
+// weight log moved to measurements, saved plans to the library and the chat
+// history to conversations; a stale client must not bring them back and have
+// them imported again. legacyMessageIds is written by the chat history migration.
+export const SERVER_OWNED_DATA_KEYS = ['weightLog', 'savedPlans', 'chatHistory', 'legacyMessageIds'];
+
+const MAX_PLAN_TITLE_LENGTH = 120;
+const MAX_PLAN_LENGTH = 20000;
+const PLAN_TYPES = ['training', 'nutrition', 'other'];
+const RECENT_ENTRIES = 7;
+
+// YYYY-MM-DD in server-local time
+export function isoDate(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Error message for a log date that is malformed or in the future, or null.
+ */
+export function validateLogDate(day) {
+    if (typeof day !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(Date.parse(day))) {
+        return 'Date must be formatted as YYYY-MM-DD';
+    }
+    if (day > isoDate()) return 'Date cannot be in the future';
+    return null;
+}
+
+// Weight entries ({ date, weight } in kg, oldest first) as the coach reads them, in the user's weight unit
+export function summarizeProgress(entries, unit = 'kg') {
+    if (entries.length === 0) return { entries: 0, unit };
+
+    const inUnit = (entry) => ({ ...entry, weight: fromCanonical(entry.weight, unit) });
+    const first = inUnit(entries[0]);
+    const latest = inUnit(entries[entries.length - 1]);
+    return {
+        entries: entries.length,
+        unit,
+        first,
+        latest,
+        change: Math.round((latest.weight - first.weight) * 10) / 10,
+        recent: entries.slice(-RECENT_ENTRIES).map(inUnit),
+    };
+}
+
+/**
+ * @param {{ title?: unknown, content?: unknown, type?: unknown }} input
+ * @returns {{ plan?: { title: string, content: string, type: string }, error?: string }}
+ */
+export function validatePlan({ title, content, type = 'other' } = {}) {
+    if (typeof title !== 'string' || !title.trim()) return { error: 'Title is required' };
+    if (typeof content !== 'string' || !content.trim()) return { error: 'Content is required' };
+    if (content.length > MAX_PLAN_LENGTH) return { error: `Content is limited to ${MAX_PLAN_LENGTH} characters` };
+    if (!PLAN_TYPES.includes(type)) return { error: `Type must be one of: ${PLAN_TYPES.join(', ')}` };
+
+    return { plan: { title: title.trim().slice(0, MAX_PLAN_TITLE_LENGTH), content: content.trim(), type } };
+}
@@ -0,0 +1,98 @@
+/**
+ * Admin-managed, versioned system prompt and persona (language) instructions.
+ *
+ * Every save creates a new immutable version; the `active_prompt_version`
+ * setting points at the one /api/chat uses, so rolling back is just moving the
+ * pointer. Assistant messages are stamped with the version that produced them.
+ */
+
+import { SYSTEM_PROMPT, LANGUAGE_INSTRUCTIONS } from '../config/constants.js';
+import { getSetting, updateSetting, getPromptVersion, createPromptVersion } from './db.js';
+import { diffLines } from './diff.js';
+
+export const ACTIVE_PROMPT_SETTING = 'active_prompt_version';
+const LANGUAGES = ['nl', 'en'];
+const MAX_PROMPT_LENGTH = 50000;
+const MAX_INSTRUCTION_LENGTH = 2000;
+
+/**
+ * @param {{ systemPrompt?: unknown, languageInstructions?: unknown, note?: unknown }} input
+ * @returns {{ data?: { systemPrompt: string, languageInstructions: Record<string, string>, note: string | null }, errors: string[] }}
+ */
+export function validatePromptInput({ systemPrompt, languageInstructions, note } = {}) {
+    const errors = [];
+
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) errors.push('systemPrompt is required');
+    else if (systemPrompt.length > MAX_PROMPT_LENGTH) errors.push(`systemPrompt is limited to ${MAX_PROMPT_LENGTH} characters`);
+
+    if (!languageInstructions || typeof languageInstructions !== 'object') {
+        errors.push('languageInstructions must be an object with nl and en');
+    } else {
+        for (const lang of LANGUAGES) {
+            const text = languageInstructions[lang];
+            if (typeof text !== 'string' || !text.trim()) errors.push(`languageInstructions.${lang} is required`);
+            else if (text.length > MAX_INSTRUCTION_LENGTH) errors.push(`languageInstructions.${lang} is limited to ${MAX_INSTRUCTION_LENGTH} characters`);
+        }
+    }
+
+    if (note !== undefined && note !== null && typeof note !== 'string') errors.push('note must be a string');
+
+    if (errors.length > 0) return { errors };
+    return {
+        data: {
+            systemPrompt: systemPrompt.trim(),
+            languageInstructions: Object.fromEntries(LANGUAGES.map(lang => [lang, languageInstructions[lang].trim()])),
+            note: note?.trim().slice(0, 200) || null,
+        },
+        errors,
+    };
+}
+
+/**
+ * The prompt /api/chat should use. On a fresh database the built-in constants
+ * are stored as version 1 first, so every reply can be traced to a version.
+ *
+ * @returns {Promise<{ version: number, systemPrompt: string, languageInstructions: Record<string, string> }>}
+ */
+export async function getActivePrompt() {
+    const active = await getSetting(ACTIVE_PROMPT_SETTING);
+    if (active != null) {
+        const prompt = await getPromptVersion(active);
+        if (prompt) return prompt;
+    }
+
+    let prompt = await getPromptVersion(1);
+    if (!prompt) {
+        try {
+            prompt = await createPromptVersion({
+                systemPrompt: SYSTEM_PROMPT,
+                languageInstructions: LANGUAGE_INSTRUCTIONS,
+                note: 'Initial prompt from config/constants.js',
+            });
+        } catch (e) {
+            // Another request seeded it first
+            prompt = await getPromptVersion(1);
+            if (!prompt) throw e;
+        }
+    }
+    await updateSetting(ACTIVE_PROMPT_SETTING, prompt.version);
+    return prompt;
+}
+
+export async function activatePromptVersion(version) {
+    const prompt = await getPromptVersion(version);
+    if (!prompt) return null;
+    await updateSetting(ACTIVE_PROMPT_SETTING, version);
+    return prompt;
+}
+
+// Line diffs of every prompt field between two versions
+export function diffPrompts(from, to) {
+    return {
+        systemPrompt: diffLines(from.systemPrompt, to.systemPrompt),
+        ...Object.fromEntries(LANGUAGES.map(lang => [
+            lang,
+            diffLines(from.languageInstructions?.[lang] ?? '', to.languageInstructions?.[lang] ?? ''),
+        ])),
+    };
+}
@@ -0,0 +1,331 @@
+/**
+ * Resilient upstream model calls.
+ *
+ * `withResilience` wraps a provider with bounded timeouts, exponential-backoff
+ * retries for retryable failures, a per-model circuit breaker and an optional
+ * fallback model. Every failure leaves the wrapper as an `UpstreamError` with a
+ * stable `code`, which `toClientError` turns into the response the client gets,
+ * so provider messages never reach users.
+ */
+
+import { UpstreamError } from './llm.js';
+import { logger } from './logger.js';
+
+export const ERROR_CODES = {
+    timeout: 'upstream_timeout',
+    rateLimited: 'upstream_rate_limited',
+    unavailable: 'upstream_unavailable',
+    failed: 'upstream_error',
+};
+
+// Status and message clients see per code; 429 stays reserved for the user's own rate limit and quota
+const CLIENT_ERRORS = {
+    [ERROR_CODES.timeout]: [504, 'The coach took too long to answer'],
+    [ERROR_CODES.rateLimited]: [503, 'The coach is busy right now'],
+    [ERROR_CODES.unavailable]: [503, 'The coach is temporarily unavailable'],
+    [ERROR_CODES.failed]: [502, 'The coach could not answer this message'],
+    internal_error: [500, 'Something went wrong'],
+};
+
+const RETRYABLE_CODES = new Set([ERROR_CODES.timeout, ERROR_CODES.rateLimited, ERROR_CODES.unavailable]);
+
+/**
+ * Classify any provider failure into an UpstreamError with a stable code.
+ *
+ * @param {unknown} error
+ * @param {{ timedOut?: boolean }} [context]
+ * @returns {UpstreamError}
+ */
+export function toUpstreamError(error, { timedOut = false } = {}) {
+    if (error instanceof UpstreamError && error.code) return error;
+
+    let code;
+    if (timedOut) code = ERROR_CODES.timeout;
+    else if (error instanceof UpstreamError && error.status !== null) {
+        if (error.status === 429) code = ERROR_CODES.rateLimited;
+        else if (error.status === 408 || error.status >= 500) code = ERROR_CODES.unavailable;
+        else code = ERROR_CODES.failed;
+    } else {
+        // No HTTP response at all: DNS, connection reset, TLS, ...
+        code = ERROR_CODES.unavailable;
+    }
+
+    return new UpstreamError(error?.message || String(error), {
+        status: error?.status ?? null,
+        code,
+        retryAfterMs: error?.retryAfterMs ?? null,
+        cause: error,
+    });
+}
+
+export const isRetryable = (error) => RETRYABLE_CODES.has(error.code);
+
+/**
+ * Map an error from the chat route to an HTTP status and a client-safe body.
+ *
+ * @returns {{ status: number, body: { error: string, code: string } }}
+ */
+export function toClientError(error) {
+    const code = error instanceof UpstreamError && CLIENT_ERRORS[error.code] ? error.code : 'internal_error';
+    const [status, message] = CLIENT_ERRORS[code];
+    return { status, body: { error: message, code } };
+}
+
+/**
+ * Per-key circuit breaker. After `failureThreshold` consecutive failures the
+ * circuit opens and calls are refused for `cooldownMs`; then a single trial
+ * call is let through (half-open) that either closes it again or re-opens it.
+ * A trial that ends without telling either way (aborted by the caller, or
+ * refused as a client error) is released so the next call can try.
+ *
+ * @param {{ failureThreshold?: number, cooldownMs?: number, now?: () => number }} [options]
+ */
+export function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 30000, now = Date.now } = {}) {
+    const circuits = new Map();
+
+    function state(key) {
+        const circuit = circuits.get(key);
+        if (!circuit || circuit.openedAt === null) return 'closed';
+        return now() - circuit.openedAt >= cooldownMs ? 'half-open' : 'open';
+    }
+
+    return {
+        state,
+
+        canRequest(key) {
+            const current = state(key);
+            if (current === 'closed') return true;
+            if (current === 'open') return false;
+            const circuit = circuits.get(key);
+            if (circuit.trial) return false;
+            circuit.trial = true;
+            return true;
+        },
+
+        recordSuccess(key) {
+            circuits.delete(key);
+        },
+
+        releaseTrial(key) {
+            const circuit = circuits.get(key);
+            if (circuit) circuit.trial = false;
+        },
+
+        recordFailure(key) {
+            const circuit = circuits.get(key) ?? { failures: 0, openedAt: null, trial: false };
+            circuit.failures += 1;
+            if (circuit.trial || circuit.failures >= failureThreshold) {
+                circuit.openedAt = now();
+                circuit.trial = false;
+            }
+            circuits.set(key, circuit);
+        },
+    };
+}
+
+function abortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : new DOMException('The operation was aborted', 'AbortError');
+}
+
+function defaultSleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(abortError(signal));
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        }, { once: true });
+    });
+}
+
+// An AbortSignal that fires when the caller aborts or the (resettable) deadline passes
+function createDeadline(parent, ms) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer;
+    const onAbort = () => controller.abort(parent.reason);
+
+    if (parent?.aborted) controller.abort(parent.reason);
+    else parent?.addEventListener('abort', onAbort, { once: true });
+
+    const pause = () => clearTimeout(timer);
+    const reset = (timeout) => {
+        pause();
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort(new UpstreamError(`No response within ${timeout} ms`, { code: ERROR_CODES.timeout }));
+        }, timeout);
+    };
+    reset(ms);
+
+    return {
+        signal: controller.signal,
+        get timedOut() { return timedOut; },
+        reset,
+        pause,
+        clear() {
+            pause();
+            parent?.removeEventListener('abort', onAbort);
+        },
+    };
+}
+
+// Settle with `promise`, or reject as soon as `signal` aborts (providers may ignore the signal)
+function untilAborted(promise, signal) {
+    if (signal.aborted) return Promise.reject(abortError(signal));
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(
+            (value) => { signal.removeEventListener('abort', onAbort); resolve(value); },
+            (error) => { signal.removeEventListener('abort', onAbort); reject(error); },
+        );
+    });
+}
+
+// Close an upstream stream without waiting on it; it may still be stuck in a read
+function closeQuietly(items) {
+    items.return?.()?.catch(() => {});
+}
+
+/**
+ * Wrap a provider with timeouts, retries, a circuit breaker and a fallback model.
+ *
+ * Streams are only retried until the first item arrives; after that the user
+ * has already seen part of the reply and the error is passed on.
+ *
+ * @param {import('./llm.js').LlmProvider} llm
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]  Deadline for a chat call, or for the first item of a stream
+ * @param {number} [options.idleTimeoutMs]  Longest silence between two stream items
+ * @param {number} [options.maxRetries]  Retries per model after the first attempt
+ * @param {number} [options.baseDelayMs]  First backoff delay; doubles per retry
+ * @param {number} [options.maxDelayMs]  Cap for backoff and Retry-After
+ * @param {string | null} [options.fallbackModel]  Tried when the primary model keeps failing
+ * @param {ReturnType<typeof createCircuitBreaker>} [options.breaker]
+ * @param {(ms: number, signal?: AbortSignal) => Promise<void>} [options.sleep]
+ * @returns {import('./llm.js').LlmProvider}
+ */
+export function withResilience(llm, {
+    timeoutMs = 60000,
+    idleTimeoutMs = 30000,
+    maxRetries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    fallbackModel = null,
+    breaker = createCircuitBreaker(),
+    sleep = defaultSleep,
+} = {}) {
+    const backoff = (retry, error) => {
+        const exponential = baseDelayMs * 2 ** retry * (0.5 + Math.random() / 2);
+        return Math.min(maxDelayMs, Math.max(exponential, error.retryAfterMs ?? 0));
+    };
+
+    // Run `attempt(model)` with retries on the primary model, then on the fallback
+    async function withRetries(req, attempt) {
+        const primary = req.model || llm.model;
+        const models = fallbackModel && fallbackModel !== primary ? [primary, fallbackModel] : [primary];
+        let lastError = null;
+
+        for (const [index, model] of models.entries()) {
+            if (index > 0) logger.warn('Falling back to another model', { from: models[index - 1], to: model });
+
+            for (let retry = 0; retry <= maxRetries; retry++) {
+                if (!breaker.canRequest(model)) {
+                    lastError ??= new UpstreamError(`Circuit open for ${model}`, { code: ERROR_CODES.unavailable });
+                    break;
+                }
+                try {
+                    const result = await attempt(model);
+                    breaker.recordSuccess(model);
+                    return result;
+                } catch (e) {
+                    if (req.signal?.aborted || !isRetryable(e)) {
+                        breaker.releaseTrial(model);
+                        throw e;
+                    }
+                    breaker.recordFailure(model);
+                    lastError = e;
+                    logger.warn('Upstream call failed', { model, retry, code: e.code, status: e.status });
+                    if (retry < maxRetries) await sleep(backoff(retry, e), req.signal);
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    return {
+        ...llm,
+
+        async chat(req) {
+            return withRetries(req, async (model) => {
+                const deadline = createDeadline(req.signal, timeoutMs);
+                try {
+                    const result = await untilAborted(llm.chat({ ...req, model, signal: deadline.signal }), deadline.signal);
+                    return { ...result, model: result.model ?? model };
+                } catch (e) {
+                    if (req.signal?.aborted) throw e;
+                    throw toUpstreamError(e, { timedOut: deadline.timedOut });
+                } finally {
+                    deadline.clear();
+                }
+            });
+        },
+
+        async *stream(req) {
+            const primary = req.model || llm.model;
+            const { model, items, first, deadline } = await withRetries(req, async (model) => {
+                const deadline = createDeadline(req.signal, timeoutMs);
+                const items = llm.stream({ ...req, model, signal: deadline.signal })[Symbol.asyncIterator]();
+                try {
+                    return { model, items, first: await untilAborted(items.next(), deadline.signal), deadline };
+                } catch (e) {
+                    deadline.clear();
+                    closeQuietly(items);
+                    if (req.signal?.aborted) throw e;
+                    throw toUpstreamError(e, { timedOut: deadline.timedOut });
+                }
+            });
+
+            try {
+                if (model !== primary && !first.done) yield { model };
+                let step = first;
+                while (!step.done) {
+                    // Time the consumer spends on an item does not count as upstream silence
+                    deadline.pause();
+                    yield step.value;
+                    deadline.reset(idleTimeoutMs);
+                    step = await untilAborted(items.next(), deadline.signal);
+                }
+            } catch (e) {
+                if (req.signal?.aborted) throw e;
+                // Part of the reply is already out; a retry would duplicate it
+                const error = toUpstreamError(e, { timedOut: deadline.timedOut });
+                if (isRetryable(error)) breaker.recordFailure(model);
+                throw error;
+            } finally {
+                deadline.clear();
+                closeQuietly(items);
+            }
+        },
+    };
+}
+
+/**
+ * Options for withResilience from LLM_* environment variables.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function resilienceOptionsFromEnv(env = process.env) {
+    const number = (value, fallback) => (value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value));
+    return {
+        timeoutMs: number(env.LLM_TIMEOUT_MS, 60000),
+        idleTimeoutMs: number(env.LLM_STREAM_IDLE_TIMEOUT_MS, 30000),
+        maxRetries: number(env.LLM_MAX_RETRIES, 2),
+        fallbackModel: env.LLM_FALLBACK_MODEL || null,
+        breaker: createCircuitBreaker({
+            failureThreshold: number(env.LLM_BREAKER_THRESHOLD, 5),
+            cooldownMs: number(env.LLM_BREAKER_COOLDOWN_MS, 30000),
+        }),
+    };
+}
@@ -0,0 +1,261 @@
+/**
+ * Safety screening for /api/chat.
+ *
+ * User messages and coach replies are checked against keyword rules (Dutch and
+ * English) and, when configured, an external moderation endpoint. The admin
+ * policy maps every category to an action:
+ *
+ * - `refer`   — the coach does not answer; the user gets a referral message
+ * - `caution` — the coach answers with a safe-response policy in its prompt
+ * - `log`     — nothing changes for the user, the event is only logged
+ * - `off`     — the category is ignored
+ *
+ * Every flag except `off` is stored as a safety event for admin review.
+ */
+
+import { SAFETY_POLICY_PROMPTS, SAFETY_REFERRALS } from '../config/constants.js';
+import { getSetting, updateSetting, addSafetyEvents } from './db.js';
+import { logger } from './logger.js';
+
+export const SAFETY_SETTING = 'safety_policy';
+export const ACTIONS = ['off', 'log', 'caution', 'refer'];
+export const CATEGORIES = ['medical_emergency', 'self_harm', 'eating_disorder', 'injury', 'unsafe_advice', 'flagged_content'];
+
+export const DEFAULT_SAFETY_POLICY = {
+    enabled: true,
+    screenReplies: true,
+    actions: {
+        medical_emergency: 'refer',
+        self_harm: 'refer',
+        eating_disorder: 'caution',
+        injury: 'caution',
+        unsafe_advice: 'refer',
+        // Anything else the moderation provider flags (violence, harassment, ...)
+        flagged_content: 'log',
+    },
+};
+
+const MAX_EXCERPT_LENGTH = 500;
+
+const rule = (id, category, pattern) => ({ id, category, pattern });
+
+// Rules for user messages. Patterns are case-insensitive and kept narrow on purpose:
+// a missed flag still gets the normal coaching prompt, a false positive blocks a real answer.
+export const INPUT_RULES = [
+    rule('chest_pain', 'medical_emergency', /\b(chest pains?|pain in (my|the) chest|tight(ness)? in (my|the) chest|pijn op (de|mijn) borst|borstpijn|druk op (de|mijn) borst)\b/i),
+    rule('fainting', 'medical_emergency', /\b(fainted|fainting|passed out|blacked out|flauw ?gevallen|flauwvallen|buiten bewustzijn|zwart voor (mijn )?ogen)\b/i),
+    rule('breathing', 'medical_emergency', /\b(short(ness)? of breath|can'?t breathe|kortademig|benauwd|kan (bijna )?niet (meer )?ademen)\b/i),
+    rule('heart_rhythm', 'medical_emergency', /\b(palpitations|irregular heart ?beat|heart (is )?(racing|pounding) (at rest|for hours)|hartkloppingen|onregelmatige hartslag)\b/i),
+
+    rule('suicidal', 'self_harm', /\b(kill myself|suicid\w*|end my life|don'?t want to (live|be alive)|zelfmoord\w*|suïcid\w*|mezelf van kant|einde aan mijn leven|wil (niet meer leven|dood))\b/i),
+    rule('self_injury', 'self_harm', /\b(hurt(ing)? myself|self[- ]harm\w*|cutting myself|mezelf (pijn doen|iets aan ?doen|snijden))\b/i),
+
+    rule('purging', 'eating_disorder', /\b(make myself (throw up|vomit|sick)|throw(ing)? up after (eating|meals?)|purg(e|ing)|mezelf (laten )?overgeven|laten overgeven|overgeven na het eten|kotsen na het eten)\b/i),
+    rule('laxatives', 'eating_disorder', /\b(laxatives?|diuretics|laxeermiddel\w*|laxeer\w*|plaspillen|vochtafdrijvers?)\b/i),
+    rule('starving', 'eating_disorder', /\b(starv(e|ing) myself|eat(ing)? nothing|not eating at all|skip(ping)? all (my )?meals|mezelf uithongeren|uithongeren|(bijna )?niks (meer )?eten|niets (meer )?eten)\b/i),
+    rule('binge_cycle', 'eating_disorder', /\b(binge and (purge|starve)|binge[- ]eating|eetbui(en)?|vreetbui(en)?)\b/i),
+    rule('very_low_intake', 'eating_disorder', /\b(only|just|maar|slechts|alleen|under|onder( de)?) ([1-7]\d{2}|[1-9]\d) ?(kcal|calories|calorieën|calorieen)\b/i),
+
+    rule('pop_or_snap', 'injury', /\b((heard|felt) a (pop|snap|crack)|(knak|plop|krak) (gehoord|gevoeld))\b/i),
+    rule('cannot_bear_weight', 'injury', /\b(can'?t (put|bear) (any )?weight|kan er (niet|nauwelijks) op staan)\b/i),
+    rule('fracture', 'injury', /\b(broken (bone|arm|leg|wrist|ankle|foot|toe|finger|rib|hand)|fracture\w*|(been|arm|pols|enkel|voet|teen|vinger|rib|hand) (is )?gebroken|gebroken (been|arm|pols|enkel|voet|teen|vinger|rib|hand))\b/i),
+    rule('tear_or_dislocation', 'injury', /\b(torn (ligament|muscle|acl|mcl|meniscus|tendon)|dislocat\w*|(band|spier|pees|meniscus) (is )?gescheurd|uit de kom)\b/i),
+    rule('numbness', 'injury', /\b(numbness|tingling|gevoelloos|tintelingen)\b/i),
+];
+
+// Rules for coach replies: advice the coach must never give
+export const OUTPUT_RULES = [
+    // A daily total under 1000 kcal; "a 500 kcal deficit" or "300 kcal extra" is normal advice
+    rule('very_low_calories', 'unsafe_advice', /\b(eat|aim for|stick to|target|eet|houd|richt op|ga naar)\b(?:(?!deficit|tekort|surplus|overschot|less|fewer|minder|more|meer|extra)[^.\n]){0,30}?\b([1-9]\d{2}) ?(kcal|calories|calorieën|calorieen) (per|a|each) (day|dag)\b(?! (less|fewer|more|extra|minder|meer))/i),
+    rule('extended_fast', 'unsafe_advice', /\b(fast(ing)?|vast(en)?)\b[^.\n]{0,20}?\b([3-9]|[1-9]\d) (full )?(days|dagen)\b/i),
+    rule('weight_loss_drugs', 'unsafe_advice', /\b(take|use|try|neem|gebruik|probeer)\b[^.\n]{0,20}?\b(laxatives?|diuretics|laxeermiddel\w*|plaspillen|vochtafdrijvers?)\b/i),
+    rule('train_through_pain', 'unsafe_advice', /\b(train|push|lift) (right )?through the pain|door de pijn heen (trainen|gaan|duwen)\b/i),
+];
+
+/**
+ * Match `text` against a rule set.
+ *
+ * @param {string} text
+ * @param {Array<{ id: string, category: string, pattern: RegExp }>} rules
+ * @returns {Array<{ category: string, source: 'rules', rule: string, match: string }>}
+ */
+export function matchRules(text, rules) {
+    if (!text) return [];
+    const flags = [];
+    for (const { id, category, pattern } of rules) {
+        const match = text.match(pattern);
+        if (match) flags.push({ category, source: 'rules', rule: id, match: match[0] });
+    }
+    return flags;
+}
+
+// OpenAI moderation categories that map onto our own; everything else becomes flagged_content
+const MODERATION_CATEGORIES = {
+    'self-harm': 'self_harm',
+    'self-harm/intent': 'self_harm',
+    'self-harm/instructions': 'self_harm',
+};
+
+/**
+ * Moderation provider for the OpenAI moderations API (or a compatible endpoint).
+ *
+ * @param {{ baseUrl?: string, apiKey: string, model?: string }} options
+ */
+export function createOpenAiModeration({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'omni-moderation-latest' }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/moderations`;
+    return {
+        name: 'openai',
+
+        /** @returns {Promise<Array<{ category: string, source: 'moderation', rule: string, match: string }>>} */
+        async moderate(text, { signal } = {}) {
+            const resp = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+                body: JSON.stringify({ model, input: text }),
+                signal,
+            });
+            if (!resp.ok) throw new Error(`moderation error: ${resp.status}`);
+            const result = (await resp.json())?.results?.[0];
+            if (!result?.flagged) return [];
+            return Object.entries(result.categories || {})
+                .filter(([, flagged]) => flagged)
+                .map(([name]) => ({ category: MODERATION_CATEGORIES[name] ?? 'flagged_content', source: 'moderation', rule: name, match: '' }));
+        },
+    };
+}
+
+/**
+ * Build the moderation provider selected by SAFETY_MODERATION (`openai`), or null for rules only.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function createModerationFromEnv(env = process.env) {
+    if (env.SAFETY_MODERATION !== 'openai') return null;
+    const apiKey = env.SAFETY_MODERATION_API_KEY || env.OPENAI_API_KEY;
+    if (!apiKey) {
+        logger.warn('SAFETY_MODERATION=openai without an API key; using rules only');
+        return null;
+    }
+    return createOpenAiModeration({ baseUrl: env.SAFETY_MODERATION_BASE_URL, apiKey });
+}
+
+/**
+ * @param {unknown} input  `{ enabled?: boolean, screenReplies?: boolean, actions?: { [category]: action } }`
+ * @returns {{ data?: object, errors: string[] }}
+ */
+export function validateSafetyPolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Policy must be an object'] };
+
+    const errors = [];
+    for (const key of ['enabled', 'screenReplies']) {
+        if (input[key] !== undefined && typeof input[key] !== 'boolean') errors.push(`${key} must be a boolean`);
+    }
+    const actions = input.actions ?? {};
+    if (typeof actions !== 'object' || Array.isArray(actions)) {
+        errors.push('actions must be an object keyed by category');
+    } else {
+        for (const [category, action] of Object.entries(actions)) {
+            if (!CATEGORIES.includes(category)) errors.push(`Unknown category "${category}"`);
+            else if (!ACTIONS.includes(action)) errors.push(`${category} must be one of ${ACTIONS.join(', ')}`);
+        }
+    }
+    if (errors.length > 0) return { errors };
+
+    return {
+        data: {
+            enabled: input.enabled ?? DEFAULT_SAFETY_POLICY.enabled,
+            screenReplies: input.screenReplies ?? DEFAULT_SAFETY_POLICY.screenReplies,
+            actions: { ...DEFAULT_SAFETY_POLICY.actions, ...actions },
+        },
+        errors,
+    };
+}
+
+export async function getSafetyPolicy() {
+    const stored = await getSetting(SAFETY_SETTING, {});
+    return {
+        ...DEFAULT_SAFETY_POLICY,
+        ...stored,
+        actions: { ...DEFAULT_SAFETY_POLICY.actions, ...stored.actions },
+    };
+}
+
+export async function updateSafetyPolicy(policy) {
+    return updateSetting(SAFETY_SETTING, policy);
+}
+
+const rank = (action) => ACTIONS.indexOf(action);
+
+/**
+ * Screen one message.
+ *
+ * @param {string} text
+ * @param {{ direction: 'input' | 'output', policy: object, moderation?: { moderate: Function } | null, signal?: AbortSignal }} options
+ * @returns {Promise<{ action: 'allow' | 'log' | 'caution' | 'refer', flags: object[], categories: string[] }>}
+ *   `categories` lists the flagged categories, most severe action first
+ */
+export async function screenMessage(text, { direction, policy, moderation = null, signal }) {
+    const none = { action: 'allow', flags: [], categories: [] };
+    if (!policy.enabled || !text?.trim()) return none;
+    if (direction === 'output' && !policy.screenReplies) return none;
+
+    const flags = matchRules(text, direction === 'input' ? INPUT_RULES : OUTPUT_RULES);
+    if (moderation) {
+        try {
+            flags.push(...await moderation.moderate(text, { signal }));
+        } catch (e) {
+            // The rules still ran; an unavailable moderation endpoint must not block chat
+            logger.warn('Moderation check failed', { error: e.message });
+        }
+    }
+
+    const active = flags.filter(f => (policy.actions[f.category] ?? 'log') !== 'off');
+    if (active.length === 0) return none;
+
+    const categories = [...new Set(active.map(f => f.category))]
+        .sort((a, b) => rank(policy.actions[b] ?? 'log') - rank(policy.actions[a] ?? 'log'));
+    const top = policy.actions[categories[0]] ?? 'log';
+    // A reply has already been written; there is nothing left to caution
+    const action = direction === 'output' && top === 'caution' ? 'log' : top;
+    return { action, flags: active, categories };
+}
+
+/** Extra system message for a `caution` screening result. */
+export function safetyPolicyPrompt(screening) {
+    return screening.categories
+        .map(category => SAFETY_POLICY_PROMPTS[category])
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/** Referral message for a `refer` screening result, in the user's language. */
+export function referralMessage(screening, language = 'nl') {
+    const texts = SAFETY_REFERRALS[language] ?? SAFETY_REFERRALS.nl;
+    return texts[screening.categories[0]] ?? texts.default;
+}
+
+/**
+ * Store one event per flagged category. Best effort: logging must never break a chat.
+ *
+ * @param {{ userId: string, conversationId?: string, messageId?: string, direction: string, text: string }} context
+ * @param {{ action: string, flags: object[], categories: string[] }} screening
+ * @param {object} policy
+ */
+export async function logSafetyEvents({ userId, conversationId, messageId, direction, text }, screening, policy) {
+    if (screening.flags.length === 0) return;
+    try {
+        await addSafetyEvents(screening.categories.map(category => ({
+            userId,
+            conversationId: conversationId ?? null,
+            messageId: messageId ?? null,
+            direction,
+            category,
+            action: policy.actions[category] ?? 'log',
+            source: screening.flags.some(f => f.category === category && f.source === 'rules') ? 'rules' : 'moderation',
+            excerpt: text.slice(0, MAX_EXCERPT_LENGTH),
+            matches: screening.flags.filter(f => f.category === category).map(({ source, rule, match }) => ({ source, rule, match })),
+        })));
+    } catch (e) {
+        logger.error('Failed to log safety events', e);
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Full-text search over a user's chat history.
+ *
+ * Messages carry a generated tsvector with both the Dutch and the English
+ * stems of their content (see the message_search migration), so "kipschotels"
+ * finds "kipschotel" and "recipes" finds "recipe" whatever language the chat
+ * was in. Postgres marks the matches in a snippet with control characters that
+ * never occur in chat text; parseHeadline turns them into segments, so the
+ * client highlights without rendering HTML.
+ */
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_STOP = '\u0003';
+
+// Text search configuration the snippet is cut with, per chat language
+export const SEARCH_CONFIGS = { nl: 'dutch', en: 'english' };
+
+// ts_headline options: up to two fragments of about 15-35 words
+export const HEADLINE_OPTIONS = [
+    `StartSel=${HIGHLIGHT_START}`,
+    `StopSel=${HIGHLIGHT_STOP}`,
+    'MaxWords=35',
+    'MinWords=15',
+    'MaxFragments=2',
+    'FragmentDelimiter=" … "',
+].join(', ');
+
+/**
+ * Search parameters from a query string. `q` is required; dates are whole
+ * UTC days like the feedback filters and, like them, ignored when malformed.
+ *
+ * @returns {{ data?: { q: string, from?: string, to?: string, lang: 'nl' | 'en', limit: number, offset: number }, errors: string[] }}
+ */
+export function validateSearchQuery(query = {}) {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    if (q.length < MIN_QUERY_LENGTH) return { errors: [`q must be at least ${MIN_QUERY_LENGTH} characters`] };
+    if (q.length > MAX_QUERY_LENGTH) return { errors: [`q must be at most ${MAX_QUERY_LENGTH} characters`] };
+
+    const date = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : undefined);
+    const limit = Number(query.limit);
+    const offset = Number(query.offset);
+
+    return {
+        data: {
+            q,
+            from: date(query.from),
+            to: date(query.to),
+            lang: query.lang === 'en' ? 'en' : 'nl',
+            limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_SEARCH_LIMIT) : DEFAULT_SEARCH_LIMIT,
+            offset: Number.isInteger(offset) && offset > 0 ? offset : 0,
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Split a ts_headline snippet into plain and matched segments, without the
+ * Markdown and video tags that would show up as raw text.
+ *
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function parseHeadline(headline) {
+    const segments = [];
+    const parts = String(headline || '').split(new RegExp(`${HIGHLIGHT_START}|${HIGHLIGHT_STOP}`));
+    parts.forEach((part, index) => {
+        const text = part
+            .replace(/\[video:[^\]]*\]/g, '')
+            .replace(/[*_`#|]/g, '')
+            .replace(/\s+/g, ' ');
+        if (!text) return;
+        const match = index % 2 === 1;
+        const last = segments.at(-1);
+        if (last && last.match === match) last.text += text;
+        else segments.push({ text, match });
+    });
+    if (segments[0]) segments[0].text = segments[0].text.trimStart();
+    if (segments.at(-1)) segments.at(-1).text = segments.at(-1).text.trimEnd();
+    return segments.filter(s => s.text);
+}
+
+export function toSearchResult(row) {
+    return {
+        messageId: row.id,
+        conversationId: row.conversationId,
+        conversationTitle: row.conversationTitle,
+        role: row.role,
+        createdAt: row.createdAt,
+        snippet: parseHeadline(row.headline),
+    };
+}
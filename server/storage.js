@@ -0,0 +1,144 @@
+/**
+ * Object storage for uploads.
+ *
+ * Every backend implements the same three calls, so routes never care where a
+ * file lives:
+ *   put(key, body, contentType) -> Promise<void>
+ *   get(key) -> Promise<Buffer | null>
+ *   delete(key) -> Promise<void>
+ *
+ * Local disk is the default; UPLOAD_STORAGE=s3 stores in any S3-compatible
+ * bucket (AWS, Cloudflare R2, MinIO, ...).
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+/**
+ * @typedef {Object} Storage
+ * @property {string} name
+ * @property {string | null} configError  Set when required configuration is missing
+ * @property {(key: string, body: Buffer, contentType: string) => Promise<void>} put
+ * @property {(key: string) => Promise<Buffer | null>} get
+ * @property {(key: string) => Promise<void>} delete
+ */
+
+// Keys are generated server-side, but never let one escape the storage root
+function assertSafeKey(key) {
+    if (typeof key !== 'string' || !/^[\w-]+(\/[\w-]+)*\.\w+$/.test(key)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+}
+
+/**
+ * @param {{ dir: string }} options
+ * @returns {Storage}
+ */
+export function createLocalStorage({ dir }) {
+    const root = path.resolve(dir);
+    const fileFor = (key) => {
+        assertSafeKey(key);
+        return path.join(root, key);
+    };
+
+    return {
+        name: 'local',
+        configError: null,
+
+        async put(key, body) {
+            const file = fileFor(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+        },
+
+        async get(key) {
+            try {
+                return await fs.readFile(fileFor(key));
+            } catch (e) {
+                if (e.code === 'ENOENT') return null;
+                throw e;
+            }
+        },
+
+        async delete(key) {
+            await fs.rm(fileFor(key), { force: true });
+        },
+    };
+}
+
+/**
+ * @param {{ bucket: string, region?: string, endpoint?: string, accessKeyId?: string, secretAccessKey?: string, forcePathStyle?: boolean, prefix?: string }} options
+ * @returns {Storage}
+ */
+export function createS3Storage({ bucket, region = 'auto', endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, prefix = '' }) {
+    const client = new S3Client({
+        region,
+        ...(endpoint ? { endpoint } : {}),
+        forcePathStyle,
+        // Without explicit keys the SDK falls back to its default chain (env, instance role, ...)
+        ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+    });
+    const objectKey = (key) => {
+        assertSafeKey(key);
+        return `${prefix}${key}`;
+    };
+
+    return {
+        name: 's3',
+        configError: null,
+
+        async put(key, body, contentType) {
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: objectKey(key), Body: body, ContentType: contentType }));
+        },
+
+        async get(key) {
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+                return Buffer.from(await object.Body.transformToByteArray());
+            } catch (e) {
+                if (e.name === 'NoSuchKey') return null;
+                throw e;
+            }
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        },
+    };
+}
+
+// Placeholder for a backend whose configuration is incomplete
+function createUnavailableStorage(name, configError) {
+    const fail = async () => { throw new Error(configError); };
+    return { name, configError, put: fail, get: fail, delete: fail };
+}
+
+/**
+ * Build the storage selected by UPLOAD_STORAGE (local | s3).
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Storage}
+ */
+export function createStorageFromEnv(env = process.env) {
+    const driver = (env.UPLOAD_STORAGE || 'local').toLowerCase();
+
+    if (driver === 'local') {
+        return createLocalStorage({ dir: env.UPLOAD_DIR || '.data/uploads' });
+    }
+
+    if (driver === 's3') {
+        if (!env.S3_BUCKET) return createUnavailableStorage('s3', 'Missing S3_BUCKET');
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || 'auto',
+            endpoint: env.S3_ENDPOINT || undefined,
+            accessKeyId: env.S3_ACCESS_KEY_ID,
+            secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+            prefix: env.S3_PREFIX || '',
+        });
+    }
+
+    return createUnavailableStorage(driver, `Unknown UPLOAD_STORAGE "${env.UPLOAD_STORAGE}"`);
+}
@@ -0,0 +1,246 @@
+/**
+ * Server-side tools the coach can call from /api/chat.
+ *
+ * Every tool runs against the authenticated user's own data. Results go back to
+ * the model as tool messages and to the client as confirmation cards.
+ */
+
+import {
+    getCoachingProfile, listMeasurements, createMeasurement, updateMeasurement, listWorkoutSessions, createWorkoutSession,
+    countLibraryItems, createLibraryItem,
+} from './db.js';
+import { toPublicProfile } from './profile.js';
+import { summarizeProgress, validatePlan } from './progress.js';
+import { libraryItemFromPlan, MAX_LIBRARY_ITEMS } from './library.js';
+import { validateMeasurement, measurementDay, toWeightEntries } from './measurements.js';
+import { validateWorkout, findPrs, toPublicSession, exerciseKey, exerciseSummaries, exerciseHistory, summarizeWorkouts } from './workouts.js';
+import { unitPreferences, toCanonical, fromCanonical, unitsFor } from './units.js';
+import { logger } from './logger.js';
+
+// A reply may take a few tool rounds; after that the model has to answer in text
+const MAX_TOOL_ROUNDS = 3;
+
+const tool = (name, description, properties = {}, required = []) => ({
+    type: 'function',
+    function: {
+        name,
+        description,
+        parameters: { type: 'object', properties, required, additionalProperties: false },
+    },
+});
+
+/** @type {import('./llm.js').ToolDefinition[]} */
+export const TOOL_DEFINITIONS = [
+    tool('log_weight', 'Log the user\'s body weight when they report a weigh-in. Logging again on the same day replaces the weigh-in logged from chat that day.', {
+        weight: { type: 'number', description: 'Body weight as the user gave it, without converting' },
+        unit: { type: 'string', enum: unitsFor('kg'), description: 'Unit of the weight; omit for the user\'s usual unit' },
+        date: { type: 'string', description: 'Day of the weigh-in as YYYY-MM-DD; omit for today' },
+    }, ['weight']),
+    tool('get_progress_summary', 'Read the user\'s logged body weight in their usual unit: first and latest entry, total change and the most recent entries.'),
+    tool('save_plan', 'Save a training or nutrition plan the user wants to keep, so it shows up in their plan library.', {
+        title: { type: 'string', description: 'Short title, e.g. "PPL week 1"' },
+        content: { type: 'string', description: 'The full plan as shown to the user' },
+        type: { type: 'string', enum: ['training', 'nutrition', 'other'] },
+    }, ['title', 'content']),
+    tool('get_profile', 'Read the user\'s coaching profile (goal, experience, injuries, schedule, equipment, body stats).'),
+    tool('log_workout', 'Log a workout the user reports having done, with every set they mention. Returns any new PRs (best estimated 1RM per exercise).', {
+        date: { type: 'string', description: 'Day of the workout as YYYY-MM-DD; omit for today' },
+        title: { type: 'string', description: 'Short name, e.g. "Push day"' },
+        unit: { type: 'string', enum: unitsFor('kg'), description: 'Unit of the weights; omit for the user\'s usual unit' },
+        sets: {
+            type: 'array',
+            description: 'One item per set; "3x5 at 100 kg" is three items',
+            items: {
+                type: 'object',
+                properties: {
+                    exercise: { type: 'string', description: 'Exercise name, e.g. "Bench press"' },
+                    weight: { type: 'number', description: 'Weight as the user gave it, without converting; 0 for bodyweight' },
+                    reps: { type: 'integer' },
+                    rpe: { type: 'number', description: 'Rate of perceived exertion 1-10, if the user gave one' },
+                },
+                required: ['exercise', 'weight', 'reps'],
+                additionalProperties: false,
+            },
+        },
+    }, ['sets']),
+    tool('get_workout_summary', 'Read the user\'s workout log: sessions in the last 4 weeks, recent sessions, recent PRs and best lifts, or the history of one exercise.', {
+        exercise: { type: 'string', description: 'Only the history of this exercise' },
+    }),
+];
+
+// The unit a tool call gave its weights in: as named in the call, else the user's
+async function weightUnit(user, unit) {
+    if (unit === undefined) return unitPreferences(await getCoachingProfile(user.id)).weightUnit;
+    if (!unitsFor('kg').includes(unit)) throw new Error(`unit must be one of: ${unitsFor('kg').join(', ')}`);
+    return unit;
+}
+
+const HANDLERS = {
+    async log_weight(user, args) {
+        const unit = await weightUnit(user, args.unit);
+        const { data, errors } = validateMeasurement({ type: 'weight', value: args.weight, unit, measuredAt: args.date });
+        if (errors.length > 0) throw new Error(errors.join('; '));
+
+        // A correction in the same chat ("sorry, 82.1") should not become a second weigh-in
+        const date = measurementDay(data.measuredAt);
+        const weights = await listMeasurements(user.id, { type: 'weight' });
+        const earlier = weights.find(m => m.source === 'chat' && measurementDay(m.measuredAt) === date);
+        if (earlier) await updateMeasurement(user.id, earlier.id, { value: data.value, measuredAt: data.measuredAt });
+        else await createMeasurement(user.id, { ...data, source: 'chat' });
+
+        return { logged: { date, weight: fromCanonical(data.value, unit), unit }, entries: weights.length + (earlier ? 0 : 1) };
+    },
+
+    async get_progress_summary(user) {
+        const unit = await weightUnit(user);
+        return summarizeProgress(toWeightEntries(await listMeasurements(user.id, { type: 'weight' })), unit);
+    },
+
+    async save_plan(user, args) {
+        const { plan, error } = validatePlan(args);
+        if (error) throw new Error(error);
+        if (await countLibraryItems(user.id) >= MAX_LIBRARY_ITEMS) throw new Error(`The library is limited to ${MAX_LIBRARY_ITEMS} items`);
+        const item = await createLibraryItem(user.id, libraryItemFromPlan(plan));
+        return { id: item.id, title: item.title, tags: item.tags };
+    },
+
+    async log_workout(user, args) {
+        const unit = await weightUnit(user, args.unit);
+        const inKg = (set) => (set && typeof set === 'object' ? { ...set, weightKg: toCanonical(set.weight, unit) } : set);
+        const sets = Array.isArray(args.sets) ? args.sets.map(inKg) : args.sets;
+        const { data, errors } = validateWorkout({ performedAt: args.date, title: args.title, sets });
+        if (errors.length > 0) throw new Error(errors.join('; '));
+
+        const session = toPublicSession(await createWorkoutSession(user.id, { ...data, source: 'chat' }));
+        const prs = findPrs(await listWorkoutSessions(user.id));
+        return {
+            logged: { id: session.id, date: measurementDay(session.performedAt), title: session.title, sets: session.sets.length },
+            unit,
+            prs: session.sets
+                .filter(set => prs.has(set.id))
+                .map(set => ({ exercise: set.exercise, weight: fromCanonical(set.weightKg, unit), reps: set.reps, e1rm: fromCanonical(set.e1rm, unit) })),
+        };
+    },
+
+    async get_workout_summary(user, args) {
+        const unit = await weightUnit(user);
+        const sessions = await listWorkoutSessions(user.id);
+        if (!args.exercise) return summarizeWorkouts(sessions, unit);
+
+        const exercise = exerciseSummaries(sessions).find(e => e.key === exerciseKey(args.exercise));
+        if (!exercise) return { exercise: args.exercise, sessions: 0, unit };
+        const { weightKg, e1rm, ...best } = exercise.best ?? {};
+        return {
+            exercise: exercise.exercise,
+            unit,
+            best: exercise.best ? { ...best, weight: fromCanonical(weightKg, unit), e1rm: fromCanonical(e1rm, unit) } : null,
+            history: exerciseHistory(sessions, exercise.key).slice(-10).map(({ e1rm, topSet, volume, ...entry }) => ({
+                ...entry,
+                e1rm: fromCanonical(e1rm, unit),
+                topSet: topSet && { weight: fromCanonical(topSet.weightKg, unit), reps: topSet.reps, rpe: topSet.rpe },
+                volume: fromCanonical(volume, unit, 0),
+            })),
+        };
+    },
+
+    async get_profile(user) {
+        const { updatedAt: _updatedAt, ...profile } = toPublicProfile(await getCoachingProfile(user.id));
+        return profile;
+    },
+};
+
+/**
+ * Run one tool call for `user`. Failures are reported to the model, never thrown.
+ *
+ * @param {{ id: string }} user
+ * @param {import('./llm.js').ToolCall} call
+ * @returns {Promise<{ id: string, name: string, ok: boolean, result: object }>}
+ */
+export async function runTool(user, call) {
+    const handler = HANDLERS[call.name];
+    if (!handler) return { id: call.id, name: call.name, ok: false, result: { error: `Unknown tool "${call.name}"` } };
+
+    try {
+        const args = JSON.parse(call.arguments || '{}');
+        return { id: call.id, name: call.name, ok: true, result: await handler(user, args) };
+    } catch (e) {
+        logger.warn('Tool call failed', { tool: call.name, error: e.message });
+        return { id: call.id, name: call.name, ok: false, result: { error: e.message } };
+    }
+}
+
+// Append an assistant tool-call turn and its results to the transcript
+function withToolResults(messages, content, toolCalls, results) {
+    return [
+        ...messages,
+        {
+            role: 'assistant',
+            content: content || null,
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: call.arguments },
+            })),
+        },
+        ...results.map(r => ({ role: 'tool', tool_call_id: r.id, content: JSON.stringify(r.result) })),
+    ];
+}
+
+/**
+ * Stream a reply, running tool calls in between model turns.
+ * Yields `{ type: 'delta', content }` and `{ type: 'tool', result }` items.
+ *
+ * @param {import('./llm.js').LlmProvider} llm
+ * @param {{ messages: object[], user: { id: string }, signal?: AbortSignal }} options
+ */
+export async function* streamWithTools(llm, { messages, user, signal }) {
+    for (let round = 0; ; round++) {
+        const tools = round < MAX_TOOL_ROUNDS ? TOOL_DEFINITIONS : undefined;
+        let content = '';
+        let toolCalls = [];
+
+        for await (const chunk of llm.stream({ messages, tools, signal })) {
+            if (typeof chunk === 'string') {
+                content += chunk;
+                yield { type: 'delta', content: chunk };
+            } else if (chunk.toolCalls) {
+                toolCalls = chunk.toolCalls;
+            }
+        }
+        if (toolCalls.length === 0) return;
+
+        const results = [];
+        for (const call of toolCalls) {
+            const result = await runTool(user, call);
+            results.push(result);
+            yield { type: 'tool', result };
+        }
+        messages = withToolResults(messages, content, toolCalls, results);
+    }
+}
+
+/**
+ * Non-streaming variant of streamWithTools.
+ *
+ * @returns {Promise<{ content: string, toolResults: object[] }>}
+ */
+export async function chatWithTools(llm, { messages, user, signal }) {
+    let content = '';
+    const toolResults = [];
+    for await (const item of streamWithTools(chatAsStream(llm), { messages, user, signal })) {
+        if (item.type === 'delta') content += item.content;
+        else toolResults.push(item.result);
+    }
+    return { content, toolResults };
+}
+
+// Adapt chat() to the stream() shape so both paths share one tool loop
+function chatAsStream(llm) {
+    return {
+        async *stream(req) {
+            const { content, toolCalls } = await llm.chat(req);
+            if (content) yield content;
+            if (toolCalls?.length) yield { toolCalls };
+        },
+    };
+}
@@ -0,0 +1,561 @@
+/**
+ * Import and export of progress data.
+ *
+ * An import reads a CSV file (any spreadsheet export, including those of
+ * Google Fit, Withings and Renpho) or an Apple Health export.xml into a
+ * table, suggests which column holds which measurement, and turns the rows
+ * into measurements once the user has checked that mapping in a preview.
+ * Uploads are written to disk; an Apple Health export, which runs to several
+ * GB, is read as a stream that keeps only its body records.
+ * Readings that are already logged, or that appear twice in the file, are
+ * skipped. Exports write what a user has logged as CSV per dataset; the
+ * measurements CSV reads back in as an import.
+ */
+
+import { createReadStream } from 'fs';
+import { open, readFile } from 'fs/promises';
+import { MAX_NOTE_LENGTH, MEASUREMENT_TYPES, validateMeasurement, measurementDay } from './measurements.js';
+import { DEFAULT_UNITS, displayUnit, fromCanonical, unitsFor } from './units.js';
+import { csvCell } from './feedback.js';
+
+export const MAX_IMPORT_BYTES = 4 * 1024 * 1024 * 1024;
+// CSV files are read whole, so they get a much lower limit than Apple Health exports
+export const MAX_CSV_IMPORT_BYTES = 50 * 1024 * 1024;
+export const MAX_IMPORT_ROWS = 50000;
+// Day and month order of dates like 05/01/2024
+export const DATE_ORDERS = ['dmy', 'mdy'];
+export const EXPORT_DATASETS = ['measurements', 'workouts', 'meals'];
+export const PROGRESS_EXPORT_FORMATS = ['csv', 'json'];
+
+const PREVIEW_ROWS = 20;
+const MAX_REPORTED_ERRORS = 50;
+// Readings of one type on one day this close together are the same reading
+const DUPLICATE_TOLERANCE = 0.1;
+
+export class ImportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImportError';
+        this.status = status;
+    }
+}
+
+// Column names as the measurements CSV writes them; the import recognizes them
+const EXPORT_LABELS = {
+    weight: 'weight',
+    bodyFat: 'body fat',
+    waist: 'waist',
+    hips: 'hips',
+    chest: 'chest',
+    arm: 'arm',
+    thigh: 'thigh',
+};
+
+// Header patterns per type, in English and Dutch; `skip` keeps out lookalikes such as "Fat mass (kg)"
+const COLUMN_PATTERNS = {
+    weight: { match: /weight|gewicht|body ?mass/, skip: /fat|muscle|bone|lean|water|free|min|max|goal|target|doel|bmi/ },
+    bodyFat: { match: /body ?fat|fat ?(%|percent|ratio|rate)|vet ?(%|perc)|vetpercentage/, skip: /mass|free|subcutaneous|visceral|\((kg|lb)/ },
+    waist: { match: /waist|taille|buikomvang/ },
+    hips: { match: /hip|heup/ },
+    chest: { match: /chest|borst/ },
+    arm: { match: /\barm|biceps/ },
+    thigh: { match: /thigh|bovenbeen|dijbeen/ },
+};
+const DATE_COLUMN = /date|time|datum|tijd|day|dag/;
+const NOTE_COLUMN = /note|comment|opmerking|notitie/;
+
+// Units as they appear in headers and cells
+const UNIT_ALIASES = { kg: 'kg', kgs: 'kg', lb: 'lb', lbs: 'lb', cm: 'cm', in: 'in', inch: 'in', inches: 'in', '%': '%' };
+
+// Exports recognized by their headers; anything else is a plain CSV
+const SOURCES = [
+    ['google_fit', /average weight \(kg\)/],
+    ['withings', /fat mass \(kg\)/],
+    ['renpho', /time of measurement/],
+];
+
+// Apple Health record types and the columns their values go in
+const APPLE_TYPES = {
+    HKQuantityTypeIdentifierBodyMass: 'Weight',
+    HKQuantityTypeIdentifierBodyFatPercentage: 'Body fat',
+    HKQuantityTypeIdentifierWaistCircumference: 'Waist',
+};
+const APPLE_COLUMNS = ['Date', 'Weight', 'Body fat', 'Waist', 'Source'];
+const APPLE_RECORD = /<Record\b[^>]*\btype="(HKQuantityTypeIdentifier(?:BodyMass|BodyFatPercentage|WaistCircumference))"[^>]*>/g;
+const APPLE_HEADER = /^\s*(\uFEFF)?<\?xml|<HealthData\b/;
+
+/**
+ * Rows of a CSV file. The delimiter (comma, semicolon or tab) is taken from
+ * the header line; quoted fields may hold delimiters, quotes and line breaks.
+ * Blank lines are dropped.
+ */
+export function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const header = input.slice(0, input.search(/\r?\n|$/));
+    const delimiter = [',', ';', '\t'].reduce((best, char) => (header.split(char).length > header.split(best).length ? char : best));
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char !== '"') cell += char;
+            else if (input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else quoted = false;
+        } else if (char === '"' && cell === '') quoted = true;
+        else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else cell += char;
+    }
+    if (cell !== '' || row.length > 0) rows.push([...row, cell]);
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// "2024-01-05 07:32:11 +0100" as an ISO timestamp
+function appleDate(value) {
+    const match = value?.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+    return match ? `${match[1]}T${match[2]}${match[3]}:${match[4]}` : value ?? '';
+}
+
+// Adds a row to `rows` for each body record in `text`, which must end between tags
+function addAppleRecords(text, rows) {
+    for (const [tag, type] of text.matchAll(APPLE_RECORD)) {
+        const attributes = Object.fromEntries([...tag.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value]));
+        let value = attributes.value ?? '';
+        if (type === 'HKQuantityTypeIdentifierBodyFatPercentage' && Number(value) <= 1) value = String(Math.round(Number(value) * 1000) / 10);
+        const row = APPLE_COLUMNS.map(() => '');
+        row[0] = appleDate(attributes.startDate);
+        row[APPLE_COLUMNS.indexOf(APPLE_TYPES[type])] = `${value} ${attributes.unit ?? ''}`.trim();
+        row[4] = attributes.sourceName ?? '';
+        rows.push(row);
+    }
+}
+
+/**
+ * The body weight, body fat and waist records of an Apple Health export.xml
+ * as a table with one record per row. Cells carry their unit ("82.3 kg");
+ * body fat, which Apple stores as a fraction, becomes a percentage.
+ */
+export function parseAppleHealth(text) {
+    const rows = [];
+    addAppleRecords(text, rows);
+    return { columns: APPLE_COLUMNS, rows };
+}
+
+/**
+ * parseAppleHealth for an export read in chunks of text, so only the records
+ * it keeps are held in memory. Stops once there are more than
+ * MAX_IMPORT_ROWS of them.
+ *
+ * @param {AsyncIterable<string>} chunks
+ */
+export async function readAppleHealth(chunks) {
+    const rows = [];
+    let rest = '';
+    for await (const chunk of chunks) {
+        const text = rest + chunk;
+        // Attribute values cannot hold a "<", so a tag cut off by the chunk starts at the last one
+        const cut = text.lastIndexOf('<');
+        addAppleRecords(cut === -1 ? text : text.slice(0, cut), rows);
+        rest = cut === -1 ? '' : text.slice(cut);
+        if (rows.length > MAX_IMPORT_ROWS) break;
+    }
+    addAppleRecords(rest, rows);
+    return { columns: APPLE_COLUMNS, rows };
+}
+
+function withinLimits(table) {
+    if (table.format === 'apple_health' && table.rows.length === 0) {
+        throw new ImportError('No weight, body fat or waist records found in this Apple Health export');
+    }
+    if (table.rows.length > MAX_IMPORT_ROWS) {
+        throw new ImportError(`The file has more than ${MAX_IMPORT_ROWS} rows; split it into smaller files`, 413);
+    }
+    return table;
+}
+
+/**
+ * An uploaded file as a table: `columns` from the header line and `rows` of
+ * cells, with the `format` it was read as and the app it looks exported from.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ format: 'csv' | 'apple_health', source: string, columns: string[], rows: string[][] }}
+ */
+export function readImportFile(buffer) {
+    const text = buffer.toString('utf8');
+    if (APPLE_HEADER.test(text.slice(0, 4096))) {
+        return withinLimits({ format: 'apple_health', source: 'apple_health', ...parseAppleHealth(text) });
+    }
+    const [header, ...rows] = parseCsv(text);
+    if (!header || rows.length === 0) throw new ImportError('The file has no rows below its header line');
+    const columns = header.map((name, i) => name.trim() || `Column ${i + 1}`);
+    const headers = columns.join('|').toLowerCase();
+    const source = SOURCES.find(([, pattern]) => pattern.test(headers))?.[0] ?? 'csv';
+    return withinLimits({ format: 'csv', source, columns, rows });
+}
+
+/**
+ * readImportFile for an upload on disk. An Apple Health export is streamed;
+ * a CSV file is read whole, up to MAX_CSV_IMPORT_BYTES.
+ *
+ * @param {string} path
+ */
+export async function readImportUpload(path) {
+    const file = await open(path);
+    let head, size;
+    try {
+        const { buffer, bytesRead } = await file.read(Buffer.alloc(4096), 0, 4096, 0);
+        head = buffer.toString('utf8', 0, bytesRead);
+        size = (await file.stat()).size;
+    } finally {
+        await file.close();
+    }
+
+    if (APPLE_HEADER.test(head)) {
+        const table = await readAppleHealth(createReadStream(path, { encoding: 'utf8' }));
+        return withinLimits({ format: 'apple_health', source: 'apple_health', ...table });
+    }
+    if (size > MAX_CSV_IMPORT_BYTES) {
+        throw new ImportError(`CSV files are limited to ${MAX_CSV_IMPORT_BYTES / 1024 / 1024} MB; split it into smaller files`, 413);
+    }
+    return readImportFile(await readFile(path));
+}
+
+// "Weight (lb)" → 'lb'; undefined when the header names no unit
+function unitInHeader(column) {
+    const match = column.toLowerCase().match(/\(\s*(kgs?|lbs?|cm|in|inch|inches|%)\s*\)|\b(kgs?|lbs?|cm|inch|inches)\b|(%)/);
+    return match && UNIT_ALIASES[match[1] ?? match[2] ?? match[3]];
+}
+
+/**
+ * Day and month order of a date column: whichever a value over 12 gives away,
+ * day first when nothing does.
+ */
+function guessDateOrder(values) {
+    for (const value of values) {
+        const match = value?.trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.]\d{4}/);
+        if (match && Number(match[1]) > 12) return 'dmy';
+        if (match && Number(match[2]) > 12) return 'mdy';
+    }
+    return 'dmy';
+}
+
+/**
+ * A mapping from the table's headers: the date column, a column and unit per
+ * measurement type it recognizes, and a note column. Units come from the
+ * header ("Weight (lb)") or else are the user's.
+ *
+ * @returns {{ date: string, dateOrder: string, columns: Record<string, string>, units: Record<string, string>, note: string | null }}
+ */
+export function suggestMapping(table, units = DEFAULT_UNITS) {
+    const lower = table.columns.map(column => column.toLowerCase());
+    const taken = new Set();
+    const find = (test) => {
+        const index = lower.findIndex((column, i) => !taken.has(i) && test(column));
+        if (index === -1) return null;
+        taken.add(index);
+        return table.columns[index];
+    };
+
+    const date = find(column => DATE_COLUMN.test(column)) ?? find(() => true);
+    const columns = {};
+    const mappedUnits = {};
+    for (const [type, { match, skip }] of Object.entries(COLUMN_PATTERNS)) {
+        const column = find(name => match.test(name) && !skip?.test(name));
+        if (!column) continue;
+        const allowed = unitsFor(MEASUREMENT_TYPES[type].unit);
+        const unit = unitInHeader(column);
+        columns[type] = column;
+        mappedUnits[type] = allowed.includes(unit) ? unit : displayUnit(MEASUREMENT_TYPES[type].unit, units);
+    }
+    const dateIndex = table.columns.indexOf(date);
+    return {
+        date,
+        dateOrder: guessDateOrder(table.rows.slice(0, 200).map(row => row[dateIndex])),
+        columns,
+        units: mappedUnits,
+        note: find(column => NOTE_COLUMN.test(column)),
+    };
+}
+
+/**
+ * A mapping sent by the client, as an object or as JSON (multipart fields are
+ * text). Every column it names must be one of `columns`.
+ *
+ * @returns {{ data?: object, errors: string[] }}
+ */
+export function validateMapping(input, columns) {
+    let mapping = input;
+    if (typeof input === 'string') {
+        try {
+            mapping = JSON.parse(input);
+        } catch {
+            return { errors: ['mapping must be JSON'] };
+        }
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return { errors: ['mapping must be an object'] };
+
+    const errors = [];
+    const isColumn = (name) => typeof name === 'string' && columns.includes(name);
+    if (!isColumn(mapping.date)) errors.push('mapping.date must be one of the file\'s columns');
+    const dateOrder = mapping.dateOrder ?? 'dmy';
+    if (!DATE_ORDERS.includes(dateOrder)) errors.push(`mapping.dateOrder must be one of: ${DATE_ORDERS.join(', ')}`);
+    if (mapping.note !== undefined && mapping.note !== null && !isColumn(mapping.note)) errors.push('mapping.note must be one of the file\'s columns');
+
+    const mapped = {};
+    const mappedUnits = {};
+    const given = mapping.columns && typeof mapping.columns === 'object' ? mapping.columns : {};
+    for (const [type, column] of Object.entries(given)) {
+        if (column === null || column === '') continue;
+        if (!Object.hasOwn(MEASUREMENT_TYPES, type)) errors.push(`${type} is not a measurement type`);
+        else if (!isColumn(column)) errors.push(`mapping.columns.${type} must be one of the file's columns`);
+        else mapped[type] = column;
+    }
+    if (Object.keys(mapped).length === 0 && errors.length === 0) errors.push('Map at least one column to a measurement');
+
+    for (const type of Object.keys(mapped)) {
+        const unit = mapping.units?.[type];
+        if (unit === undefined || unit === null) continue;
+        const allowed = unitsFor(MEASUREMENT_TYPES[type].unit);
+        if (!allowed.includes(unit)) errors.push(`mapping.units.${type} must be one of: ${allowed.join(', ')}`);
+        else mappedUnits[type] = unit;
+    }
+
+    if (errors.length > 0) return { errors };
+    return { data: { date: mapping.date, dateOrder, columns: mapped, units: mappedUnits, note: mapping.note ?? null }, errors };
+}
+
+/**
+ * A number from a cell, with the unit written after it if any: "82,3" or
+ * "181.4 lbs". Null for anything else.
+ *
+ * @returns {{ value: number, unit?: string } | null}
+ */
+export function parseNumber(text) {
+    const match = text.trim().match(/^(\d+(?:[.,]\d+)?)\s*([a-z%]+)?$/i);
+    if (!match) return null;
+    const value = Number(match[1].replace(',', '.'));
+    if (!match[2]) return { value };
+    const unit = UNIT_ALIASES[match[2].toLowerCase()];
+    return unit ? { value, unit } : null;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * A date cell as parseMeasuredAt takes it: YYYY-MM-DD for a bare date, an
+ * ISO timestamp otherwise. Reads ISO dates, year-first dates with slashes or
+ * dots, day-first or month-first dates per `dateOrder` (unless a part over
+ * 12 says otherwise), 12-hour times and Unix timestamps. Times without an
+ * offset are taken as UTC, so a reading stays on the day it was written on.
+ *
+ * @returns {string | null}
+ */
+export function parseDate(text, dateOrder = 'dmy') {
+    const value = text.trim();
+    if (/^\d{10}(\d{3})?$/.test(value)) {
+        const date = new Date(Number(value) * (value.length === 10 ? 1000 : 1));
+        return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    const time = String.raw`(?:[T ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*([ap]m)?)?\s*(z|utc|gmt|[+-]\d{2}:?\d{2})?`;
+    let year, month, day, rest;
+    let match = value.match(new RegExp(String.raw`^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})${time}$`, 'i'));
+    if (match) [, year, month, day, ...rest] = match;
+    else {
+        match = value.match(new RegExp(String.raw`^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})${time}$`, 'i'));
+        if (!match) return null;
+        const [, first, second] = match;
+        const dayFirst = Number(first) > 12 || (Number(second) <= 12 && dateOrder === 'dmy');
+        [day, month] = dayFirst ? [first, second] : [second, first];
+        [, , , year, ...rest] = match;
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+    const isoDay = `${year}-${pad(month)}-${pad(day)}`;
+
+    const [hours, minutes, seconds, meridiem, offset] = rest;
+    if (hours === undefined) return isoDay;
+    let hour = Number(hours);
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+    }
+    if (hour > 23 || Number(minutes) > 59 || Number(seconds ?? 0) > 59) return null;
+    const zone = !offset || /^(z|utc|gmt)$/i.test(offset) ? 'Z' : offset.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+    return `${isoDay}T${pad(hour)}:${minutes}:${pad(seconds ?? 0)}${zone}`;
+}
+
+/**
+ * Measurements from the rows of a table under a validated mapping. Each
+ * measurement keeps the row it came from (1 is the first row under the
+ * header) and whether it duplicates an `existing` measurement or an earlier
+ * row. Rows whose mapped cells are all empty are skipped; cells that do not
+ * read as a date or a valid value are listed in `errors`.
+ *
+ * @param {{ columns: string[], rows: string[][] }} table
+ * @param {{ date: string, dateOrder: string, columns: Record<string, string>, units: Record<string, string>, note: string | null }} mapping
+ * @param {{ existing?: Array<{ type: string, value: number, measuredAt: Date | string }>, now?: Date, units?: typeof DEFAULT_UNITS }} [options]
+ */
+export function importMeasurements(table, mapping, { existing = [], now = new Date(), units = DEFAULT_UNITS } = {}) {
+    const logged = new Map();
+    const isLogged = (type, measuredAt, value) => (logged.get(`${type}|${measurementDay(measuredAt)}`) ?? [])
+        .some(other => Math.abs(other - value) < DUPLICATE_TOLERANCE + 1e-9);
+    const remember = (type, measuredAt, value) => {
+        const key = `${type}|${measurementDay(measuredAt)}`;
+        logged.set(key, [...(logged.get(key) ?? []), value]);
+    };
+    for (const m of existing) remember(m.type, m.measuredAt, m.value);
+
+    const index = (column) => table.columns.indexOf(column);
+    const dateAt = index(mapping.date);
+    const noteAt = mapping.note ? index(mapping.note) : -1;
+    const measurements = [];
+    const errors = [];
+
+    table.rows.forEach((cells, i) => {
+        const row = i + 1;
+        const values = Object.entries(mapping.columns)
+            .map(([type, column]) => [type, (cells[index(column)] ?? '').trim()])
+            .filter(([, cell]) => cell !== '');
+        if (values.length === 0) return;
+
+        const dateCell = (cells[dateAt] ?? '').trim();
+        const measuredAt = parseDate(dateCell, mapping.dateOrder);
+        if (!measuredAt) {
+            errors.push({ row, message: `"${dateCell}" is not a date` });
+            return;
+        }
+        // The measurements CSV escapes notes that look like a formula
+        const note = noteAt === -1 ? undefined : (cells[noteAt] ?? '').replace(/^'(?=[=+\-@\t\r])/, '').trim().slice(0, MAX_NOTE_LENGTH) || undefined;
+
+        for (const [type, cell] of values) {
+            const number = parseNumber(cell);
+            if (!number) {
+                errors.push({ row, type, message: `"${cell}" is not a number` });
+                continue;
+            }
+            const input = { type, value: number.value, unit: number.unit ?? mapping.units[type], measuredAt, note };
+            const { data, errors: invalid } = validateMeasurement(input, { now, units });
+            if (invalid.length > 0) {
+                errors.push({ row, type, message: invalid.join('; ') });
+                continue;
+            }
+            const duplicate = isLogged(type, data.measuredAt, data.value);
+            if (!duplicate) remember(type, data.measuredAt, data.value);
+            measurements.push({ row, ...data, duplicate });
+        }
+    });
+
+    return { measurements, errors };
+}
+
+// Rows to write for the measurements an import found, leaving out duplicates
+export function toImportRows(measurements) {
+    return measurements.filter(m => !m.duplicate).map(({ type, value, measuredAt, note }) => ({ type, value, measuredAt, note: note ?? null, source: 'import' }));
+}
+
+/**
+ * What the preview step shows: the file's columns and first rows, the mapping
+ * used, the first measurements it gives in the user's units, counts and the
+ * first errors.
+ */
+export function toImportPreview(table, mapping, { measurements, errors }, units = DEFAULT_UNITS) {
+    const duplicates = measurements.filter(m => m.duplicate).length;
+    return {
+        format: table.format,
+        source: table.source,
+        columns: table.columns,
+        sample: table.rows.slice(0, PREVIEW_ROWS),
+        mapping,
+        measurements: measurements.slice(0, PREVIEW_ROWS).map(m => {
+            const unit = displayUnit(MEASUREMENT_TYPES[m.type].unit, units);
+            return { row: m.row, type: m.type, value: fromCanonical(m.value, unit), unit, measuredAt: m.measuredAt, note: m.note ?? null, duplicate: m.duplicate };
+        }),
+        counts: { rows: table.rows.length, new: measurements.length - duplicates, duplicates, invalid: errors.length },
+        errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    };
+}
+
+/**
+ * Format and dataset of an export request. JSON holds every dataset; a CSV
+ * file holds one.
+ *
+ * @returns {{ data?: { format: string, dataset: string | null }, errors: string[] }}
+ */
+export function validateProgressExport(query = {}) {
+    const errors = [];
+    const format = query.format ?? 'csv';
+    if (!PROGRESS_EXPORT_FORMATS.includes(format)) errors.push(`format must be one of: ${PROGRESS_EXPORT_FORMATS.join(', ')}`);
+    const dataset = query.dataset ?? null;
+    if (format === 'csv' && !EXPORT_DATASETS.includes(dataset)) errors.push(`dataset must be one of: ${EXPORT_DATASETS.join(', ')}`);
+    if (errors.length > 0) return { errors };
+    return { data: { format, dataset: format === 'csv' ? dataset : null }, errors };
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Measurements as CSV, one per row with its value in the column of its type,
+ * in the user's units as the app shows them. Importing the file again finds
+ * every row already logged.
+ */
+export function measurementsToCsv(measurements, units = DEFAULT_UNITS) {
+    const types = Object.keys(MEASUREMENT_TYPES);
+    const unitOf = (type) => displayUnit(MEASUREMENT_TYPES[type].unit, units);
+    const header = ['date', ...types.map(type => `${EXPORT_LABELS[type]} (${unitOf(type)})`), 'note', 'source'];
+    const rows = measurements.map(m => [
+        new Date(m.measuredAt).toISOString(),
+        ...types.map(type => (type === m.type ? fromCanonical(m.value, unitOf(type)) : null)),
+        m.note,
+        m.source,
+    ]);
+    return toCsv(header, rows);
+}
+
+// Workouts as CSV, one set per row, oldest first; loads in the user's weight unit
+export function workoutsToCsv(sessions, units = DEFAULT_UNITS) {
+    const header = ['date', 'workout', 'exercise', 'set', `weight (${units.weightUnit})`, 'reps', 'rpe', 'note'];
+    const rows = [...sessions]
+        .sort((a, b) => new Date(a.performedAt) - new Date(b.performedAt))
+        .flatMap(session => [...session.sets].sort((a, b) => a.position - b.position).map((set, i) => [
+            new Date(session.performedAt).toISOString(),
+            session.title,
+            set.exercise,
+            i + 1,
+            fromCanonical(set.weightKg, units.weightUnit),
+            set.reps,
+            set.rpe,
+            session.note,
+        ]));
+    return toCsv(header, rows);
+}
+
+// Logged meals as CSV, one per row; energy in the user's unit
+export function mealsToCsv(entries, units = DEFAULT_UNITS) {
+    const header = ['date', 'meal', 'description', `energy (${units.energyUnit})`, 'protein (g)', 'carbs (g)', 'fat (g)'];
+    const rows = entries.map(entry => [
+        entry.date,
+        entry.mealType,
+        entry.description,
+        fromCanonical(entry.kcal, units.energyUnit),
+        entry.proteinG,
+        entry.carbsG,
+        entry.fatG,
+    ]);
+    return toCsv(header, rows);
+}
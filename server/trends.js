@@ -0,0 +1,225 @@
+/**
+ * Trend analysis of body measurements.
+ *
+ * Daily weigh-ins swing with water and salt, so progress is read from a
+ * smoothed trend (an exponential moving average that moves 10% of the way to
+ * each new reading per day), weekly averages and the rate of change per week,
+ * fitted over the last four weeks. A metric is on a plateau when its trend has
+ * been flat for two weeks or more, which is when the coach's Plateau Protocol
+ * applies. The Progress page gets the full analysis, the chat a short summary.
+ */
+
+import { MEASUREMENT_TYPES } from './measurements.js';
+import { displayUnit, fromCanonical } from './units.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Share of the distance to a new reading the trend moves per day
+export const DAILY_SMOOTHING = 0.1;
+export const RATE_WINDOW_DAYS = 28;
+// Readings the chat's analysis looks back on; enough for the longest plateau
+export const PROMPT_LOOKBACK_DAYS = 120;
+export const PLATEAU_MIN_WEEKS = 2;
+const PLATEAU_MAX_WEEKS = 12;
+// Readings a window needs before a rate or plateau is read from it
+const MIN_POINTS = 3;
+// The first reading of a window may be this late and the window still count as covered
+const COVERAGE_SLACK_DAYS = 3;
+
+// Below this rate of change per week, in the metric's unit, a trend counts as flat
+export const PLATEAU_RATES = { kg: 0.1, '%': 0.1, cm: 0.15 };
+
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+const time = (date) => new Date(date).getTime();
+const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * The smoothed trend at each reading. Gaps count: after a month without
+ * readings the trend jumps most of the way to the new value.
+ *
+ * @param {Array<{ measuredAt: Date | string, value: number }>} points  Oldest first
+ * @returns {Array<{ measuredAt: Date | string, value: number, trend: number }>}
+ */
+export function smoothSeries(points, smoothing = DAILY_SMOOTHING) {
+    let trend = null;
+    let previous = null;
+    return points.map(point => {
+        const at = time(point.measuredAt);
+        if (trend === null) trend = point.value;
+        else {
+            // A second reading on the same day still counts, as if a day apart
+            const days = Math.max(1, (at - previous) / DAY_MS);
+            trend += (1 - (1 - smoothing) ** days) * (point.value - trend);
+        }
+        previous = at;
+        return { measuredAt: point.measuredAt, value: point.value, trend: round(trend, 2) };
+    });
+}
+
+/**
+ * Average per calendar week (Monday to Sunday, UTC), oldest first.
+ *
+ * @returns {Array<{ weekStart: string, average: number, min: number, max: number, count: number }>}
+ */
+export function weeklyAverages(points) {
+    const weeks = new Map();
+    for (const point of points) {
+        const date = new Date(point.measuredAt);
+        const monday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        const week = weeks.get(monday) ?? [];
+        week.push(point.value);
+        weeks.set(monday, week);
+    }
+    return [...weeks.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([monday, values]) => ({
+            weekStart: day(monday),
+            average: round(values.reduce((sum, v) => sum + v, 0) / values.length),
+            min: Math.min(...values),
+            max: Math.max(...values),
+            count: values.length,
+        }));
+}
+
+// Least-squares slope through the readings, per week
+function slopePerWeek(points) {
+    const xs = points.map(p => time(p.measuredAt) / WEEK_MS);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach((p, i) => {
+        covariance += (xs[i] - meanX) * (p.value - meanY);
+        variance += (xs[i] - meanX) ** 2;
+    });
+    return variance === 0 ? 0 : covariance / variance;
+}
+
+// Readings of the last `days` days up to the newest one, if they cover that period
+function trailingWindow(points, days) {
+    if (points.length === 0) return null;
+    const end = time(points.at(-1).measuredAt);
+    const start = end - days * DAY_MS;
+    const window = points.filter(p => time(p.measuredAt) >= start);
+    if (window.length < MIN_POINTS) return null;
+    if (time(window[0].measuredAt) - start > COVERAGE_SLACK_DAYS * DAY_MS) return null;
+    return window;
+}
+
+/**
+ * Change per week over the last `days` days, or null without enough readings
+ * in that period.
+ */
+export function ratePerWeek(points, days = RATE_WINDOW_DAYS) {
+    const window = trailingWindow(points, days);
+    return window ? round(slopePerWeek(window), 2) : null;
+}
+
+/**
+ * The longest run of whole weeks up to the newest reading in which the trend
+ * stayed flat, if that is at least PLATEAU_MIN_WEEKS.
+ *
+ * @returns {{ weeks: number, since: string, ratePerWeek: number } | null}
+ */
+export function detectPlateau(points, unit) {
+    const threshold = PLATEAU_RATES[unit] ?? PLATEAU_RATES.cm;
+    let plateau = null;
+    for (let weeks = PLATEAU_MIN_WEEKS; weeks <= PLATEAU_MAX_WEEKS; weeks++) {
+        const window = trailingWindow(points, weeks * 7);
+        if (!window) break;
+        const rate = slopePerWeek(window);
+        if (Math.abs(rate) >= threshold) break;
+        plateau = { weeks, since: day(time(points.at(-1).measuredAt) - weeks * WEEK_MS), ratePerWeek: round(rate, 2) };
+    }
+    return plateau;
+}
+
+/**
+ * Full analysis of one metric.
+ *
+ * @param {string} type  A key of MEASUREMENT_TYPES
+ * @param {Array<{ measuredAt: Date | string, value: number }>} measurements  Of this type, any order
+ */
+export function analyzeMetric(type, measurements) {
+    const unit = MEASUREMENT_TYPES[type]?.unit ?? null;
+    const points = [...measurements].sort((a, b) => time(a.measuredAt) - time(b.measuredAt));
+    if (points.length === 0) return { type, unit, count: 0 };
+
+    const series = smoothSeries(points);
+    const first = series[0];
+    const latest = series.at(-1);
+    return {
+        type,
+        unit,
+        count: points.length,
+        first: { value: first.value, measuredAt: first.measuredAt },
+        latest: { value: latest.value, measuredAt: latest.measuredAt, trend: latest.trend },
+        change: round(latest.trend - first.value),
+        ratePerWeek: ratePerWeek(points),
+        plateau: detectPlateau(points, unit),
+        series,
+        weekly: weeklyAverages(points),
+    };
+}
+
+/**
+ * Analyses per metric, for every type that has measurements, in
+ * MEASUREMENT_TYPES order.
+ *
+ * @param {Array<{ type: string, measuredAt: Date | string, value: number }>} measurements
+ */
+export function analyzeTrends(measurements) {
+    return Object.keys(MEASUREMENT_TYPES)
+        .map(type => measurements.filter(m => m.type === type))
+        .filter(rows => rows.length > 0)
+        .map(rows => analyzeMetric(rows[0].type, rows));
+}
+
+/**
+ * An analysis with its values in the user's units. The analysis itself runs on
+ * stored values, so the plateau thresholds keep meaning what they say.
+ */
+export function trendInUnits(trend, units) {
+    const unit = displayUnit(trend.unit, units);
+    if (unit === trend.unit || trend.count === 0) return { ...trend, unit };
+
+    const to = (value, digits) => fromCanonical(value, unit, digits);
+    return {
+        ...trend,
+        unit,
+        first: { ...trend.first, value: to(trend.first.value) },
+        latest: { ...trend.latest, value: to(trend.latest.value), trend: to(trend.latest.trend, 2) },
+        change: to(trend.change),
+        ratePerWeek: to(trend.ratePerWeek, 2),
+        plateau: trend.plateau && { ...trend.plateau, ratePerWeek: to(trend.plateau.ratePerWeek, 2) },
+        series: trend.series.map(point => ({ ...point, value: to(point.value), trend: to(point.trend, 2) })),
+        weekly: trend.weekly.map(week => ({ ...week, average: to(week.average), min: to(week.min), max: to(week.max) })),
+    };
+}
+
+const signed = (n) => (n > 0 ? `+${n}` : String(n));
+
+/**
+ * System message with the trend of each tracked metric and its plateau flag,
+ * or null when nothing is tracked.
+ */
+export function formatTrendsForPrompt(trends) {
+    if (trends.length === 0) return null;
+
+    const lines = trends.map(t => {
+        const rate = t.ratePerWeek === null ? 'not enough recent readings for a weekly rate' : `${signed(t.ratePerWeek)} ${t.unit}/week over the last 4 weeks`;
+        const plateau = t.plateau
+            ? `; PLATEAU: flat for ${t.plateau.weeks} weeks since ${t.plateau.since}`
+            : '';
+        return `- ${t.type}: trend ${round(t.latest.trend)} ${t.unit} (latest reading ${t.latest.value} on ${day(time(t.latest.measuredAt))}), ${rate}${plateau}`;
+    });
+    const hasPlateau = trends.some(t => t.plateau);
+    return [
+        'Body measurement trends (smoothed, so daily swings are filtered out):',
+        ...lines,
+        hasPlateau
+            ? 'A metric flagged PLATEAU has had no meaningful change for 2+ weeks: apply the Plateau Protocol when the user talks about progress.'
+            : 'Use these when the user asks about progress; do not recite them unprompted.',
+    ].join('\n');
+}
@@ -0,0 +1,77 @@
+/**
+ * Unit preferences: metric or imperial weights and lengths, kcal or kJ.
+ *
+ * Everything is stored in kg, cm and kcal. Fields that carry their unit in
+ * their name (weightKg, heightCm, kcalTarget) stay in those units everywhere;
+ * measurements, whose unit is a separate field, are converted to the user's
+ * units at the API. The chat gets the preference so plans come out in the
+ * user's units, and the weight tools take the unit the user typed.
+ */
+
+// Preference fields of the coaching profile; the first unit is the stored one
+export const UNIT_PREFERENCES = {
+    weightUnit: ['kg', 'lb'],
+    lengthUnit: ['cm', 'in'],
+    energyUnit: ['kcal', 'kJ'],
+};
+
+// How many of each unit make one stored unit
+const FACTORS = { kg: 1, lb: 2.20462, cm: 1, in: 1 / 2.54, kcal: 1, kJ: 4.184 };
+
+// Stored unit a unit converts to; '%' has nothing to convert
+const CANONICAL = { kg: 'kg', lb: 'kg', cm: 'cm', in: 'cm', kcal: 'kcal', kJ: 'kcal', '%': '%' };
+
+export const DEFAULT_UNITS = { weightUnit: 'kg', lengthUnit: 'cm', energyUnit: 'kcal' };
+
+// Adding 0 turns -0 into 0
+const round = (n, digits) => Math.round(n * 10 ** digits) / 10 ** digits + 0;
+
+/** The user's units, with metric for anything they did not choose. */
+export function unitPreferences(profile) {
+    return Object.fromEntries(
+        Object.entries(DEFAULT_UNITS).map(([key, fallback]) => [key, profile?.[key] ?? fallback])
+    );
+}
+
+/** Units a value stored in `canonicalUnit` may be given in: ['kg', 'lb'] for kg. */
+export function unitsFor(canonicalUnit) {
+    return Object.keys(CANONICAL).filter(unit => CANONICAL[unit] === canonicalUnit);
+}
+
+/**
+ * A stored value in `unit`. Converted values keep `digits` decimals (whole
+ * numbers for energy); values in the stored unit are returned as they are.
+ */
+export function fromCanonical(value, unit, digits = 1) {
+    if (value === null || value === undefined || FACTORS[unit] === undefined || FACTORS[unit] === 1) return value;
+    return round(value * FACTORS[unit], CANONICAL[unit] === 'kcal' ? 0 : digits);
+}
+
+/**
+ * A value given in `unit` in the stored unit. Two decimals, so a value
+ * entered in lb or inches reads back the same after a round trip.
+ */
+export function toCanonical(value, unit) {
+    if (value === null || value === undefined || FACTORS[unit] === undefined || FACTORS[unit] === 1) return value;
+    return round(value / FACTORS[unit], 2);
+}
+
+/** The unit a stored unit is shown in for the user: kg becomes their weight unit, cm their length unit. */
+export function displayUnit(canonicalUnit, units = DEFAULT_UNITS) {
+    if (canonicalUnit === 'kg') return units.weightUnit;
+    if (canonicalUnit === 'cm') return units.lengthUnit;
+    if (canonicalUnit === 'kcal') return units.energyUnit;
+    return canonicalUnit;
+}
+
+/**
+ * System message with the user's units, or null when they never chose any
+ * (the coach then answers in metric, as it always has).
+ */
+export function formatUnitsForPrompt(profile) {
+    if (!Object.keys(UNIT_PREFERENCES).some(key => profile?.[key])) return null;
+    const { weightUnit, lengthUnit, energyUnit } = unitPreferences(profile);
+    return `The user's units: body weight and loads in ${weightUnit}, lengths and circumferences in ${lengthUnit}, food energy in ${energyUnit}.
+Write every plan, target and reply in these units. Numbers elsewhere in these instructions are labelled with their unit; convert them when you quote them (1 kg = 2.20462 lb, 1 in = 2.54 cm, 1 kcal = 4.184 kJ) and round sensibly (loads to the nearest 2.5 kg or 5 lb).
+When you log a weigh-in or workout, pass the numbers in the unit the user gave them and say which unit that is; do not convert them yourself.`;
+}
@@ -0,0 +1,214 @@
+/**
+ * Token usage accounting and daily/monthly budgets.
+ *
+ * Every upstream call made for a user — replies, tool rounds, summaries and
+ * profile extraction — is metered through `meterUsage` and added to the
+ * token_usage table per UTC day and model. Budgets are checked before a chat
+ * request reaches the provider.
+ */
+
+import { getSetting, updateSetting, addTokenUsage, getTokenUsageSince } from './db.js';
+import { estimateTokens } from './context.js';
+import { logger } from './logger.js';
+
+export const QUOTA_SETTING = 'token_quotas';
+
+// USD per 1M tokens (input, output) for the estimated spend column; unknown models show no cost
+const MODEL_PRICES = {
+    'gpt-4o-mini': [0.15, 0.6],
+    'gpt-4o': [2.5, 10],
+    'gpt-4.1': [2, 8],
+    'gpt-4.1-mini': [0.4, 1.6],
+    'gpt-4.1-nano': [0.1, 0.4],
+};
+
+const limitFromEnv = (value, fallback) => (value === undefined ? fallback : Number(value) || null);
+
+// Budgets in total tokens; null means unlimited. Roles without an entry use `default`.
+export const DEFAULT_QUOTAS = {
+    default: {
+        daily: limitFromEnv(process.env.TOKEN_QUOTA_DAILY, 150000),
+        monthly: limitFromEnv(process.env.TOKEN_QUOTA_MONTHLY, 2000000),
+    },
+    admin: { daily: null, monthly: null },
+};
+
+export function utcDay(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function utcMonthStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+export async function recordUsage(userId, model, { promptTokens, completionTokens }) {
+    try {
+        await addTokenUsage(userId, { day: utcDay(), model, promptTokens, completionTokens });
+    } catch (e) {
+        logger.error('Failed to record token usage', e);
+    }
+}
+
+function estimateUsage(messages, completion) {
+    return {
+        promptTokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0),
+        completionTokens: estimateTokens(completion),
+    };
+}
+
+/**
+ * Wrap a provider so every call is recorded against `userId`.
+ * When the provider reports no usage (some compatible servers, or a stream the
+ * user stopped) the tokens are estimated instead, so nothing goes unmetered.
+ *
+ * @param {import('./llm.js').LlmProvider} llm
+ * @param {string} userId
+ * @param {{ onModel?: (model: string) => void }} [options]  `onModel` hears which model answered each call
+ * @returns {import('./llm.js').LlmProvider}
+ */
+export function meterUsage(llm, userId, { onModel } = {}) {
+    return {
+        ...llm,
+
+        async chat(req) {
+            const result = await llm.chat(req);
+            const usage = result.usage ?? estimateUsage(req.messages, result.content);
+            const model = result.model || req.model || llm.model;
+            await recordUsage(userId, model, usage);
+            onModel?.(model);
+            return result;
+        },
+
+        async *stream(req) {
+            let usage = null;
+            let model = req.model || llm.model;
+            let completion = '';
+            try {
+                for await (const item of llm.stream(req)) {
+                    if (item && typeof item === 'object' && item.usage) {
+                        usage = item.usage;
+                        continue;
+                    }
+                    // A fallback model answered instead of the requested one
+                    if (item && typeof item === 'object' && item.model) {
+                        model = item.model;
+                        continue;
+                    }
+                    if (typeof item === 'string') completion += item;
+                    yield item;
+                }
+            } finally {
+                await recordUsage(userId, model, usage ?? estimateUsage(req.messages, completion));
+                onModel?.(model);
+            }
+        },
+    };
+}
+
+/**
+ * @param {unknown} input  `{ [role]: { daily: number | null, monthly: number | null } }`
+ * @returns {{ data?: object, errors: string[] }}
+ */
+export function validateQuotas(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Quotas must be an object keyed by role'] };
+
+    const errors = [];
+    const data = {};
+    for (const [role, limits] of Object.entries(input)) {
+        if (!limits || typeof limits !== 'object') {
+            errors.push(`${role} must be an object with daily and monthly`);
+            continue;
+        }
+        data[role] = {};
+        for (const period of ['daily', 'monthly']) {
+            const value = limits[period];
+            if (value === null || value === undefined || value === '') data[role][period] = null;
+            else if (!Number.isInteger(Number(value)) || Number(value) < 0) errors.push(`${role}.${period} must be a whole number of tokens or empty`);
+            else data[role][period] = Number(value);
+        }
+    }
+    return errors.length > 0 ? { errors } : { data, errors };
+}
+
+export async function getQuotas() {
+    return { ...DEFAULT_QUOTAS, ...(await getSetting(QUOTA_SETTING, {})) };
+}
+
+export async function updateQuotas(quotas) {
+    return updateSetting(QUOTA_SETTING, quotas);
+}
+
+function quotaForRole(quotas, role) {
+    return quotas[role] ?? quotas.default ?? { daily: null, monthly: null };
+}
+
+const totalTokens = (rows) => rows.reduce((sum, r) => sum + r.promptTokens + r.completionTokens, 0);
+
+/**
+ * Check the user's budgets before an upstream call.
+ *
+ * @param {{ id: string, role: string }} user
+ * @returns {Promise<null | { period: 'daily' | 'monthly', limit: number, used: number, resetsAt: string }>}
+ *   null while the user is within budget
+ */
+export async function checkQuota(user, now = new Date()) {
+    const quota = quotaForRole(await getQuotas(), user.role);
+    if (quota.daily == null && quota.monthly == null) return null;
+
+    const rows = await getTokenUsageSince(utcMonthStart(now), user.id);
+    const today = utcDay(now).getTime();
+    const used = {
+        daily: totalTokens(rows.filter(r => new Date(r.day).getTime() === today)),
+        monthly: totalTokens(rows),
+    };
+
+    if (quota.daily != null && used.daily >= quota.daily) {
+        return { period: 'daily', limit: quota.daily, used: used.daily, resetsAt: new Date(today + 86400000).toISOString() };
+    }
+    if (quota.monthly != null && used.monthly >= quota.monthly) {
+        const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+        return { period: 'monthly', limit: quota.monthly, used: used.monthly, resetsAt: nextMonth.toISOString() };
+    }
+    return null;
+}
+
+function estimateCost(model, promptTokens, completionTokens) {
+    const price = MODEL_PRICES[model];
+    if (!price) return null;
+    return (promptTokens * price[0] + completionTokens * price[1]) / 1e6;
+}
+
+/**
+ * Per-user totals for the admin usage view.
+ *
+ * @param {Array<{ userId: string, day: Date, model: string, promptTokens: number, completionTokens: number, requests: number }>} rows
+ * @param {Array<{ id: string, name: string, email?: string, role: string }>} users
+ */
+export function summarizeUsage(rows, users, now = new Date()) {
+    const today = utcDay(now).getTime();
+    const monthStart = utcMonthStart(now).getTime();
+    const byUser = new Map();
+
+    for (const row of rows) {
+        const entry = byUser.get(row.userId) ?? { today: 0, month: 0, total: 0, requests: 0, estimatedCostUsd: 0, unpriced: false, models: {} };
+        const tokens = row.promptTokens + row.completionTokens;
+        const day = new Date(row.day).getTime();
+
+        entry.total += tokens;
+        entry.requests += row.requests;
+        if (day === today) entry.today += tokens;
+        if (day >= monthStart) entry.month += tokens;
+        entry.models[row.model] = (entry.models[row.model] ?? 0) + tokens;
+
+        const cost = estimateCost(row.model, row.promptTokens, row.completionTokens);
+        if (cost === null) entry.unpriced = true;
+        else entry.estimatedCostUsd += cost;
+
+        byUser.set(row.userId, entry);
+    }
+
+    return users
+        .filter(u => byUser.has(u.id))
+        .map(u => ({ userId: u.id, name: u.name, email: u.email ?? null, role: u.role, ...byUser.get(u.id) }))
+        .sort((a, b) => b.total - a.total);
+}
@@ -0,0 +1,266 @@
+/**
+ * Workout log: what the user actually lifted.
+ *
+ * A session is one workout with its sets in the order they were done; a set is
+ * an exercise with a weight, reps and optionally an RPE. Lifts are compared by
+ * their estimated one-rep max (Epley). The best set of an exercise in a session
+ * is a PR when it beats every earlier session of that exercise. PRs are worked
+ * out whenever sessions are read, so editing or deleting an old session moves
+ * them along.
+ */
+
+import { parseMeasuredAt } from './measurements.js';
+import { fromCanonical } from './units.js';
+
+// Where a session came from
+export const WORKOUT_SOURCES = ['manual', 'chat'];
+
+export const MAX_SETS_PER_SESSION = 100;
+// Epley drifts far off beyond a dozen reps; those sets get no e1RM and never make a PR
+export const E1RM_MAX_REPS = 12;
+const MAX_EXERCISE_LENGTH = 80;
+const MAX_TITLE_LENGTH = 100;
+const MAX_NOTE_LENGTH = 1000;
+const MAX_WEIGHT_KG = 500;
+const MAX_REPS = 100;
+// Period the chat summary counts sessions and PRs over
+const SUMMARY_DAYS = 28;
+
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+const time = (date) => new Date(date).getTime();
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Estimated one-rep max by Epley: weight × (1 + reps / 30). Null for
+ * bodyweight sets (0 kg) and sets over E1RM_MAX_REPS.
+ */
+export function estimateOneRepMax(weightKg, reps) {
+    if (!(weightKg > 0) || !(reps >= 1) || reps > E1RM_MAX_REPS) return null;
+    if (reps === 1) return weightKg;
+    return round(weightKg * (1 + reps / 30));
+}
+
+// "Bench  Press " and "bench press" are the same exercise
+export function exerciseKey(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+const toNumber = (raw) => (typeof raw === 'string' ? Number(raw.replace(',', '.')) : raw);
+
+function validateSet(input, index, errors) {
+    const at = `sets[${index}]`;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push(`${at} must be an object`);
+        return null;
+    }
+
+    const set = {};
+    const exercise = typeof input.exercise === 'string' ? input.exercise.trim().replace(/\s+/g, ' ') : '';
+    if (!exercise) errors.push(`${at}.exercise is required`);
+    else if (exercise.length > MAX_EXERCISE_LENGTH) errors.push(`${at}.exercise must be at most ${MAX_EXERCISE_LENGTH} characters`);
+    else set.exercise = exercise;
+
+    const weightKg = toNumber(input.weightKg ?? 0);
+    if (typeof weightKg !== 'number' || !Number.isFinite(weightKg) || weightKg < 0 || weightKg > MAX_WEIGHT_KG) {
+        errors.push(`${at}.weightKg must be a number between 0 and ${MAX_WEIGHT_KG}`);
+    } else set.weightKg = round(weightKg, 2);
+
+    const reps = toNumber(input.reps);
+    if (!Number.isInteger(reps) || reps < 1 || reps > MAX_REPS) errors.push(`${at}.reps must be a whole number between 1 and ${MAX_REPS}`);
+    else set.reps = reps;
+
+    if (input.rpe === undefined || input.rpe === null || input.rpe === '') set.rpe = null;
+    else {
+        const rpe = toNumber(input.rpe);
+        if (typeof rpe !== 'number' || !Number.isFinite(rpe) || rpe < 1 || rpe > 10) errors.push(`${at}.rpe must be between 1 and 10`);
+        else set.rpe = Math.round(rpe * 2) / 2;
+    }
+    return set;
+}
+
+function optionalText(input, field, max, errors, data) {
+    if (input[field] === undefined) return;
+    if (input[field] !== null && typeof input[field] !== 'string') errors.push(`${field} must be a string`);
+    else if (input[field] && input[field].length > max) errors.push(`${field} must be at most ${max} characters`);
+    else data[field] = input[field]?.trim() || null;
+}
+
+/**
+ * New sessions need at least one set; updates change any of performedAt,
+ * title, note and sets, where sets replace the session's sets as a whole.
+ *
+ * @param {unknown} input
+ * @param {{ partial?: boolean, now?: Date }} [options]
+ * @returns {{ data?: { performedAt?: Date, title?: string | null, note?: string | null, sets?: Array<{ exercise: string, weightKg: number, reps: number, rpe: number | null }> }, errors: string[] }}
+ */
+export function validateWorkout(input, { partial = false, now = new Date() } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Workout must be an object'] };
+
+    const errors = [];
+    const data = {};
+
+    if (!partial || input.performedAt !== undefined) {
+        const { date, error } = parseMeasuredAt(input.performedAt, now, 'performedAt');
+        if (error) errors.push(error);
+        else data.performedAt = date;
+    }
+    optionalText(input, 'title', MAX_TITLE_LENGTH, errors, data);
+    optionalText(input, 'note', MAX_NOTE_LENGTH, errors, data);
+
+    if (!partial || input.sets !== undefined) {
+        if (!Array.isArray(input.sets) || input.sets.length === 0) errors.push('sets must be a non-empty array');
+        else if (input.sets.length > MAX_SETS_PER_SESSION) errors.push(`A workout can have at most ${MAX_SETS_PER_SESSION} sets`);
+        else data.sets = input.sets.map((set, i) => validateSet(set, i, errors));
+    }
+
+    if (errors.length > 0) return { errors };
+    return { data, errors };
+}
+
+const chronological = (a, b) => time(a.performedAt) - time(b.performedAt) || time(a.createdAt) - time(b.createdAt);
+
+// Best set per exercise of one session, by e1RM; sets without one are left out
+function bestSets(session) {
+    const best = new Map();
+    for (const set of session.sets) {
+        const e1rm = estimateOneRepMax(set.weightKg, set.reps);
+        if (e1rm === null) continue;
+        const key = exerciseKey(set.exercise);
+        if (!best.has(key) || e1rm > best.get(key).e1rm) best.set(key, { set, e1rm });
+    }
+    return best;
+}
+
+/**
+ * Ids of the sets that were a PR when they were lifted: the session's best
+ * e1RM for an exercise, above that of every earlier session. The first
+ * session of an exercise sets the baseline and is no PR.
+ *
+ * @param {Array<{ performedAt: Date | string, createdAt?: Date | string, sets: object[] }>} sessions  Any order
+ * @returns {Set<string>}
+ */
+export function findPrs(sessions) {
+    const records = new Map();
+    const prs = new Set();
+    for (const session of [...sessions].sort(chronological)) {
+        for (const [key, { set, e1rm }] of bestSets(session)) {
+            if (records.has(key) && e1rm > records.get(key)) prs.add(set.id);
+            if (!records.has(key) || e1rm > records.get(key)) records.set(key, e1rm);
+        }
+    }
+    return prs;
+}
+
+export function toPublicSession(row, prs = new Set()) {
+    return {
+        id: row.id,
+        performedAt: row.performedAt,
+        title: row.title ?? null,
+        note: row.note ?? null,
+        source: row.source,
+        sets: [...row.sets].sort((a, b) => a.position - b.position).map(set => ({
+            id: set.id,
+            exercise: set.exercise,
+            weightKg: set.weightKg,
+            reps: set.reps,
+            rpe: set.rpe ?? null,
+            e1rm: estimateOneRepMax(set.weightKg, set.reps),
+            pr: prs.has(set.id),
+        })),
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+    };
+}
+
+/**
+ * One entry per exercise the user has logged, most recently trained first,
+ * with its all-time best set by e1RM.
+ */
+export function exerciseSummaries(sessions) {
+    const exercises = new Map();
+    for (const session of [...sessions].sort(chronological)) {
+        const best = bestSets(session);
+        for (const set of session.sets) {
+            const key = exerciseKey(set.exercise);
+            const entry = exercises.get(key) ?? { key, exercise: set.exercise, sessions: new Set(), sets: 0, lastPerformedAt: null, best: null };
+            // The name as it was last written
+            entry.exercise = set.exercise;
+            entry.sessions.add(session.id);
+            entry.sets++;
+            entry.lastPerformedAt = session.performedAt;
+            const top = best.get(key);
+            if (top && (!entry.best || top.e1rm > entry.best.e1rm)) {
+                entry.best = { e1rm: top.e1rm, weightKg: top.set.weightKg, reps: top.set.reps, performedAt: session.performedAt };
+            }
+            exercises.set(key, entry);
+        }
+    }
+    return [...exercises.values()]
+        .map(entry => ({ ...entry, sessions: entry.sessions.size }))
+        .sort((a, b) => time(b.lastPerformedAt) - time(a.lastPerformedAt));
+}
+
+/**
+ * Per session that included the exercise, oldest first: the best e1RM, the
+ * top set, the number of sets and the volume (kg × reps), for the history
+ * chart.
+ */
+export function exerciseHistory(sessions, exercise) {
+    const key = exerciseKey(exercise);
+    const prs = findPrs(sessions);
+    return [...sessions].sort(chronological).flatMap(session => {
+        const sets = session.sets.filter(set => exerciseKey(set.exercise) === key);
+        if (sets.length === 0) return [];
+        const top = bestSets(session).get(key);
+        return [{
+            sessionId: session.id,
+            performedAt: session.performedAt,
+            e1rm: top?.e1rm ?? null,
+            topSet: top ? { weightKg: top.set.weightKg, reps: top.set.reps, rpe: top.set.rpe ?? null } : null,
+            sets: sets.length,
+            volume: round(sets.reduce((sum, set) => sum + set.weightKg * set.reps, 0)),
+            pr: sets.some(set => prs.has(set.id)),
+        }];
+    });
+}
+
+const describeSet = (set, unit) => `${fromCanonical(set.weightKg, unit)} ${unit} x ${set.reps}${set.rpe ? ` @ RPE ${set.rpe}` : ''}`;
+
+/**
+ * What the coach's get_workout_summary tool returns: training frequency,
+ * the five latest sessions, PRs of the last four weeks and the best lift per
+ * exercise, with weights in `unit`.
+ */
+export function summarizeWorkouts(sessions, unit = 'kg', now = new Date()) {
+    const since = now.getTime() - SUMMARY_DAYS * 24 * 60 * 60 * 1000;
+    const prs = findPrs(sessions);
+    const recent = [...sessions].sort(chronological).reverse();
+
+    return {
+        unit,
+        totalSessions: sessions.length,
+        sessionsLast4Weeks: recent.filter(s => time(s.performedAt) >= since).length,
+        recentSessions: recent.slice(0, 5).map(session => {
+            const best = bestSets(session);
+            const names = [...new Map(session.sets.map(set => [exerciseKey(set.exercise), set.exercise])).entries()];
+            return {
+                date: day(session.performedAt),
+                title: session.title ?? null,
+                exercises: names.map(([key, exercise]) => ({
+                    exercise,
+                    sets: session.sets.filter(set => exerciseKey(set.exercise) === key).length,
+                    topSet: best.has(key) ? describeSet(best.get(key).set, unit) : null,
+                })),
+            };
+        }),
+        recentPrs: recent
+            .filter(s => time(s.performedAt) >= since)
+            .flatMap(session => session.sets
+                .filter(set => prs.has(set.id))
+                .map(set => ({ date: day(session.performedAt), exercise: set.exercise, set: describeSet(set, unit), e1rm: fromCanonical(estimateOneRepMax(set.weightKg, set.reps), unit) }))),
+        bestLifts: exerciseSummaries(sessions)
+            .filter(e => e.best)
+            .slice(0, 10)
+            .map(e => ({ exercise: e.exercise, e1rm: fromCanonical(e.best.e1rm, unit), set: describeSet(e.best, unit), date: day(e.best.performedAt) })),
+    };
+}
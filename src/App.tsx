@@ -8,6 +8,8 @@ import NotFound from "./pages/NotFound";
 import Bot from "./pages/Bot";
 import Admin from "./pages/Admin";
 import Progress from "./pages/Progress";
+import Settings from "./pages/Settings";
+import Print from "./pages/Print";
 
 const queryClient = new QueryClient();
 
@@ -21,7 +23,9 @@ const App = () => (
           <Route path="/" element={<Index />} />
           <Route path="/bot" element={<Bot />} />
           <Route path="/progress" element={<Progress />} />
+          <Route path="/settings" element={<Settings />} />
           <Route path="/admin" element={<Admin />} />
+          <Route path="/print" element={<Print />} />
           {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
           <Route path="*" element={<NotFound />} />
         </Routes>
@@ -0,0 +1,267 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { toast } from "sonner";
+import { Check, Download, MessageSquareWarning, ThumbsDown, ThumbsUp } from "lucide-react";
+
+const REASONS = ["wrong_macros", "incorrect", "off_topic", "unsafe", "too_generic", "too_long", "other"] as const;
+
+type Reason = (typeof REASONS)[number];
+
+interface Feedback {
+  id: string;
+  userId: string;
+  user: { name: string; email: string | null } | null;
+  conversationId: string;
+  messageId: string;
+  rating: "up" | "down";
+  reason: Reason | null;
+  comment: string | null;
+  model: string | null;
+  promptVersion: number | null;
+  context: { id: string; role: "user" | "assistant"; content: string }[];
+  reviewedAt: string | null;
+  reviewNote: string | null;
+  createdAt: string;
+}
+
+interface FeedbackSummary {
+  total: number;
+  up: number;
+  down: number;
+  reasons: Partial<Record<Reason, number>>;
+  promptVersions: Record<string, { up: number; down: number }>;
+}
+
+interface Filters {
+  status: string;
+  rating: string;
+  reason: string;
+  model: string;
+  promptVersion: string;
+  from: string;
+  to: string;
+}
+
+const EMPTY_FILTERS: Filters = { status: "open", rating: "down", reason: "all", model: "", promptVersion: "", from: "", to: "" };
+
+function toQuery(filters: Filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value && value !== "all") params.set(key, value);
+  }
+  return params;
+}
+
+interface FeedbackPanelProps {
+  getAuthHeaders: () => Promise<Record<string, string>>;
+}
+
+export function FeedbackPanel({ getAuthHeaders }: FeedbackPanelProps) {
+  const [feedback, setFeedback] = useState<Feedback[]>([]);
+  const [summary, setSummary] = useState<FeedbackSummary | null>(null);
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+  const [exporting, setExporting] = useState(false);
+
+  const request = useCallback(async (url: string, init: RequestInit = {}) => {
+    const headers = await getAuthHeaders();
+    const resp = await fetch(url, { ...init, headers });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || "Request failed");
+    return data;
+  }, [getAuthHeaders]);
+
+  const loadFeedback = useCallback(async () => {
+    try {
+      const data = await request(`/api/admin/feedback?${toQuery(filters)}`);
+      setFeedback(data.feedback);
+      setSummary(data.summary);
+    } catch (e) {
+      toast.error("Failed to load feedback");
+    }
+  }, [request, filters]);
+
+  useEffect(() => {
+    loadFeedback();
+  }, [loadFeedback]);
+
+  const setFilter = (key: keyof Filters, value: string) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  async function handleReview(id: string) {
+    try {
+      await request(`/api/admin/feedback/${id}/review`, { method: "POST", body: JSON.stringify({ note: notes[id] ?? "" }) });
+      toast.success("Marked as reviewed");
+      await loadFeedback();
+    } catch (e) {
+      toast.error("Failed to review feedback");
+    }
+  }
+
+  // The export needs the auth header, so it is downloaded through a blob instead of a plain link
+  async function handleExport() {
+    setExporting(true);
+    try {
+      const resp = await fetch(`/api/admin/feedback/export?${toQuery(filters)}`, { headers: await getAuthHeaders() });
+      if (!resp.ok) throw new Error("Export failed");
+      const url = URL.createObjectURL(await resp.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = resp.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] ?? "feedback.csv";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      toast.error("Failed to export feedback");
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  const topReasons = summary
+    ? (Object.entries(summary.reasons) as [Reason, number][]).sort((a, b) => b[1] - a[1])
+    : [];
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-[300px_1fr]">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2"><MessageSquareWarning size={18} /> Answer feedback</CardTitle>
+          <CardDescription>Thumbs up/down users gave coach replies, with the model and prompt version that wrote them.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <div className="space-y-1">
+            <Label>Status</Label>
+            <Select value={filters.status} onValueChange={(value) => setFilter("status", value)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="open">Open</SelectItem>
+                <SelectItem value="reviewed">Reviewed</SelectItem>
+                <SelectItem value="all">All</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>Rating</Label>
+            <Select value={filters.rating} onValueChange={(value) => setFilter("rating", value)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All ratings</SelectItem>
+                <SelectItem value="down">Thumbs down</SelectItem>
+                <SelectItem value="up">Thumbs up</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label>Reason</Label>
+            <Select value={filters.reason} onValueChange={(value) => setFilter("reason", value)}>
+              <SelectTrigger><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All reasons</SelectItem>
+                {REASONS.map((reason) => <SelectItem key={reason} value={reason}>{reason}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="feedback-model">Model</Label>
+            <Input id="feedback-model" value={filters.model} onChange={(e) => setFilter("model", e.target.value)} placeholder="gpt-4o-mini" />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="feedback-version">Prompt version</Label>
+            <Input id="feedback-version" type="number" min={1} value={filters.promptVersion} onChange={(e) => setFilter("promptVersion", e.target.value)} />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1">
+              <Label htmlFor="feedback-from">From</Label>
+              <Input id="feedback-from" type="date" value={filters.from} onChange={(e) => setFilter("from", e.target.value)} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="feedback-to">To</Label>
+              <Input id="feedback-to" type="date" value={filters.to} onChange={(e) => setFilter("to", e.target.value)} />
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={() => setFilters(EMPTY_FILTERS)}>Reset</Button>
+            <Button onClick={handleExport} disabled={exporting}><Download className="mr-1" size={14} /> Export CSV</Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Review queue</CardTitle>
+          {summary && (
+            <CardDescription className="space-y-1">
+              <span className="block">
+                {summary.total} ratings · {summary.up} up · {summary.down} down
+                {topReasons.length > 0 && ` · ${topReasons.map(([reason, count]) => `${reason} ${count}`).join(", ")}`}
+              </span>
+              {Object.keys(summary.promptVersions).length > 0 && (
+                <span className="block">
+                  Per prompt version: {Object.entries(summary.promptVersions)
+                    .map(([version, counts]) => `v${version} ${counts.up}↑ ${counts.down}↓`)
+                    .join(" · ")}
+                </span>
+              )}
+            </CardDescription>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {feedback.length === 0 && <p className="text-sm text-muted-foreground">No feedback matches these filters.</p>}
+          {feedback.map((item) => {
+            const question = [...item.context].reverse().find((m) => m.role === "user");
+            const answer = item.context[item.context.length - 1];
+            return (
+              <div key={item.id} className="rounded-lg border p-3 space-y-2">
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  {item.rating === "down"
+                    ? <Badge variant="destructive"><ThumbsDown size={12} className="mr-1" /> down</Badge>
+                    : <Badge variant="secondary"><ThumbsUp size={12} className="mr-1" /> up</Badge>}
+                  {item.reason && <Badge variant="outline">{item.reason}</Badge>}
+                  <span className="text-muted-foreground">
+                    {item.model ?? "unknown model"} · prompt v{item.promptVersion ?? "?"} · {item.user?.name ?? item.userId} · {new Date(item.createdAt).toLocaleString()}
+                  </span>
+                </div>
+                {item.comment && <p className="text-sm font-medium">"{item.comment}"</p>}
+                {question && (
+                  <p className="whitespace-pre-wrap text-sm text-muted-foreground line-clamp-3"><span className="font-semibold">User:</span> {question.content}</p>
+                )}
+                {answer && (
+                  <details className="text-sm">
+                    <summary className="cursor-pointer text-muted-foreground line-clamp-2"><span className="font-semibold">Coach:</span> {answer.content}</summary>
+                    <div className="mt-2 space-y-2 border-l-2 pl-3">
+                      {item.context.map((m) => (
+                        <p key={m.id} className="whitespace-pre-wrap text-xs">
+                          <span className="font-semibold">{m.role === "user" ? "User" : "Coach"}:</span> {m.content}
+                        </p>
+                      ))}
+                    </div>
+                  </details>
+                )}
+                {item.reviewedAt ? (
+                  <p className="text-xs text-muted-foreground">
+                    Reviewed {new Date(item.reviewedAt).toLocaleString()}{item.reviewNote && `: ${item.reviewNote}`}
+                  </p>
+                ) : (
+                  <div className="flex gap-2">
+                    <Input
+                      placeholder="Review note (optional)"
+                      value={notes[item.id] ?? ""}
+                      onChange={(e) => setNotes((prev) => ({ ...prev, [item.id]: e.target.value }))}
+                    />
+                    <Button variant="outline" onClick={() => handleReview(item.id)}>
+                      <Check className="mr-1" size={14} /> Reviewed
+                    </Button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,255 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { toast } from "sonner";
+import { Film, Plus, Trash2, Edit, Eye } from "lucide-react";
+
+const LANGUAGES = ["nl", "en"] as const;
+const PROVIDERS = ["youtube", "vimeo", "file"] as const;
+
+type Language = (typeof LANGUAGES)[number];
+type Provider = (typeof PROVIDERS)[number];
+
+interface Variant {
+  language: Language;
+  provider: Provider;
+  source: string;
+  title?: string;
+}
+
+interface MediaClip {
+  id: string;
+  key: string;
+  title: string;
+  tags: string[];
+  active: boolean;
+  variants: Variant[];
+  views: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface ClipForm {
+  key: string;
+  title: string;
+  tags: string;
+  active: boolean;
+  variants: Variant[];
+}
+
+const SOURCE_PLACEHOLDER: Record<Provider, string> = {
+  youtube: "YouTube URL or video id",
+  vimeo: "Vimeo URL or video id",
+  file: "https://... or /media/clip.mp4",
+};
+
+const EMPTY_FORM: ClipForm = {
+  key: "",
+  title: "",
+  tags: "",
+  active: true,
+  variants: [{ language: "nl", provider: "youtube", source: "" }],
+};
+
+function toForm(clip: MediaClip): ClipForm {
+  return { key: clip.key, title: clip.title, tags: clip.tags.join(", "), active: clip.active, variants: clip.variants };
+}
+
+interface MediaPanelProps {
+  getAuthHeaders: () => Promise<Record<string, string>>;
+}
+
+export function MediaPanel({ getAuthHeaders }: MediaPanelProps) {
+  const [clips, setClips] = useState<MediaClip[]>([]);
+  // null = no form open, "" = new clip, otherwise the id being edited
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<ClipForm>(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const request = useCallback(async (url: string, init: RequestInit = {}) => {
+    const headers = await getAuthHeaders();
+    const resp = await fetch(url, { ...init, headers });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || "Request failed");
+    return data;
+  }, [getAuthHeaders]);
+
+  const loadClips = useCallback(async () => {
+    try {
+      const data = await request("/api/admin/media");
+      setClips(data.clips);
+    } catch (e) {
+      toast.error("Failed to load media");
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadClips();
+  }, [loadClips]);
+
+  function openForm(clip?: MediaClip) {
+    setEditingId(clip?.id ?? "");
+    setForm(clip ? toForm(clip) : EMPTY_FORM);
+  }
+
+  function setVariant(index: number, changes: Partial<Variant>) {
+    setForm((prev) => ({ ...prev, variants: prev.variants.map((v, i) => (i === index ? { ...v, ...changes } : v)) }));
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    try {
+      const clip = { ...form, tags: form.tags.split(",").map((t) => t.trim()).filter(Boolean) };
+      const isNew = editingId === "";
+      await request(isNew ? "/api/admin/media" : `/api/admin/media/${editingId}`, {
+        method: isNew ? "POST" : "PUT",
+        body: JSON.stringify({ clip }),
+      });
+      toast.success(isNew ? "Clip added" : "Clip saved");
+      setEditingId(null);
+      await loadClips();
+    } catch (e) {
+      toast.error(e instanceof Error ? e.message : "Failed to save clip");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(clip: MediaClip) {
+    if (!confirm(`Delete "${clip.key}"? Its view history is deleted too.`)) return;
+    try {
+      await request(`/api/admin/media/${clip.id}`, { method: "DELETE" });
+      toast.success("Clip deleted");
+      await loadClips();
+    } catch (e) {
+      toast.error("Failed to delete clip");
+    }
+  }
+
+  const unusedLanguage = LANGUAGES.find((lang) => !form.variants.some((v) => v.language === lang));
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-[1fr_420px]">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2"><Film size={18} /> Coach videos</CardTitle>
+          <CardDescription>
+            The coach embeds a clip by writing <code>[video:key]</code>. Active clips are listed in its prompt.
+          </CardDescription>
+          <div className="pt-2">
+            <Button onClick={() => openForm()}><Plus className="mr-1" size={14} /> New clip</Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {clips.length === 0 && <p className="text-sm text-muted-foreground">No clips yet.</p>}
+          {clips.map((clip) => (
+            <div key={clip.id} className="rounded-lg border p-3 flex items-start justify-between gap-3">
+              <div className="space-y-1">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-mono text-sm">[video:{clip.key}]</span>
+                  {!clip.active && <Badge variant="outline">inactive</Badge>}
+                  {clip.variants.map((v) => (
+                    <Badge key={v.language} variant="secondary">{v.language} · {v.provider}</Badge>
+                  ))}
+                </div>
+                <p className="text-sm">{clip.title}</p>
+                <p className="text-xs text-muted-foreground flex items-center gap-1">
+                  <Eye size={12} /> {clip.views} views{clip.tags.length > 0 && ` · ${clip.tags.join(", ")}`}
+                </p>
+              </div>
+              <div className="flex gap-1">
+                <Button variant="ghost" size="sm" onClick={() => openForm(clip)}><Edit size={14} /></Button>
+                <Button variant="ghost" size="sm" onClick={() => handleDelete(clip)}><Trash2 size={14} /></Button>
+              </div>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      {editingId !== null && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{editingId === "" ? "New clip" : `Edit ${form.key}`}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-1">
+              <Label htmlFor="media-key">Key</Label>
+              <Input id="media-key" value={form.key} onChange={(e) => setForm({ ...form, key: e.target.value })} placeholder="motivation" />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="media-title">Title</Label>
+              <Input id="media-title" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="media-tags">Tags (comma separated)</Label>
+              <Input id="media-tags" value={form.tags} onChange={(e) => setForm({ ...form, tags: e.target.value })} placeholder="mindset, plateau" />
+            </div>
+            <div className="flex items-center justify-between">
+              <Label htmlFor="media-active">Offered to the coach</Label>
+              <Switch id="media-active" checked={form.active} onCheckedChange={(active) => setForm({ ...form, active })} />
+            </div>
+
+            {form.variants.map((variant, index) => (
+              <div key={index} className="rounded-lg border p-3 space-y-2">
+                <div className="flex gap-2">
+                  <Select value={variant.language} onValueChange={(language) => setVariant(index, { language: language as Language })}>
+                    <SelectTrigger className="w-[90px]"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      {LANGUAGES.map((lang) => <SelectItem key={lang} value={lang}>{lang}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                  <Select value={variant.provider} onValueChange={(provider) => setVariant(index, { provider: provider as Provider })}>
+                    <SelectTrigger className="flex-1"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      {PROVIDERS.map((provider) => <SelectItem key={provider} value={provider}>{provider}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    disabled={form.variants.length === 1}
+                    onClick={() => setForm((prev) => ({ ...prev, variants: prev.variants.filter((_, i) => i !== index) }))}
+                  >
+                    <Trash2 size={14} />
+                  </Button>
+                </div>
+                <Input
+                  value={variant.source}
+                  onChange={(e) => setVariant(index, { source: e.target.value })}
+                  placeholder={SOURCE_PLACEHOLDER[variant.provider]}
+                />
+                <Input
+                  value={variant.title ?? ""}
+                  onChange={(e) => setVariant(index, { title: e.target.value })}
+                  placeholder="Title in this language (optional)"
+                />
+              </div>
+            ))}
+            {unusedLanguage && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setForm((prev) => ({
+                  ...prev,
+                  variants: [...prev.variants, { language: unusedLanguage, provider: "youtube", source: "" }],
+                }))}
+              >
+                <Plus className="mr-1" size={14} /> Add {unusedLanguage} variant
+              </Button>
+            )}
+
+            <div className="flex gap-2">
+              <Button onClick={handleSave} disabled={saving}>Save clip</Button>
+              <Button variant="ghost" onClick={() => setEditingId(null)}>Cancel</Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { toast } from "sonner";
+import { History, RotateCcw, Save, GitCompare } from "lucide-react";
+import { cn } from "@/lib/utils";
+
+interface PromptVersionSummary {
+  version: number;
+  note: string | null;
+  createdBy: string | null;
+  createdAt: string;
+}
+
+interface PromptVersion extends PromptVersionSummary {
+  systemPrompt: string;
+  languageInstructions: { nl: string; en: string };
+}
+
+interface DiffLine {
+  type: "equal" | "insert" | "delete";
+  text: string;
+}
+
+interface PromptDiff {
+  from: number;
+  to: number;
+  diff: { systemPrompt: DiffLine[]; nl: DiffLine[]; en: DiffLine[] };
+}
+
+interface PromptManagerProps {
+  getAuthHeaders: () => Promise<Record<string, string>>;
+}
+
+export function PromptManager({ getAuthHeaders }: PromptManagerProps) {
+  const [versions, setVersions] = useState<PromptVersionSummary[]>([]);
+  const [activeVersion, setActiveVersion] = useState<number | null>(null);
+  const [systemPrompt, setSystemPrompt] = useState("");
+  const [nl, setNl] = useState("");
+  const [en, setEn] = useState("");
+  const [note, setNote] = useState("");
+  const [diff, setDiff] = useState<PromptDiff | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const request = useCallback(async (url: string, init: RequestInit = {}) => {
+    const headers = await getAuthHeaders();
+    const resp = await fetch(url, { ...init, headers });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || "Request failed");
+    return data;
+  }, [getAuthHeaders]);
+
+  const loadEditor = useCallback(async (version: number) => {
+    const { prompt } = await request(`/api/admin/prompts/${version}`) as { prompt: PromptVersion };
+    setSystemPrompt(prompt.systemPrompt);
+    setNl(prompt.languageInstructions.nl);
+    setEn(prompt.languageInstructions.en);
+  }, [request]);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const data = await request("/api/admin/prompts");
+      setVersions(data.versions);
+      setActiveVersion(data.activeVersion);
+      return data.activeVersion as number;
+    } catch (e) {
+      toast.error("Failed to load prompt versions");
+      return null;
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadVersions().then((active) => {
+      if (active) loadEditor(active).catch(() => toast.error("Failed to load prompt"));
+    });
+  }, [loadVersions, loadEditor]);
+
+  async function handleSave() {
+    setSaving(true);
+    try {
+      const data = await request("/api/admin/prompts", {
+        method: "POST",
+        body: JSON.stringify({ systemPrompt, languageInstructions: { nl, en }, note }),
+      });
+      toast.success(`Saved and activated version ${data.activeVersion}`);
+      setNote("");
+      setDiff(null);
+      await loadVersions();
+    } catch (e) {
+      toast.error(e instanceof Error ? e.message : "Failed to save prompt");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleActivate(version: number) {
+    if (!confirm(`Make version ${version} the active prompt?`)) return;
+    try {
+      await request(`/api/admin/prompts/${version}/activate`, { method: "POST" });
+      toast.success(`Version ${version} is now active`);
+      await loadVersions();
+      await loadEditor(version);
+      setDiff(null);
+    } catch (e) {
+      toast.error("Failed to activate version");
+    }
+  }
+
+  async function handleDiff(version: number) {
+    try {
+      setDiff(await request(`/api/admin/prompts/${version}/diff`));
+    } catch (e) {
+      toast.error("Failed to load diff");
+    }
+  }
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-[1fr_320px]">
+      <Card>
+        <CardHeader>
+          <CardTitle>Active prompt {activeVersion !== null && <Badge className="ml-2">v{activeVersion}</Badge>}</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div>
+            <Label htmlFor="system-prompt">System prompt</Label>
+            <Textarea
+              id="system-prompt"
+              value={systemPrompt}
+              onChange={(e) => setSystemPrompt(e.target.value)}
+              className="min-h-[360px] font-mono text-xs"
+            />
+          </div>
+          <div className="grid gap-4 md:grid-cols-2">
+            <div>
+              <Label htmlFor="lang-nl">Language instructions (nl)</Label>
+              <Textarea id="lang-nl" value={nl} onChange={(e) => setNl(e.target.value)} className="min-h-[100px] text-xs" />
+            </div>
+            <div>
+              <Label htmlFor="lang-en">Language instructions (en)</Label>
+              <Textarea id="lang-en" value={en} onChange={(e) => setEn(e.target.value)} className="min-h-[100px] text-xs" />
+            </div>
+          </div>
+          <div className="flex gap-2 items-end">
+            <div className="flex-1">
+              <Label htmlFor="prompt-note">Change note</Label>
+              <Input id="prompt-note" value={note} onChange={(e) => setNote(e.target.value)} placeholder="e.g. Less emoji, shorter replies" />
+            </div>
+            <Button onClick={handleSave} disabled={saving}>
+              <Save className="mr-2" size={16} /> Save as new version
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2"><History size={18} /> History</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {versions.map((v) => (
+            <div key={v.version} className="rounded-lg border p-3 space-y-1">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold">v{v.version}</span>
+                {v.version === activeVersion && <Badge variant="secondary">active</Badge>}
+              </div>
+              {v.note && <p className="text-sm">{v.note}</p>}
+              <p className="text-xs text-muted-foreground">{new Date(v.createdAt).toLocaleString()}</p>
+              {v.version !== activeVersion && (
+                <div className="flex gap-2 pt-1">
+                  <Button variant="outline" size="sm" onClick={() => handleDiff(v.version)}>
+                    <GitCompare className="mr-1" size={14} /> Diff
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => handleActivate(v.version)}>
+                    <RotateCcw className="mr-1" size={14} /> Activate
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      {diff && (
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Changes from v{diff.from} (active) to v{diff.to}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {(["systemPrompt", "nl", "en"] as const).map((field) => (
+              <div key={field}>
+                <h4 className="text-sm font-semibold mb-1">{field}</h4>
+                <pre className="rounded border bg-muted/30 p-2 text-xs overflow-x-auto">
+                  {diff.diff[field].map((line, i) => (
+                    <div
+                      key={i}
+                      className={cn(
+                        "whitespace-pre-wrap",
+                        line.type === "insert" && "bg-green-500/15 text-green-700 dark:text-green-400",
+                        line.type === "delete" && "bg-red-500/15 text-red-700 dark:text-red-400 line-through"
+                      )}
+                    >
+                      {line.type === "insert" ? "+ " : line.type === "delete" ? "- " : "  "}{line.text}
+                    </div>
+                  ))}
+                </pre>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Badge } from "@/components/ui/badge";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { toast } from "sonner";
+import { ShieldAlert, Check } from "lucide-react";
+
+const CATEGORIES = ["medical_emergency", "self_harm", "eating_disorder", "injury", "unsafe_advice", "flagged_content"] as const;
+const ACTIONS = ["off", "log", "caution", "refer"] as const;
+
+type Category = (typeof CATEGORIES)[number];
+type Action = (typeof ACTIONS)[number];
+
+interface SafetyPolicy {
+  enabled: boolean;
+  screenReplies: boolean;
+  actions: Record<Category, Action>;
+}
+
+interface SafetyEvent {
+  id: string;
+  userId: string;
+  conversationId: string | null;
+  direction: "input" | "output";
+  category: Category;
+  action: Action;
+  source: "rules" | "moderation";
+  excerpt: string;
+  matches: { source: string; rule: string; match: string }[];
+  reviewedAt: string | null;
+  reviewedBy: string | null;
+  reviewNote: string | null;
+  createdAt: string;
+  user: { name: string; email: string | null } | null;
+}
+
+const ACTION_HELP: Record<Action, string> = {
+  off: "ignored",
+  log: "logged only",
+  caution: "coach answers with a safety policy",
+  refer: "reply replaced by a referral",
+};
+
+interface SafetyPanelProps {
+  getAuthHeaders: () => Promise<Record<string, string>>;
+}
+
+export function SafetyPanel({ getAuthHeaders }: SafetyPanelProps) {
+  const [policy, setPolicy] = useState<SafetyPolicy | null>(null);
+  const [moderation, setModeration] = useState<string | null>(null);
+  const [events, setEvents] = useState<SafetyEvent[]>([]);
+  const [status, setStatus] = useState("open");
+  const [category, setCategory] = useState("all");
+  const [notes, setNotes] = useState<Record<string, string>>({});
+  const [saving, setSaving] = useState(false);
+
+  const request = useCallback(async (url: string, init: RequestInit = {}) => {
+    const headers = await getAuthHeaders();
+    const resp = await fetch(url, { ...init, headers });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || "Request failed");
+    return data;
+  }, [getAuthHeaders]);
+
+  const loadEvents = useCallback(async () => {
+    const params = new URLSearchParams({ status });
+    if (category !== "all") params.set("category", category);
+    try {
+      const data = await request(`/api/admin/safety/events?${params}`);
+      setEvents(data.events);
+    } catch (e) {
+      toast.error("Failed to load safety events");
+    }
+  }, [request, status, category]);
+
+  useEffect(() => {
+    request("/api/admin/safety/policy")
+      .then((data) => {
+        setPolicy(data.policy);
+        setModeration(data.moderation);
+      })
+      .catch(() => toast.error("Failed to load safety policy"));
+  }, [request]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  async function handleSavePolicy() {
+    if (!policy) return;
+    setSaving(true);
+    try {
+      const data = await request("/api/admin/safety/policy", { method: "PUT", body: JSON.stringify({ policy }) });
+      setPolicy(data.policy);
+      toast.success("Safety policy saved");
+    } catch (e) {
+      toast.error(e instanceof Error ? e.message : "Failed to save safety policy");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleReview(id: string) {
+    try {
+      await request(`/api/admin/safety/events/${id}/review`, { method: "POST", body: JSON.stringify({ note: notes[id] ?? "" }) });
+      toast.success("Marked as reviewed");
+      await loadEvents();
+    } catch (e) {
+      toast.error("Failed to review event");
+    }
+  }
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-[360px_1fr]">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2"><ShieldAlert size={18} /> Safety policy</CardTitle>
+          <CardDescription>
+            Rules screen every chat message{moderation ? `, plus the ${moderation} moderation API` : " (no moderation API configured)"}.
+          </CardDescription>
+        </CardHeader>
+        {policy && (
+          <CardContent className="space-y-4">
+            <div className="flex items-center justify-between">
+              <Label htmlFor="safety-enabled">Screening enabled</Label>
+              <Switch id="safety-enabled" checked={policy.enabled} onCheckedChange={(enabled) => setPolicy({ ...policy, enabled })} />
+            </div>
+            <div className="flex items-center justify-between">
+              <Label htmlFor="safety-replies">Screen coach replies</Label>
+              <Switch id="safety-replies" checked={policy.screenReplies} onCheckedChange={(screenReplies) => setPolicy({ ...policy, screenReplies })} />
+            </div>
+            {CATEGORIES.map((cat) => (
+              <div key={cat} className="space-y-1">
+                <Label className="font-mono text-xs">{cat}</Label>
+                <Select
+                  value={policy.actions[cat]}
+                  onValueChange={(action) => setPolicy({ ...policy, actions: { ...policy.actions, [cat]: action as Action } })}
+                >
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    {ACTIONS.map((action) => (
+                      <SelectItem key={action} value={action}>{action} — {ACTION_HELP[action]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+            <Button onClick={handleSavePolicy} disabled={saving}>Save policy</Button>
+          </CardContent>
+        )}
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Flagged messages</CardTitle>
+          <div className="flex gap-2 pt-2">
+            <Select value={status} onValueChange={setStatus}>
+              <SelectTrigger className="w-[140px]"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="open">Open</SelectItem>
+                <SelectItem value="reviewed">Reviewed</SelectItem>
+                <SelectItem value="all">All</SelectItem>
+              </SelectContent>
+            </Select>
+            <Select value={category} onValueChange={setCategory}>
+              <SelectTrigger className="w-[200px]"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All categories</SelectItem>
+                {CATEGORIES.map((cat) => <SelectItem key={cat} value={cat}>{cat}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {events.length === 0 && <p className="text-sm text-muted-foreground">No flagged messages.</p>}
+          {events.map((event) => (
+            <div key={event.id} className="rounded-lg border p-3 space-y-2">
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                <Badge variant={event.action === "refer" ? "destructive" : "secondary"}>{event.category}</Badge>
+                <Badge variant="outline">{event.action}</Badge>
+                <span className="text-muted-foreground">
+                  {event.direction === "input" ? "User message" : "Coach reply"} · {event.source} · {event.user?.name ?? event.userId} · {new Date(event.createdAt).toLocaleString()}
+                </span>
+              </div>
+              <p className="whitespace-pre-wrap text-sm">{event.excerpt}</p>
+              {event.matches.some((m) => m.match) && (
+                <p className="text-xs text-muted-foreground">
+                  Matched: {event.matches.filter((m) => m.match).map((m) => `"${m.match}" (${m.rule})`).join(", ")}
+                </p>
+              )}
+              {event.reviewedAt ? (
+                <p className="text-xs text-muted-foreground">
+                  Reviewed {new Date(event.reviewedAt).toLocaleString()}{event.reviewNote && `: ${event.reviewNote}`}
+                </p>
+              ) : (
+                <div className="flex gap-2">
+                  <Input
+                    placeholder="Review note (optional)"
+                    value={notes[event.id] ?? ""}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [event.id]: e.target.value }))}
+                  />
+                  <Button variant="outline" onClick={() => handleReview(event.id)}>
+                    <Check className="mr-1" size={14} /> Reviewed
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import { toast } from "sonner";
+
+interface UserUsage {
+  userId: string;
+  name: string;
+  email: string | null;
+  role: string;
+  today: number;
+  month: number;
+  total: number;
+  requests: number;
+  estimatedCostUsd: number;
+  unpriced: boolean;
+  models: Record<string, number>;
+}
+
+type Limits = { daily: number | null; monthly: number | null };
+type Quotas = Record<string, Limits>;
+
+interface UsagePanelProps {
+  getAuthHeaders: () => Promise<Record<string, string>>;
+}
+
+const formatTokens = (n: number) => n.toLocaleString("en-US");
+
+export function UsagePanel({ getAuthHeaders }: UsagePanelProps) {
+  const [usage, setUsage] = useState<UserUsage[]>([]);
+  const [since, setSince] = useState<string | null>(null);
+  const [quotas, setQuotas] = useState<Quotas>({});
+  const [saving, setSaving] = useState(false);
+
+  const request = useCallback(async (url: string, init: RequestInit = {}) => {
+    const headers = await getAuthHeaders();
+    const resp = await fetch(url, { ...init, headers });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.message || "Request failed");
+    return data;
+  }, [getAuthHeaders]);
+
+  useEffect(() => {
+    request("/api/admin/usage?days=30")
+      .then((data) => {
+        setUsage(data.users);
+        setSince(data.since);
+      })
+      .catch(() => toast.error("Failed to load usage"));
+    request("/api/admin/quotas")
+      .then((data) => setQuotas(data.quotas))
+      .catch(() => toast.error("Failed to load quotas"));
+  }, [request]);
+
+  function setLimit(role: string, period: keyof Limits, value: string) {
+    setQuotas((prev) => ({
+      ...prev,
+      [role]: { ...prev[role], [period]: value === "" ? null : Number(value) },
+    }));
+  }
+
+  async function handleSaveQuotas() {
+    setSaving(true);
+    try {
+      const data = await request("/api/admin/quotas", { method: "PUT", body: JSON.stringify({ quotas }) });
+      setQuotas(data.quotas);
+      toast.success("Quotas saved");
+    } catch (e) {
+      toast.error(e instanceof Error ? e.message : "Failed to save quotas");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="grid gap-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>Token budgets</CardTitle>
+          <CardDescription>
+            Total tokens per user per UTC day and calendar month. Leave empty for unlimited. Roles without their own row use <code>default</code>.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {Object.entries(quotas).map(([role, limits]) => (
+            <div key={role} className="grid grid-cols-[120px_1fr_1fr] gap-3 items-end">
+              <span className="font-mono text-sm pb-2">{role}</span>
+              <div>
+                <Label>Daily</Label>
+                <Input type="number" min={0} value={limits.daily ?? ""} onChange={(e) => setLimit(role, "daily", e.target.value)} />
+              </div>
+              <div>
+                <Label>Monthly</Label>
+                <Input type="number" min={0} value={limits.monthly ?? ""} onChange={(e) => setLimit(role, "monthly", e.target.value)} />
+              </div>
+            </div>
+          ))}
+          <Button onClick={handleSaveQuotas} disabled={saving}>Save budgets</Button>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Spend per user</CardTitle>
+          {since && <CardDescription>Since {new Date(since).toLocaleDateString()} (last 30 days)</CardDescription>}
+        </CardHeader>
+        <CardContent>
+          {usage.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No usage recorded yet.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>User</TableHead>
+                  <TableHead className="text-right">Today</TableHead>
+                  <TableHead className="text-right">This month</TableHead>
+                  <TableHead className="text-right">30 days</TableHead>
+                  <TableHead className="text-right">Calls</TableHead>
+                  <TableHead className="text-right">Est. cost</TableHead>
+                  <TableHead>Models</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {usage.map((u) => (
+                  <TableRow key={u.userId}>
+                    <TableCell>
+                      <div className="font-medium">{u.name}</div>
+                      <div className="text-xs text-muted-foreground">{u.email ?? u.userId} · {u.role}</div>
+                    </TableCell>
+                    <TableCell className="text-right">{formatTokens(u.today)}</TableCell>
+                    <TableCell className="text-right">{formatTokens(u.month)}</TableCell>
+                    <TableCell className="text-right">{formatTokens(u.total)}</TableCell>
+                    <TableCell className="text-right">{u.requests}</TableCell>
+                    <TableCell className="text-right">
+                      ${u.estimatedCostUsd.toFixed(2)}{u.unpriced && "*"}
+                    </TableCell>
+                    <TableCell className="text-xs text-muted-foreground">
+                      {Object.entries(u.models).map(([model, tokens]) => `${model}: ${formatTokens(tokens)}`).join(", ")}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          {usage.some((u) => u.unpriced) && (
+            <p className="mt-2 text-xs text-muted-foreground">* Includes models without a known price; their tokens are not in the cost estimate.</p>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
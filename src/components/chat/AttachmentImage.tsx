@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+import type { Attachment } from '@/hooks/useChat';
+
+// Uploads are served behind auth, so a plain <img src> cannot load them
+export function AttachmentImage({ attachment }: { attachment: Attachment }) {
+    const { getToken } = useAuth();
+    const [src, setSrc] = useState<string | null>(null);
+
+    useEffect(() => {
+        let objectUrl: string | null = null;
+        let cancelled = false;
+
+        (async () => {
+            const token = await getToken();
+            const res = await fetch(attachment.url, { headers: { 'Authorization': `Bearer ${token}` } });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const blob = await res.blob();
+            if (cancelled) return;
+            objectUrl = URL.createObjectURL(blob);
+            setSrc(objectUrl);
+        })().catch(e => console.error("Failed to load attachment", e));
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [attachment.url, getToken]);
+
+    return (
+        <div
+            className="mb-2 w-48 max-w-full overflow-hidden rounded-md bg-muted/50"
+            style={{ aspectRatio: `${attachment.width} / ${attachment.height}` }}
+        >
+            {src && <img src={src} alt="Geüploade afbeelding" className="h-full w-full object-cover" />}
+        </div>
+    );
+}
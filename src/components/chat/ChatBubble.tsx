@@ -1,24 +1,116 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
 import { cn } from "@/lib/utils";
-import { Pin } from "lucide-react";
+import { ChevronLeft, ChevronRight, FileDown, Pencil, Pin, RefreshCw } from "lucide-react";
+import { FeedbackButtons } from "@/components/chat/FeedbackButtons";
+import type { BranchInfo, MessageFeedback } from "@/hooks/useChat";
 
 interface ChatBubbleProps {
     role: "user" | "assistant";
     children: React.ReactNode;
     onPin?: () => void;
     isPinned?: boolean;
+    branch?: BranchInfo;
+    onSwitchBranch?: (messageId: string) => void;
+    onRegenerate?: () => void;
+    // Text to start from when editing; editing is offered when both are set
+    editText?: string;
+    onEdit?: (text: string) => void;
+    feedback?: MessageFeedback | null;
+    onFeedback?: (feedback: MessageFeedback | null) => void;
+    onExport?: () => void;
+    // Blocks the actions while a reply is being written
+    busy?: boolean;
 }
 
-export function ChatBubble({ role, children, onPin, isPinned }: ChatBubbleProps) {
+export function ChatBubble({ role, children, onPin, isPinned, branch, onSwitchBranch, onRegenerate, editText, onEdit, feedback, onFeedback, onExport, busy }: ChatBubbleProps) {
     const isUser = role === "user";
+    const [draft, setDraft] = useState<string | null>(null);
+
+    const hasBranches = branch && branch.count > 1 && onSwitchBranch;
+    const canEdit = editText !== undefined && onEdit;
+    const showActions = hasBranches || onRegenerate || canEdit || onFeedback || onExport;
+
+    const submitEdit = () => {
+        if (!draft?.trim() || !onEdit) return;
+        onEdit(draft);
+        setDraft(null);
+    };
+
     return (
         <div className={cn("flex group", isUser ? "justify-end" : "justify-start")}>
             <div className={cn(
                 "max-w-[85%] rounded-lg px-4 py-3 text-sm shadow-sm relative",
                 isUser ? "bg-primary text-primary-foreground" : "bg-muted/30 border border-border"
             )}>
-                {children}
+                {draft === null ? children : (
+                    <div className="space-y-2 min-w-[16rem]">
+                        <Textarea
+                            value={draft}
+                            onChange={e => setDraft(e.target.value)}
+                            className="bg-background text-foreground"
+                            autoFocus
+                        />
+                        <div className="flex justify-end gap-2">
+                            <Button variant="ghost" size="sm" onClick={() => setDraft(null)}>Annuleren</Button>
+                            <Button variant="secondary" size="sm" onClick={submitEdit} disabled={busy || !draft.trim()}>
+                                Opslaan en versturen
+                            </Button>
+                        </div>
+                    </div>
+                )}
+                {showActions && draft === null && (
+                    <div className={cn("mt-2 flex items-center gap-1 text-xs", isUser ? "justify-end" : "justify-start")}>
+                        {hasBranches && (
+                            <span className="flex items-center">
+                                <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    className="h-6 w-6 p-0"
+                                    disabled={busy || branch.index === 0}
+                                    onClick={() => onSwitchBranch(branch.siblingIds[branch.index - 1])}
+                                    title="Vorige versie"
+                                >
+                                    <ChevronLeft size={14} />
+                                </Button>
+                                <span className="tabular-nums opacity-80">{branch.index + 1}/{branch.count}</span>
+                                <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    className="h-6 w-6 p-0"
+                                    disabled={busy || branch.index === branch.count - 1}
+                                    onClick={() => onSwitchBranch(branch.siblingIds[branch.index + 1])}
+                                    title="Volgende versie"
+                                >
+                                    <ChevronRight size={14} />
+                                </Button>
+                            </span>
+                        )}
+                        {onFeedback && (
+                            <span className={cn("opacity-0 group-hover:opacity-100 transition-opacity", feedback && "opacity-100")}>
+                                <FeedbackButtons feedback={feedback} onFeedback={onFeedback} disabled={busy} />
+                            </span>
+                        )}
+                        <span className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                            {canEdit && (
+                                <Button variant="ghost" size="sm" className="h-6 px-2 text-xs" disabled={busy} onClick={() => setDraft(editText)}>
+                                    <Pencil size={12} className="mr-1" /> Bewerken
+                                </Button>
+                            )}
+                            {onRegenerate && (
+                                <Button variant="ghost" size="sm" className="h-6 px-2 text-xs" disabled={busy} onClick={onRegenerate}>
+                                    <RefreshCw size={12} className="mr-1" /> Opnieuw genereren
+                                </Button>
+                            )}
+                            {onExport && (
+                                <Button variant="ghost" size="sm" className="h-6 px-2 text-xs" onClick={onExport}>
+                                    <FileDown size={12} className="mr-1" /> Exporteren
+                                </Button>
+                            )}
+                        </span>
+                    </div>
+                )}
                 {!isUser && onPin && (
                     <Button
                         variant="ghost"
@@ -28,7 +120,7 @@ export function ChatBubble({ role, children, onPin, isPinned }: ChatBubbleProps)
                             isPinned && "opacity-100"
                         )}
                         onClick={onPin}
-                        title={isPinned ? "Unpin" : "Pin this message"}
+                        title={isPinned ? "Uit bibliotheek halen" : "Opslaan in bibliotheek"}
                     >
                         <Pin size={14} className={cn(isPinned && "fill-current")} />
                     </Button>
@@ -2,20 +2,34 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
-import { Send, Mic, MicOff, Paperclip, X } from "lucide-react";
+import { Send, Mic, MicOff, Paperclip, X, Square, Loader2, Utensils } from "lucide-react";
 import { useIsMobile } from "@/hooks/use-mobile";
 import { useVoiceInput } from "@/hooks/useVoiceInput";
 import { cn } from "@/lib/utils";
 import { toast } from 'sonner';
+import type { Attachment } from "@/hooks/useChat";
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
 
 interface ChatInputProps {
-    onSend: (text: string, image?: string) => void;
+    onSend: (text: string, attachment?: Attachment) => void;
+    onUpload: (file: File) => Promise<Attachment>;
+    // Log the uploaded photo as a meal instead of sending it to the chat; the text is a note for the estimate
+    onAnalyzeMeal?: (attachment: Attachment, note: string) => void;
     loading: boolean;
+    onStop?: () => void;
+}
+
+// Local preview while the upload runs; `attachment` is set once the server has it
+interface PendingImage {
+    preview: string;
+    attachment: Attachment | null;
 }
 
-export function ChatInput({ onSend, loading }: ChatInputProps) {
+export function ChatInput({ onSend, onUpload, onAnalyzeMeal, loading, onStop }: ChatInputProps) {
     const [input, setInput] = useState("");
-    const [image, setImage] = useState<string | null>(null);
+    const [image, setImage] = useState<PendingImage | null>(null);
     const isMobile = useIsMobile();
     const { isListening, transcript, startListening, stopListening } = useVoiceInput();
     const fileInputRef = useRef<HTMLInputElement>(null);
@@ -26,9 +40,25 @@ export function ChatInput({ onSend, loading }: ChatInputProps) {
         }
     }, [transcript]);
 
+    const preview = image?.preview;
+    useEffect(() => {
+        return () => {
+            if (preview) URL.revokeObjectURL(preview);
+        };
+    }, [preview]);
+
+    const uploading = image !== null && image.attachment === null;
+
     const handleSend = () => {
-        if (!input.trim() && !image) return;
-        onSend(input, image || undefined);
+        if (uploading || (!input.trim() && !image)) return;
+        onSend(input, image?.attachment ?? undefined);
+        setInput("");
+        setImage(null);
+    };
+
+    const handleAnalyzeMeal = () => {
+        if (!image?.attachment || !onAnalyzeMeal) return;
+        onAnalyzeMeal(image.attachment, input);
         setInput("");
         setImage(null);
     };
@@ -40,39 +70,57 @@ export function ChatInput({ onSend, loading }: ChatInputProps) {
         }
     };
 
-    const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const handleFileSelect = async (e: React.ChangeEvent<HTMLInputElement>) => {
         const file = e.target.files?.[0];
-        if (file) {
-            if (file.size > 5 * 1024 * 1024) { // 5MB limit
-                toast.error("Image too large (max 5MB)");
-                return;
-            }
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                setImage(reader.result as string);
-            };
-            reader.readAsDataURL(file);
+        // Allow picking the same file again after removing it
+        e.target.value = "";
+        if (!file) return;
+        if (!IMAGE_TYPES.includes(file.type)) {
+            toast.error("Alleen JPEG, PNG, WebP of GIF afbeeldingen");
+            return;
+        }
+        if (file.size > MAX_IMAGE_BYTES) {
+            toast.error("Afbeelding te groot (max 10 MB)");
+            return;
+        }
+
+        const preview = URL.createObjectURL(file);
+        setImage({ preview, attachment: null });
+        try {
+            const attachment = await onUpload(file);
+            setImage(current => (current?.preview === preview ? { preview, attachment } : current));
+        } catch (err) {
+            toast.error("Uploaden mislukt: " + (err instanceof Error ? err.message : String(err)));
+            setImage(current => (current?.preview === preview ? null : current));
         }
     };
 
     return (
         <div className="flex flex-col gap-2">
             {image && (
-                <div className="relative w-20 h-20">
-                    <img src={image} alt="Preview" className="w-full h-full object-cover rounded-lg border" />
-                    <button
-                        onClick={() => setImage(null)}
-                        className="absolute -top-2 -right-2 bg-destructive text-white rounded-full p-0.5 shadow-sm hover:bg-destructive/90"
-                    >
-                        <X size={12} />
-                    </button>
+                <div className="flex items-end gap-2">
+                    <div className="relative w-20 h-20">
+                        <img src={image.preview} alt="Preview" className={cn("w-full h-full object-cover rounded-lg border", uploading && "opacity-50")} />
+                        {uploading && <Loader2 className="absolute inset-0 m-auto animate-spin text-muted-foreground" size={20} />}
+                        <button
+                            onClick={() => setImage(null)}
+                            className="absolute -top-2 -right-2 bg-destructive text-white rounded-full p-0.5 shadow-sm hover:bg-destructive/90"
+                        >
+                            <X size={12} />
+                        </button>
+                    </div>
+                    {onAnalyzeMeal && (
+                        <Button variant="outline" size="sm" onClick={handleAnalyzeMeal} disabled={loading || uploading}>
+                            <Utensils className="mr-2" size={14} /> Maaltijd analyseren
+                        </Button>
+                    )}
                 </div>
             )}
             <div className="flex items-end gap-2">
                 <div className="relative flex-1">
                     <input
                         type="file"
-                        accept="image/*"
+                        accept={IMAGE_TYPES.join(",")}
                         className="hidden"
                         ref={fileInputRef}
                         onChange={handleFileSelect}
@@ -117,9 +165,15 @@ export function ChatInput({ onSend, loading }: ChatInputProps) {
                         {isListening ? <MicOff size={16} /> : <Mic size={16} />}
                     </Button>
                 </div>
-                <Button onClick={handleSend} disabled={loading} className="shrink-0" variant="hero">
-                    <Send className="mr-2" size={16} /> Stuur
-                </Button>
+                {loading && onStop ? (
+                    <Button onClick={onStop} className="shrink-0" variant="outline">
+                        <Square className="mr-2" size={16} /> Stop
+                    </Button>
+                ) : (
+                    <Button onClick={handleSend} disabled={loading || uploading} className="shrink-0" variant="hero">
+                        <Send className="mr-2" size={16} /> Stuur
+                    </Button>
+                )}
             </div>
         </div>
     );
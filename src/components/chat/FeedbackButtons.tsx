@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { cn } from "@/lib/utils";
+import { ThumbsDown, ThumbsUp } from "lucide-react";
+import { FEEDBACK_REASON_LABELS, type FeedbackReason, type MessageFeedback } from "@/hooks/useChat";
+
+interface FeedbackButtonsProps {
+    feedback?: MessageFeedback | null;
+    onFeedback: (feedback: MessageFeedback | null) => void;
+    disabled?: boolean;
+}
+
+// Thumbs up rates right away; thumbs down asks what was wrong first
+export function FeedbackButtons({ feedback, onFeedback, disabled }: FeedbackButtonsProps) {
+    const [open, setOpen] = useState(false);
+    const [reason, setReason] = useState<FeedbackReason | null>(null);
+    const [comment, setComment] = useState("");
+
+    const openDown = (next: boolean) => {
+        if (next) {
+            setReason(feedback?.rating === "down" ? feedback.reason ?? null : null);
+            setComment(feedback?.rating === "down" ? feedback.comment ?? "" : "");
+        }
+        setOpen(next);
+    };
+
+    const submitDown = () => {
+        onFeedback({ rating: "down", reason, comment: comment.trim() || undefined });
+        setOpen(false);
+    };
+
+    return (
+        <span className="flex items-center">
+            <Button
+                variant="ghost"
+                size="sm"
+                className="h-6 w-6 p-0"
+                disabled={disabled}
+                onClick={() => onFeedback(feedback?.rating === "up" ? null : { rating: "up" })}
+                title="Goed antwoord"
+            >
+                <ThumbsUp size={12} className={cn(feedback?.rating === "up" && "fill-current")} />
+            </Button>
+            <Popover open={open} onOpenChange={openDown}>
+                <PopoverTrigger asChild>
+                    <Button variant="ghost" size="sm" className="h-6 w-6 p-0" disabled={disabled} title="Slecht antwoord">
+                        <ThumbsDown size={12} className={cn(feedback?.rating === "down" && "fill-current")} />
+                    </Button>
+                </PopoverTrigger>
+                <PopoverContent className="space-y-3" align="start">
+                    <p className="text-sm font-medium">Wat ging er mis?</p>
+                    <div className="flex flex-wrap gap-1">
+                        {(Object.keys(FEEDBACK_REASON_LABELS) as FeedbackReason[]).map(key => (
+                            <Button
+                                key={key}
+                                variant={reason === key ? "secondary" : "outline"}
+                                size="sm"
+                                className="h-7 rounded-full text-xs"
+                                onClick={() => setReason(reason === key ? null : key)}
+                            >
+                                {FEEDBACK_REASON_LABELS[key]}
+                            </Button>
+                        ))}
+                    </div>
+                    <Textarea
+                        value={comment}
+                        onChange={e => setComment(e.target.value)}
+                        placeholder="Toelichting (optioneel)"
+                        maxLength={1000}
+                        className="text-sm"
+                    />
+                    <div className="flex justify-between gap-2">
+                        {feedback?.rating === "down" ? (
+                            <Button variant="ghost" size="sm" onClick={() => { onFeedback(null); setOpen(false); }}>
+                                Verwijderen
+                            </Button>
+                        ) : <span />}
+                        <Button size="sm" onClick={submitDown}>Versturen</Button>
+                    </div>
+                </PopoverContent>
+            </Popover>
+        </span>
+    );
+}
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Archive, ArchiveRestore, ArrowDown, ArrowUp, BookMarked, ChevronDown, ChevronRight, FileDown, Pencil, Search, Trash2 } from "lucide-react";
+import { VideoBlock } from "@/components/chat/VideoBlock";
+import { parseBlocks } from "@/hooks/useChat";
+import type { CoachClip } from "@/hooks/useCoachMedia";
+import {
+    LIBRARY_TAG_LABELS,
+    type LibraryFilters, type LibraryItem, type LibraryTag, type LibraryUpdate,
+} from "@/hooks/useLibrary";
+
+interface LibraryPanelProps {
+    items: LibraryItem[];
+    filters: LibraryFilters;
+    onFiltersChange: (filters: LibraryFilters) => void;
+    onUpdate: (id: string, update: LibraryUpdate) => void;
+    onDelete: (id: string) => void;
+    onMove: (id: string, direction: -1 | 1) => void;
+    // Opens the print page for the given items, or the whole library
+    onExport: (itemIds?: string[]) => void;
+    clips: Record<string, CoachClip>;
+    onPlayClip: (key: string) => void;
+}
+
+const TAGS = Object.keys(LIBRARY_TAG_LABELS) as LibraryTag[];
+
+export function LibraryPanel({ items, filters, onFiltersChange, onUpdate, onDelete, onMove, onExport, clips, onPlayClip }: LibraryPanelProps) {
+    const [openId, setOpenId] = useState<string | null>(null);
+    const [editingId, setEditingId] = useState<string | null>(null);
+
+    // Reordering a filtered list would mix up the positions of the items that are hidden
+    const filtered = Boolean(filters.q.trim() || filters.tag);
+    const setFilter = (change: Partial<LibraryFilters>) => onFiltersChange({ ...filters, ...change });
+
+    const handleDelete = (id: string) => {
+        if (!confirm("Dit plan uit je bibliotheek verwijderen?")) return;
+        onDelete(id);
+    };
+
+    return (
+        <div className="rounded-xl border bg-card/50 p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+                <h3 className="text-sm font-semibold text-muted-foreground flex items-center gap-2">
+                    <BookMarked size={14} /> {filters.archived ? "Archief" : "Bibliotheek"}
+                </h3>
+                <div className="flex items-center gap-1">
+                    {!filters.archived && items.length > 0 && (
+                        <Button variant="ghost" size="sm" className="h-7 text-xs text-muted-foreground" onClick={() => onExport()}>
+                            <FileDown size={14} className="mr-1" /> Exporteren
+                        </Button>
+                    )}
+                    <Button variant="ghost" size="sm" className="h-7 text-xs text-muted-foreground" onClick={() => setFilter({ archived: !filters.archived })}>
+                        {filters.archived ? "Terug naar bibliotheek" : "Archief"}
+                    </Button>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <div className="relative flex-1 min-w-[10rem]">
+                    <Search size={14} className="absolute left-2 top-1/2 -translate-y-1/2 text-muted-foreground" />
+                    <Input
+                        value={filters.q}
+                        onChange={e => setFilter({ q: e.target.value })}
+                        placeholder="Zoeken in je plannen"
+                        className="h-8 pl-7 text-sm"
+                    />
+                </div>
+                {TAGS.map(tag => (
+                    <Button
+                        key={tag}
+                        variant={filters.tag === tag ? "secondary" : "outline"}
+                        size="sm"
+                        className="h-7 rounded-full text-xs"
+                        onClick={() => setFilter({ tag: filters.tag === tag ? null : tag })}
+                    >
+                        {LIBRARY_TAG_LABELS[tag]}
+                    </Button>
+                ))}
+            </div>
+
+            {items.length === 0 && (
+                <p className="text-sm text-muted-foreground">
+                    {filtered
+                        ? "Geen plannen gevonden."
+                        : filters.archived
+                            ? "Geen gearchiveerde plannen."
+                            : "Nog niets opgeslagen. Pin een antwoord van je coach om het hier te bewaren."}
+                </p>
+            )}
+
+            <ul className="space-y-2 max-h-[50vh] overflow-y-auto">
+                {items.map((item, index) => (
+                    <li key={item.id} className="rounded-lg border border-primary/30 bg-card p-3">
+                        {editingId === item.id ? (
+                            <LibraryItemForm
+                                item={item}
+                                onCancel={() => setEditingId(null)}
+                                onSave={update => {
+                                    onUpdate(item.id, update);
+                                    setEditingId(null);
+                                }}
+                            />
+                        ) : (
+                            <>
+                                <div className="flex items-start gap-2">
+                                    <button
+                                        className="flex flex-1 items-start gap-1 text-left"
+                                        onClick={() => setOpenId(openId === item.id ? null : item.id)}
+                                    >
+                                        {openId === item.id ? <ChevronDown size={16} className="mt-0.5 shrink-0" /> : <ChevronRight size={16} className="mt-0.5 shrink-0" />}
+                                        <span className="font-medium text-sm">{item.title}</span>
+                                    </button>
+                                    <div className="flex shrink-0">
+                                        {!filtered && (
+                                            <>
+                                                <IconButton title="Omhoog" disabled={index === 0} onClick={() => onMove(item.id, -1)}><ArrowUp size={12} /></IconButton>
+                                                <IconButton title="Omlaag" disabled={index === items.length - 1} onClick={() => onMove(item.id, 1)}><ArrowDown size={12} /></IconButton>
+                                            </>
+                                        )}
+                                        <IconButton title="Bewerken" onClick={() => setEditingId(item.id)}><Pencil size={12} /></IconButton>
+                                        <IconButton title="Exporteren" onClick={() => onExport([item.id])}><FileDown size={12} /></IconButton>
+                                        <IconButton title={item.archived ? "Terugzetten" : "Archiveren"} onClick={() => onUpdate(item.id, { archived: !item.archived })}>
+                                            {item.archived ? <ArchiveRestore size={12} /> : <Archive size={12} />}
+                                        </IconButton>
+                                        <IconButton title="Verwijderen" onClick={() => handleDelete(item.id)}><Trash2 size={12} /></IconButton>
+                                    </div>
+                                </div>
+                                {(item.tags.length > 0 || item.note) && (
+                                    <div className="mt-1 ml-5 flex flex-wrap items-center gap-1">
+                                        {item.tags.map(tag => <Badge key={tag} variant="outline" className="text-[10px]">{LIBRARY_TAG_LABELS[tag]}</Badge>)}
+                                        {item.note && <span className="text-xs italic text-muted-foreground">{item.note}</span>}
+                                    </div>
+                                )}
+                                {openId === item.id && (
+                                    <div className="mt-2 ml-5 space-y-2">
+                                        {parseBlocks(item.content).map((b, i) =>
+                                            b.type === "video" ? (
+                                                <VideoBlock key={i} clip={clips[b.id]} onPlay={onPlayClip} />
+                                            ) : (
+                                                <p key={i} className="whitespace-pre-wrap leading-relaxed text-sm">{b.text}</p>
+                                            )
+                                        )}
+                                    </div>
+                                )}
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+function LibraryItemForm({ item, onSave, onCancel }: { item: LibraryItem; onSave: (update: LibraryUpdate) => void; onCancel: () => void }) {
+    const [title, setTitle] = useState(item.title);
+    const [tags, setTags] = useState<LibraryTag[]>(item.tags);
+    const [note, setNote] = useState(item.note ?? "");
+
+    const toggleTag = (tag: LibraryTag) => setTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+
+    return (
+        <div className="space-y-2">
+            <Input value={title} onChange={e => setTitle(e.target.value)} maxLength={120} className="h-8 text-sm" autoFocus />
+            <div className="flex gap-1">
+                {TAGS.map(tag => (
+                    <Button
+                        key={tag}
+                        variant={tags.includes(tag) ? "secondary" : "outline"}
+                        size="sm"
+                        className="h-7 rounded-full text-xs"
+                        onClick={() => toggleTag(tag)}
+                    >
+                        {LIBRARY_TAG_LABELS[tag]}
+                    </Button>
+                ))}
+            </div>
+            <Textarea value={note} onChange={e => setNote(e.target.value)} placeholder="Notitie (optioneel)" maxLength={1000} className="text-sm" />
+            <div className="flex justify-end gap-2">
+                <Button variant="ghost" size="sm" onClick={onCancel}>Annuleren</Button>
+                <Button size="sm" disabled={!title.trim()} onClick={() => onSave({ title: title.trim(), tags, note: note.trim() || null })}>
+                    Opslaan
+                </Button>
+            </div>
+        </div>
+    );
+}
+
+function IconButton({ title, onClick, disabled, children }: { title: string; onClick: () => void; disabled?: boolean; children: React.ReactNode }) {
+    return (
+        <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title={title} onClick={onClick} disabled={disabled}>
+            {children}
+        </Button>
+    );
+}
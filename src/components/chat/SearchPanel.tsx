@@ -0,0 +1,89 @@
+import React from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Loader2, Search, X } from "lucide-react";
+import type { SearchFilters, SearchResult } from "@/hooks/useSearch";
+
+interface SearchPanelProps {
+    filters: SearchFilters;
+    onFiltersChange: (filters: SearchFilters) => void;
+    results: SearchResult[];
+    // False until the query is long enough to search
+    active: boolean;
+    loading: boolean;
+    hasMore: boolean;
+    onLoadMore: () => void;
+    onOpen: (result: SearchResult) => void;
+}
+
+export function SearchPanel({ filters, onFiltersChange, results, active, loading, hasMore, onLoadMore, onOpen }: SearchPanelProps) {
+    const setFilter = (change: Partial<SearchFilters>) => onFiltersChange({ ...filters, ...change });
+
+    return (
+        <div className="rounded-xl border bg-card/50 p-4 space-y-2">
+            <div className="relative">
+                <Search size={14} className="absolute left-2 top-1/2 -translate-y-1/2 text-muted-foreground" />
+                <Input
+                    value={filters.q}
+                    onChange={e => setFilter({ q: e.target.value })}
+                    placeholder="Zoeken in gesprekken"
+                    className="h-8 pl-7 pr-7 text-sm"
+                />
+                {filters.q && (
+                    <button
+                        className="absolute right-2 top-1/2 -translate-y-1/2 text-muted-foreground hover:text-foreground"
+                        title="Wissen"
+                        onClick={() => onFiltersChange({ q: "", from: "", to: "" })}
+                    >
+                        <X size={14} />
+                    </button>
+                )}
+            </div>
+
+            {active && (
+                <>
+                    <div className="flex items-center gap-1 text-xs text-muted-foreground">
+                        <span>Van</span>
+                        <Input type="date" value={filters.from} max={filters.to || undefined} onChange={e => setFilter({ from: e.target.value })} className="h-7 px-1 text-xs" />
+                        <span>tot</span>
+                        <Input type="date" value={filters.to} min={filters.from || undefined} onChange={e => setFilter({ to: e.target.value })} className="h-7 px-1 text-xs" />
+                    </div>
+
+                    {!loading && results.length === 0 && <p className="text-sm text-muted-foreground">Niets gevonden.</p>}
+
+                    <ul className="space-y-1 max-h-[40vh] overflow-y-auto">
+                        {results.map(result => (
+                            <li key={result.messageId}>
+                                <button
+                                    className="w-full rounded-md px-2 py-1 text-left text-sm hover:bg-muted/40"
+                                    onClick={() => onOpen(result)}
+                                >
+                                    <span className="block text-xs text-muted-foreground truncate">
+                                        {result.conversationTitle} · {result.role === "assistant" ? "Coach" : "Jij"} ·{" "}
+                                        {new Date(result.createdAt).toLocaleDateString("nl-NL", { dateStyle: "medium" })}
+                                    </span>
+                                    <span className="line-clamp-3">
+                                        {result.snippet.map((segment, i) => segment.match
+                                            ? <mark key={i} className="rounded-sm bg-primary/30 text-foreground">{segment.text}</mark>
+                                            : <React.Fragment key={i}>{segment.text}</React.Fragment>)}
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    {loading && (
+                        <p className="text-xs text-muted-foreground flex items-center gap-2">
+                            <Loader2 size={12} className="animate-spin" /> Zoeken...
+                        </p>
+                    )}
+                    {hasMore && !loading && (
+                        <Button variant="ghost" size="sm" className="h-7 w-full text-xs text-muted-foreground" onClick={onLoadMore}>
+                            Meer resultaten
+                        </Button>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
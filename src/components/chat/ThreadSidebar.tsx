@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { cn } from "@/lib/utils";
+import { Archive, ArchiveRestore, Check, FileDown, MessageSquarePlus, Pencil, Trash2, X } from "lucide-react";
+import type { Conversation } from "@/hooks/useChat";
+
+interface ThreadSidebarProps {
+    conversations: Conversation[];
+    archivedConversations: Conversation[];
+    activeId: string | null;
+    disabled?: boolean;
+    onSelect: (id: string) => void;
+    onNew: () => void;
+    onRename: (id: string, title: string) => void;
+    onArchive: (id: string, archived: boolean) => void;
+    onDelete: (id: string) => void;
+    onExport?: (id: string) => void;
+}
+
+export function ThreadSidebar({
+    conversations,
+    archivedConversations,
+    activeId,
+    disabled,
+    onSelect,
+    onNew,
+    onRename,
+    onArchive,
+    onDelete,
+    onExport,
+}: ThreadSidebarProps) {
+    const [showArchived, setShowArchived] = useState(false);
+    const [editingId, setEditingId] = useState<string | null>(null);
+    const [draftTitle, setDraftTitle] = useState("");
+
+    const list = showArchived ? archivedConversations : conversations;
+
+    const startRename = (c: Conversation) => {
+        setEditingId(c.id);
+        setDraftTitle(c.title);
+    };
+
+    const commitRename = () => {
+        if (editingId && draftTitle.trim()) onRename(editingId, draftTitle.trim());
+        setEditingId(null);
+    };
+
+    const handleDelete = (id: string) => {
+        if (!confirm("Dit gesprek definitief verwijderen?")) return;
+        onDelete(id);
+    };
+
+    return (
+        <div className="rounded-xl border bg-card/50 p-4">
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="font-semibold">Gesprekken</h3>
+                <Button variant="ghost" size="sm" onClick={onNew} disabled={disabled} title="Nieuw gesprek" className="h-7 w-7 p-0">
+                    <MessageSquarePlus size={16} />
+                </Button>
+            </div>
+
+            <ul className="space-y-1 max-h-[40vh] overflow-y-auto">
+                {list.length === 0 && (
+                    <li className="text-sm text-muted-foreground">
+                        {showArchived ? "Geen gearchiveerde gesprekken." : "Nog geen gesprekken."}
+                    </li>
+                )}
+                {list.map(c => (
+                    <li
+                        key={c.id}
+                        className={cn(
+                            "group flex items-center gap-1 rounded-md px-2 py-1 text-sm",
+                            c.id === activeId ? "bg-primary/10 text-foreground" : "text-muted-foreground hover:bg-muted/40"
+                        )}
+                    >
+                        {editingId === c.id ? (
+                            <>
+                                <Input
+                                    value={draftTitle}
+                                    onChange={e => setDraftTitle(e.target.value)}
+                                    onKeyDown={e => {
+                                        if (e.key === "Enter") commitRename();
+                                        if (e.key === "Escape") setEditingId(null);
+                                    }}
+                                    className="h-7 text-xs"
+                                    autoFocus
+                                />
+                                <IconButton title="Opslaan" onClick={commitRename}><Check size={14} /></IconButton>
+                                <IconButton title="Annuleren" onClick={() => setEditingId(null)}><X size={14} /></IconButton>
+                            </>
+                        ) : (
+                            <>
+                                <button
+                                    className="flex-1 truncate text-left disabled:opacity-50"
+                                    onClick={() => onSelect(c.id)}
+                                    disabled={disabled}
+                                    title={c.title}
+                                >
+                                    {c.title}
+                                </button>
+                                <div className="flex opacity-0 group-hover:opacity-100 transition-opacity">
+                                    <IconButton title="Hernoemen" onClick={() => startRename(c)}><Pencil size={12} /></IconButton>
+                                    {onExport && <IconButton title="Exporteren" onClick={() => onExport(c.id)}><FileDown size={12} /></IconButton>}
+                                    <IconButton title={c.archived ? "Terugzetten" : "Archiveren"} onClick={() => onArchive(c.id, !c.archived)}>
+                                        {c.archived ? <ArchiveRestore size={12} /> : <Archive size={12} />}
+                                    </IconButton>
+                                    <IconButton title="Verwijderen" onClick={() => handleDelete(c.id)}><Trash2 size={12} /></IconButton>
+                                </div>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            <Button
+                variant="link"
+                size="sm"
+                className="mt-2 h-auto p-0 text-xs text-muted-foreground"
+                onClick={() => setShowArchived(v => !v)}
+            >
+                {showArchived ? "Terug naar gesprekken" : `Archief (${archivedConversations.length})`}
+            </Button>
+        </div>
+    );
+}
+
+function IconButton({ title, onClick, children }: { title: string; onClick: () => void; children: React.ReactNode }) {
+    return (
+        <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title={title} onClick={onClick}>
+            {children}
+        </Button>
+    );
+}
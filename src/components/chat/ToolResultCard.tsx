@@ -0,0 +1,74 @@
+import { CheckCircle2, XCircle, Scale, LineChart, Save, UserCog, Dumbbell } from "lucide-react";
+import { cn } from "@/lib/utils";
+import type { ToolResult } from "@/hooks/useChat";
+import { fromCanonical, type WeightUnit } from "@/lib/units";
+
+type Result = Record<string, unknown>;
+
+const TOOL_LABELS: Record<string, { title: string; icon: typeof Scale; describe: (r: Result, weightUnit: WeightUnit) => string }> = {
+    log_weight: {
+        title: "Gewicht gelogd",
+        icon: Scale,
+        describe: (r) => {
+            // In the unit the user gave; results from before unit support are in kg
+            const logged = r.logged as { date: string; weight: number; unit?: string } | undefined;
+            return logged ? `${logged.weight} ${logged.unit ?? 'kg'} op ${logged.date}` : "";
+        },
+    },
+    get_progress_summary: {
+        title: "Progressie bekeken",
+        icon: LineChart,
+        describe: (r, weightUnit) => {
+            const latest = r.latest as { weight: number } | undefined;
+            if (!latest) return "Nog geen metingen";
+            // Results name their unit; ones from before unit support are in kg
+            const weight = r.unit ? `${latest.weight} ${r.unit}` : `${fromCanonical(latest.weight, weightUnit)} ${weightUnit}`;
+            return `${r.entries} metingen, laatste ${weight}`;
+        },
+    },
+    save_plan: {
+        title: "Plan opgeslagen in je bibliotheek",
+        icon: Save,
+        describe: (r) => String(r.title ?? ""),
+    },
+    log_workout: {
+        title: "Workout gelogd",
+        icon: Dumbbell,
+        describe: (r) => {
+            const logged = r.logged as { date: string; sets: number } | undefined;
+            const prs = (r.prs as { exercise: string }[] | undefined) ?? [];
+            if (!logged) return "";
+            return `${logged.sets} sets op ${logged.date}${prs.length > 0 ? ` · PR: ${prs.map(p => p.exercise).join(', ')}` : ''}`;
+        },
+    },
+    get_workout_summary: {
+        title: "Trainingslog bekeken",
+        icon: Dumbbell,
+        describe: () => "",
+    },
+    get_profile: {
+        title: "Profiel bekeken",
+        icon: UserCog,
+        describe: () => "",
+    },
+};
+
+export function ToolResultCard({ tool, weightUnit = 'kg' }: { tool: ToolResult; weightUnit?: WeightUnit }) {
+    const label = TOOL_LABELS[tool.name];
+    const Icon = label?.icon ?? CheckCircle2;
+    const detail = tool.ok ? label?.describe(tool.result, weightUnit) : String(tool.result.error ?? "");
+
+    return (
+        <div className={cn(
+            "flex items-center gap-3 rounded-md border px-3 py-2 text-xs",
+            tool.ok ? "border-primary/30 bg-primary/5" : "border-destructive/40 bg-destructive/5"
+        )}>
+            <Icon size={16} className={tool.ok ? "text-primary" : "text-destructive"} />
+            <div className="flex-1">
+                <div className="font-semibold">{tool.ok ? (label?.title ?? tool.name) : "Actie mislukt"}</div>
+                {detail && <div className="text-muted-foreground">{detail}</div>}
+            </div>
+            {tool.ok ? <CheckCircle2 size={14} className="text-primary" /> : <XCircle size={14} className="text-destructive" />}
+        </div>
+    );
+}
@@ -1,25 +1,46 @@
-import React from 'react';
-import { Video } from 'lucide-react';
-import { coachMedia } from '@/lib/coachMedia';
+import { useState } from 'react';
+import { Video, Play } from 'lucide-react';
+import type { CoachClip } from '@/hooks/useCoachMedia';
+
+interface VideoBlockProps {
+    clip: CoachClip | undefined;
+    // Called once, when the user starts the video
+    onPlay: (key: string) => void;
+}
+
+export function VideoBlock({ clip, onPlay }: VideoBlockProps) {
+    const [started, setStarted] = useState(false);
+    // Tags for clips that were removed from the library, or never existed
+    if (!clip) return null;
+
+    const start = () => {
+        if (started) return;
+        setStarted(true);
+        onPlay(clip.key);
+    };
 
-export function VideoBlock({ id }: { id: string }) {
-    const media = coachMedia[id as keyof typeof coachMedia];
-    if (!media || !media.youtubeId) return null;
     return (
         <div className="my-2">
-            <div className="mb-1 flex items-center gap-2 text-xs text-muted-foreground"><Video size={14} /> Coach video: {media.title}</div>
-            {media.type === 'youtube' && (
-                <div className="aspect-video w-full rounded-lg overflow-hidden border">
+            <div className="mb-1 flex items-center gap-2 text-xs text-muted-foreground"><Video size={14} /> Coach video: {clip.title}</div>
+            <div className="aspect-video w-full rounded-lg overflow-hidden border bg-muted">
+                {clip.provider === 'file' ? (
+                    <video className="w-full h-full" src={clip.url} controls preload="metadata" onPlay={start} />
+                ) : started ? (
                     <iframe
                         className="w-full h-full"
-                        src={`https://www.youtube.com/embed/${media.youtubeId}`}
-                        title={media.title}
+                        src={`${clip.url}?autoplay=1`}
+                        title={clip.title}
                         allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
                         referrerPolicy="strict-origin-when-cross-origin"
                         allowFullScreen
                     />
-                </div>
-            )}
+                ) : (
+                    // The player only loads on click, so the view is counted when it is actually watched
+                    <button onClick={start} className="w-full h-full flex items-center justify-center gap-2 text-sm text-muted-foreground hover:text-foreground">
+                        <Play size={20} /> Afspelen
+                    </button>
+                )}
+            </div>
         </div>
     );
 }
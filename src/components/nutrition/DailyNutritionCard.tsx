@@ -0,0 +1,39 @@
+import { Progress } from "@/components/ui/progress";
+import { cn } from "@/lib/utils";
+import type { DaySummary, Macros } from "@/hooks/useNutrition";
+import { fromCanonical, type EnergyUnit } from "@/lib/units";
+
+const ROWS: { key: keyof Macros; label: string; unit: string }[] = [
+    { key: 'kcal', label: 'Calorieën', unit: 'kcal' },
+    { key: 'proteinG', label: 'Eiwit', unit: 'g' },
+    { key: 'carbsG', label: 'Koolhydraten', unit: 'g' },
+    { key: 'fatG', label: 'Vet', unit: 'g' },
+];
+
+// Today's totals against the targets from the coaching profile; energy in kcal or kJ
+export function DailyNutritionCard({ summary, energyUnit = 'kcal' }: { summary: DaySummary; energyUnit?: EnergyUnit }) {
+    return (
+        <div className="space-y-3">
+            {ROWS.map(({ key, label, unit: rowUnit }) => {
+                const unit = key === 'kcal' ? energyUnit : rowUnit;
+                const total = fromCanonical(summary.totals[key], unit);
+                const target = summary.targets?.[key] == null ? null : fromCanonical(summary.targets[key], unit);
+                const over = target !== null && total > target;
+                return (
+                    <div key={key} className="space-y-1">
+                        <div className="flex justify-between text-sm">
+                            <span className="text-muted-foreground">{label}</span>
+                            <span className={cn("font-bold", over && "text-destructive")}>
+                                {total}{target !== null ? ` / ${target}` : ''} {unit}
+                            </span>
+                        </div>
+                        {target !== null && <Progress value={Math.min(100, (total / target) * 100)} className="h-2" />}
+                    </div>
+                );
+            })}
+            {!summary.targets && (
+                <p className="text-xs text-muted-foreground">Stel je dagdoelen in bij je profiel om je totalen te vergelijken.</p>
+            )}
+        </div>
+    );
+}
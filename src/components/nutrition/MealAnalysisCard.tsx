@@ -0,0 +1,143 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Plus, Trash2, Utensils, X } from "lucide-react";
+import { MEAL_TYPE_LABELS, type MealAnalysis, type MealDraft, type MealItem, type MealType } from "@/hooks/useNutrition";
+import { fromCanonical, toCanonical, type EnergyUnit } from "@/lib/units";
+
+type ItemForm = Record<keyof MealItem, string>;
+
+const NUMBER_COLUMNS: { key: Exclude<keyof MealItem, 'name'>; label: string }[] = [
+    { key: 'grams', label: 'g' },
+    { key: 'kcal', label: 'kcal' },
+    { key: 'proteinG', label: 'E' },
+    { key: 'carbsG', label: 'K' },
+    { key: 'fatG', label: 'V' },
+];
+
+const EMPTY_ITEM: ItemForm = { name: "", grams: "", kcal: "", proteinG: "", carbsG: "", fatG: "" };
+
+// The kcal column holds energy in the user's unit
+function toItemForm(item: MealItem, energyUnit: EnergyUnit): ItemForm {
+    return {
+        name: item.name,
+        grams: item.grams === null ? "" : String(item.grams),
+        kcal: String(fromCanonical(item.kcal, energyUnit)),
+        proteinG: String(item.proteinG),
+        carbsG: String(item.carbsG),
+        fatG: String(item.fatG),
+    };
+}
+
+// NaN is sent as null, which the server rejects with a message naming the field
+const toNumber = (value: string) => (value.trim() === "" ? NaN : Number(value.replace(',', '.')));
+const parse = (value: string) => toNumber(value) || 0;
+
+interface MealAnalysisCardProps {
+    analysis: MealAnalysis;
+    saving: boolean;
+    onSave: (meal: MealDraft) => void;
+    onCancel: () => void;
+    energyUnit?: EnergyUnit;
+}
+
+// The model's estimate, for the user to check and correct before it is logged
+export function MealAnalysisCard({ analysis, saving, onSave, onCancel, energyUnit = 'kcal' }: MealAnalysisCardProps) {
+    const [description, setDescription] = useState(analysis.description);
+    const [mealType, setMealType] = useState<MealType | "">(analysis.mealType ?? "");
+    const [items, setItems] = useState<ItemForm[]>(() =>
+        analysis.items.length > 0 ? analysis.items.map(item => toItemForm(item, energyUnit)) : [EMPTY_ITEM]
+    );
+
+    const setItem = (index: number, key: keyof MealItem, value: string) =>
+        setItems(prev => prev.map((item, i) => (i === index ? { ...item, [key]: value } : item)));
+
+    const kcal = Math.round(items.reduce((sum, item) => sum + parse(item.kcal), 0));
+    const macro = (key: 'proteinG' | 'carbsG' | 'fatG') =>
+        Math.round(items.reduce((sum, item) => sum + parse(item[key]), 0) * 10) / 10;
+
+    const handleSave = () => {
+        onSave({
+            mealType: mealType || null,
+            description: description.trim() || undefined,
+            attachmentId: analysis.attachmentId,
+            items: items
+                .filter(item => item.name.trim())
+                .map(item => ({
+                    name: item.name,
+                    grams: item.grams.trim() === "" ? null : toNumber(item.grams),
+                    kcal: toCanonical(toNumber(item.kcal), energyUnit),
+                    proteinG: toNumber(item.proteinG),
+                    carbsG: toNumber(item.carbsG),
+                    fatG: toNumber(item.fatG),
+                })),
+        });
+    };
+
+    return (
+        <div className="rounded-xl border border-primary/30 bg-card p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+                <h3 className="font-semibold flex items-center gap-2"><Utensils size={16} className="text-primary" /> Maaltijd controleren</h3>
+                <Button variant="ghost" size="sm" className="h-6 w-6 p-0" onClick={onCancel} disabled={saving}>
+                    <X size={14} />
+                </Button>
+            </div>
+            <p className="text-xs text-muted-foreground">Dit is een schatting. Pas de hoeveelheden aan waar nodig en sla daarna op.</p>
+
+            <div className="flex flex-col gap-2 sm:flex-row">
+                <Input value={description} onChange={e => setDescription(e.target.value)} placeholder="Omschrijving" className="flex-1" />
+                <Select value={mealType || undefined} onValueChange={value => setMealType(value as MealType)}>
+                    <SelectTrigger className="sm:w-40"><SelectValue placeholder="Maaltijd" /></SelectTrigger>
+                    <SelectContent>
+                        {(Object.keys(MEAL_TYPE_LABELS) as MealType[]).map(type => (
+                            <SelectItem key={type} value={type}>{MEAL_TYPE_LABELS[type]}</SelectItem>
+                        ))}
+                    </SelectContent>
+                </Select>
+            </div>
+
+            <div className="space-y-2">
+                <div className="grid grid-cols-[1fr_repeat(5,3.5rem)_2rem] gap-1 text-xs text-muted-foreground">
+                    <span>Product</span>
+                    {NUMBER_COLUMNS.map(c => <span key={c.key}>{c.key === 'kcal' ? energyUnit : c.label}</span>)}
+                    <span />
+                </div>
+                {items.map((item, index) => (
+                    <div key={index} className="grid grid-cols-[1fr_repeat(5,3.5rem)_2rem] gap-1">
+                        <Input value={item.name} onChange={e => setItem(index, 'name', e.target.value)} className="h-8 text-sm" />
+                        {NUMBER_COLUMNS.map(c => (
+                            <Input
+                                key={c.key}
+                                inputMode="decimal"
+                                value={item[c.key]}
+                                onChange={e => setItem(index, c.key, e.target.value)}
+                                className="h-8 px-2 text-sm"
+                            />
+                        ))}
+                        <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-8 w-8 p-0"
+                            onClick={() => setItems(prev => prev.filter((_, i) => i !== index))}
+                            disabled={items.length === 1}
+                        >
+                            <Trash2 size={14} />
+                        </Button>
+                    </div>
+                ))}
+                <Button variant="outline" size="sm" onClick={() => setItems(prev => [...prev, EMPTY_ITEM])}>
+                    <Plus size={14} className="mr-1" /> Product toevoegen
+                </Button>
+            </div>
+
+            <div className="flex items-center justify-between gap-2 border-t pt-3">
+                <span className="text-sm">
+                    <span className="font-bold">{kcal} {energyUnit}</span>
+                    <span className="text-muted-foreground"> · E {macro('proteinG')} g · K {macro('carbsG')} g · V {macro('fatG')} g</span>
+                </span>
+                <Button onClick={handleSave} disabled={saving} variant="hero" size="sm">Opslaan in voedingslog</Button>
+            </div>
+        </div>
+    );
+}
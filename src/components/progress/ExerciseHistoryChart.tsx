@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import type { ExerciseHistoryEntry, ExerciseSummary } from "@/hooks/useWorkouts";
+import { fromCanonical, type WeightUnit } from "@/lib/units";
+
+interface ExerciseHistoryChartProps {
+    exercises: ExerciseSummary[];
+    loadHistory: (exercise: string) => Promise<ExerciseHistoryEntry[]>;
+    // Changes whenever the log does, so the chart reloads
+    version: number;
+    weightUnit: WeightUnit;
+}
+
+function formatDay(time: number) {
+    return new Date(time).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: '2-digit' });
+}
+
+interface DotProps {
+    cx?: number;
+    cy?: number;
+    payload?: { pr: boolean };
+}
+
+// PR sessions stand out on the line
+function PrDot({ cx, cy, payload }: DotProps) {
+    if (cx === undefined || cy === undefined) return null;
+    return payload?.pr
+        ? <circle cx={cx} cy={cy} r={6} fill="hsl(var(--primary))" stroke="hsl(var(--background))" strokeWidth={2} />
+        : <circle cx={cx} cy={cy} r={3} fill="hsl(var(--primary))" />;
+}
+
+export function ExerciseHistoryChart({ exercises, loadHistory, version, weightUnit }: ExerciseHistoryChartProps) {
+    const [selected, setSelected] = useState<string | null>(null);
+    const [history, setHistory] = useState<ExerciseHistoryEntry[]>([]);
+
+    // Most recently trained exercise with an estimate, until the user picks one
+    const key = selected ?? exercises.find(e => e.best)?.key ?? exercises[0]?.key ?? null;
+    const exercise = exercises.find(e => e.key === key);
+
+    useEffect(() => {
+        if (!key) return;
+        loadHistory(key).then(setHistory).catch(e => console.error("Failed to load exercise history", e));
+    }, [key, loadHistory, version]);
+
+    if (exercises.length === 0) return <p className="text-sm text-muted-foreground">Log een workout om je krachtprogressie te zien.</p>;
+
+    const weight = (kg: number) => fromCanonical(kg, weightUnit);
+    const data = history
+        .filter(h => h.e1rm !== null)
+        .map(h => ({ time: new Date(h.performedAt).getTime(), e1rm: weight(h.e1rm ?? 0), volume: h.volume, pr: h.pr, topSet: h.topSet }));
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center gap-4">
+                <Select value={key ?? undefined} onValueChange={setSelected}>
+                    <SelectTrigger className="w-56">
+                        <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {exercises.map(e => <SelectItem key={e.key} value={e.key}>{e.exercise}</SelectItem>)}
+                    </SelectContent>
+                </Select>
+                {exercise?.best && (
+                    <span className="text-sm text-muted-foreground">
+                        Beste: <span className="font-semibold text-foreground">{weight(exercise.best.weightKg)} {weightUnit} × {exercise.best.reps}</span> (e1RM {weight(exercise.best.e1rm)} {weightUnit})
+                    </span>
+                )}
+            </div>
+            <div className="h-[260px]">
+                {data.length > 0 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                            <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+                            <XAxis
+                                dataKey="time"
+                                type="number"
+                                scale="time"
+                                domain={['dataMin', 'dataMax']}
+                                tickFormatter={formatDay}
+                                stroke="#888888"
+                                fontSize={12}
+                                tickLine={false}
+                                axisLine={false}
+                            />
+                            <YAxis stroke="#888888" fontSize={12} tickLine={false} axisLine={false} domain={['auto', 'auto']} />
+                            <Tooltip
+                                labelFormatter={(time) => formatDay(Number(time))}
+                                formatter={(value, _name, item) => {
+                                    const top = item.payload.topSet;
+                                    return [`${value} ${weightUnit}${top ? ` (${weight(top.weightKg)} ${weightUnit} × ${top.reps})` : ''}${item.payload.pr ? ' — PR!' : ''}`, 'e1RM'];
+                                }}
+                                contentStyle={{ backgroundColor: 'hsl(var(--card))', borderColor: 'hsl(var(--border))', borderRadius: '8px' }}
+                                itemStyle={{ color: 'hsl(var(--foreground))' }}
+                            />
+                            <Line type="monotone" dataKey="e1rm" stroke="hsl(var(--primary))" strokeWidth={2} dot={<PrDot />} activeDot={{ r: 6 }} />
+                        </LineChart>
+                    </ResponsiveContainer>
+                ) : (
+                    <div className="h-full flex items-center justify-center text-sm text-muted-foreground">
+                        Geen sets met gewicht voor deze oefening.
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
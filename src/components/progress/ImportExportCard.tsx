@@ -0,0 +1,270 @@
+import React, { useRef, useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Download, RefreshCw, Upload } from "lucide-react";
+import { MEASUREMENT_LABELS, measurementUnit, type MeasurementType } from "@/hooks/useMeasurements";
+import {
+    useProgressTransfer, IMPORT_SOURCE_LABELS, EXPORT_DATASET_LABELS,
+    type DateOrder, type ExportDataset, type ImportMapping, type ImportPreview,
+} from "@/hooks/useProgressTransfer";
+import type { UnitPreferences } from "@/lib/units";
+import { toast } from "sonner";
+
+interface ImportExportCardProps {
+    // Columns newly mapped start out in these units
+    units: UnitPreferences;
+    // Reloads the measurements after an import
+    onImported: () => Promise<void>;
+}
+
+// Select items cannot have an empty value
+const NONE = '__none';
+
+// Units a column of each type may be in, as in server/units.js
+const TYPE_UNITS: Record<MeasurementType, string[]> = {
+    weight: ['kg', 'lb'],
+    bodyFat: ['%'],
+    waist: ['cm', 'in'],
+    hips: ['cm', 'in'],
+    chest: ['cm', 'in'],
+    arm: ['cm', 'in'],
+    thigh: ['cm', 'in'],
+};
+
+const DATE_ORDER_LABELS: Record<DateOrder, string> = {
+    dmy: 'Dag-maand-jaar (31-01-2026)',
+    mdy: 'Maand-dag-jaar (01/31/2026)',
+};
+
+function formatMoment(iso: string) {
+    return new Date(iso).toLocaleString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+const errorText = (e: unknown) => (e instanceof Error ? e.message : String(e));
+
+export function ImportExportCard({ units, onImported }: ImportExportCardProps) {
+    const { previewImport, runImport, downloadExport } = useProgressTransfer();
+    const inputRef = useRef<HTMLInputElement>(null);
+    const [file, setFile] = useState<File | null>(null);
+    const [preview, setPreview] = useState<ImportPreview | null>(null);
+    const [mapping, setMapping] = useState<ImportMapping | null>(null);
+    // The mapping changed since the preview was made
+    const [dirty, setDirty] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    const reset = () => {
+        setFile(null);
+        setPreview(null);
+        setMapping(null);
+        setDirty(false);
+        if (inputRef.current) inputRef.current.value = '';
+    };
+
+    const loadPreview = async (selected: File, withMapping?: ImportMapping) => {
+        setBusy(true);
+        try {
+            const result = await previewImport(selected, withMapping);
+            setPreview(result);
+            setMapping(result.mapping);
+            setDirty(false);
+        } catch (e) {
+            toast.error("Bestand kon niet gelezen worden: " + errorText(e));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleFile = (e: React.ChangeEvent<HTMLInputElement>) => {
+        const selected = e.target.files?.[0];
+        if (!selected) return;
+        setFile(selected);
+        loadPreview(selected);
+    };
+
+    const updateMapping = (update: Partial<ImportMapping>) => {
+        if (!mapping) return;
+        setMapping({ ...mapping, ...update });
+        setDirty(true);
+    };
+
+    const setColumn = (type: MeasurementType, column: string) => {
+        if (!mapping) return;
+        const columns = { ...mapping.columns };
+        if (column === NONE) delete columns[type];
+        else columns[type] = column;
+        updateMapping({ columns, units: { [type]: measurementUnit(type, units), ...mapping.units } });
+    };
+
+    const handleImport = async () => {
+        if (!file || !mapping) return;
+        setBusy(true);
+        try {
+            const { imported, duplicates, invalid } = await runImport(file, mapping);
+            await onImported();
+            toast.success(`${imported} metingen geïmporteerd` + (duplicates > 0 ? `, ${duplicates} al gelogd` : '') + (invalid > 0 ? `, ${invalid} overgeslagen` : ''));
+            reset();
+        } catch (e) {
+            toast.error("Importeren mislukt: " + errorText(e));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleExport = async (format: 'csv' | 'json', dataset?: ExportDataset) => {
+        try {
+            await downloadExport(format, dataset);
+        } catch (e) {
+            toast.error("Exporteren mislukt: " + errorText(e));
+        }
+    };
+
+    const mappedTypes = mapping ? Object.keys(mapping.columns).length : 0;
+
+    return (
+        <div className="space-y-6">
+            <div className="space-y-2">
+                <Label>Exporteren</Label>
+                <div className="flex flex-wrap gap-2">
+                    {(Object.keys(EXPORT_DATASET_LABELS) as ExportDataset[]).map(dataset => (
+                        <Button key={dataset} variant="outline" size="sm" onClick={() => handleExport('csv', dataset)}>
+                            <Download className="mr-2" size={14} /> {EXPORT_DATASET_LABELS[dataset]} (CSV)
+                        </Button>
+                    ))}
+                    <Button variant="outline" size="sm" onClick={() => handleExport('json')}>
+                        <Download className="mr-2" size={14} /> Alles (JSON)
+                    </Button>
+                </div>
+            </div>
+
+            <div className="space-y-2">
+                <Label htmlFor="progress-import">Importeren</Label>
+                <p className="text-sm text-muted-foreground">
+                    Een CSV-bestand (bijvoorbeeld van Google Fit, Withings of Renpho, tot 50 MB) of export.xml uit de export van Apple Gezondheid.
+                    Pak export.zip eerst uit; export.xml mag tot 4 GB zijn, alleen gewicht, vetpercentage en taille worden gelezen.
+                    Je ziet eerst wat er geïmporteerd wordt; metingen die je al hebt worden overgeslagen.
+                </p>
+                <Input id="progress-import" ref={inputRef} type="file" accept=".csv,.txt,.xml,text/csv,text/xml" onChange={handleFile} disabled={busy} />
+            </div>
+
+            {preview && mapping && (
+                <div className="space-y-4 rounded-md border p-4">
+                    <p className="text-sm">
+                        Herkend als <span className="font-medium">{IMPORT_SOURCE_LABELS[preview.source]}</span> met {preview.counts.rows} rijen.
+                    </p>
+                    <div className="overflow-x-auto">
+                        <table className="text-xs">
+                            <thead>
+                                <tr>{preview.columns.map(column => <th key={column} className="px-2 py-1 text-left font-medium whitespace-nowrap">{column}</th>)}</tr>
+                            </thead>
+                            <tbody className="text-muted-foreground">
+                                {preview.sample.slice(0, 5).map((row, i) => (
+                                    <tr key={i}>{preview.columns.map((column, j) => <td key={column} className="px-2 py-1 whitespace-nowrap">{row[j]}</td>)}</tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <div className="space-y-1">
+                            <Label>Kolom met de datum</Label>
+                            <Select value={mapping.date} onValueChange={(date) => updateMapping({ date })}>
+                                <SelectTrigger><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    {preview.columns.map(column => <SelectItem key={column} value={column}>{column}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-1">
+                            <Label>Notatie van de datum</Label>
+                            <Select value={mapping.dateOrder} onValueChange={(dateOrder) => updateMapping({ dateOrder: dateOrder as DateOrder })}>
+                                <SelectTrigger><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    {(Object.keys(DATE_ORDER_LABELS) as DateOrder[]).map(order => (
+                                        <SelectItem key={order} value={order}>{DATE_ORDER_LABELS[order]}</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        {(Object.keys(MEASUREMENT_LABELS) as MeasurementType[]).map(type => (
+                            <div key={type} className="space-y-1">
+                                <Label>{MEASUREMENT_LABELS[type]}</Label>
+                                <div className="flex gap-2">
+                                    <Select value={mapping.columns[type] ?? NONE} onValueChange={(column) => setColumn(type, column)}>
+                                        <SelectTrigger><SelectValue /></SelectTrigger>
+                                        <SelectContent>
+                                            <SelectItem value={NONE}>Niet importeren</SelectItem>
+                                            {preview.columns.map(column => <SelectItem key={column} value={column}>{column}</SelectItem>)}
+                                        </SelectContent>
+                                    </Select>
+                                    {mapping.columns[type] && TYPE_UNITS[type].length > 1 && (
+                                        <Select
+                                            value={mapping.units[type] ?? measurementUnit(type, units)}
+                                            onValueChange={(unit) => updateMapping({ units: { ...mapping.units, [type]: unit } })}
+                                        >
+                                            <SelectTrigger className="w-20"><SelectValue /></SelectTrigger>
+                                            <SelectContent>
+                                                {TYPE_UNITS[type].map(unit => <SelectItem key={unit} value={unit}>{unit}</SelectItem>)}
+                                            </SelectContent>
+                                        </Select>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                        <div className="space-y-1">
+                            <Label>Notitie</Label>
+                            <Select value={mapping.note ?? NONE} onValueChange={(note) => updateMapping({ note: note === NONE ? null : note })}>
+                                <SelectTrigger><SelectValue /></SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value={NONE}>Geen</SelectItem>
+                                    {preview.columns.map(column => <SelectItem key={column} value={column}>{column}</SelectItem>)}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                    </div>
+                    <p className="text-xs text-muted-foreground">Een eenheid in de cel zelf ("82,4 kg") gaat voor de gekozen eenheid.</p>
+
+                    {dirty ? (
+                        <Button variant="outline" onClick={() => file && loadPreview(file, mapping)} disabled={busy || mappedTypes === 0}>
+                            <RefreshCw className="mr-2" size={16} /> Voorbeeld bijwerken
+                        </Button>
+                    ) : (
+                        <>
+                            <p className="text-sm">
+                                <span className="font-semibold">{preview.counts.new}</span> nieuwe metingen,{' '}
+                                {preview.counts.duplicates} al gelogd, {preview.counts.invalid} niet leesbaar.
+                            </p>
+                            {preview.measurements.length > 0 && (
+                                <ul className="space-y-1 max-h-64 overflow-y-auto text-sm">
+                                    {preview.measurements.map(m => (
+                                        <li key={`${m.row}-${m.type}`} className={`flex items-center justify-between gap-2 rounded-md border px-3 py-1.5 ${m.duplicate ? 'text-muted-foreground line-through' : ''}`}>
+                                            <span>{formatMoment(m.measuredAt)}</span>
+                                            <span>{MEASUREMENT_LABELS[m.type]}: <span className="font-medium">{m.value} {m.unit}</span></span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {preview.errors.length > 0 && (
+                                <details className="text-sm">
+                                    <summary className="cursor-pointer text-muted-foreground">Rijen die niet gelezen konden worden</summary>
+                                    <ul className="mt-2 space-y-1 text-xs text-muted-foreground">
+                                        {preview.errors.map((error, i) => (
+                                            <li key={i}>Rij {error.row}{error.type ? ` (${MEASUREMENT_LABELS[error.type]})` : ''}: {error.message}</li>
+                                        ))}
+                                    </ul>
+                                </details>
+                            )}
+                            <div className="flex gap-2">
+                                <Button onClick={handleImport} disabled={busy || preview.counts.new === 0}>
+                                    <Upload className="mr-2" size={16} /> {preview.counts.new} metingen importeren
+                                </Button>
+                                <Button variant="ghost" onClick={reset} disabled={busy}>Annuleren</Button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Check, MessageSquare, Pencil, Trash2, X } from "lucide-react";
+import type { Measurement, MeasurementUpdate } from "@/hooks/useMeasurements";
+
+interface MeasurementListProps {
+    // Newest first is up to the caller
+    measurements: Measurement[];
+    onUpdate: (id: string, update: MeasurementUpdate) => void;
+    onDelete: (id: string) => void;
+}
+
+function formatMoment(iso: string) {
+    return new Date(iso).toLocaleString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// Value for a datetime-local input, in the browser's time zone
+function toLocalInput(iso: string) {
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+export function MeasurementList({ measurements, onUpdate, onDelete }: MeasurementListProps) {
+    const [editingId, setEditingId] = useState<string | null>(null);
+    const [value, setValue] = useState("");
+    const [measuredAt, setMeasuredAt] = useState("");
+
+    const startEdit = (m: Measurement) => {
+        setEditingId(m.id);
+        setValue(String(m.value));
+        setMeasuredAt(toLocalInput(m.measuredAt));
+    };
+
+    const commitEdit = () => {
+        if (!editingId) return;
+        const number = parseFloat(value.replace(',', '.'));
+        // In the unit it was shown in
+        const unit = measurements.find(m => m.id === editingId)?.unit;
+        if (!isNaN(number) && measuredAt) onUpdate(editingId, { value: number, unit, measuredAt: new Date(measuredAt).toISOString() });
+        setEditingId(null);
+    };
+
+    const handleDelete = (id: string) => {
+        if (!confirm("Deze meting verwijderen?")) return;
+        onDelete(id);
+    };
+
+    if (measurements.length === 0) return <p className="text-sm text-muted-foreground">Nog geen metingen.</p>;
+
+    return (
+        <ul className="space-y-1 max-h-64 overflow-y-auto">
+            {measurements.map(m => (
+                <li key={m.id} className="flex items-center gap-2 rounded-md border px-3 py-1.5 text-sm">
+                    {editingId === m.id ? (
+                        <>
+                            <Input
+                                value={value}
+                                onChange={e => setValue(e.target.value)}
+                                onKeyDown={e => e.key === 'Enter' && commitEdit()}
+                                inputMode="decimal"
+                                className="h-7 w-20"
+                                autoFocus
+                            />
+                            <Input type="datetime-local" value={measuredAt} onChange={e => setMeasuredAt(e.target.value)} className="h-7 flex-1" />
+                            <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title="Opslaan" onClick={commitEdit}><Check size={14} /></Button>
+                            <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title="Annuleren" onClick={() => setEditingId(null)}><X size={14} /></Button>
+                        </>
+                    ) : (
+                        <>
+                            <span className="font-medium w-20">{m.value} {m.unit}</span>
+                            <span className="flex-1 text-muted-foreground">{formatMoment(m.measuredAt)}</span>
+                            {m.source === 'chat' && <span title="Gelogd via de coach"><MessageSquare size={12} className="text-muted-foreground" /></span>}
+                            <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title="Bewerken" onClick={() => startEdit(m)}><Pencil size={12} /></Button>
+                            <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title="Verwijderen" onClick={() => handleDelete(m.id)}><Trash2 size={12} /></Button>
+                        </>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+}
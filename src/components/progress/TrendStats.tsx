@@ -0,0 +1,61 @@
+import React from 'react';
+import { Badge } from "@/components/ui/badge";
+import type { MetricTrend } from "@/hooks/useMeasurements";
+
+interface TrendStatsProps {
+    trend: MetricTrend | undefined;
+}
+
+function formatDate(date: string) {
+    return new Date(date).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+const signed = (n: number) => (n > 0 ? `+${n}` : String(n));
+
+function Row({ label, value }: { label: string; value: React.ReactNode }) {
+    return (
+        <div className="flex justify-between text-sm">
+            <span className="text-muted-foreground">{label}:</span>
+            <span className="font-bold">{value}</span>
+        </div>
+    );
+}
+
+export function PlateauBadge({ trend }: TrendStatsProps) {
+    if (!trend?.plateau) return null;
+    return (
+        <Badge variant="secondary" title={`Al ${trend.plateau.weeks} weken geen duidelijke verandering (${signed(trend.plateau.ratePerWeek)} ${trend.unit}/week)`}>
+            Plateau sinds {formatDate(trend.plateau.since)}
+        </Badge>
+    );
+}
+
+export function TrendStats({ trend }: TrendStatsProps) {
+    if (!trend || trend.count === 0) return <p className="text-sm text-muted-foreground">Nog geen metingen.</p>;
+    const { unit } = trend;
+
+    return (
+        <div className="space-y-2">
+            <PlateauBadge trend={trend} />
+            <Row label="Start" value={`${trend.first.value} ${unit}`} />
+            <Row label="Laatste meting" value={`${trend.latest.value} ${unit}`} />
+            <Row label="Trend" value={`${trend.latest.trend} ${unit}`} />
+            <Row label="Verandering" value={`${signed(trend.change)} ${unit}`} />
+            <Row label="Per week (4 weken)" value={trend.ratePerWeek === null ? '-' : `${signed(trend.ratePerWeek)} ${unit}`} />
+            <Row label="Metingen" value={trend.count} />
+            {trend.weekly.length > 0 && (
+                <div className="pt-2">
+                    <p className="text-xs font-medium text-muted-foreground mb-1">Weekgemiddelden</p>
+                    <ul className="space-y-0.5 text-sm">
+                        {trend.weekly.slice(-4).reverse().map(week => (
+                            <li key={week.weekStart} className="flex justify-between">
+                                <span className="text-muted-foreground">Week van {formatDate(week.weekStart)}</span>
+                                <span>{week.average} {unit} <span className="text-xs text-muted-foreground">({week.count}×)</span></span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Plus, X } from "lucide-react";
+import type { WorkoutInput, WorkoutSession } from "@/hooks/useWorkouts";
+import { fromCanonical, toCanonical, type WeightUnit } from "@/lib/units";
+
+interface WorkoutFormProps {
+    // Session being edited; a new workout otherwise
+    session?: WorkoutSession;
+    // Names for autocomplete, from earlier workouts
+    exerciseNames: string[];
+    // Weights are typed in this unit and saved in kg
+    weightUnit: WeightUnit;
+    onSave: (input: WorkoutInput) => Promise<void>;
+    onCancel?: () => void;
+}
+
+interface Row {
+    exercise: string;
+    weight: string;
+    reps: string;
+    rpe: string;
+    // The stored weight, kept until the weight is edited so a round trip through lb cannot shift it
+    weightKg?: number;
+}
+
+const EMPTY_ROW: Row = { exercise: '', weight: '', reps: '', rpe: '' };
+
+function localDay(date: Date) {
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+const parseNumber = (value: string) => parseFloat(value.replace(',', '.'));
+
+export function WorkoutForm({ session, exerciseNames, weightUnit, onSave, onCancel }: WorkoutFormProps) {
+    const [date, setDate] = useState(() => localDay(session ? new Date(session.performedAt) : new Date()));
+    const [title, setTitle] = useState(session?.title ?? "");
+    const [rows, setRows] = useState<Row[]>(() => session
+        ? session.sets.map(s => ({ exercise: s.exercise, weight: String(fromCanonical(s.weightKg, weightUnit)), weightKg: s.weightKg, reps: String(s.reps), rpe: s.rpe === null ? '' : String(s.rpe) }))
+        : [EMPTY_ROW]);
+    const [saving, setSaving] = useState(false);
+
+    const updateRow = (index: number, field: keyof Row, value: string) => {
+        setRows(prev => prev.map((row, i) => {
+            if (i !== index) return row;
+            return field === 'weight' ? { ...row, weight: value, weightKg: undefined } : { ...row, [field]: value };
+        }));
+    };
+
+    // The next set is usually the same exercise at the same weight
+    const addRow = () => setRows(prev => [...prev, { ...(prev[prev.length - 1] ?? EMPTY_ROW), rpe: '' }]);
+
+    const removeRow = (index: number) => setRows(prev => (prev.length > 1 ? prev.filter((_, i) => i !== index) : prev));
+
+    const handleSave = async () => {
+        const sets = rows
+            .filter(row => row.exercise.trim())
+            .map(row => ({
+                exercise: row.exercise,
+                weightKg: row.weightKg ?? (row.weight ? toCanonical(parseNumber(row.weight), weightUnit) : 0),
+                reps: parseInt(row.reps, 10),
+                rpe: row.rpe ? parseNumber(row.rpe) : null,
+            }));
+        if (sets.length === 0) return;
+
+        const unchangedDay = session && date === localDay(new Date(session.performedAt));
+        const today = !session && date === localDay(new Date());
+        setSaving(true);
+        try {
+            await onSave({ performedAt: unchangedDay || today ? undefined : date, title: title.trim() || null, sets });
+            if (!session) {
+                setRows([EMPTY_ROW]);
+                setTitle("");
+            }
+        } catch {
+            // The caller reports the error; keep what was typed
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex gap-2">
+                <Input placeholder="Naam (bijv. Push day)" value={title} onChange={e => setTitle(e.target.value)} />
+                <Input type="date" value={date} max={localDay(new Date())} onChange={e => setDate(e.target.value)} className="w-40" />
+            </div>
+            <datalist id="workout-exercises">
+                {exerciseNames.map(name => <option key={name} value={name} />)}
+            </datalist>
+            <div className="grid grid-cols-[1fr_4.5rem_3.5rem_3.5rem_1.5rem] gap-1 text-xs text-muted-foreground">
+                <span>Oefening</span><span>{weightUnit}</span><span>Reps</span><span>RPE</span><span />
+            </div>
+            {rows.map((row, i) => (
+                <div key={i} className="grid grid-cols-[1fr_4.5rem_3.5rem_3.5rem_1.5rem] gap-1 items-center">
+                    <Input list="workout-exercises" value={row.exercise} onChange={e => updateRow(i, 'exercise', e.target.value)} className="h-8" />
+                    <Input inputMode="decimal" value={row.weight} onChange={e => updateRow(i, 'weight', e.target.value)} className="h-8" />
+                    <Input inputMode="numeric" value={row.reps} onChange={e => updateRow(i, 'reps', e.target.value)} className="h-8" />
+                    <Input inputMode="decimal" value={row.rpe} onChange={e => updateRow(i, 'rpe', e.target.value)} className="h-8" />
+                    <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title="Set verwijderen" onClick={() => removeRow(i)}><X size={12} /></Button>
+                </div>
+            ))}
+            <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={addRow}><Plus size={14} className="mr-1" /> Set</Button>
+                <div className="flex-1" />
+                {onCancel && <Button variant="ghost" size="sm" onClick={onCancel}>Annuleren</Button>}
+                <Button size="sm" onClick={handleSave} disabled={saving}>{session ? 'Opslaan' : 'Workout loggen'}</Button>
+            </div>
+        </div>
+    );
+}
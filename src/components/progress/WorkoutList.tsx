@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { MessageSquare, Pencil, Trash2, Trophy } from "lucide-react";
+import { WorkoutForm } from "@/components/progress/WorkoutForm";
+import type { WorkoutInput, WorkoutSession, WorkoutSet } from "@/hooks/useWorkouts";
+import { fromCanonical, type WeightUnit } from "@/lib/units";
+
+interface WorkoutListProps {
+    // Newest first
+    sessions: WorkoutSession[];
+    exerciseNames: string[];
+    weightUnit: WeightUnit;
+    onUpdate: (id: string, input: WorkoutInput) => Promise<void>;
+    onDelete: (id: string) => void;
+}
+
+function formatDate(iso: string) {
+    return new Date(iso).toLocaleDateString('nl-NL', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Consecutive sets of the same exercise as one line
+function groupSets(sets: WorkoutSet[]) {
+    const groups: { exercise: string; sets: WorkoutSet[] }[] = [];
+    for (const set of sets) {
+        const last = groups[groups.length - 1];
+        if (last && last.exercise.toLowerCase() === set.exercise.toLowerCase()) last.sets.push(set);
+        else groups.push({ exercise: set.exercise, sets: [set] });
+    }
+    return groups;
+}
+
+const describeSet = (set: WorkoutSet, unit: WeightUnit) =>
+    `${set.weightKg > 0 ? `${fromCanonical(set.weightKg, unit)} ${unit} × ` : ''}${set.reps}${set.rpe ? ` @${set.rpe}` : ''}`;
+
+export function WorkoutList({ sessions, exerciseNames, weightUnit, onUpdate, onDelete }: WorkoutListProps) {
+    const [editingId, setEditingId] = useState<string | null>(null);
+
+    const handleDelete = (id: string) => {
+        if (!confirm("Deze workout verwijderen?")) return;
+        onDelete(id);
+    };
+
+    if (sessions.length === 0) return <p className="text-sm text-muted-foreground">Nog geen workouts gelogd.</p>;
+
+    return (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+            {sessions.map(session => {
+                const prs = session.sets.filter(s => s.pr).length;
+                return (
+                    <li key={session.id} className="rounded-md border p-3 text-sm">
+                        {editingId === session.id ? (
+                            <WorkoutForm
+                                session={session}
+                                exerciseNames={exerciseNames}
+                                weightUnit={weightUnit}
+                                onSave={async (input) => {
+                                    await onUpdate(session.id, input);
+                                    setEditingId(null);
+                                }}
+                                onCancel={() => setEditingId(null)}
+                            />
+                        ) : (
+                            <>
+                                <div className="flex items-center gap-2">
+                                    <span className="font-medium">{session.title ?? 'Workout'}</span>
+                                    <span className="text-muted-foreground">{formatDate(session.performedAt)}</span>
+                                    {session.source === 'chat' && <span title="Gelogd via de coach"><MessageSquare size={12} className="text-muted-foreground" /></span>}
+                                    {prs > 0 && <Badge variant="secondary" className="gap-1"><Trophy size={10} /> {prs} PR</Badge>}
+                                    <div className="flex-1" />
+                                    <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title="Bewerken" onClick={() => setEditingId(session.id)}><Pencil size={12} /></Button>
+                                    <Button variant="ghost" size="sm" className="h-6 w-6 p-0" title="Verwijderen" onClick={() => handleDelete(session.id)}><Trash2 size={12} /></Button>
+                                </div>
+                                <ul className="mt-1 space-y-0.5">
+                                    {groupSets(session.sets).map((group, i) => (
+                                        <li key={i} className="flex gap-2">
+                                            <span className="w-32 shrink-0 truncate text-muted-foreground">{group.exercise}</span>
+                                            <span className="flex flex-wrap gap-x-2">
+                                                {group.sets.map(set => (
+                                                    <span key={set.id} className={set.pr ? 'font-semibold text-primary' : ''} title={set.e1rm ? `e1RM ${fromCanonical(set.e1rm, weightUnit)} ${weightUnit}` : undefined}>
+                                                        {describeSet(set, weightUnit)}{set.pr && <Trophy size={10} className="inline ml-0.5" />}
+                                                    </span>
+                                                ))}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
@@ -23,9 +23,10 @@ export function useBotAuth() {
     function logout() {
         sessionStorage.removeItem("bot_name");
         sessionStorage.removeItem("bot_lang");
-        sessionStorage.removeItem("bot_gamification");
-        sessionStorage.removeItem("bot_history_v2");
-        sessionStorage.removeItem("bot_pins");
+        // These live in localStorage, so they would carry over to the next user of this browser
+        localStorage.removeItem("bot_gamification");
+        localStorage.removeItem("bot_history_v2");
+        localStorage.removeItem("bot_pins");
         clerk.signOut();
     }
 
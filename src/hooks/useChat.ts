@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '@clerk/clerk-react';
 import { toast } from "sonner";
-import { coachMedia } from '@/lib/coachMedia';
+import { readEventStream } from '@/lib/sse';
 import { useSync } from './useSync';
 
 export interface MessageBlock {
@@ -10,13 +10,107 @@ export interface MessageBlock {
     id: string;
 }
 
+export interface ToolResult {
+    id: string;
+    name: string;
+    ok: boolean;
+    result: Record<string, unknown>;
+}
+
+export interface Attachment {
+    id: string;
+    mimeType: string;
+    size: number;
+    width: number;
+    height: number;
+    url: string;
+}
+
+// Position among the alternative versions of a message (regenerated replies, edited messages)
+export interface BranchInfo {
+    index: number;
+    count: number;
+    siblingIds: string[];
+}
+
+export type FeedbackReason = "wrong_macros" | "incorrect" | "off_topic" | "unsafe" | "too_generic" | "too_long" | "other";
+
+// The user's rating of a coach reply
+export interface MessageFeedback {
+    rating: "up" | "down";
+    reason?: FeedbackReason | null;
+    comment?: string;
+}
+
+export const FEEDBACK_REASON_LABELS: Record<FeedbackReason, string> = {
+    wrong_macros: "Verkeerde macro's",
+    incorrect: "Klopt niet",
+    off_topic: "Niet relevant",
+    unsafe: "Onveilig advies",
+    too_generic: "Te algemeen",
+    too_long: "Te lang",
+    other: "Anders",
+};
+
 export interface ChatMessage {
     role: "user" | "assistant" | "system";
     content: string;
     blocks: MessageBlock[];
     id: string;
+    tools?: ToolResult[];
+    attachments?: Attachment[];
+    branch?: BranchInfo;
+    feedback?: MessageFeedback | null;
 }
 
+export interface Conversation {
+    id: string;
+    title: string;
+    archived: boolean;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface QuotaExceeded {
+    period: "daily" | "monthly";
+    limit: number;
+    used: number;
+    resetsAt: string;
+}
+
+// Non-2xx response; `body` is the parsed JSON error when the server sent one
+class ApiError extends Error {
+    constructor(public status: number, public body: Record<string, unknown> | null, message: string) {
+        super(message);
+    }
+}
+
+interface StoredMessage {
+    id: string;
+    role: ChatMessage["role"];
+    content: string;
+    toolResults?: ToolResult[] | null;
+    attachments?: Attachment[];
+    branch?: BranchInfo;
+    feedback?: MessageFeedback | null;
+}
+
+// Resend from an earlier point instead of appending: `editOf` replaces a user
+// message, `regenerate` asks for another version of an answer
+interface SendOptions {
+    editOf?: string;
+    regenerate?: string;
+}
+
+// What the user sees for the stable error codes of /api/chat; never the provider's own message
+const CHAT_ERROR_MESSAGES: Record<string, string> = {
+    upstream_timeout: "De coach reageerde niet op tijd. Probeer het nog een keer.",
+    upstream_rate_limited: "Het is even heel druk bij de coach. Probeer het over een minuutje opnieuw.",
+    upstream_unavailable: "De coach is tijdelijk niet bereikbaar. Probeer het zo opnieuw.",
+    upstream_error: "De coach kon dit bericht niet beantwoorden. Probeer het anders te formuleren.",
+    internal_error: "Er ging iets mis bij het versturen. Probeer het opnieuw.",
+};
+
 function uid() { return Math.random().toString(36).slice(2) }
 
 const seedAssistant = `Kies je taal / Choose your language: Nederlands of English?
@@ -27,14 +121,23 @@ Yo! Ik ben je DNB Coach Bot. Zullen we starten met een korte intake?
 - Hoeveel dagen per week wil je trainen en hoeveel tijd per sessie?
 - Materiaal (gym / home / beperkt)?`;
 
-function parseBlocks(text: string): MessageBlock[] {
+// Matches a [video:...] tag that is still being streamed in, e.g. "[vid" or "[video:moti"
+const PARTIAL_VIDEO_TAG = /\[(?:v(?:i(?:d(?:e(?:o(?::[a-zA-Z0-9_-]*)?)?)?)?)?)?$/;
+
+// Screening the reply kept after Stop takes a moment; poll for it with a growing delay
+const STOPPED_REPLY_ATTEMPTS = 5;
+const STOPPED_REPLY_DELAY_MS = 300;
+
+export function parseBlocks(text: string, streaming = false): MessageBlock[] {
+    // Hide a half-received tag until its closing bracket arrives
+    if (streaming) text = text.replace(PARTIAL_VIDEO_TAG, '');
     const parts: MessageBlock[] = [];
     const re = /\[video:([a-zA-Z0-9_-]+)\]/g;
     let lastIndex = 0; let m: RegExpExecArray | null;
     while ((m = re.exec(text))) {
         if (m.index > lastIndex) parts.push({ type: 'text', text: text.slice(lastIndex, m.index), id: `text-${Date.now()}-${lastIndex}` });
-        const videoId = m[1] as keyof typeof coachMedia;
-        if (coachMedia[videoId]) parts.push({ type: 'video', id: videoId });
+        // Whether the key exists is up to the media library; VideoBlock skips unknown ones
+        parts.push({ type: 'video', id: m[1] });
         lastIndex = re.lastIndex;
     }
     if (lastIndex < text.length) parts.push({ type: 'text', text: text.slice(lastIndex), id: `text-${Date.now()}-${lastIndex}` });
@@ -47,34 +150,119 @@ function isSameDay(d1: Date, d2: Date) {
         d1.getDate() === d2.getDate();
 }
 
+function toChatMessage(m: StoredMessage): ChatMessage {
+    return {
+        id: m.id,
+        role: m.role,
+        content: m.content,
+        blocks: parseBlocks(m.content),
+        tools: m.toolResults ?? undefined,
+        attachments: m.attachments?.length ? m.attachments : undefined,
+        branch: m.branch,
+        feedback: m.feedback,
+    };
+}
+
 export function useChat(userCode: string | null, userName: string, lang: 'nl' | 'en') {
     const [messages, setMessages] = useState<ChatMessage[]>([]);
     const [loading, setLoading] = useState(false);
-    const [pinnedMessages, setPinnedMessages] = useState<string[]>([]);
+    const [quota, setQuota] = useState<QuotaExceeded | null>(null);
+    const [conversations, setConversations] = useState<Conversation[]>([]);
+    const [archivedConversations, setArchivedConversations] = useState<Conversation[]>([]);
+    const [activeConversationId, setActiveConversationId] = useState<string | null>(null);
+    // Message to scroll to, e.g. a search result; the chat follows new messages when null
+    const [focusedMessageId, setFocusedMessageId] = useState<string | null>(null);
     const { getToken } = useAuth();
+    const abortRef = useRef<AbortController | null>(null);
 
     const { syncUp, userData, synced } = useSync(userCode);
 
-    useEffect(() => {
-        const saved = localStorage.getItem("bot_history_v2");
-        if (saved) {
+    const api = useCallback(async (url: string, init: RequestInit = {}) => {
+        const token = await getToken();
+        const res = await fetch(url, {
+            ...init,
+            headers: {
+                // Multipart bodies need the boundary the browser puts in Content-Type itself
+                ...(init.body instanceof FormData ? {} : { "Content-Type": "application/json" }),
+                "Authorization": `Bearer ${token}`,
+                ...init.headers,
+            },
+        });
+        if (!res.ok) {
+            const text = await res.text();
+            let body: Record<string, unknown> | null = null;
             try {
-                setMessages(JSON.parse(saved));
-            } catch (e) {
-                console.error("Failed to parse history", e);
+                body = JSON.parse(text);
+            } catch {
+                // Not JSON, keep the raw text as message
+            }
+            throw new ApiError(res.status, body, String(body?.error ?? body?.message ?? text));
+        }
+        return res;
+    }, [getToken]);
+
+    const loadConversations = useCallback(async () => {
+        const [active, archived] = await Promise.all([
+            api("/api/conversations").then(r => r.json()),
+            api("/api/conversations?archived=true").then(r => r.json()),
+        ]);
+        setConversations(active.conversations);
+        setArchivedConversations(archived.conversations);
+        return active.conversations as Conversation[];
+    }, [api]);
+
+    const selectConversation = useCallback(async (id: string | null) => {
+        setActiveConversationId(id);
+        setFocusedMessageId(null);
+        if (!id) {
+            setMessages([]);
+            return;
+        }
+        try {
+            const res = await api(`/api/conversations/${id}`);
+            const data = await res.json();
+            setMessages((data.messages as StoredMessage[]).map(toChatMessage));
+        } catch (e) {
+            console.error("Failed to load conversation", e);
+            toast.error("Gesprek kon niet geladen worden");
+        }
+    }, [api]);
+
+    // Open a thread at `messageId`, switching to the branch it is on when that is not the one on screen
+    const openMessage = useCallback(async (conversationId: string, messageId: string) => {
+        setActiveConversationId(conversationId);
+        try {
+            let data = await (await api(`/api/conversations/${conversationId}`)).json();
+            if (!(data.messages as StoredMessage[]).some(m => m.id === messageId)) {
+                data = await (await api(`/api/conversations/${conversationId}/branch`, {
+                    method: "PUT",
+                    body: JSON.stringify({ messageId }),
+                })).json();
             }
+            setMessages((data.messages as StoredMessage[]).map(toChatMessage));
+            setFocusedMessageId(messageId);
+        } catch (e) {
+            console.error("Failed to open message", e);
+            toast.error("Gesprek kon niet geladen worden");
         }
-    }, [synced]);
+    }, [api]);
 
+    // Open the most recent thread once the user is known
     useEffect(() => {
-        const savedPins = localStorage.getItem("bot_pins");
-        if (savedPins) setPinnedMessages(JSON.parse(savedPins));
-    }, []);
+        if (!userCode) return;
+        loadConversations()
+            .then(list => {
+                // History now lives on the server (migrated from the sync blob on first load)
+                localStorage.removeItem("bot_history_v2");
+                if (list.length > 0) selectConversation(list[0].id);
+            })
+            .catch(e => console.error("Failed to load conversations", e));
+    }, [userCode, loadConversations, selectConversation]);
 
     const updateGamification = useCallback(() => {
         try {
             const stored = localStorage.getItem('bot_gamification');
-            let stats = stored ? JSON.parse(stored) : { streak: 0, score: 0, badges: 0, lastActive: null };
+            const stats = stored ? JSON.parse(stored) : { streak: 0, score: 0, badges: 0, lastActive: null };
 
             const now = new Date();
             const last = stats.lastActive ? new Date(stats.lastActive) : null;
@@ -112,98 +300,269 @@ export function useChat(userCode: string | null, userName: string, lang: 'nl' |
 
     }, [syncUp]);
 
-    const send = async (text: string, image?: string) => {
-        if (!text.trim() && !image) return;
-
-        setLoading(true);
+    // Multipart upload; the returned id goes with the next chat message
+    const uploadImage = useCallback(async (file: File): Promise<Attachment> => {
+        const form = new FormData();
+        form.append("file", file);
+        const res = await api("/api/attachments", { method: "POST", body: form });
+        return (await res.json()).attachment;
+    }, [api]);
+
+    // Reload a thread once the reply kept after Stop is stored, so pin, feedback and regenerate use its id
+    const loadStoppedReply = async (conversationId: string, userMessageId: string, previousReplyId?: string) => {
+        for (let attempt = 1; attempt <= STOPPED_REPLY_ATTEMPTS; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, STOPPED_REPLY_DELAY_MS * attempt));
+            try {
+                const data = await api(`/api/conversations/${conversationId}`).then(r => r.json());
+                const stored = data.messages as StoredMessage[];
+                const [reply, parent] = [stored[stored.length - 1], stored[stored.length - 2]];
+                if (reply?.role === "assistant" && parent?.id === userMessageId && reply.id !== previousReplyId) {
+                    setMessages(stored.map(toChatMessage));
+                    return;
+                }
+            } catch (e) {
+                console.error("Failed to reload the stopped reply", e);
+                return;
+            }
+        }
+    };
 
-        try {
-            const userMsg: ChatMessage = {
-                role: "user",
-                content: text + (image ? " [Image Uploaded]" : ""),
-                id: Date.now().toString(),
-                blocks: parseBlocks(text + (image ? " [Image Uploaded]" : ""))
-            };
+    const send = async (text: string, attachment?: Attachment, { editOf, regenerate }: SendOptions = {}) => {
+        if (!regenerate && !text.trim() && !attachment) return;
 
-            const newHistory = [...messages, userMsg];
+        // Edits and regenerated answers replace the thread from that message on
+        const resendFrom = editOf ?? regenerate;
+        const cut = resendFrom ? messages.findIndex(m => m.id === resendFrom) : -1;
+        if (resendFrom && cut === -1) return;
+        const base = resendFrom ? messages.slice(0, cut) : messages;
 
-            setMessages(newHistory);
-            localStorage.setItem("bot_history_v2", JSON.stringify(newHistory));
-            syncUp('chatHistory', newHistory);
+        setLoading(true);
+        setFocusedMessageId(null);
+
+        const userMsg: ChatMessage = {
+            role: "user",
+            content: text,
+            id: Date.now().toString(),
+            blocks: parseBlocks(text),
+            attachments: attachment ? [attachment] : undefined,
+        };
+        const newHistory = regenerate ? base : [...base, userMsg];
+        setMessages(newHistory);
 
+        try {
             try {
                 updateGamification();
             } catch (e) {
                 console.error("Gamification update failed", e);
             }
 
-            const token = await getToken();
-
             const payload = {
-                messages: newHistory.map(({ role, content }) => ({ role, content })),
+                conversationId: activeConversationId,
+                message: regenerate ? undefined : text,
+                editOf,
+                regenerate,
                 name: userName,
                 lang,
-                image: image
+                attachmentIds: attachment ? [attachment.id] : undefined,
+                stream: true
             };
 
-            const res = await fetch("/api/chat", {
+            const controller = new AbortController();
+            abortRef.current = controller;
+
+            const res = await api("/api/chat", {
                 method: "POST",
-                headers: {
-                    "Content-Type": "application/json",
-                    "Authorization": `Bearer ${token}`,
-                },
-                body: JSON.stringify(payload)
+                body: JSON.stringify(payload),
+                signal: controller.signal
             });
 
-            if (!res.ok) throw new Error(await res.text());
-
-            const data = await res.json();
-            const assistantText = data.message;
-
-            const blocks: MessageBlock[] = parseBlocks(assistantText);
+            let assistantId = (Date.now() + 1).toString();
+            let assistantText = "";
+            let tools: ToolResult[] = [];
+            let streamConversationId: string | null = activeConversationId;
+            let stopped = false;
+
+            const render = (streaming: boolean) => {
+                const assistantMsg: ChatMessage = {
+                    role: "assistant",
+                    content: assistantText,
+                    blocks: parseBlocks(assistantText, streaming),
+                    id: assistantId,
+                    tools
+                };
+                setMessages([...newHistory, assistantMsg]);
+            };
 
-            const assistantMsg: ChatMessage = {
-                role: "assistant",
-                content: assistantText,
-                blocks,
-                id: (Date.now() + 1).toString()
+            const applyMeta = (meta: { conversationId: string; userMessageId: string }) => {
+                setActiveConversationId(meta.conversationId);
+                streamConversationId = meta.conversationId;
+                userMsg.id = meta.userMessageId;
             };
 
-            const finalHistory = [...newHistory, assistantMsg];
-            setMessages(finalHistory);
-            localStorage.setItem("bot_history_v2", JSON.stringify(finalHistory));
-            syncUp('chatHistory', finalHistory);
+            if (res.headers.get("Content-Type")?.includes("text/event-stream") && res.body) {
+                try {
+                    await readEventStream(res.body, ({ event, data }) => {
+                        const parsed = JSON.parse(data);
+                        if (event === "meta") {
+                            applyMeta(parsed);
+                        } else if (event === "delta") {
+                            assistantText += parsed.content;
+                            render(true);
+                        } else if (event === "tool") {
+                            tools = [...tools, parsed];
+                            render(true);
+                        } else if (event === "done") {
+                            assistantText = parsed.message;
+                            assistantId = parsed.messageId;
+                        } else if (event === "profile") {
+                            toast.success("Profiel bijgewerkt", { description: "De coach heeft je profiel aangevuld." });
+                        } else if (event === "memory") {
+                            toast.success("Onthouden", { description: parsed.remembered.join(" · ") });
+                        } else if (event === "error") {
+                            throw new ApiError(res.status, parsed, parsed.message);
+                        }
+                    });
+                } catch (err) {
+                    // Keep whatever arrived before the user pressed stop
+                    if (!controller.signal.aborted || (!assistantText && tools.length === 0)) throw err;
+                    stopped = true;
+                }
+            } else {
+                const data = await res.json();
+                applyMeta(data);
+                assistantText = data.message;
+                assistantId = data.messageId;
+                tools = data.tools ?? [];
+            }
+
+            render(false);
+            setQuota(null);
+            // The new version became a branch; reload for the "< 1/2 >" switchers
+            if (resendFrom && activeConversationId) await selectConversation(activeConversationId);
+            // The server stores the partial reply after the stream ends; pick up its real id
+            if (stopped && streamConversationId) await loadStoppedReply(streamConversationId, userMsg.id, regenerate);
+            loadConversations().catch(e => console.error("Failed to refresh conversations", e));
 
         } catch (err) {
+            if (err instanceof DOMException && err.name === "AbortError") return;
+            if (err instanceof ApiError && err.body?.code === "quota_exceeded") {
+                // Nothing was stored server-side; drop the optimistic user message
+                setMessages(messages);
+                setQuota(err.body as unknown as QuotaExceeded);
+                return;
+            }
             console.error("Chat error:", err);
-            toast.error("Error sending message: " + (err instanceof Error ? err.message : String(err)));
+            const code = err instanceof ApiError ? String(err.body?.code ?? "") : "";
+            toast.error(CHAT_ERROR_MESSAGES[code] ?? "Error sending message: " + (err instanceof Error ? err.message : String(err)));
         } finally {
+            abortRef.current = null;
             setLoading(false);
         }
     };
 
-    const togglePin = (msg: ChatMessage) => {
-        const newPins = pinnedMessages.includes(msg.id)
-            ? pinnedMessages.filter(id => id !== msg.id)
-            : [...pinnedMessages, msg.id];
+    const regenerate = (assistantId: string) => send("", undefined, { regenerate: assistantId });
 
-        setPinnedMessages(newPins);
-        localStorage.setItem("bot_pins", JSON.stringify(newPins));
+    const editMessage = (messageId: string, text: string) => send(text, undefined, { editOf: messageId });
+
+    // Show another version of a message, continuing at its newest reply
+    const switchBranch = async (messageId: string) => {
+        if (!activeConversationId) return;
+        try {
+            const res = await api(`/api/conversations/${activeConversationId}/branch`, {
+                method: "PUT",
+                body: JSON.stringify({ messageId }),
+            });
+            const data = await res.json();
+            setMessages((data.messages as StoredMessage[]).map(toChatMessage));
+        } catch (e) {
+            console.error("Switch branch failed", e);
+            toast.error("Andere versie kon niet geladen worden");
+        }
+    };
+
+    // Thumbs up/down on a coach reply; null removes the rating
+    const rateMessage = async (messageId: string, feedback: MessageFeedback | null) => {
+        if (!activeConversationId) return;
+        const previous = messages.find(m => m.id === messageId)?.feedback ?? null;
+        const setFeedback = (value: MessageFeedback | null) =>
+            setMessages(prev => prev.map(m => (m.id === messageId ? { ...m, feedback: value } : m)));
+
+        setFeedback(feedback);
+        try {
+            await api(`/api/conversations/${activeConversationId}/messages/${messageId}/feedback`, feedback
+                ? { method: "PUT", body: JSON.stringify(feedback) }
+                : { method: "DELETE" });
+            if (feedback) toast.success("Bedankt voor je feedback");
+        } catch (e) {
+            console.error("Feedback failed", e);
+            setFeedback(previous);
+            toast.error("Feedback kon niet worden opgeslagen");
+        }
+    };
+
+    const stop = () => {
+        abortRef.current?.abort();
+    };
+
+    const newConversation = () => selectConversation(null);
+
+    const renameConversation = async (id: string, title: string) => {
+        try {
+            await api(`/api/conversations/${id}`, { method: "PATCH", body: JSON.stringify({ title }) });
+            await loadConversations();
+        } catch (e) {
+            console.error("Rename failed", e);
+            toast.error("Hernoemen mislukt");
+        }
+    };
+
+    const archiveConversation = async (id: string, archived: boolean) => {
+        try {
+            await api(`/api/conversations/${id}`, { method: "PATCH", body: JSON.stringify({ archived }) });
+            await loadConversations();
+            if (archived && id === activeConversationId) selectConversation(null);
+        } catch (e) {
+            console.error("Archive failed", e);
+            toast.error("Archiveren mislukt");
+        }
+    };
+
+    const deleteConversation = async (id: string) => {
+        try {
+            await api(`/api/conversations/${id}`, { method: "DELETE" });
+            await loadConversations();
+            if (id === activeConversationId) selectConversation(null);
+        } catch (e) {
+            console.error("Delete failed", e);
+            toast.error("Verwijderen mislukt");
+        }
     };
 
     const assistantBlocks = messages.filter(m => m.role !== 'system');
-    const pinnedBlocks = messages.filter(m => pinnedMessages.includes(m.id));
 
     return {
         messages,
         loading,
         send,
-        pinnedMessages,
+        regenerate,
+        editMessage,
+        switchBranch,
+        rateMessage,
+        uploadImage,
+        stop,
+        conversations,
+        archivedConversations,
+        activeConversationId,
+        selectConversation,
+        openMessage,
+        focusedMessageId,
+        newConversation,
+        renameConversation,
+        archiveConversation,
+        deleteConversation,
         assistantBlocks,
-        pinnedBlocks,
-        togglePin,
-        isPinned: (id: string) => pinnedMessages.includes(id),
         synced,
-        userData
+        userData,
+        quota
     };
 }
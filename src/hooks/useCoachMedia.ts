@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+export interface CoachClip {
+    key: string;
+    title: string;
+    language: 'nl' | 'en';
+    provider: 'youtube' | 'vimeo' | 'file';
+    url: string;
+    tags: string[];
+}
+
+// Clips from the server-side media library, keyed by the tag the coach writes
+export function useCoachMedia(userCode: string | null, lang: 'nl' | 'en') {
+    const { getToken } = useAuth();
+    const [clips, setClips] = useState<Record<string, CoachClip>>({});
+
+    useEffect(() => {
+        if (!userCode) return;
+        let cancelled = false;
+        (async () => {
+            const token = await getToken();
+            const res = await fetch(`/api/media?lang=${lang}`, { headers: { 'Authorization': `Bearer ${token}` } });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            if (!cancelled) setClips(data.clips);
+        })().catch(e => console.error("Failed to load coach media", e));
+        return () => { cancelled = true; };
+    }, [userCode, lang, getToken]);
+
+    const recordView = useCallback(async (key: string) => {
+        try {
+            const token = await getToken();
+            await fetch(`/api/media/${encodeURIComponent(key)}/views`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ lang }),
+            });
+        } catch (e) {
+            console.error("Failed to record video view", e);
+        }
+    }, [getToken, lang]);
+
+    return { clips, recordView };
+}
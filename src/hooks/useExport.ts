@@ -0,0 +1,112 @@
+import { useCallback } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+export type ExportScope = 'message' | 'library' | 'conversation';
+export type ExportFormat = 'markdown' | 'pdf';
+
+export interface ExportRequest {
+    scope: ExportScope;
+    conversationId?: string;
+    messageId?: string;
+    // Library items to export; all active items when left out
+    itemIds?: string[];
+    lang?: 'nl' | 'en';
+}
+
+export interface TextRun {
+    text: string;
+    bold?: boolean;
+    italic?: boolean;
+    link?: string;
+}
+
+export type ExportBlock =
+    | { type: 'heading'; level: number; runs: TextRun[] }
+    | { type: 'paragraph'; runs: TextRun[] }
+    | { type: 'list'; ordered: boolean; items: TextRun[][] }
+    | { type: 'table'; header: TextRun[][]; rows: TextRun[][][] }
+    | { type: 'video'; key: string; title: string; url: string }
+    | { type: 'rule' };
+
+export interface ExportSection {
+    id: string;
+    role: 'user' | 'assistant';
+    label: string;
+    // Library items are shown under their own title
+    title: string | null;
+    createdAt: string;
+    date: string;
+    content: string;
+    blocks: ExportBlock[];
+}
+
+export interface ExportDocument {
+    scope: ExportScope;
+    lang: 'nl' | 'en';
+    title: string;
+    subtitle: string;
+    exportedAt: string;
+    sections: ExportSection[];
+}
+
+// The print page reads what to export from its URL, so it can open in a new tab
+export function printUrl(request: ExportRequest) {
+    const params = new URLSearchParams({ scope: request.scope });
+    if (request.conversationId) params.set('conversationId', request.conversationId);
+    if (request.messageId) params.set('messageId', request.messageId);
+    if (request.itemIds) params.set('ids', request.itemIds.join(','));
+    if (request.lang) params.set('lang', request.lang);
+    return `/print?${params}`;
+}
+
+export function exportRequestFromSearch(search: URLSearchParams): ExportRequest | null {
+    const scope = search.get('scope');
+    if (scope !== 'message' && scope !== 'library' && scope !== 'conversation') return null;
+    const lang = search.get('lang');
+    return {
+        scope,
+        conversationId: search.get('conversationId') ?? undefined,
+        messageId: search.get('messageId') ?? undefined,
+        itemIds: search.get('ids')?.split(',').filter(Boolean),
+        lang: lang === 'en' || lang === 'nl' ? lang : undefined,
+    };
+}
+
+export function useExport() {
+    const { getToken } = useAuth();
+
+    const post = useCallback(async (url: string, body: object) => {
+        const token = await getToken();
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: JSON.stringify(body),
+        });
+        if (!res.ok) throw new Error((await res.json().catch(() => null))?.message ?? res.statusText);
+        return res;
+    }, [getToken]);
+
+    const loadDocument = useCallback(async (request: ExportRequest): Promise<ExportDocument> => {
+        const { document } = await (await post('/api/exports', { ...request, format: 'json' })).json();
+        return document;
+    }, [post]);
+
+    // The file needs the auth header, so it is downloaded through a blob instead of a plain link
+    const download = useCallback(async (request: ExportRequest, format: ExportFormat) => {
+        const res = await post('/api/exports', { ...request, format });
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] ?? `dnb-coach.${format === 'pdf' ? 'pdf' : 'md'}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }, [post]);
+
+    // Returns the address the export was sent to
+    const email = useCallback(async (request: ExportRequest, format: ExportFormat): Promise<string> => {
+        const { to } = await (await post('/api/exports/email', { ...request, format })).json();
+        return to;
+    }, [post]);
+
+    return { loadDocument, download, email };
+}
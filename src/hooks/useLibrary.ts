@@ -0,0 +1,173 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+import { toast } from 'sonner';
+
+export type LibraryTag = 'training' | 'nutrition' | 'mindset';
+
+export const LIBRARY_TAG_LABELS: Record<LibraryTag, string> = {
+    training: 'Training',
+    nutrition: 'Voeding',
+    mindset: 'Mindset',
+};
+
+export interface LibraryItem {
+    id: string;
+    title: string;
+    content: string;
+    tags: LibraryTag[];
+    note: string | null;
+    position: number;
+    archived: boolean;
+    messageId: string | null;
+    conversationId: string | null;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface LibraryFilters {
+    q: string;
+    tag: LibraryTag | null;
+    archived: boolean;
+}
+
+export type LibraryUpdate = Partial<Pick<LibraryItem, 'title' | 'tags' | 'note' | 'archived'>>;
+
+// Pins from before the library, kept per browser as a list of message ids
+const LEGACY_PINS_KEY = 'bot_pins';
+
+// The user's plan library; `items` follows the filters, `pinnedMessageIds` covers every active item
+export function useLibrary(userCode: string | null) {
+    const { getToken } = useAuth();
+    const [items, setItems] = useState<LibraryItem[]>([]);
+    const [pinnedMessageIds, setPinnedMessageIds] = useState<Set<string>>(new Set());
+    const [filters, setFilters] = useState<LibraryFilters>({ q: '', tag: null, archived: false });
+
+    const api = useCallback(async (url: string, init: RequestInit = {}) => {
+        const token = await getToken();
+        const res = await fetch(url, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                ...init.headers,
+            },
+        });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.message ?? res.statusText);
+        return body;
+    }, [getToken]);
+
+    const refreshPinned = useCallback(async () => {
+        const { items: active }: { items: LibraryItem[] } = await api('/api/library');
+        setPinnedMessageIds(new Set(active.flatMap(item => (item.messageId ? [item.messageId] : []))));
+    }, [api]);
+
+    const load = useCallback(async () => {
+        const params = new URLSearchParams();
+        if (filters.q.trim()) params.set('q', filters.q.trim());
+        if (filters.tag) params.set('tag', filters.tag);
+        if (filters.archived) params.set('archived', 'true');
+        const { items } = await api(`/api/library?${params}`);
+        setItems(items);
+    }, [api, filters]);
+
+    const reload = useCallback(() => Promise.all([load(), refreshPinned()]), [load, refreshPinned]);
+
+    // One-time import of the pins this browser kept before the library existed
+    useEffect(() => {
+        if (!userCode) return;
+        const saved = localStorage.getItem(LEGACY_PINS_KEY);
+        if (!saved) return;
+        (async () => {
+            const messageIds = JSON.parse(saved);
+            if (Array.isArray(messageIds) && messageIds.length > 0) {
+                const { imported } = await api('/api/library/import', { method: 'POST', body: JSON.stringify({ messageIds }) });
+                if (imported > 0) toast.success(`${imported} vastgepinde berichten staan nu in je bibliotheek`);
+            }
+            // The server has mapped the old ids by now; after a failure the pins stay for the next visit
+            localStorage.removeItem(LEGACY_PINS_KEY);
+            await reload();
+        })().catch(e => console.error("Failed to import pins", e));
+    }, [userCode, api, reload]);
+
+    useEffect(() => {
+        if (!userCode) return;
+        // Searching waits until the user stops typing
+        const timer = setTimeout(() => {
+            load().catch(e => console.error("Failed to load library", e));
+        }, filters.q ? 300 : 0);
+        return () => clearTimeout(timer);
+    }, [userCode, load, filters.q]);
+
+    useEffect(() => {
+        if (!userCode) return;
+        refreshPinned().catch(e => console.error("Failed to load library", e));
+    }, [userCode, refreshPinned]);
+
+    const pinMessage = useCallback(async (messageId: string) => {
+        try {
+            await api('/api/library', { method: 'POST', body: JSON.stringify({ messageId }) });
+            await reload();
+            toast.success("Opgeslagen in je bibliotheek");
+        } catch (e) {
+            toast.error("Opslaan mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
+    }, [api, reload]);
+
+    const updateItem = useCallback(async (id: string, update: LibraryUpdate) => {
+        try {
+            await api(`/api/library/${id}`, { method: 'PATCH', body: JSON.stringify(update) });
+            await reload();
+        } catch (e) {
+            toast.error("Bijwerken mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
+    }, [api, reload]);
+
+    const deleteItem = useCallback(async (id: string) => {
+        try {
+            await api(`/api/library/${id}`, { method: 'DELETE' });
+            await reload();
+        } catch (e) {
+            toast.error("Verwijderen mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
+    }, [api, reload]);
+
+    // Unpinning from the chat removes the item that copy came from
+    const unpinMessage = useCallback(async (messageId: string) => {
+        try {
+            const { items: all }: { items: LibraryItem[] } = await api('/api/library');
+            const item = all.find(i => i.messageId === messageId);
+            if (item) await deleteItem(item.id);
+        } catch (e) {
+            toast.error("Verwijderen mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
+    }, [api, deleteItem]);
+
+    // Moves an item one place up or down within the list on screen
+    const moveItem = useCallback(async (id: string, direction: -1 | 1) => {
+        const index = items.findIndex(i => i.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= items.length) return;
+        const ids = items.map(i => i.id);
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        setItems(prev => ids.map(i => prev.find(item => item.id === i)!));
+        try {
+            await api('/api/library/order', { method: 'PUT', body: JSON.stringify({ ids }) });
+        } catch (e) {
+            toast.error("Volgorde opslaan mislukt");
+            await load();
+        }
+    }, [api, items, load]);
+
+    return {
+        items,
+        filters,
+        setFilters,
+        pinMessage,
+        unpinMessage,
+        isPinned: (messageId: string) => pinnedMessageIds.has(messageId),
+        updateItem,
+        deleteItem,
+        moveItem,
+    };
+}
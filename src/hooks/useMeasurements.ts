@@ -0,0 +1,151 @@
+import { useCallback } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+import type { UnitPreferences } from '@/lib/units';
+
+export type MeasurementType = 'weight' | 'bodyFat' | 'waist' | 'hips' | 'chest' | 'arm' | 'thigh';
+
+export interface Measurement {
+    id: string;
+    type: MeasurementType;
+    value: number;
+    unit: string;
+    measuredAt: string;
+    note: string | null;
+    source: 'manual' | 'chat' | 'legacy' | 'import';
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface MeasurementInput {
+    type: MeasurementType;
+    value: number;
+    // kg or lb, cm or in; the user's unit when left out
+    unit?: string;
+    // YYYY-MM-DD or an ISO timestamp; now when left out
+    measuredAt?: string;
+    note?: string | null;
+}
+
+export type MeasurementUpdate = Partial<Omit<MeasurementInput, 'type'>>;
+
+export interface MeasurementRange {
+    type?: MeasurementType;
+    // Whole days, YYYY-MM-DD, both included
+    from?: string;
+    to?: string;
+}
+
+export interface TrendPoint {
+    measuredAt: string;
+    value: number;
+    // Smoothed value at this reading
+    trend: number;
+}
+
+export interface WeeklyAverage {
+    // Monday, YYYY-MM-DD
+    weekStart: string;
+    average: number;
+    min: number;
+    max: number;
+    count: number;
+}
+
+export interface Plateau {
+    weeks: number;
+    since: string;
+    ratePerWeek: number;
+}
+
+export interface MetricTrend {
+    type: MeasurementType;
+    unit: string;
+    count: number;
+    first: { value: number; measuredAt: string };
+    latest: { value: number; measuredAt: string; trend: number };
+    // Latest trend minus the first reading
+    change: number;
+    // Over the last four weeks; null without enough readings in that period
+    ratePerWeek: number | null;
+    plateau: Plateau | null;
+    series: TrendPoint[];
+    weekly: WeeklyAverage[];
+}
+
+// A weigh-in from the old browser log, in kg
+export interface LegacyWeighIn {
+    date: string;
+    weight: number;
+}
+
+export const MEASUREMENT_LABELS: Record<MeasurementType, string> = {
+    weight: 'Gewicht',
+    bodyFat: 'Vetpercentage',
+    waist: 'Taille',
+    hips: 'Heupen',
+    chest: 'Borst',
+    arm: 'Arm',
+    thigh: 'Bovenbeen',
+};
+
+// The unit the API reads and returns a type in, as in server/measurements.js
+export function measurementUnit(type: MeasurementType, units: UnitPreferences): string {
+    if (type === 'weight') return units.weightUnit;
+    if (type === 'bodyFat') return '%';
+    return units.lengthUnit;
+}
+
+export function useMeasurements() {
+    const { getToken } = useAuth();
+
+    const api = useCallback(async (url: string, init: RequestInit = {}) => {
+        const token = await getToken();
+        const res = await fetch(url, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                ...init.headers,
+            },
+        });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.message ?? res.statusText);
+        return body;
+    }, [getToken]);
+
+    const listMeasurements = useCallback(async (range: MeasurementRange = {}): Promise<Measurement[]> => {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(range)) if (value) params.set(key, value);
+        const { measurements } = await api(`/api/measurements?${params}`);
+        return measurements;
+    }, [api]);
+
+    const addMeasurement = useCallback(async (input: MeasurementInput): Promise<Measurement> => {
+        const { measurement } = await api('/api/measurements', { method: 'POST', body: JSON.stringify(input) });
+        return measurement;
+    }, [api]);
+
+    const updateMeasurement = useCallback(async (id: string, update: MeasurementUpdate): Promise<Measurement> => {
+        const { measurement } = await api(`/api/measurements/${id}`, { method: 'PATCH', body: JSON.stringify(update) });
+        return measurement;
+    }, [api]);
+
+    const deleteMeasurement = useCallback(async (id: string) => {
+        await api(`/api/measurements/${id}`, { method: 'DELETE' });
+    }, [api]);
+
+    const loadTrends = useCallback(async (range: Omit<MeasurementRange, 'type'> = {}): Promise<MetricTrend[]> => {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(range)) if (value) params.set(key, value);
+        const { trends } = await api(`/api/measurements/trends?${params}`);
+        return trends;
+    }, [api]);
+
+    // Moves the old weight log on the server and the weigh-ins a browser kept into measurements;
+    // the server skips ones already logged
+    const importLegacyWeighIns = useCallback(async (entries: LegacyWeighIn[]): Promise<{ imported: number; skipped: number }> => {
+        return api('/api/measurements/legacy', { method: 'POST', body: JSON.stringify({ entries }) });
+    }, [api]);
+
+    return { listMeasurements, loadTrends, addMeasurement, updateMeasurement, deleteMeasurement, importLegacyWeighIns };
+}
@@ -0,0 +1,109 @@
+import { useCallback } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+export type MealType = 'breakfast' | 'lunch' | 'dinner' | 'snack';
+
+export interface MealItem {
+    name: string;
+    grams: number | null;
+    kcal: number;
+    proteinG: number;
+    carbsG: number;
+    fatG: number;
+}
+
+export interface Macros {
+    kcal: number;
+    proteinG: number;
+    carbsG: number;
+    fatG: number;
+}
+
+// The model's estimate; nothing is logged until the user saves it
+export interface MealAnalysis extends Macros {
+    description: string;
+    mealType: MealType | null;
+    items: MealItem[];
+    attachmentId: string;
+}
+
+export interface NutritionEntry extends Macros {
+    id: string;
+    date: string;
+    mealType: MealType | null;
+    description: string;
+    items: MealItem[];
+    attachmentId: string | null;
+    createdAt: string;
+}
+
+type Targets = Record<keyof Macros, number | null>;
+
+export interface DaySummary {
+    date: string;
+    meals: number;
+    totals: Macros;
+    targets: Targets | null;
+    remaining: Targets | null;
+}
+
+export interface MealDraft {
+    date?: string;
+    mealType: MealType | null;
+    description?: string;
+    items: MealItem[];
+    attachmentId?: string | null;
+}
+
+export const MEAL_TYPE_LABELS: Record<MealType, string> = {
+    breakfast: 'Ontbijt', lunch: 'Lunch', dinner: 'Avondeten', snack: 'Snack',
+};
+
+const ANALYSIS_ERROR_MESSAGES: Record<string, string> = {
+    analysis_failed: "De coach kon geen eten op de foto herkennen. Probeer een duidelijkere foto.",
+    quota_exceeded: "Je coach-budget is op. Probeer het later opnieuw.",
+    upstream_timeout: "De coach reageerde niet op tijd. Probeer het nog een keer.",
+    upstream_rate_limited: "Het is even heel druk bij de coach. Probeer het over een minuutje opnieuw.",
+    upstream_unavailable: "De coach is tijdelijk niet bereikbaar. Probeer het zo opnieuw.",
+};
+
+export function useNutrition() {
+    const { getToken } = useAuth();
+
+    const api = useCallback(async (url: string, init: RequestInit = {}) => {
+        const token = await getToken();
+        const res = await fetch(url, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                ...init.headers,
+            },
+        });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(ANALYSIS_ERROR_MESSAGES[body?.code] ?? body?.message ?? res.statusText);
+        return body;
+    }, [getToken]);
+
+    const analyzeMeal = useCallback(async (attachmentId: string, note?: string): Promise<MealAnalysis> => {
+        const { analysis } = await api('/api/nutrition/analyze', {
+            method: 'POST',
+            body: JSON.stringify({ attachmentId, ...(note?.trim() ? { note: note.trim() } : {}) }),
+        });
+        return analysis;
+    }, [api]);
+
+    const saveMeal = useCallback(async (meal: MealDraft): Promise<{ entry: NutritionEntry; summary: DaySummary }> => {
+        return api('/api/nutrition', { method: 'POST', body: JSON.stringify(meal) });
+    }, [api]);
+
+    const loadDay = useCallback(async (date?: string): Promise<{ entries: NutritionEntry[]; summary: DaySummary }> => {
+        return api(date ? `/api/nutrition?date=${encodeURIComponent(date)}` : '/api/nutrition');
+    }, [api]);
+
+    const deleteMeal = useCallback(async (id: string) => {
+        await api(`/api/nutrition/${id}`, { method: 'DELETE' });
+    }, [api]);
+
+    return { analyzeMeal, saveMeal, loadDay, deleteMeal };
+}
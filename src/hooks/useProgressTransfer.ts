@@ -0,0 +1,104 @@
+import { useCallback } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+import type { MeasurementType } from '@/hooks/useMeasurements';
+
+export type DateOrder = 'dmy' | 'mdy';
+export type ImportSource = 'csv' | 'apple_health' | 'google_fit' | 'withings' | 'renpho';
+export type ExportDataset = 'measurements' | 'workouts' | 'meals';
+
+// Which column of the file holds what, as in server/transfer.js
+export interface ImportMapping {
+    date: string;
+    // How 05/01/2024 reads; a part over 12 decides on its own
+    dateOrder: DateOrder;
+    columns: Partial<Record<MeasurementType, string>>;
+    // Unit of values that do not name one; the user's unit when left out
+    units: Partial<Record<MeasurementType, string>>;
+    note: string | null;
+}
+
+export interface ImportedMeasurement {
+    // 1 is the first row under the header
+    row: number;
+    type: MeasurementType;
+    value: number;
+    unit: string;
+    measuredAt: string;
+    note: string | null;
+    // Already logged, or earlier in the file
+    duplicate: boolean;
+}
+
+export interface ImportPreview {
+    format: 'csv' | 'apple_health';
+    source: ImportSource;
+    columns: string[];
+    // The first rows of the file as they were read
+    sample: string[][];
+    mapping: ImportMapping;
+    measurements: ImportedMeasurement[];
+    counts: { rows: number; new: number; duplicates: number; invalid: number };
+    errors: { row: number; type?: MeasurementType; message: string }[];
+}
+
+export interface ImportResult {
+    imported: number;
+    duplicates: number;
+    invalid: number;
+}
+
+export const IMPORT_SOURCE_LABELS: Record<ImportSource, string> = {
+    csv: 'CSV-bestand',
+    apple_health: 'Apple Gezondheid',
+    google_fit: 'Google Fit',
+    withings: 'Withings',
+    renpho: 'Renpho',
+};
+
+export const EXPORT_DATASET_LABELS: Record<ExportDataset, string> = {
+    measurements: 'Metingen',
+    workouts: 'Workouts',
+    meals: 'Maaltijden',
+};
+
+export function useProgressTransfer() {
+    const { getToken } = useAuth();
+
+    // Multipart, so no JSON content type
+    const send = useCallback(async (url: string, file: File, mapping?: ImportMapping) => {
+        const token = await getToken();
+        const form = new FormData();
+        form.append('file', file);
+        if (mapping) form.append('mapping', JSON.stringify(mapping));
+        const res = await fetch(url, { method: 'POST', headers: { 'Authorization': `Bearer ${token}` }, body: form });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.message ?? res.statusText);
+        return body;
+    }, [getToken]);
+
+    // What the file would import; the suggested mapping unless one is given
+    const previewImport = useCallback(async (file: File, mapping?: ImportMapping): Promise<ImportPreview> => {
+        const { preview } = await send('/api/measurements/import/preview', file, mapping);
+        return preview;
+    }, [send]);
+
+    const runImport = useCallback(async (file: File, mapping: ImportMapping): Promise<ImportResult> => {
+        return send('/api/measurements/import', file, mapping);
+    }, [send]);
+
+    // The file needs the auth header, so it is downloaded through a blob instead of a plain link
+    const downloadExport = useCallback(async (format: 'csv' | 'json', dataset?: ExportDataset) => {
+        const token = await getToken();
+        const params = new URLSearchParams({ format, ...(dataset ? { dataset } : {}) });
+        const res = await fetch(`/api/progress/export?${params}`, { headers: { 'Authorization': `Bearer ${token}` } });
+        if (!res.ok) throw new Error((await res.json().catch(() => null))?.message ?? res.statusText);
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] ?? `dnb-coach-${dataset ?? 'progressie'}.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }, [getToken]);
+
+    return { previewImport, runImport, downloadExport };
+}
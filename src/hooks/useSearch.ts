@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+export interface SnippetSegment {
+    text: string;
+    match: boolean;
+}
+
+export interface SearchResult {
+    messageId: string;
+    conversationId: string;
+    conversationTitle: string;
+    role: 'user' | 'assistant';
+    createdAt: string;
+    snippet: SnippetSegment[];
+}
+
+export interface SearchFilters {
+    q: string;
+    // Whole days, YYYY-MM-DD
+    from: string;
+    to: string;
+}
+
+const PAGE_SIZE = 20;
+const MIN_QUERY_LENGTH = 2;
+
+// Full-text search over the user's chat history, reloading while they type
+export function useSearch(lang: 'nl' | 'en') {
+    const { getToken } = useAuth();
+    const [filters, setFilters] = useState<SearchFilters>({ q: '', from: '', to: '' });
+    const [results, setResults] = useState<SearchResult[]>([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+
+    const fetchPage = useCallback(async (offset: number) => {
+        const params = new URLSearchParams({ q: filters.q.trim(), lang, limit: String(PAGE_SIZE), offset: String(offset) });
+        if (filters.from) params.set('from', filters.from);
+        if (filters.to) params.set('to', filters.to);
+        const token = await getToken();
+        const res = await fetch(`/api/search?${params}`, { headers: { 'Authorization': `Bearer ${token}` } });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.message ?? res.statusText);
+        return body as { results: SearchResult[]; hasMore: boolean };
+    }, [getToken, filters, lang]);
+
+    const active = filters.q.trim().length >= MIN_QUERY_LENGTH;
+
+    useEffect(() => {
+        if (!active) {
+            setResults([]);
+            setHasMore(false);
+            return;
+        }
+        let cancelled = false;
+        // Searching waits until the user stops typing
+        const timer = setTimeout(() => {
+            setLoading(true);
+            fetchPage(0)
+                .then(page => {
+                    if (cancelled) return;
+                    setResults(page.results);
+                    setHasMore(page.hasMore);
+                })
+                .catch(e => console.error("Search failed", e))
+                .finally(() => !cancelled && setLoading(false));
+        }, 300);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [active, fetchPage]);
+
+    const loadMore = useCallback(async () => {
+        setLoading(true);
+        try {
+            const page = await fetchPage(results.length);
+            setResults(prev => [...prev, ...page.results]);
+            setHasMore(page.hasMore);
+        } catch (e) {
+            console.error("Search failed", e);
+        } finally {
+            setLoading(false);
+        }
+    }, [fetchPage, results.length]);
+
+    return { filters, setFilters, results, hasMore, loading, active, loadMore };
+}
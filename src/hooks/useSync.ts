@@ -3,7 +3,6 @@ import { useAuth } from '@clerk/clerk-react';
 
 export interface SyncData {
     gamification?: { streak: number; score: number; badges: number; lastActive: string | null };
-    chatHistory?: unknown[];
     [key: string]: unknown;
 }
 
@@ -39,9 +38,6 @@ export function useSync(userCode: string | null) {
                 if (serverData.gamification) {
                     localStorage.setItem('bot_gamification', JSON.stringify(serverData.gamification));
                 }
-                if (serverData.chatHistory) {
-                    localStorage.setItem('bot_history_v2', JSON.stringify(serverData.chatHistory));
-                }
 
                 window.dispatchEvent(new Event("storage"));
                 setSynced(true);
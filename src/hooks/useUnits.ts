@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+import { DEFAULT_UNITS, unitPreferences, type UnitPreferences } from '@/lib/units';
+
+// The user's units from their coaching profile; metric until it has loaded
+export function useUnits(enabled = true): UnitPreferences {
+    const { getToken } = useAuth();
+    const [units, setUnits] = useState<UnitPreferences>(DEFAULT_UNITS);
+
+    useEffect(() => {
+        if (!enabled) return;
+        let cancelled = false;
+        (async () => {
+            const token = await getToken();
+            const res = await fetch('/api/profile', { headers: { 'Authorization': `Bearer ${token}` } });
+            if (!res.ok) throw new Error(res.statusText);
+            const { profile } = await res.json();
+            if (!cancelled) setUnits(unitPreferences(profile));
+        })().catch(e => console.error("Failed to load unit preferences", e));
+        return () => {
+            cancelled = true;
+        };
+    }, [getToken, enabled]);
+
+    return units;
+}
@@ -0,0 +1,120 @@
+import { useCallback } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+
+export interface WorkoutSet {
+    id: string;
+    exercise: string;
+    // 0 for bodyweight sets
+    weightKg: number;
+    reps: number;
+    rpe: number | null;
+    // Estimated one-rep max (Epley); null for bodyweight and high-rep sets
+    e1rm: number | null;
+    // Best e1RM of the exercise so far when it was lifted
+    pr: boolean;
+}
+
+export interface WorkoutSession {
+    id: string;
+    performedAt: string;
+    title: string | null;
+    note: string | null;
+    source: 'manual' | 'chat';
+    sets: WorkoutSet[];
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface WorkoutSetInput {
+    exercise: string;
+    weightKg: number;
+    reps: number;
+    rpe?: number | null;
+}
+
+export interface WorkoutInput {
+    // YYYY-MM-DD or an ISO timestamp; now when left out
+    performedAt?: string;
+    title?: string | null;
+    note?: string | null;
+    sets: WorkoutSetInput[];
+}
+
+export interface BestSet {
+    e1rm: number;
+    weightKg: number;
+    reps: number;
+    performedAt: string;
+}
+
+export interface ExerciseSummary {
+    // Lower-cased name the exercise's sets are grouped by
+    key: string;
+    exercise: string;
+    sessions: number;
+    sets: number;
+    lastPerformedAt: string;
+    best: BestSet | null;
+}
+
+export interface ExerciseHistoryEntry {
+    sessionId: string;
+    performedAt: string;
+    e1rm: number | null;
+    topSet: { weightKg: number; reps: number; rpe: number | null } | null;
+    sets: number;
+    // Sum of kg × reps
+    volume: number;
+    pr: boolean;
+}
+
+export function useWorkouts() {
+    const { getToken } = useAuth();
+
+    const api = useCallback(async (url: string, init: RequestInit = {}) => {
+        const token = await getToken();
+        const res = await fetch(url, {
+            ...init,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                ...init.headers,
+            },
+        });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error(body?.message ?? res.statusText);
+        return body;
+    }, [getToken]);
+
+    // Newest first
+    const listWorkouts = useCallback(async (): Promise<WorkoutSession[]> => {
+        const { sessions } = await api('/api/workouts');
+        return sessions;
+    }, [api]);
+
+    const addWorkout = useCallback(async (input: WorkoutInput): Promise<WorkoutSession> => {
+        const { session } = await api('/api/workouts', { method: 'POST', body: JSON.stringify(input) });
+        return session;
+    }, [api]);
+
+    const updateWorkout = useCallback(async (id: string, update: Partial<WorkoutInput>): Promise<WorkoutSession> => {
+        const { session } = await api(`/api/workouts/${id}`, { method: 'PATCH', body: JSON.stringify(update) });
+        return session;
+    }, [api]);
+
+    const deleteWorkout = useCallback(async (id: string) => {
+        await api(`/api/workouts/${id}`, { method: 'DELETE' });
+    }, [api]);
+
+    const listExercises = useCallback(async (): Promise<ExerciseSummary[]> => {
+        const { exercises } = await api('/api/workouts/exercises');
+        return exercises;
+    }, [api]);
+
+    const loadExerciseHistory = useCallback(async (exercise: string): Promise<ExerciseHistoryEntry[]> => {
+        const { history } = await api(`/api/workouts/exercises/${encodeURIComponent(exercise)}`);
+        return history;
+    }, [api]);
+
+    return { listWorkouts, addWorkout, updateWorkout, deleteWorkout, listExercises, loadExerciseHistory };
+}
@@ -0,0 +1,31 @@
+export interface ServerSentEvent {
+  event: string;
+  data: string;
+}
+
+// Read a text/event-stream response body and hand every complete event to `onEvent`
+export async function readEventStream(body: ReadableStream<Uint8Array>, onEvent: (evt: ServerSentEvent) => void) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary: number;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      const data: string[] = [];
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (data.length > 0) onEvent({ event, data: data.join("\n") });
+    }
+  }
+}
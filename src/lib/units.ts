@@ -0,0 +1,48 @@
+// Unit preferences, as in server/units.js. Values are stored in kg, cm and kcal;
+// fields named after their unit (weightKg, heightCm, kcal) are converted here for display and input.
+
+export type WeightUnit = 'kg' | 'lb';
+export type LengthUnit = 'cm' | 'in';
+export type EnergyUnit = 'kcal' | 'kJ';
+
+export interface UnitPreferences {
+    weightUnit: WeightUnit;
+    lengthUnit: LengthUnit;
+    energyUnit: EnergyUnit;
+}
+
+export const DEFAULT_UNITS: UnitPreferences = { weightUnit: 'kg', lengthUnit: 'cm', energyUnit: 'kcal' };
+
+export const UNIT_OPTIONS: { [K in keyof UnitPreferences]: [UnitPreferences[K], string][] } = {
+    weightUnit: [['kg', 'Kilogram (kg)'], ['lb', 'Pound (lb)']],
+    lengthUnit: [['cm', 'Centimeter (cm)'], ['in', 'Inch (in)']],
+    energyUnit: [['kcal', 'Kilocalorie (kcal)'], ['kJ', 'Kilojoule (kJ)']],
+};
+
+// How many of each unit make one stored unit
+const FACTORS: Record<string, number> = { lb: 2.20462, in: 1 / 2.54, kJ: 4.184 };
+
+const round = (n: number, digits: number) => Math.round(n * 10 ** digits) / 10 ** digits + 0;
+
+// The user's units, metric for anything not chosen
+export function unitPreferences(profile: Partial<Record<keyof UnitPreferences, string | null>> | null | undefined): UnitPreferences {
+    return {
+        weightUnit: (profile?.weightUnit as WeightUnit | null) ?? DEFAULT_UNITS.weightUnit,
+        lengthUnit: (profile?.lengthUnit as LengthUnit | null) ?? DEFAULT_UNITS.lengthUnit,
+        energyUnit: (profile?.energyUnit as EnergyUnit | null) ?? DEFAULT_UNITS.energyUnit,
+    };
+}
+
+// A stored value in `unit`; whole numbers for energy
+export function fromCanonical(value: number, unit: string, digits = 1): number {
+    const factor = FACTORS[unit];
+    if (!factor) return value;
+    return round(value * factor, unit === 'kJ' ? 0 : digits);
+}
+
+// A value typed in `unit` as stored; two decimals so it reads back the same
+export function toCanonical(value: number, unit: string): number {
+    const factor = FACTORS[unit];
+    if (!factor) return value;
+    return round(value / factor, 2);
+}
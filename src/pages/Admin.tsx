@@ -1,12 +1,18 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { useUser, useAuth, SignIn } from "@clerk/clerk-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { PromptManager } from "@/components/admin/PromptManager";
+import { UsagePanel } from "@/components/admin/UsagePanel";
+import { SafetyPanel } from "@/components/admin/SafetyPanel";
+import { MediaPanel } from "@/components/admin/MediaPanel";
+import { FeedbackPanel } from "@/components/admin/FeedbackPanel";
 import { toast } from "sonner";
-import { Trash2, Edit, Plus, Copy, Check } from "lucide-react";
+import { Trash2, Edit, Plus, Copy, Check, ScrollText } from "lucide-react";
 
 interface User {
   id: string;
@@ -17,6 +23,15 @@ interface User {
   createdAt: string;
 }
 
+interface ConversationSummary {
+  id: string;
+  title: string;
+  archived: boolean;
+  updatedAt: string;
+  summary: string | null;
+  summaryUpdatedAt: string | null;
+}
+
 export default function Admin() {
   const { isSignedIn, user, isLoaded } = useUser();
   const { getToken } = useAuth();
@@ -27,6 +42,8 @@ export default function Admin() {
   const [newUserName, setNewUserName] = useState("");
   const [newUserEmail, setNewUserEmail] = useState("");
   const [copiedId, setCopiedId] = useState<string | null>(null);
+  const [summaryUser, setSummaryUser] = useState<User | null>(null);
+  const [summaries, setSummaries] = useState<ConversationSummary[]>([]);
 
   // Check if user has admin role via Clerk publicMetadata
   const isAdmin = (user?.publicMetadata as { role?: string })?.role === 'admin';
@@ -37,13 +54,13 @@ export default function Admin() {
     }
   }, [isSignedIn, isAdmin]);
 
-  async function getAuthHeaders() {
+  const getAuthHeaders = useCallback(async () => {
     const token = await getToken();
     return {
       "Authorization": `Bearer ${token}`,
       "Content-Type": "application/json",
     };
-  }
+  }, [getToken]);
 
   async function loadUsers() {
     try {
@@ -137,6 +154,22 @@ export default function Admin() {
     }
   }
 
+  async function openSummaries(target: User) {
+    setSummaryUser(target);
+    setSummaries([]);
+    try {
+      const headers = await getAuthHeaders();
+      const resp = await fetch(`/api/admin/users/${encodeURIComponent(target.id)}/summaries`, { headers });
+
+      if (!resp.ok) throw new Error("Failed to load summaries");
+
+      const data = await resp.json();
+      setSummaries(data.conversations || []);
+    } catch (e) {
+      toast.error("Failed to load summaries");
+    }
+  }
+
   function copyToClipboard(text: string) {
     navigator.clipboard.writeText(text);
     setCopiedId(text);
@@ -181,7 +214,7 @@ export default function Admin() {
         <header className="mb-8 flex items-center justify-between">
           <div>
             <h1 className="text-3xl font-bold">Admin Panel</h1>
-            <p className="text-muted-foreground">Manage bot users</p>
+            <p className="text-muted-foreground">Manage bot users and the coach prompt</p>
           </div>
           <Dialog open={showAddDialog} onOpenChange={setShowAddDialog}>
             <DialogTrigger asChild>
@@ -222,111 +255,188 @@ export default function Admin() {
           </Dialog>
         </header>
 
-        <div className="grid gap-4">
-          {users.length === 0 && (
-            <Card>
-              <CardContent className="py-8 text-center text-muted-foreground">
-                No users yet. Add your first user!
-              </CardContent>
-            </Card>
-          )}
-
-          {users.map((user) => (
-            <Card key={user.id}>
-              <CardContent className="py-4">
-                {editingUser?.id === user.id ? (
-                  <div className="space-y-4">
-                    <div>
-                      <Label>Name</Label>
-                      <Input
-                        value={editingUser.name}
-                        onChange={(e) =>
-                          setEditingUser({ ...editingUser, name: e.target.value })
-                        }
-                      />
-                    </div>
-                    <div>
-                      <Label>Email</Label>
-                      <Input
-                        type="email"
-                        value={editingUser.email || ""}
-                        onChange={(e) =>
-                          setEditingUser({ ...editingUser, email: e.target.value || undefined })
-                        }
-                      />
-                    </div>
-                    <div className="flex gap-2">
-                      <Button
-                        onClick={() =>
-                          handleUpdateUser(
-                            editingUser.id,
-                            editingUser.name,
-                            editingUser.email
-                          )
-                        }
-                        disabled={loading}
-                      >
-                        Save
-                      </Button>
-                      <Button
-                        variant="outline"
-                        onClick={() => setEditingUser(null)}
-                        disabled={loading}
-                      >
-                        Cancel
-                      </Button>
-                    </div>
-                  </div>
-                ) : (
-                  <div className="flex items-start justify-between">
-                    <div className="space-y-1">
-                      <div className="font-semibold text-lg">{user.name}</div>
-                      {user.email && (
-                        <div className="text-sm text-muted-foreground">{user.email}</div>
-                      )}
-                      <div className="flex items-center gap-2">
-                        <span className="text-xs text-muted-foreground">ID:</span>
-                        <code className="bg-muted px-2 py-1 rounded text-xs font-mono">
-                          {user.id.slice(0, 12)}...
-                        </code>
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => copyToClipboard(user.id)}
-                        >
-                          {copiedId === user.id ? (
-                            <Check size={16} className="text-green-500" />
-                          ) : (
-                            <Copy size={16} />
-                          )}
-                        </Button>
+        <Tabs defaultValue="users">
+          <TabsList className="mb-4">
+            <TabsTrigger value="users">Users</TabsTrigger>
+            <TabsTrigger value="prompts">Prompts</TabsTrigger>
+            <TabsTrigger value="usage">Usage</TabsTrigger>
+            <TabsTrigger value="safety">Safety</TabsTrigger>
+            <TabsTrigger value="feedback">Feedback</TabsTrigger>
+            <TabsTrigger value="media">Media</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="prompts">
+            <PromptManager getAuthHeaders={getAuthHeaders} />
+          </TabsContent>
+
+          <TabsContent value="usage">
+            <UsagePanel getAuthHeaders={getAuthHeaders} />
+          </TabsContent>
+
+          <TabsContent value="safety">
+            <SafetyPanel getAuthHeaders={getAuthHeaders} />
+          </TabsContent>
+
+          <TabsContent value="feedback">
+            <FeedbackPanel getAuthHeaders={getAuthHeaders} />
+          </TabsContent>
+
+          <TabsContent value="media">
+            <MediaPanel getAuthHeaders={getAuthHeaders} />
+          </TabsContent>
+
+          <TabsContent value="users">
+            <div className="grid gap-4">
+              {users.length === 0 && (
+                <Card>
+                  <CardContent className="py-8 text-center text-muted-foreground">
+                    No users yet. Add your first user!
+                  </CardContent>
+                </Card>
+              )}
+
+              {users.map((user) => (
+                <Card key={user.id}>
+                  <CardContent className="py-4">
+                    {editingUser?.id === user.id ? (
+                      <div className="space-y-4">
+                        <div>
+                          <Label>Name</Label>
+                          <Input
+                            value={editingUser.name}
+                            onChange={(e) =>
+                              setEditingUser({ ...editingUser, name: e.target.value })
+                            }
+                          />
+                        </div>
+                        <div>
+                          <Label>Email</Label>
+                          <Input
+                            type="email"
+                            value={editingUser.email || ""}
+                            onChange={(e) =>
+                              setEditingUser({ ...editingUser, email: e.target.value || undefined })
+                            }
+                          />
+                        </div>
+                        <div className="flex gap-2">
+                          <Button
+                            onClick={() =>
+                              handleUpdateUser(
+                                editingUser.id,
+                                editingUser.name,
+                                editingUser.email
+                              )
+                            }
+                            disabled={loading}
+                          >
+                            Save
+                          </Button>
+                          <Button
+                            variant="outline"
+                            onClick={() => setEditingUser(null)}
+                            disabled={loading}
+                          >
+                            Cancel
+                          </Button>
+                        </div>
                       </div>
-                      <div className="text-sm text-muted-foreground">
-                        Role: {user.role} | Created: {new Date(user.createdAt).toLocaleString()}
+                    ) : (
+                      <div className="flex items-start justify-between">
+                        <div className="space-y-1">
+                          <div className="font-semibold text-lg">{user.name}</div>
+                          {user.email && (
+                            <div className="text-sm text-muted-foreground">{user.email}</div>
+                          )}
+                          <div className="flex items-center gap-2">
+                            <span className="text-xs text-muted-foreground">ID:</span>
+                            <code className="bg-muted px-2 py-1 rounded text-xs font-mono">
+                              {user.id.slice(0, 12)}...
+                            </code>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => copyToClipboard(user.id)}
+                            >
+                              {copiedId === user.id ? (
+                                <Check size={16} className="text-green-500" />
+                              ) : (
+                                <Copy size={16} />
+                              )}
+                            </Button>
+                          </div>
+                          <div className="text-sm text-muted-foreground">
+                            Role: {user.role} | Created: {new Date(user.createdAt).toLocaleString()}
+                          </div>
+                        </div>
+                        <div className="flex gap-2">
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            title="Conversation summaries"
+                            onClick={() => openSummaries(user)}
+                          >
+                            <ScrollText size={16} />
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => setEditingUser(user)}
+                          >
+                            <Edit size={16} />
+                          </Button>
+                          <Button
+                            variant="destructive"
+                            size="sm"
+                            onClick={() => handleDeleteUser(user.id)}
+                          >
+                            <Trash2 size={16} />
+                          </Button>
+                        </div>
                       </div>
-                    </div>
-                    <div className="flex gap-2">
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => setEditingUser(user)}
-                      >
-                        <Edit size={16} />
-                      </Button>
-                      <Button
-                        variant="destructive"
-                        size="sm"
-                        onClick={() => handleDeleteUser(user.id)}
-                      >
-                        <Trash2 size={16} />
-                      </Button>
-                    </div>
+                    )}
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          </TabsContent>
+        </Tabs>
+
+        <Dialog open={!!summaryUser} onOpenChange={(open) => !open && setSummaryUser(null)}>
+          <DialogContent className="max-w-2xl max-h-[80vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>Conversation summaries — {summaryUser?.name}</DialogTitle>
+              <DialogDescription>
+                Rolling summaries the coach uses once a thread outgrows its context window.
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-4 mt-4">
+              {summaries.length === 0 && (
+                <p className="text-sm text-muted-foreground">No conversations yet.</p>
+              )}
+              {summaries.map((c) => (
+                <div key={c.id} className="rounded-lg border p-3 space-y-1">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-semibold">{c.title}</span>
+                    <span className="text-xs text-muted-foreground">
+                      {c.archived && "Archived · "}Updated {new Date(c.updatedAt).toLocaleString()}
+                    </span>
                   </div>
-                )}
-              </CardContent>
-            </Card>
-          ))}
-        </div>
+                  {c.summary ? (
+                    <>
+                      <p className="text-sm whitespace-pre-wrap">{c.summary}</p>
+                      <p className="text-xs text-muted-foreground">
+                        Summarized {c.summaryUpdatedAt && new Date(c.summaryUpdatedAt).toLocaleString()}
+                      </p>
+                    </>
+                  ) : (
+                    <p className="text-sm text-muted-foreground">Short enough — no summary needed yet.</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </DialogContent>
+        </Dialog>
       </div>
     </div>
   );
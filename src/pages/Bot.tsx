@@ -1,14 +1,30 @@
-import React, { useEffect, useRef } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { Sparkles, Pin, X } from "lucide-react";
+import { Sparkles, UserCog, Utensils, Loader2 } from "lucide-react";
 import { toast } from "sonner";
+import { cn } from "@/lib/utils";
 import { LoginScreen } from "@/components/chat/LoginScreen";
 import { ChatInput } from "@/components/chat/ChatInput";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
 import { ChatBubble } from "@/components/chat/ChatBubble";
+import { ToolResultCard } from "@/components/chat/ToolResultCard";
 import { VideoBlock } from "@/components/chat/VideoBlock";
+import { AttachmentImage } from "@/components/chat/AttachmentImage";
+import { ThreadSidebar } from "@/components/chat/ThreadSidebar";
+import { SearchPanel } from "@/components/chat/SearchPanel";
+import { LibraryPanel } from "@/components/chat/LibraryPanel";
+import { MealAnalysisCard } from "@/components/nutrition/MealAnalysisCard";
+import { DailyNutritionCard } from "@/components/nutrition/DailyNutritionCard";
 import { useBotAuth } from "@/hooks/useBotAuth";
-import { useChat } from "@/hooks/useChat";
+import { useChat, type Attachment } from "@/hooks/useChat";
+import { useCoachMedia } from "@/hooks/useCoachMedia";
+import { useLibrary } from "@/hooks/useLibrary";
+import { useSearch } from "@/hooks/useSearch";
+import { printUrl, type ExportRequest } from "@/hooks/useExport";
+import { useNutrition, type DaySummary, type MealAnalysis, type MealDraft } from "@/hooks/useNutrition";
+import { useUnits } from "@/hooks/useUnits";
+import { fromCanonical } from "@/lib/units";
 
 // Default stats
 const DEFAULT_STATS = { streak: 0, badges: 0, score: 0 };
@@ -54,18 +70,97 @@ export default function Bot() {
   const {
     loading,
     send,
-    pinnedMessages,
+    regenerate,
+    editMessage,
+    switchBranch,
+    rateMessage,
+    uploadImage,
+    stop,
+    conversations,
+    archivedConversations,
+    activeConversationId,
+    selectConversation,
+    openMessage,
+    focusedMessageId,
+    newConversation,
+    renameConversation,
+    archiveConversation,
+    deleteConversation,
     assistantBlocks,
-    pinnedBlocks,
-    togglePin,
-    isPinned,
     synced,
     userData,
+    quota,
   } = useChat(userCode, effectiveName, lang);
 
+  const { clips, recordView } = useCoachMedia(userCode, lang);
+  const {
+    items: libraryItems,
+    filters: libraryFilters,
+    setFilters: setLibraryFilters,
+    pinMessage,
+    unpinMessage,
+    isPinned,
+    updateItem: updateLibraryItem,
+    deleteItem: deleteLibraryItem,
+    moveItem: moveLibraryItem,
+  } = useLibrary(userCode);
+  const search = useSearch(lang);
+  const { analyzeMeal, saveMeal, loadDay } = useNutrition();
+  const [mealDraft, setMealDraft] = useState<MealAnalysis | null>(null);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [savingMeal, setSavingMeal] = useState(false);
+  const [today, setToday] = useState<DaySummary | null>(null);
+  const units = useUnits(Boolean(userCode));
+
+  useEffect(() => {
+    if (!userCode) return;
+    loadDay()
+      .then(({ summary }) => setToday(summary))
+      .catch(e => console.error("Failed to load nutrition log", e));
+  }, [userCode, loadDay]);
+
+  const handleAnalyzeMeal = async (attachment: Attachment, note: string) => {
+    setAnalyzing(true);
+    try {
+      const analysis = await analyzeMeal(attachment.id, note);
+      if (analysis.items.length === 0) toast.info("Geen eten herkend, vul de producten zelf in.");
+      setMealDraft(analysis);
+    } catch (e) {
+      toast.error("Analyse mislukt: " + (e instanceof Error ? e.message : String(e)));
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const handleSaveMeal = async (meal: MealDraft) => {
+    setSavingMeal(true);
+    try {
+      const { entry, summary } = await saveMeal(meal);
+      setMealDraft(null);
+      setToday(summary);
+      toast.success(`Maaltijd opgeslagen: ${fromCanonical(entry.kcal, units.energyUnit)} ${units.energyUnit}`);
+    } catch (e) {
+      toast.error("Opslaan mislukt: " + (e instanceof Error ? e.message : String(e)));
+    } finally {
+      setSavingMeal(false);
+    }
+  };
+
+  // Exports open on the print page, which also offers the PDF, Markdown and email options
+  const openExport = (request: Omit<ExportRequest, "lang">) => {
+    window.open(printUrl({ ...request, lang }), "_blank", "noopener");
+  };
+
   const bottomRef = useRef<HTMLDivElement | null>(null);
 
-  useEffect(() => { bottomRef.current?.scrollIntoView({ behavior: "smooth" }); }, [assistantBlocks, loading]);
+  useEffect(() => {
+    // A message opened from search stays in view until the user sends something
+    if (focusedMessageId) {
+      document.getElementById(`message-${focusedMessageId}`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+      return;
+    }
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [assistantBlocks, loading, focusedMessageId]);
 
   // Show loading while Clerk is initializing
   if (!isLoaded) {
@@ -107,51 +202,62 @@ export default function Bot() {
 
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
           <div className="lg:col-span-3 space-y-4">
-            {pinnedMessages.length > 0 && (
-              <div className="space-y-2">
-                <h3 className="text-sm font-semibold text-muted-foreground flex items-center gap-2">
-                  <Pin size={14} /> Pinned Messages
-                </h3>
-                <div className="space-y-2">
-                  {pinnedBlocks.map((m) => (
-                    <div key={m.id} className="rounded-xl border border-primary/30 bg-card p-4 relative">
-                      <Button
-                        variant="ghost"
-                        size="sm"
-                        className="absolute top-2 right-2 h-6 w-6 p-0"
-                        onClick={() => togglePin(m)}
-                      >
-                        <X size={14} />
-                      </Button>
-                      <div className="pr-8">
-                        {m.blocks.map((b, i) =>
-                          b.type === "video" ? (
-                            <VideoBlock key={i} id={b.id} />
-                          ) : (
-                            <p key={i} className="whitespace-pre-wrap leading-relaxed text-sm">{b.text}</p>
-                          )
-                        )}
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
+            <LibraryPanel
+              items={libraryItems}
+              filters={libraryFilters}
+              onFiltersChange={setLibraryFilters}
+              onUpdate={updateLibraryItem}
+              onDelete={deleteLibraryItem}
+              onMove={moveLibraryItem}
+              onExport={itemIds => openExport({ scope: "library", itemIds })}
+              clips={clips}
+              onPlayClip={recordView}
+            />
 
             <div className="rounded-xl border border-border bg-card/50 backdrop-blur-sm p-4 h-[70vh] flex flex-col">
               <div className="flex-1 overflow-y-auto pr-2 space-y-4">
                 {assistantBlocks.map((m) => (
-                  <ChatBubble key={m.id} role={m.role as "user" | "assistant"} onPin={() => togglePin(m)} isPinned={isPinned(m.id)}>
-                    {m.blocks.map((b, i) =>
-                      b.type === "video" ? (
-                        <VideoBlock key={i} id={b.id} />
-                      ) : (
-                        <p key={i} className="whitespace-pre-wrap leading-relaxed">{b.text}</p>
-                      )
-                    )}
-                  </ChatBubble>
+                  <div
+                    key={m.id}
+                    id={`message-${m.id}`}
+                    className={cn("rounded-xl", m.id === focusedMessageId && "ring-2 ring-primary/60 ring-offset-2 ring-offset-background")}
+                  >
+                    <ChatBubble
+                      role={m.role as "user" | "assistant"}
+                      onPin={activeConversationId ? () => (isPinned(m.id) ? unpinMessage(m.id) : pinMessage(m.id)) : undefined}
+                      isPinned={isPinned(m.id)}
+                      branch={m.branch}
+                      onSwitchBranch={switchBranch}
+                      // Only messages the server has stored can be resent; a photo cannot be edited
+                      onRegenerate={activeConversationId && m.role === "assistant" ? () => regenerate(m.id) : undefined}
+                      editText={activeConversationId && m.role === "user" && !m.attachments ? m.content : undefined}
+                      onEdit={text => editMessage(m.id, text)}
+                      feedback={m.feedback}
+                      onFeedback={activeConversationId && m.role === "assistant" ? feedback => rateMessage(m.id, feedback) : undefined}
+                      onExport={activeConversationId && m.role === "assistant"
+                        ? () => openExport({ scope: "message", conversationId: activeConversationId, messageId: m.id })
+                        : undefined}
+                      busy={loading}
+                    >
+                      {m.attachments?.map(a => <AttachmentImage key={a.id} attachment={a} />)}
+                      {m.tools && m.tools.length > 0 && (
+                        <div className="space-y-2 mb-2">
+                          {m.tools.map(t => <ToolResultCard key={t.id} tool={t} weightUnit={units.weightUnit} />)}
+                        </div>
+                      )}
+                      {m.blocks.map((b, i) =>
+                        b.type === "video" ? (
+                          <VideoBlock key={i} clip={clips[b.id]} onPlay={recordView} />
+                        ) : (
+                          <p key={i} className="whitespace-pre-wrap leading-relaxed">{b.text}</p>
+                        )
+                      )}
+                    </ChatBubble>
+                  </div>
                 ))}
-                {loading && <ChatBubble role="assistant"><p>Even denken...</p></ChatBubble>}
+                {loading && assistantBlocks[assistantBlocks.length - 1]?.role !== "assistant" && (
+                  <ChatBubble role="assistant"><p>Even denken...</p></ChatBubble>
+                )}
                 <div ref={bottomRef} />
               </div>
 
@@ -163,12 +269,66 @@ export default function Bot() {
                   <QuickAction onClick={() => send("Ik mis motivatie")}>Motivatie</QuickAction>
                 </div>
 
-                <ChatInput onSend={send} loading={loading} />
+                {quota && (
+                  <Alert variant="destructive">
+                    <AlertTitle>{quota.period === "daily" ? "Daglimiet bereikt" : "Maandlimiet bereikt"}</AlertTitle>
+                    <AlertDescription>
+                      Je hebt je {quota.period === "daily" ? "dagelijkse" : "maandelijkse"} coach-budget opgebruikt.
+                      Je kunt weer chatten vanaf {new Date(quota.resetsAt).toLocaleString("nl-NL", { dateStyle: "medium", timeStyle: "short" })}.
+                    </AlertDescription>
+                  </Alert>
+                )}
+
+                {analyzing && (
+                  <p className="text-sm text-muted-foreground flex items-center gap-2">
+                    <Loader2 size={14} className="animate-spin" /> Maaltijd analyseren...
+                  </p>
+                )}
+                {mealDraft && (
+                  <MealAnalysisCard
+                    key={mealDraft.attachmentId}
+                    analysis={mealDraft}
+                    saving={savingMeal}
+                    onSave={handleSaveMeal}
+                    onCancel={() => setMealDraft(null)}
+                    energyUnit={units.energyUnit}
+                  />
+                )}
+
+                <ChatInput
+                  onSend={send}
+                  onUpload={uploadImage}
+                  onAnalyzeMeal={handleAnalyzeMeal}
+                  loading={loading}
+                  onStop={stop}
+                />
               </div>
             </div>
           </div>
 
           <aside className="lg:col-span-1 space-y-4">
+            <SearchPanel
+              filters={search.filters}
+              onFiltersChange={search.setFilters}
+              results={search.results}
+              active={search.active}
+              loading={search.loading}
+              hasMore={search.hasMore}
+              onLoadMore={search.loadMore}
+              onOpen={result => openMessage(result.conversationId, result.messageId)}
+            />
+            <ThreadSidebar
+              conversations={conversations}
+              archivedConversations={archivedConversations}
+              activeId={activeConversationId}
+              disabled={loading}
+              onSelect={selectConversation}
+              onNew={newConversation}
+              onRename={renameConversation}
+              onArchive={archiveConversation}
+              onDelete={deleteConversation}
+              onExport={id => openExport({ scope: "conversation", conversationId: id })}
+            />
             <div className="rounded-xl border bg-card/50 p-4">
               <div className="flex justify-between items-center mb-2">
                 <h3 className="font-semibold">Gamification</h3>
@@ -183,8 +343,17 @@ export default function Bot() {
                 <Button onClick={() => window.location.href = '/progress'} variant="outline" className="w-full text-xs" size="sm">
                   <Sparkles size={14} className="mr-2" /> Progressie
                 </Button>
+                <Button onClick={() => window.location.href = '/settings'} variant="outline" className="w-full text-xs" size="sm">
+                  <UserCog size={14} className="mr-2" /> Profiel
+                </Button>
               </div>
             </div>
+            {today && (today.meals > 0 || today.targets) && (
+              <div className="rounded-xl border bg-card/50 p-4">
+                <h3 className="font-semibold mb-3 flex items-center gap-2"><Utensils size={16} /> Voeding vandaag</h3>
+                <DailyNutritionCard summary={today} energyUnit={units.energyUnit} />
+              </div>
+            )}
             <div className="rounded-xl border bg-card/50 p-4">
               <h3 className="font-semibold mb-2 flex items-center gap-2"><Sparkles size={16} /> Tips</h3>
               <ul className="text-sm text-muted-foreground space-y-1 list-disc pl-5">
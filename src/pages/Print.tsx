@@ -0,0 +1,199 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Button } from "@/components/ui/button";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+import { Download, FileText, Loader2, Mail, Printer } from "lucide-react";
+import { LoginScreen } from "@/components/chat/LoginScreen";
+import { useBotAuth } from "@/hooks/useBotAuth";
+import {
+    useExport, exportRequestFromSearch,
+    type ExportBlock, type ExportDocument, type ExportFormat, type TextRun,
+} from "@/hooks/useExport";
+
+// A print-friendly view of an export; the browser's print dialog can save it as PDF too
+export default function Print() {
+    const [search] = useSearchParams();
+    const { authenticated, isLoaded } = useBotAuth();
+    const { loadDocument, download, email } = useExport();
+    const request = useMemo(() => exportRequestFromSearch(search), [search]);
+    const [document, setDocument] = useState<ExportDocument | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [busy, setBusy] = useState<string | null>(null);
+
+    useEffect(() => {
+        if (!authenticated || !request) return;
+        loadDocument(request)
+            .then(setDocument)
+            .catch(e => setError(e instanceof Error ? e.message : String(e)));
+    }, [authenticated, request, loadDocument]);
+
+    useEffect(() => {
+        if (document) window.document.title = `${document.title} · DNB Coaching`;
+    }, [document]);
+
+    if (!isLoaded) {
+        return (
+            <div className="min-h-screen bg-background flex items-center justify-center">
+                <p className="text-muted-foreground">Loading...</p>
+            </div>
+        );
+    }
+
+    if (!authenticated) return <LoginScreen />;
+
+    const handleDownload = async (format: ExportFormat) => {
+        if (!request) return;
+        setBusy(format);
+        try {
+            await download(request, format);
+        } catch (e) {
+            toast.error("Downloaden mislukt: " + (e instanceof Error ? e.message : String(e)));
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleEmail = async () => {
+        if (!request) return;
+        setBusy("email");
+        try {
+            const to = await email(request, "pdf");
+            toast.success(`PDF verstuurd naar ${to}`);
+        } catch (e) {
+            toast.error("Versturen mislukt: " + (e instanceof Error ? e.message : String(e)));
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-muted/30 print:bg-white">
+            <div className="sticky top-0 z-10 border-b bg-background/95 backdrop-blur print:hidden">
+                <div className="mx-auto flex max-w-3xl flex-wrap items-center justify-end gap-2 px-4 py-3">
+                    <Button size="sm" onClick={() => window.print()} disabled={!document}>
+                        <Printer size={14} className="mr-1" /> Afdrukken
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => handleDownload("pdf")} disabled={!document || busy !== null}>
+                        <Download size={14} className="mr-1" /> PDF
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => handleDownload("markdown")} disabled={!document || busy !== null}>
+                        <FileText size={14} className="mr-1" /> Markdown
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={handleEmail} disabled={!document || busy !== null}>
+                        {busy === "email" ? <Loader2 size={14} className="mr-1 animate-spin" /> : <Mail size={14} className="mr-1" />} E-mailen
+                    </Button>
+                </div>
+            </div>
+
+            <article className="mx-auto my-6 max-w-3xl bg-white text-neutral-900 shadow-sm print:my-0 print:max-w-none print:shadow-none">
+                <header className="flex items-center bg-neutral-950 px-10 py-4 border-b-[3px] border-[#00FFA1]">
+                    <span className="font-bold tracking-wide text-[#00FFA1]">DNB</span>
+                    <span className="ml-1 font-bold tracking-wide text-white">COACHING</span>
+                </header>
+
+                <div className="px-10 py-8">
+                    {!request && <p className="text-sm text-neutral-500">Deze exportlink is ongeldig.</p>}
+                    {error && <p className="text-sm text-red-600">Export laden mislukt: {error}</p>}
+                    {request && !document && !error && (
+                        <p className="text-sm text-neutral-500 flex items-center gap-2">
+                            <Loader2 size={14} className="animate-spin" /> Export laden...
+                        </p>
+                    )}
+                    {document && (
+                        <>
+                            <h1 className="text-3xl font-bold">{document.title}</h1>
+                            <p className="mt-1 text-sm text-neutral-500">{document.subtitle}</p>
+                            <div className="mt-8 space-y-6">
+                                {document.sections.map((section, index) => (
+                                    <section key={section.id} className={cn(index > 0 && document.scope !== "message" && "border-t border-neutral-200 pt-6")}>
+                                        {section.title && <h2 className="text-xl font-bold mb-1">{section.title}</h2>}
+                                        {section.title ? (
+                                            <p className="mb-2 text-xs font-bold uppercase tracking-wide text-emerald-600">{section.date}</p>
+                                        ) : document.scope !== "message" && (
+                                            <p className={cn(
+                                                "mb-2 text-xs font-bold uppercase tracking-wide",
+                                                section.role === "assistant" ? "text-emerald-600" : "text-neutral-500"
+                                            )}>
+                                                {section.label} · {section.date}
+                                            </p>
+                                        )}
+                                        <div className="space-y-3 text-[15px] leading-relaxed">
+                                            {section.blocks.map((block, i) => <Block key={i} block={block} />)}
+                                        </div>
+                                    </section>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                <footer className="px-10 pb-6 text-center text-xs text-neutral-400">dnbcoaching.com</footer>
+            </article>
+        </div>
+    );
+}
+
+function Runs({ runs }: { runs: TextRun[] }) {
+    return (
+        <>
+            {runs.map((run, i) => {
+                const text = run.bold ? <strong>{run.text}</strong> : run.italic ? <em>{run.text}</em> : run.text;
+                return run.link
+                    ? <a key={i} href={run.link} className="underline" target="_blank" rel="noreferrer">{text}</a>
+                    : <React.Fragment key={i}>{text}</React.Fragment>;
+            })}
+        </>
+    );
+}
+
+function Block({ block }: { block: ExportBlock }) {
+    switch (block.type) {
+        case "heading":
+            return (
+                <p className={cn("font-bold pt-2 break-after-avoid", block.level === 1 ? "text-2xl" : block.level === 2 ? "text-xl" : "text-lg")}>
+                    <Runs runs={block.runs} />
+                </p>
+            );
+        case "paragraph":
+            return <p className="whitespace-pre-wrap"><Runs runs={block.runs} /></p>;
+        case "list": {
+            const List = block.ordered ? "ol" : "ul";
+            return (
+                <List className={cn("space-y-1 pl-6", block.ordered ? "list-decimal" : "list-disc")}>
+                    {block.items.map((item, i) => <li key={i}><Runs runs={item} /></li>)}
+                </List>
+            );
+        }
+        case "table":
+            return (
+                <table className="w-full border-collapse text-sm">
+                    {/* A header group repeats on every printed page */}
+                    <thead className="bg-[#E5FFF4]">
+                        <tr>
+                            {block.header.map((cell, i) => (
+                                <th key={i} className="border border-neutral-300 px-2 py-1 text-left font-semibold"><Runs runs={cell} /></th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {block.rows.map((row, r) => (
+                            <tr key={r} className="break-inside-avoid">
+                                {row.map((cell, i) => (
+                                    <td key={i} className="border border-neutral-300 px-2 py-1 align-top"><Runs runs={cell} /></td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            );
+        case "video":
+            return (
+                <p className="text-neutral-500">
+                    ▶ Video: <a href={block.url} className="underline" target="_blank" rel="noreferrer">{block.title}</a>
+                </p>
+            );
+        case "rule":
+            return <hr className="border-neutral-200" />;
+    }
+}
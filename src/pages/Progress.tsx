@@ -1,48 +1,227 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
-import { ArrowLeft, TrendingUp, Calendar } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { ArrowLeft, TrendingUp, Calendar, Trash2, Utensils, Dumbbell, Trophy, ArrowDownUp } from "lucide-react";
 import { useNavigate } from 'react-router-dom';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { useBotAuth } from "@/hooks/useBotAuth";
+import { useNutrition, MEAL_TYPE_LABELS, type DaySummary, type NutritionEntry } from "@/hooks/useNutrition";
+import { DailyNutritionCard } from "@/components/nutrition/DailyNutritionCard";
+import { MeasurementList } from "@/components/progress/MeasurementList";
+import { PlateauBadge, TrendStats } from "@/components/progress/TrendStats";
+import { WorkoutForm } from "@/components/progress/WorkoutForm";
+import { WorkoutList } from "@/components/progress/WorkoutList";
+import { ExerciseHistoryChart } from "@/components/progress/ExerciseHistoryChart";
+import { ImportExportCard } from "@/components/progress/ImportExportCard";
+import { useWorkouts, type ExerciseSummary, type WorkoutInput, type WorkoutSession } from "@/hooks/useWorkouts";
+import {
+    useMeasurements, MEASUREMENT_LABELS, measurementUnit,
+    type LegacyWeighIn, type Measurement, type MeasurementType, type MeasurementUpdate, type MetricTrend,
+} from "@/hooks/useMeasurements";
+import { useUnits } from "@/hooks/useUnits";
+import { fromCanonical } from "@/lib/units";
 import { toast } from "sonner";
 
-interface WeightEntry {
-    date: string;
-    weight: number;
+// Entries from before server-side logging were stored locally as "dd-mm" without a year
+function legacyDateToIso(date: string): string | null {
+    const match = date.match(/^(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    const now = new Date();
+    let year = now.getFullYear();
+    const candidate = `${year}-${match[2]}-${match[1]}`;
+    if (new Date(candidate) > now) year -= 1;
+    return `${year}-${match[2]}-${match[1]}`;
+}
+
+// The weigh-ins this browser kept before they were stored on the server; entries that cannot be read are dropped
+function readLocalWeighIns(saved: string): LegacyWeighIn[] {
+    let entries: unknown;
+    try {
+        entries = JSON.parse(saved);
+    } catch {
+        return [];
+    }
+    if (!Array.isArray(entries)) return [];
+    return entries.flatMap((entry: Partial<LegacyWeighIn> | null) => {
+        const date = typeof entry?.date === 'string' ? legacyDateToIso(entry.date) : null;
+        return date && typeof entry?.weight === 'number' ? [{ date, weight: entry.weight }] : [];
+    });
+}
+
+// Chart ticks carry the year, so a log that runs past New Year still reads in order
+function formatDay(time: number) {
+    return new Date(time).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: '2-digit' });
+}
+
+function today() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
 }
 
 export default function Progress() {
     const navigate = useNavigate();
-    const { userCode, effectiveName, authenticated, isLoaded } = useBotAuth();
-    const [weight, setWeight] = useState("");
-    const [data, setData] = useState<WeightEntry[]>([]);
+    const { userCode, authenticated, isLoaded } = useBotAuth();
+    const [metric, setMetric] = useState<MeasurementType>('weight');
+    const [value, setValue] = useState("");
+    const [measureDate, setMeasureDate] = useState(today);
+    const [measurements, setMeasurements] = useState<Measurement[]>([]);
+    const [trends, setTrends] = useState<MetricTrend[]>([]);
+    const [workouts, setWorkouts] = useState<WorkoutSession[]>([]);
+    const [exercises, setExercises] = useState<ExerciseSummary[]>([]);
+    const [workoutVersion, setWorkoutVersion] = useState(0);
+    const [meals, setMeals] = useState<NutritionEntry[]>([]);
+    const [nutrition, setNutrition] = useState<DaySummary | null>(null);
+    const { loadDay, deleteMeal } = useNutrition();
+    const { listMeasurements, loadTrends, addMeasurement, updateMeasurement, deleteMeasurement, importLegacyWeighIns } = useMeasurements();
+    const { listWorkouts, addWorkout, updateWorkout, deleteWorkout, listExercises, loadExerciseHistory } = useWorkouts();
+    const units = useUnits(Boolean(userCode));
+
+    // Measurements load once the old weight logs, on the server and in this browser, are moved in
+    const [legacyMoved, setLegacyMoved] = useState(false);
+    // Readings of the selected metric, and the trends of all of them for the plateau flags
+    const loadMeasurements = useCallback(async () => {
+        const [list, all] = await Promise.all([listMeasurements({ type: metric }), loadTrends()]);
+        setMeasurements(list);
+        setTrends(all);
+    }, [listMeasurements, loadTrends, metric]);
 
     useEffect(() => {
-        if (userCode) {
-            const saved = localStorage.getItem(`progress_weight_${userCode}`);
-            if (saved) {
-                setData(JSON.parse(saved));
+        if (!userCode) return;
+        (async () => {
+            try {
+                const nutritionRes = await loadDay();
+                setMeals(nutritionRes.entries);
+                setNutrition(nutritionRes.summary);
+            } catch (e) {
+                console.error("Failed to load progress", e);
+                toast.error("Progressie kon niet geladen worden");
             }
-        }
-    }, [userCode]);
+        })();
+    }, [userCode, loadDay]);
+
+    const loadWorkouts = useCallback(async () => {
+        const [sessions, summaries] = await Promise.all([listWorkouts(), listExercises()]);
+        setWorkouts(sessions);
+        setExercises(summaries);
+        setWorkoutVersion(v => v + 1);
+    }, [listWorkouts, listExercises]);
 
-    const handleAddWeight = () => {
-        const val = parseFloat(weight);
+    useEffect(() => {
+        if (!userCode) return;
+        loadWorkouts().catch(e => {
+            console.error("Failed to load workouts", e);
+            toast.error("Workouts konden niet geladen worden");
+        });
+    }, [userCode, loadWorkouts]);
+
+    // One request per visit, before the list and the trends load side by side. The server skips
+    // weigh-ins it already has, so after a failed request the entries are sent again next time.
+    useEffect(() => {
+        if (!userCode) return;
+        const key = `progress_weight_${userCode}`;
+        const saved = localStorage.getItem(key);
+        (async () => {
+            await importLegacyWeighIns(saved ? readLocalWeighIns(saved) : []);
+            if (saved) localStorage.removeItem(key);
+        })()
+            .catch(e => console.error("Failed to import old weigh-ins", e))
+            .finally(() => setLegacyMoved(true));
+    }, [userCode, importLegacyWeighIns]);
+
+    useEffect(() => {
+        if (!userCode || !legacyMoved) return;
+        loadMeasurements().catch(e => {
+            console.error("Failed to load measurements", e);
+            toast.error("Metingen konden niet geladen worden");
+        });
+    }, [userCode, legacyMoved, loadMeasurements]);
+
+    const handleAddMeasurement = async () => {
+        const val = parseFloat(value.replace(',', '.'));
         if (!val || isNaN(val)) {
             toast.error("Voer een geldig getal in");
             return;
         }
 
-        const today = new Date().toLocaleDateString('nl-NL', { day: '2-digit', month: '2-digit' });
-        const newData = [...data, { date: today, weight: val }];
-        setData(newData);
-        localStorage.setItem(`progress_weight_${userCode}`, JSON.stringify(newData));
-        setWeight("");
-        toast.success("Gewicht opgeslagen!");
+        try {
+            await addMeasurement({ type: metric, value: val, unit, measuredAt: measureDate === today() ? undefined : measureDate });
+            await loadMeasurements();
+            setValue("");
+            setMeasureDate(today());
+            toast.success(`${MEASUREMENT_LABELS[metric]} opgeslagen!`);
+        } catch (e) {
+            toast.error("Opslaan mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
+    };
+
+    const handleUpdateMeasurement = async (id: string, update: MeasurementUpdate) => {
+        try {
+            await updateMeasurement(id, update);
+            await loadMeasurements();
+        } catch (e) {
+            toast.error("Bijwerken mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
     };
 
+    const handleDeleteMeasurement = async (id: string) => {
+        try {
+            await deleteMeasurement(id);
+            await loadMeasurements();
+        } catch (e) {
+            toast.error("Verwijderen mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
+    };
+
+    const handleAddWorkout = async (input: WorkoutInput) => {
+        try {
+            const session = await addWorkout(input);
+            await loadWorkouts();
+            const prs = session.sets.filter(s => s.pr);
+            toast.success(prs.length > 0 ? `Workout opgeslagen, nieuw PR: ${prs.map(s => s.exercise).join(', ')}!` : "Workout opgeslagen!");
+        } catch (e) {
+            toast.error("Opslaan mislukt: " + (e instanceof Error ? e.message : String(e)));
+            throw e;
+        }
+    };
+
+    const handleUpdateWorkout = async (id: string, input: WorkoutInput) => {
+        try {
+            await updateWorkout(id, input);
+            await loadWorkouts();
+        } catch (e) {
+            toast.error("Bijwerken mislukt: " + (e instanceof Error ? e.message : String(e)));
+            throw e;
+        }
+    };
+
+    const handleDeleteWorkout = async (id: string) => {
+        try {
+            await deleteWorkout(id);
+            await loadWorkouts();
+        } catch (e) {
+            toast.error("Verwijderen mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
+    };
+
+    const handleDeleteMeal = async (id: string) => {
+        try {
+            await deleteMeal(id);
+            const { entries, summary } = await loadDay(nutrition?.date);
+            setMeals(entries);
+            setNutrition(summary);
+        } catch (e) {
+            toast.error("Verwijderen mislukt: " + (e instanceof Error ? e.message : String(e)));
+        }
+    };
+
+    const unit = measurementUnit(metric, units);
+    const trend = trends.find(t => t.type === metric);
+    const chartData = (trend?.series ?? []).map(p => ({ time: new Date(p.measuredAt).getTime(), value: p.value, trend: p.trend }));
+    const plateaus = trends.filter(t => t.plateau);
+    const exerciseNames = exercises.map(e => e.exercise);
+
     if (!isLoaded) {
         return (
             <div className="min-h-screen flex items-center justify-center">
@@ -72,24 +251,50 @@ export default function Progress() {
                     <h1 className="text-3xl font-bold">Jouw Progressie</h1>
                 </div>
 
+                {plateaus.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2 text-sm">
+                        <span className="text-muted-foreground">Plateau:</span>
+                        {plateaus.map(t => (
+                            <button key={t.type} onClick={() => setMetric(t.type)} className="flex items-center gap-1">
+                                <span className="font-medium">{MEASUREMENT_LABELS[t.type]}</span>
+                                <PlateauBadge trend={t} />
+                            </button>
+                        ))}
+                    </div>
+                )}
+
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     <Card>
                         <CardHeader>
                             <CardTitle className="flex items-center gap-2">
-                                <TrendingUp className="text-primary" /> Gewicht Loggen
+                                <TrendingUp className="text-primary" /> Metingen Loggen
                             </CardTitle>
-                            <CardDescription>Houd je gewicht bij om trends te zien.</CardDescription>
+                            <CardDescription>Houd je gewicht en omtrekken bij om trends te zien.</CardDescription>
                         </CardHeader>
                         <CardContent>
+                            <Select value={metric} onValueChange={(type) => setMetric(type as MeasurementType)}>
+                                <SelectTrigger className="mb-2">
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {(Object.keys(MEASUREMENT_LABELS) as MeasurementType[]).map(type => (
+                                        <SelectItem key={type} value={type}>{MEASUREMENT_LABELS[type]} ({measurementUnit(type, units)})</SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
                             <div className="flex gap-2">
                                 <Input
                                     type="number"
-                                    placeholder="Gewicht (kg)"
-                                    value={weight}
-                                    onChange={(e) => setWeight(e.target.value)}
-                                    onKeyDown={(e) => e.key === 'Enter' && handleAddWeight()}
+                                    placeholder={`${MEASUREMENT_LABELS[metric]} (${unit})`}
+                                    value={value}
+                                    onChange={(e) => setValue(e.target.value)}
+                                    onKeyDown={(e) => e.key === 'Enter' && handleAddMeasurement()}
                                 />
-                                <Button onClick={handleAddWeight}>Toevoegen</Button>
+                                <Input type="date" value={measureDate} max={today()} onChange={(e) => setMeasureDate(e.target.value)} className="w-40" />
+                                <Button onClick={handleAddMeasurement}>Toevoegen</Button>
+                            </div>
+                            <div className="mt-4">
+                                <MeasurementList measurements={[...measurements].reverse()} onUpdate={handleUpdateMeasurement} onDelete={handleDeleteMeasurement} />
                             </div>
                         </CardContent>
                     </Card>
@@ -99,49 +304,132 @@ export default function Progress() {
                             <CardTitle className="flex items-center gap-2">
                                 <Calendar className="text-primary" /> Statistieken
                             </CardTitle>
+                            <CardDescription>De trend vlakt dagelijkse schommelingen af.</CardDescription>
                         </CardHeader>
-                        <CardContent className="space-y-2">
-                            <div className="flex justify-between text-sm">
-                                <span className="text-muted-foreground">Start:</span>
-                                <span className="font-bold">{data.length > 0 ? `${data[0].weight} kg` : '-'}</span>
-                            </div>
-                            <div className="flex justify-between text-sm">
-                                <span className="text-muted-foreground">Huidig:</span>
-                                <span className="font-bold">{data.length > 0 ? `${data[data.length - 1].weight} kg` : '-'}</span>
-                            </div>
-                            <div className="flex justify-between text-sm">
-                                <span className="text-muted-foreground">Entries:</span>
-                                <span className="font-bold">{data.length}</span>
-                            </div>
+                        <CardContent>
+                            <TrendStats trend={trend} />
                         </CardContent>
                     </Card>
                 </div>
 
                 <Card className="h-[400px]">
                     <CardHeader>
-                        <CardTitle>Gewichtsverloop</CardTitle>
+                        <CardTitle>Verloop {MEASUREMENT_LABELS[metric].toLowerCase()}</CardTitle>
                     </CardHeader>
                     <CardContent className="h-[320px]">
-                        {data.length > 0 ? (
+                        {chartData.length > 0 ? (
                             <ResponsiveContainer width="100%" height="100%">
-                                <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                                <LineChart data={chartData} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
                                     <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
-                                    <XAxis dataKey="date" stroke="#888888" fontSize={12} tickLine={false} axisLine={false} />
+                                    <XAxis
+                                        dataKey="time"
+                                        type="number"
+                                        scale="time"
+                                        domain={['dataMin', 'dataMax']}
+                                        tickFormatter={formatDay}
+                                        stroke="#888888"
+                                        fontSize={12}
+                                        tickLine={false}
+                                        axisLine={false}
+                                    />
                                     <YAxis stroke="#888888" fontSize={12} tickLine={false} axisLine={false} domain={['auto', 'auto']} />
                                     <Tooltip
+                                        labelFormatter={(time) => formatDay(Number(time))}
+                                        formatter={(value, name) => [`${value} ${unit}`, name]}
                                         contentStyle={{ backgroundColor: 'hsl(var(--card))', borderColor: 'hsl(var(--border))', borderRadius: '8px' }}
                                         itemStyle={{ color: 'hsl(var(--foreground))' }}
                                     />
-                                    <Line type="monotone" dataKey="weight" stroke="hsl(var(--primary))" strokeWidth={2} dot={{ r: 4 }} activeDot={{ r: 6 }} />
+                                    <Legend />
+                                    <Line name="Meting" type="linear" dataKey="value" stroke="hsl(var(--primary))" strokeOpacity={0.3} strokeWidth={1} dot={{ r: 3 }} activeDot={{ r: 5 }} />
+                                    <Line name="Trend" type="monotone" dataKey="trend" stroke="hsl(var(--primary))" strokeWidth={2} dot={false} />
                                 </LineChart>
                             </ResponsiveContainer>
                         ) : (
                             <div className="h-full flex items-center justify-center text-muted-foreground">
-                                Nog geen data. Log je eerste weging!
+                                Nog geen data. Log je eerste meting!
                             </div>
                         )}
                     </CardContent>
                 </Card>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <ArrowDownUp className="text-primary" /> Importeren en exporteren
+                        </CardTitle>
+                        <CardDescription>Haal je metingen uit andere apps binnen, of download alles wat je hebt gelogd.</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <ImportExportCard units={units} onImported={loadMeasurements} />
+                    </CardContent>
+                </Card>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <Card>
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <Dumbbell className="text-primary" /> Training Loggen
+                            </CardTitle>
+                            <CardDescription>Log je sets met gewicht, reps en RPE.</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <WorkoutForm exerciseNames={exerciseNames} weightUnit={units.weightUnit} onSave={handleAddWorkout} />
+                        </CardContent>
+                    </Card>
+
+                    <Card>
+                        <CardHeader>
+                            <CardTitle className="flex items-center gap-2">
+                                <Calendar className="text-primary" /> Workouts
+                            </CardTitle>
+                        </CardHeader>
+                        <CardContent>
+                            <WorkoutList sessions={workouts} exerciseNames={exerciseNames} weightUnit={units.weightUnit} onUpdate={handleUpdateWorkout} onDelete={handleDeleteWorkout} />
+                        </CardContent>
+                    </Card>
+                </div>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <Trophy className="text-primary" /> Krachtprogressie
+                        </CardTitle>
+                        <CardDescription>Geschatte 1RM (Epley) per workout; de grote punten zijn PR's.</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <ExerciseHistoryChart exercises={exercises} loadHistory={loadExerciseHistory} version={workoutVersion} weightUnit={units.weightUnit} />
+                    </CardContent>
+                </Card>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <Utensils className="text-primary" /> Voeding vandaag
+                        </CardTitle>
+                        <CardDescription>Analyseer een foto van je maaltijd in de chat om hem te loggen.</CardDescription>
+                    </CardHeader>
+                    <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div className="space-y-2">
+                            {meals.length === 0 && <p className="text-sm text-muted-foreground">Nog niets gelogd vandaag.</p>}
+                            {meals.map(meal => (
+                                <div key={meal.id} className="flex items-center justify-between gap-2 rounded-md border p-3 text-sm">
+                                    <div>
+                                        <div className="font-medium">
+                                            {meal.mealType ? `${MEAL_TYPE_LABELS[meal.mealType]}: ` : ''}{meal.description}
+                                        </div>
+                                        <div className="text-xs text-muted-foreground">
+                                            {fromCanonical(meal.kcal, units.energyUnit)} {units.energyUnit} · E {meal.proteinG} g · K {meal.carbsG} g · V {meal.fatG} g
+                                        </div>
+                                    </div>
+                                    <Button variant="ghost" size="sm" className="h-6 w-6 p-0" onClick={() => handleDeleteMeal(meal.id)}>
+                                        <Trash2 size={14} />
+                                    </Button>
+                                </div>
+                            ))}
+                        </div>
+                        {nutrition && <DailyNutritionCard summary={nutrition} energyUnit={units.energyUnit} />}
+                    </CardContent>
+                </Card>
             </div>
         </div>
     );
@@ -0,0 +1,496 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { ArrowLeft, UserCog, Brain, Trash2, Calculator } from "lucide-react";
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '@clerk/clerk-react';
+import { useBotAuth } from "@/hooks/useBotAuth";
+import { UNIT_OPTIONS, fromCanonical, toCanonical, unitPreferences, type UnitPreferences } from "@/lib/units";
+import { toast } from "sonner";
+
+export interface CoachingProfile {
+    goal: 'cut' | 'bulk' | 'recomp' | null;
+    experience: 'beginner' | 'intermediate' | 'advanced' | null;
+    injuries: string | null;
+    trainingDays: number | null;
+    sessionMinutes: number | null;
+    activityLevel: ActivityLevel | null;
+    equipment: 'gym' | 'home' | 'minimal' | null;
+    heightCm: number | null;
+    weightKg: number | null;
+    bodyFatPct: number | null;
+    age: number | null;
+    sex: 'male' | 'female' | null;
+    language: 'nl' | 'en' | null;
+    weightUnit: UnitPreferences['weightUnit'] | null;
+    lengthUnit: UnitPreferences['lengthUnit'] | null;
+    energyUnit: UnitPreferences['energyUnit'] | null;
+    kcalTarget: number | null;
+    proteinTargetG: number | null;
+    carbsTargetG: number | null;
+    fatTargetG: number | null;
+}
+
+export type ActivityLevel = 'sedentary' | 'light' | 'moderate' | 'active' | 'very_active';
+
+// As calculated by server/nutrition.js
+export interface TargetCalculation {
+    formula: 'mifflin' | 'katch';
+    bmr: number;
+    activityLevel: ActivityLevel;
+    activityMultiplier: number;
+    tdee: number;
+    goal: 'cut' | 'bulk' | 'recomp';
+    adjustmentKcal: number;
+    minimumApplied: boolean;
+    kcal: number;
+    proteinG: number;
+    fatG: number;
+    carbsG: number;
+    proteinPerKg: number;
+    fatPerKg: number;
+    inputs: { weightKg: number; heightCm: number | null; age: number | null; sex: 'male' | 'female' | null; bodyFatPct: number | null };
+    calculatedAt: string;
+}
+
+const ACTIVITY_OPTIONS: [ActivityLevel, string][] = [
+    ['sedentary', 'Zittend (weinig beweging)'],
+    ['light', 'Licht actief (1-3x per week sporten)'],
+    ['moderate', 'Gemiddeld actief (3-5x per week)'],
+    ['active', 'Zeer actief (6-7x per week)'],
+    ['very_active', 'Extreem actief (zwaar werk + training)'],
+];
+
+const FORMULA_LABELS: Record<TargetCalculation['formula'], string> = { mifflin: 'Mifflin-St Jeor', katch: 'Katch-McArdle' };
+
+export interface MemoryFact {
+    id: string;
+    category: 'pr' | 'preference' | 'schedule' | 'injury' | 'goal' | 'other';
+    content: string;
+    conversationId: string | null;
+    createdAt: string;
+    updatedAt: string;
+}
+
+const MEMORY_CATEGORY_LABELS: Record<MemoryFact['category'], string> = {
+    pr: 'PR', preference: 'Voorkeur', schedule: 'Planning', injury: 'Blessure', goal: 'Doel', other: 'Overig',
+};
+
+type ProfileForm = Record<keyof CoachingProfile, string>;
+
+const EMPTY_FORM: ProfileForm = {
+    goal: "", experience: "", injuries: "", trainingDays: "", sessionMinutes: "", activityLevel: "", equipment: "",
+    heightCm: "", weightKg: "", bodyFatPct: "", age: "", sex: "", language: "", weightUnit: "", lengthUnit: "", energyUnit: "",
+    kcalTarget: "", proteinTargetG: "", carbsTargetG: "", fatTargetG: "",
+};
+
+// Radix Select items cannot have an empty value
+const UNSET = "-";
+
+// Stored in cm, kg and kcal; shown and typed in the unit of the preference next to them
+const CONVERTED_FIELDS = [['heightCm', 'lengthUnit'], ['weightKg', 'weightUnit'], ['kcalTarget', 'energyUnit']] as const;
+
+const formUnits = (form: ProfileForm) =>
+    unitPreferences({ weightUnit: form.weightUnit || null, lengthUnit: form.lengthUnit || null, energyUnit: form.energyUnit || null });
+
+function toForm(profile: CoachingProfile): ProfileForm {
+    const form = { ...EMPTY_FORM };
+    for (const key of Object.keys(EMPTY_FORM) as (keyof CoachingProfile)[]) {
+        form[key] = profile[key] === null || profile[key] === undefined ? "" : String(profile[key]);
+    }
+    const units = unitPreferences(profile);
+    for (const [key, unitKey] of CONVERTED_FIELDS) {
+        if (profile[key] !== null) form[key] = String(fromCanonical(profile[key], units[unitKey]));
+    }
+    return form;
+}
+
+// A converted field in the stored unit. A value left as shown keeps the stored one, so saving never shifts it by rounding.
+function toStored(value: string, unit: string, stored: number | null): number | string {
+    if (stored !== null && value === String(fromCanonical(stored, unit))) return stored;
+    const number = Number(value.replace(',', '.'));
+    return Number.isFinite(number) ? toCanonical(number, unit) : value;
+}
+
+export default function Settings() {
+    const navigate = useNavigate();
+    const { userCode, authenticated, isLoaded } = useBotAuth();
+    const { getToken } = useAuth();
+    const [form, setForm] = useState<ProfileForm>(EMPTY_FORM);
+    // As last loaded or saved
+    const [stored, setStored] = useState<CoachingProfile | null>(null);
+    const [saving, setSaving] = useState(false);
+
+    const applyProfile = useCallback((profile: CoachingProfile) => {
+        setStored(profile);
+        setForm(toForm(profile));
+    }, []);
+
+    const loadProfile = useCallback(async () => {
+        try {
+            const token = await getToken();
+            const res = await fetch('/api/profile', { headers: { 'Authorization': `Bearer ${token}` } });
+            if (!res.ok) throw new Error(await res.text());
+            const data = await res.json();
+            applyProfile(data.profile);
+        } catch (e) {
+            console.error("Failed to load profile", e);
+            toast.error("Profiel kon niet geladen worden");
+        }
+    }, [getToken, applyProfile]);
+
+    useEffect(() => {
+        if (userCode) loadProfile();
+    }, [userCode, loadProfile]);
+
+    const set = (key: keyof CoachingProfile) => (value: string) =>
+        setForm(prev => ({ ...prev, [key]: value === UNSET ? "" : value }));
+
+    // Values typed so far are shown in the new unit right away
+    const setUnit = (unitKey: keyof UnitPreferences) => (value: string) => setForm(prev => {
+        const next = { ...prev, [unitKey]: value === UNSET ? "" : value };
+        const [before, after] = [formUnits(prev)[unitKey], formUnits(next)[unitKey]];
+        for (const [key, fieldUnit] of CONVERTED_FIELDS) {
+            if (fieldUnit !== unitKey || !prev[key].trim()) continue;
+            const value = toStored(prev[key].trim(), before, stored?.[key] ?? null);
+            if (typeof value === 'number') next[key] = String(fromCanonical(value, after));
+        }
+        return next;
+    });
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            const profile: Record<string, string | number | null> = Object.fromEntries(
+                Object.entries(form).map(([key, value]) => [key, value.trim() === "" ? null : value.trim()])
+            );
+            const units = formUnits(form);
+            for (const [key, unitKey] of CONVERTED_FIELDS) {
+                if (form[key].trim()) profile[key] = toStored(form[key].trim(), units[unitKey], stored?.[key] ?? null);
+            }
+            const token = await getToken();
+            const res = await fetch('/api/profile', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`,
+                },
+                body: JSON.stringify({ profile }),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.message);
+            applyProfile(data.profile);
+            toast.success("Profiel opgeslagen!");
+        } catch (e) {
+            toast.error("Opslaan mislukt: " + (e instanceof Error ? e.message : String(e)));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const units = formUnits(form);
+
+    if (!isLoaded) {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <p className="text-muted-foreground">Loading...</p>
+            </div>
+        );
+    }
+
+    if (!authenticated || !userCode) {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <div className="text-center">
+                    <h2 className="text-xl font-bold">Niet ingelogd</h2>
+                    <Button onClick={() => navigate('/bot')} className="mt-4">Ga naar Bot</Button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-background p-4 md:p-8">
+            <div className="max-w-4xl mx-auto space-y-6">
+                <div className="flex items-center gap-4">
+                    <Button variant="ghost" onClick={() => navigate('/bot')}>
+                        <ArrowLeft className="mr-2" size={16} /> Terug naar Bot
+                    </Button>
+                    <h1 className="text-3xl font-bold">Instellingen</h1>
+                </div>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <UserCog className="text-primary" /> Coaching profiel
+                        </CardTitle>
+                        <CardDescription>
+                            De coach gebruikt dit bij elk antwoord. Wat je in de chat vertelt wordt hier automatisch bijgewerkt.
+                        </CardDescription>
+                    </CardHeader>
+                    <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <ChoiceField label="Doel" value={form.goal} onChange={set('goal')} options={[
+                            ['cut', 'Cut (vet verliezen)'], ['bulk', 'Bulk (spier opbouwen)'], ['recomp', 'Recomp'],
+                        ]} />
+                        <ChoiceField label="Ervaring" value={form.experience} onChange={set('experience')} options={[
+                            ['beginner', 'Beginner'], ['intermediate', 'Gevorderd'], ['advanced', 'Ervaren'],
+                        ]} />
+                        <NumberField label="Trainingsdagen per week" value={form.trainingDays} onChange={set('trainingDays')} />
+                        <NumberField label="Sessieduur (minuten)" value={form.sessionMinutes} onChange={set('sessionMinutes')} />
+                        <ChoiceField label="Activiteitsniveau" value={form.activityLevel} onChange={set('activityLevel')} options={ACTIVITY_OPTIONS} />
+                        <ChoiceField label="Materiaal" value={form.equipment} onChange={set('equipment')} options={[
+                            ['gym', 'Gym'], ['home', 'Thuis'], ['minimal', 'Beperkt'],
+                        ]} />
+                        <ChoiceField label="Taal" value={form.language} onChange={set('language')} options={[
+                            ['nl', 'Nederlands'], ['en', 'English'],
+                        ]} />
+                        <ChoiceField label="Eenheid gewicht" value={form.weightUnit} onChange={setUnit('weightUnit')} options={UNIT_OPTIONS.weightUnit} />
+                        <ChoiceField label="Eenheid lengte en omtrek" value={form.lengthUnit} onChange={setUnit('lengthUnit')} options={UNIT_OPTIONS.lengthUnit} />
+                        <ChoiceField label="Eenheid energie" value={form.energyUnit} onChange={setUnit('energyUnit')} options={UNIT_OPTIONS.energyUnit} />
+                        <NumberField label={`Lengte (${units.lengthUnit})`} value={form.heightCm} onChange={set('heightCm')} />
+                        <NumberField label={`Gewicht (${units.weightUnit})`} value={form.weightKg} onChange={set('weightKg')} />
+                        <NumberField label="Vetpercentage (%)" value={form.bodyFatPct} onChange={set('bodyFatPct')} />
+                        <NumberField label="Leeftijd" value={form.age} onChange={set('age')} />
+                        <ChoiceField label="Geslacht" value={form.sex} onChange={set('sex')} options={[
+                            ['male', 'Man'], ['female', 'Vrouw'],
+                        ]} />
+                        <NumberField label={`Calorie-doel (${units.energyUnit}/dag)`} value={form.kcalTarget} onChange={set('kcalTarget')} />
+                        <NumberField label="Eiwit-doel (g/dag)" value={form.proteinTargetG} onChange={set('proteinTargetG')} />
+                        <NumberField label="Koolhydraten-doel (g/dag)" value={form.carbsTargetG} onChange={set('carbsTargetG')} />
+                        <NumberField label="Vet-doel (g/dag)" value={form.fatTargetG} onChange={set('fatTargetG')} />
+                        <div className="md:col-span-2 space-y-1">
+                            <Label htmlFor="injuries">Blessures / beperkingen</Label>
+                            <Textarea
+                                id="injuries"
+                                value={form.injuries}
+                                onChange={e => set('injuries')(e.target.value)}
+                                placeholder="Bijv. linkerknie gevoelig bij diepe squats"
+                            />
+                        </div>
+                        <div className="md:col-span-2">
+                            <Button onClick={handleSave} disabled={saving}>Opslaan</Button>
+                        </div>
+                    </CardContent>
+                </Card>
+
+                <TargetsCard getToken={getToken} form={form} onSaved={applyProfile} />
+
+                <MemoryCard getToken={getToken} />
+            </div>
+        </div>
+    );
+}
+
+function TargetsCard({ getToken, form, onSaved }: {
+    getToken: () => Promise<string | null>;
+    form: ProfileForm;
+    onSaved: (profile: CoachingProfile) => void;
+}) {
+    const [formula, setFormula] = useState("auto");
+    const [calculation, setCalculation] = useState<TargetCalculation | null>(null);
+    const [applied, setApplied] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    const request = useCallback(async (url: string, init: RequestInit = {}) => {
+        const token = await getToken();
+        const res = await fetch(url, { ...init, headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` } });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message);
+        return data;
+    }, [getToken]);
+
+    useEffect(() => {
+        request('/api/nutrition/targets')
+            .then(data => {
+                setCalculation(data.calculation);
+                setApplied(data.applied);
+            })
+            .catch(() => toast.error("Voedingsdoelen konden niet geladen worden"));
+    }, [request]);
+
+    // Goal and activity as picked above, even before the profile is saved
+    const calculate = async (save: boolean) => {
+        setBusy(true);
+        try {
+            const data = await request('/api/nutrition/targets', {
+                method: 'POST',
+                body: JSON.stringify({
+                    formula,
+                    ...(form.goal ? { goal: form.goal } : {}),
+                    ...(form.activityLevel ? { activityLevel: form.activityLevel } : {}),
+                    save,
+                }),
+            });
+            setCalculation(data.calculation);
+            setApplied(save);
+            if (save) {
+                onSaved(data.profile);
+                toast.success("Voedingsdoelen opgeslagen!");
+            }
+        } catch (e) {
+            toast.error("Berekenen mislukt: " + (e instanceof Error ? e.message : String(e)));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const c = calculation;
+    const { energyUnit, weightUnit } = formUnits(form);
+    const energy = (kcal: number) => `${fromCanonical(kcal, energyUnit)} ${energyUnit}`;
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <Calculator className="text-primary" /> Voedingsdoelen berekenen
+                </CardTitle>
+                <CardDescription>
+                    Berekent je calorie- en macrodoelen uit je profiel en je laatste weging. De coach gebruikt precies deze getallen.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <div className="flex flex-wrap items-end gap-2">
+                    <div className="space-y-1 w-56">
+                        <Label>Formule</Label>
+                        <Select value={formula} onValueChange={setFormula}>
+                            <SelectTrigger>
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value="auto">Automatisch</SelectItem>
+                                <SelectItem value="mifflin">Mifflin-St Jeor</SelectItem>
+                                <SelectItem value="katch">Katch-McArdle (vetpercentage)</SelectItem>
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <Button variant="outline" onClick={() => calculate(false)} disabled={busy}>Berekenen</Button>
+                    <Button onClick={() => calculate(true)} disabled={busy}>Berekenen en opslaan</Button>
+                </div>
+                {c && (
+                    <div className="rounded-lg border p-3 text-sm space-y-1">
+                        <p>
+                            BMR {energy(c.bmr)} ({FORMULA_LABELS[c.formula]}) × {c.activityMultiplier} = <span className="font-semibold">TDEE {energy(c.tdee)}</span>
+                        </p>
+                        <p>
+                            Doel {c.goal}: {c.adjustmentKcal > 0 ? '+' : ''}{energy(c.adjustmentKcal)} → <span className="font-semibold">{energy(c.kcal)} per dag</span>
+                            {c.minimumApplied && <span className="text-muted-foreground"> (verhoogd tot de minimale inname)</span>}
+                        </p>
+                        <p>
+                            Eiwit {c.proteinG} g ({c.proteinPerKg} g/kg) · Vet {c.fatG} g ({c.fatPerKg} g/kg) · Koolhydraten {c.carbsG} g
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                            Op basis van {fromCanonical(c.inputs.weightKg, weightUnit)} {weightUnit} · {new Date(c.calculatedAt).toLocaleDateString('nl-NL')}
+                            {applied ? ' · dit zijn je huidige doelen' : ' · niet (meer) als doelen opgeslagen'}
+                        </p>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function MemoryCard({ getToken }: { getToken: () => Promise<string | null> }) {
+    const [facts, setFacts] = useState<MemoryFact[]>([]);
+
+    const request = useCallback(async (url: string, init: RequestInit = {}) => {
+        const token = await getToken();
+        const res = await fetch(url, { ...init, headers: { 'Authorization': `Bearer ${token}` } });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message);
+        return data;
+    }, [getToken]);
+
+    useEffect(() => {
+        request('/api/memory')
+            .then(data => setFacts(data.facts))
+            .catch(() => toast.error("Geheugen kon niet geladen worden"));
+    }, [request]);
+
+    const handleDelete = async (id: string) => {
+        try {
+            await request(`/api/memory/${id}`, { method: 'DELETE' });
+            setFacts(prev => prev.filter(f => f.id !== id));
+        } catch (e) {
+            toast.error("Verwijderen mislukt");
+        }
+    };
+
+    const handleClear = async () => {
+        if (!confirm("Weet je zeker dat je alles wilt wissen wat de coach over je onthouden heeft?")) return;
+        try {
+            await request('/api/memory', { method: 'DELETE' });
+            setFacts([]);
+            toast.success("Geheugen gewist");
+        } catch (e) {
+            toast.error("Wissen mislukt");
+        }
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <Brain className="text-primary" /> Wat de coach onthoudt
+                </CardTitle>
+                <CardDescription>
+                    Dingen die je in eerdere gesprekken vertelde, zoals PR's, voorkeuren en je rooster. De coach gebruikt ze in nieuwe gesprekken.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-2">
+                {facts.length === 0 && <p className="text-sm text-muted-foreground">De coach heeft nog niets onthouden.</p>}
+                {facts.map(fact => (
+                    <div key={fact.id} className="flex items-start justify-between gap-3 rounded-lg border p-3">
+                        <div>
+                            <p className="text-sm">{fact.content}</p>
+                            <p className="text-xs text-muted-foreground">
+                                {MEMORY_CATEGORY_LABELS[fact.category]} · {new Date(fact.updatedAt).toLocaleDateString('nl-NL')}
+                            </p>
+                        </div>
+                        <Button variant="ghost" size="icon" onClick={() => handleDelete(fact.id)} aria-label="Verwijderen">
+                            <Trash2 size={16} />
+                        </Button>
+                    </div>
+                ))}
+                {facts.length > 0 && (
+                    <Button variant="outline" onClick={handleClear}>Alles wissen</Button>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function NumberField({ label, value, onChange }: { label: string; value: string; onChange: (value: string) => void }) {
+    return (
+        <div className="space-y-1">
+            <Label>{label}</Label>
+            <Input type="number" value={value} onChange={e => onChange(e.target.value)} />
+        </div>
+    );
+}
+
+function ChoiceField({ label, value, onChange, options }: {
+    label: string;
+    value: string;
+    onChange: (value: string) => void;
+    options: [string, string][];
+}) {
+    return (
+        <div className="space-y-1">
+            <Label>{label}</Label>
+            <Select value={value || UNSET} onValueChange={onChange}>
+                <SelectTrigger>
+                    <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                    <SelectItem value={UNSET}>Niet ingevuld</SelectItem>
+                    {options.map(([optionValue, optionLabel]) => (
+                        <SelectItem key={optionValue} value={optionValue}>{optionLabel}</SelectItem>
+                    ))}
+                </SelectContent>
+            </Select>
+        </div>
+    );
+}